@@ -0,0 +1,585 @@
+'use strict'
+
+const path = require('path')
+const sharp = require('sharp')
+
+const { checkValid } = require('./utils')
+
+/**
+ * The names of the strategies used to adapt a {@link Layout.Config} designed for one panel size
+ * to the panel of the connected {@link StreamDeck}.
+ *
+ * - `'truncate'` keeps the top left corner of the layout and drops the {@link Key|Keys} that do
+ * not fit.
+ * - `'anchor'` keeps the corner, or the center, of the layout set by `anchor` and drops the
+ * {@link Key|Keys} that do not fit.
+ * - `'paginate'` keeps the top left corner of the layout and moves the {@link Key|Keys} that do
+ * not fit onto extra {@link Page|Pages}, linked by "Prev" and "Next" {@link Key|Keys}.
+ * - `'priority'` keeps {@link Key|Keys} at their position when it fits, otherwise moves them to
+ * the first free key slot, placing {@link Key|Keys} with a higher `priority` first and dropping
+ * the {@link Key|Keys} left over.
+ *
+ * When truncating, anchoring, or paginating a larger layout, page background images are
+ * cropped to the part of the layout that is shown. When prioritizing they are scaled down to
+ * the panel, as {@link Key|Keys} from the whole layout are moved onto it. The background image
+ * of a smaller layout is scaled to the size of the layout and placed where its
+ * {@link Key|Keys} are, leaving the rest of the panel transparent.
+ *
+ * @typedef {string} AdaptStrategy
+ * @memberof Layout
+ */
+const ADAPT_STRATEGIES = ['truncate', 'anchor', 'paginate', 'priority']
+
+const ANCHORS = {
+  topLeft: [0, 0],
+  topRight: [0, 1],
+  bottomLeft: [1, 0],
+  bottomRight: [1, 1],
+  center: [0.5, 0.5],
+}
+
+/**
+ * Adapt a {@link Layout.Config} designed for a panel of `rows` by `columns` key slots to the
+ * panel of a {@link StreamDeck}, so one layout can be used with every
+ * {@link StreamDeckModel}. The returned {@link Layout.Config} only uses `row` and `column` to
+ * position {@link Key|Keys} and lists the {@link Key|Keys} that did not fit in `droppedKeys`.
+ *
+ * @function adaptLayout
+ * @memberof module:streamdeck-ui-node
+ * @static
+ *
+ * @param {StreamDeck} streamDeck
+ * The {@link StreamDeck} to adapt the layout to.
+ *
+ * @param {Layout.Config} config
+ * The layout to adapt. If `rows` or `columns` is undefined the size of the
+ * {@link StreamDeck} is used, or the furthest `row` or `column` of a {@link Key} if it is larger.
+ *
+ * @param {module:streamdeck-ui-node.AdaptOptions} options
+ * Options used to adapt the layout.
+ *
+ * @returns {Promise<Layout.Config>}
+ *
+ * @example
+ * const { openStreamDeck, adaptLayout, loadLayout } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openStreamDeck();
+ *
+ *   // Either adapt the layout while loading it
+ *   await loadLayout(streamDeck, './xl-layout.json', {
+ *     adapt: { strategy: 'paginate' },
+ *   });
+ *
+ *   // Or adapt it yourself
+ *   const config = await adaptLayout(streamDeck, xlLayout, {
+ *     strategy: 'anchor',
+ *     anchor: 'center',
+ *   });
+ *
+ *   console.log(config.droppedKeys);
+ * })();
+ */
+async function adaptLayout(streamDeck, config, options = {}) {
+  checkValid(streamDeck, {
+    name: 'streamDeck',
+    type: 'class',
+    class: 'StreamDeck',
+  })
+
+  checkValid(options, {
+    name: 'options',
+    type: 'object',
+    checkProps: [
+      { name: 'strategy', type: 'string', validValues: ADAPT_STRATEGIES },
+      {
+        name: 'anchor',
+        type: 'string',
+        validValues: Object.keys(ANCHORS),
+        allowUndefined: true,
+      },
+      { name: 'basePath', type: 'string', allowUndefined: true },
+    ],
+  })
+
+  checkValid(config, {
+    name: 'layout',
+    type: 'object',
+    checkProps: [
+      { name: 'rows', type: 'integer', min: 1, allowUndefined: true },
+      { name: 'columns', type: 'integer', min: 1, allowUndefined: true },
+      { name: 'pages', type: 'array', minLength: 1 },
+    ],
+  })
+
+  const keyConfigs = config.pages.flatMap((pageConfig) =>
+    Array.isArray(pageConfig?.keys) ? pageConfig.keys : []
+  )
+
+  // Without an explicit size the layout is assumed to be as large as its furthest Key
+  const rows =
+    config.rows ??
+    Math.max(
+      streamDeck.PANEL_ROW_COUNT,
+      ...keyConfigs.map((keyConfig) =>
+        Number.isInteger(keyConfig?.row) ? keyConfig.row : 0
+      )
+    )
+  const columns =
+    config.columns ??
+    Math.max(
+      streamDeck.PANEL_COLUMN_COUNT,
+      ...keyConfigs.map((keyConfig) =>
+        Number.isInteger(keyConfig?.column) ? keyConfig.column : 0
+      )
+    )
+
+  checkValid(config.pages, {
+    name: 'layout.pages',
+    type: 'array',
+    checkAllValues: {
+      type: 'object',
+      checkProps: [
+        {
+          name: 'keys',
+          type: 'array',
+          allowUndefined: true,
+          checkAllValues: {
+            type: 'object',
+            checkProps: [
+              {
+                name: 'index',
+                type: 'integer',
+                min: 0,
+                max: rows * columns - 1,
+                allowUndefined: true,
+              },
+              {
+                name: 'row',
+                type: 'integer',
+                min: 1,
+                max: rows,
+                allowUndefined: true,
+              },
+              {
+                name: 'column',
+                type: 'integer',
+                min: 1,
+                max: columns,
+                allowUndefined: true,
+              },
+              { name: 'priority', type: 'number', allowUndefined: true },
+            ],
+          },
+        },
+      ],
+    },
+  })
+
+  const adapted = {
+    ...config,
+    rows: streamDeck.PANEL_ROW_COUNT,
+    columns: streamDeck.PANEL_COLUMN_COUNT,
+    pages: [],
+    droppedKeys: [],
+  }
+
+  const extraPages = []
+
+  for (const [i, pageConfig] of config.pages.entries()) {
+    const pageId = pageConfig.id ?? String(i)
+    const keys = getLogicalKeys(pageConfig, pageId, rows, columns)
+
+    const basePath = options.basePath ?? process.cwd()
+
+    let adaptedPages
+
+    switch (options.strategy) {
+      case 'paginate':
+        adaptedPages = paginateKeys(
+          streamDeck,
+          {
+            ...pageConfig,
+            backgroundImage: await cropBackgroundImage(
+              streamDeck,
+              pageConfig.backgroundImage,
+              { rows, columns, rowOffset: 0, columnOffset: 0 },
+              basePath
+            ),
+          },
+          pageId,
+          keys
+        )
+        break
+      case 'priority':
+        adaptedPages = [
+          prioritizeKeys(
+            streamDeck,
+            {
+              ...pageConfig,
+              backgroundImage: await scaleBackgroundImage(
+                streamDeck,
+                pageConfig.backgroundImage,
+                { rows, columns },
+                basePath
+              ),
+            },
+            keys
+          ),
+        ]
+        break
+      default: {
+        const [anchorRow, anchorColumn] =
+          ANCHORS[options.strategy === 'anchor' ? options.anchor : 'topLeft'] ??
+          ANCHORS.topLeft
+
+        const rowOffset = Math.floor(
+          anchorRow * (rows - streamDeck.PANEL_ROW_COUNT)
+        )
+        const columnOffset = Math.floor(
+          anchorColumn * (columns - streamDeck.PANEL_COLUMN_COUNT)
+        )
+
+        adaptedPages = [
+          {
+            ...pageConfig,
+            backgroundImage: await cropBackgroundImage(
+              streamDeck,
+              pageConfig.backgroundImage,
+              { rows, columns, rowOffset, columnOffset },
+              basePath
+            ),
+            keys: offsetKeys(streamDeck, keys, rowOffset, columnOffset),
+          },
+        ]
+      }
+    }
+
+    const [firstPage, ...otherPages] = adaptedPages
+
+    adapted.pages.push(firstPage)
+    extraPages.push(...otherPages)
+
+    const keptKeys = new Set(
+      adaptedPages.flatMap((page) => page.keys.map(({ id }) => id))
+    )
+
+    for (const { id } of keys) {
+      if (!keptKeys.has(id)) {
+        adapted.droppedKeys.push({ page: pageId, key: id })
+      }
+    }
+  }
+
+  // Extra pages go last so the paths of the original pages stay the same
+  adapted.pages.push(...extraPages)
+
+  return adapted
+}
+
+function getLogicalKeys(pageConfig, pageId, rows, columns) {
+  const keys = (pageConfig.keys ?? []).map((keyConfig, j) => {
+    const { index, ...key } = keyConfig
+
+    key.id = keyConfig.id ?? `${pageId}:${j}`
+
+    if (key.row === undefined || key.column === undefined) {
+      key.row = undefined
+      key.column = undefined
+
+      if (index !== undefined) {
+        key.row = Math.floor(index / columns) + 1
+        key.column = (index % columns) + 1
+      }
+    }
+
+    return key
+  })
+
+  const usedIndexes = new Set(
+    keys
+      .filter((key) => key.row !== undefined)
+      .map((key) => (key.row - 1) * columns + key.column - 1)
+  )
+
+  // Keys without a key slot fill the free key slots in order, the same as loading the layout
+  for (const key of keys) {
+    if (key.row !== undefined) {
+      continue
+    }
+
+    for (let i = 0; i < rows * columns; i++) {
+      if (!usedIndexes.has(i)) {
+        usedIndexes.add(i)
+
+        key.row = Math.floor(i / columns) + 1
+        key.column = (i % columns) + 1
+
+        break
+      }
+    }
+  }
+
+  return keys.filter((key) => key.row !== undefined)
+}
+
+function fitsPanel(streamDeck, row, column) {
+  return (
+    row >= 1 &&
+    row <= streamDeck.PANEL_ROW_COUNT &&
+    column >= 1 &&
+    column <= streamDeck.PANEL_COLUMN_COUNT
+  )
+}
+
+function offsetKeys(streamDeck, keys, rowOffset, columnOffset) {
+  return keys
+    .map((key) => ({
+      ...key,
+      row: key.row - rowOffset,
+      column: key.column - columnOffset,
+    }))
+    .filter((key) => fitsPanel(streamDeck, key.row, key.column))
+    .map(({ priority, ...key }) => key)
+}
+
+function paginateKeys(streamDeck, pageConfig, pageId, keys) {
+  const columnCount = streamDeck.PANEL_COLUMN_COUNT
+  const previousIndex = (streamDeck.PANEL_ROW_COUNT - 1) * columnCount
+  const nextIndex = streamDeck.KEY_COUNT - 1
+
+  const toPosition = (index) => ({
+    row: Math.floor(index / columnCount) + 1,
+    column: (index % columnCount) + 1,
+  })
+
+  // The next key slot is only taken over by the "Next" Key when some Keys do not fit
+  const overflowing = keys.some(
+    (key) => !fitsPanel(streamDeck, key.row, key.column)
+  )
+
+  const visibleKeys = []
+  const overflowKeys = []
+
+  for (const key of keys) {
+    const index = (key.row - 1) * columnCount + key.column - 1
+
+    if (
+      fitsPanel(streamDeck, key.row, key.column) &&
+      (!overflowing || index !== nextIndex)
+    ) {
+      visibleKeys.push({ key, index })
+    } else {
+      overflowKeys.push(key)
+    }
+  }
+
+  if (!overflowKeys.length) {
+    return [
+      { ...pageConfig, keys: visibleKeys.map(({ key }) => stripKey(key)) },
+    ]
+  }
+
+  // Nothing can be paginated without room for both navigation keys and a key in between
+  if (previousIndex === nextIndex || streamDeck.KEY_COUNT < 3) {
+    return [
+      { ...pageConfig, keys: visibleKeys.map(({ key }) => stripKey(key)) },
+    ]
+  }
+
+  const pageKeys = [visibleKeys]
+
+  let remaining = overflowKeys
+
+  while (remaining.length) {
+    const freeIndexes = []
+
+    for (let i = 0; i < streamDeck.KEY_COUNT; i++) {
+      if (i !== previousIndex && i !== nextIndex) {
+        freeIndexes.push(i)
+      }
+    }
+
+    // The next key slot is only needed if the remaining keys do not fit without it
+    if (remaining.length === freeIndexes.length + 1) {
+      freeIndexes.push(nextIndex)
+    }
+
+    pageKeys.push(
+      remaining
+        .slice(0, freeIndexes.length)
+        .map((key, i) => ({ key, index: freeIndexes[i] }))
+    )
+
+    remaining = remaining.slice(freeIndexes.length)
+  }
+
+  const pageIds = pageKeys.map((_, i) => (i ? `${pageId}/${i + 1}` : pageId))
+
+  return pageKeys.map((keysOnPage, i) => {
+    const keys = keysOnPage.map(({ key, index }) => ({
+      ...stripKey(key),
+      ...toPosition(index),
+    }))
+
+    if (i > 0) {
+      keys.push({
+        id: `${pageIds[i]}:previous`,
+        ...toPosition(previousIndex),
+        title: 'Prev',
+        titleAlign: 'middle',
+        action: { name: 'focusPage', params: pageIds[i - 1] },
+      })
+    }
+
+    if (i < pageKeys.length - 1) {
+      keys.push({
+        id: `${pageIds[i]}:next`,
+        ...toPosition(nextIndex),
+        title: 'Next',
+        titleAlign: 'middle',
+        action: { name: 'focusPage', params: pageIds[i + 1] },
+      })
+    }
+
+    return { ...pageConfig, id: pageIds[i], keys }
+  })
+}
+
+function prioritizeKeys(streamDeck, pageConfig, keys) {
+  const columnCount = streamDeck.PANEL_COLUMN_COUNT
+
+  const orderedKeys = keys
+    .map((key, i) => ({ key, i }))
+    .sort((a, b) => (b.key.priority ?? 0) - (a.key.priority ?? 0) || a.i - b.i)
+    .map(({ key }) => key)
+    // Only as many Keys as there are key slots are kept, before any of them are placed
+    .slice(0, streamDeck.KEY_COUNT)
+
+  const placedKeys = new Map()
+  const unplacedKeys = []
+
+  for (const key of orderedKeys) {
+    const index = (key.row - 1) * columnCount + key.column - 1
+
+    if (fitsPanel(streamDeck, key.row, key.column) && !placedKeys.has(index)) {
+      placedKeys.set(index, key)
+    } else {
+      unplacedKeys.push(key)
+    }
+  }
+
+  for (let i = 0; i < streamDeck.KEY_COUNT && unplacedKeys.length; i++) {
+    if (!placedKeys.has(i)) {
+      placedKeys.set(i, {
+        ...unplacedKeys.shift(),
+        row: Math.floor(i / columnCount) + 1,
+        column: (i % columnCount) + 1,
+      })
+    }
+  }
+
+  // Keep the Keys in their original order
+  const placedKeyIds = new Map(
+    [...placedKeys.values()].map((key) => [key.id, key])
+  )
+
+  return {
+    ...pageConfig,
+    keys: keys
+      .filter((key) => placedKeyIds.has(key.id))
+      .map((key) => stripKey(placedKeyIds.get(key.id))),
+  }
+}
+
+function stripKey(key) {
+  const { priority, ...keyConfig } = key
+
+  return keyConfig
+}
+
+async function cropBackgroundImage(streamDeck, source, view, basePath) {
+  const { rows, columns, rowOffset, columnOffset } = view
+
+  const input = getBackgroundImageInput(streamDeck, source, view, basePath)
+
+  if (!input) {
+    return source
+  }
+
+  const { KEY_WIDTH: keyWidth, KEY_HEIGHT: keyHeight } = streamDeck
+
+  const visibleRows = Math.min(rows, streamDeck.PANEL_ROW_COUNT)
+  const visibleColumns = Math.min(columns, streamDeck.PANEL_COLUMN_COUNT)
+
+  // A layout smaller than the panel is placed at the same offset as its keys
+  const top = Math.max(-rowOffset, 0)
+  const left = Math.max(-columnOffset, 0)
+
+  return sharp(input)
+    .resize(columns * keyWidth, rows * keyHeight)
+    .extract({
+      left: Math.max(columnOffset, 0) * keyWidth,
+      top: Math.max(rowOffset, 0) * keyHeight,
+      width: visibleColumns * keyWidth,
+      height: visibleRows * keyHeight,
+    })
+    .extend({
+      top: top * keyHeight,
+      bottom: (streamDeck.PANEL_ROW_COUNT - visibleRows - top) * keyHeight,
+      left: left * keyWidth,
+      right: (streamDeck.PANEL_COLUMN_COUNT - visibleColumns - left) * keyWidth,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    })
+    .png()
+    .toBuffer()
+}
+
+async function scaleBackgroundImage(streamDeck, source, view, basePath) {
+  // Keys of a layout that fits the panel keep their key slots, so its background does too
+  if (
+    view.rows <= streamDeck.PANEL_ROW_COUNT &&
+    view.columns <= streamDeck.PANEL_COLUMN_COUNT
+  ) {
+    return cropBackgroundImage(
+      streamDeck,
+      source,
+      { ...view, rowOffset: 0, columnOffset: 0 },
+      basePath
+    )
+  }
+
+  const input = getBackgroundImageInput(streamDeck, source, view, basePath)
+
+  if (!input) {
+    return source
+  }
+
+  return sharp(input)
+    .resize(streamDeck.PANEL_WIDTH, streamDeck.PANEL_HEIGHT, { fit: 'fill' })
+    .png()
+    .toBuffer()
+}
+
+// Only file paths and buffers of a layout with a different size than the panel need adapting
+function getBackgroundImageInput(streamDeck, source, view, basePath) {
+  if (
+    view.rows === streamDeck.PANEL_ROW_COUNT &&
+    view.columns === streamDeck.PANEL_COLUMN_COUNT
+  ) {
+    return
+  }
+
+  if (typeof source === 'string') {
+    return path.resolve(basePath, source)
+  }
+
+  if (Buffer.isBuffer(source)) {
+    return source
+  }
+}
+
+module.exports = {
+  ADAPT_STRATEGIES,
+  adaptLayout,
+}
@@ -0,0 +1,568 @@
+'use strict'
+
+const EventEmitter = require('eventemitter3')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+  listenToEvents,
+  getCustomProperties,
+} = require('./utils')
+
+const ArrayKeyedMap = require('./wild-array-keyed-map')
+const ArrayValuedSet = require('./wild-array-valued-set')
+
+/**
+ * An instance of {@link Encoder} represents a virtual encoder (dial) on a {@link Page} created via
+ * {@link StreamDeck#createEncoder}.
+ *
+ * @class Encoder
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { openStreamDeck } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openStreamDeck('plus');
+ *
+ *   const encoder = streamDeck.createEncoder();
+ * })();
+ */
+class Encoder extends EventEmitter {
+  constructor(streamDeck, options = {}) {
+    super()
+
+    checkValid(streamDeck, {
+      name: 'streamDeck',
+      type: 'class',
+      class: 'StreamDeck',
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+    })
+
+    definePrivateProperties(this, options, [
+      { name: 'holdTimeoutIds', value: new ArrayKeyedMap() },
+      { name: 'idleTimeoutId' },
+      { name: 'downStates', value: new ArrayValuedSet() },
+      { name: 'holdStates', value: new ArrayValuedSet() },
+    ])
+
+    definePublicProperties(this, options, [
+      /**
+       * The {@link StreamDeck} that created the {@link Encoder}.
+       *
+       * @member {StreamDeck} STREAMDECK
+       * @memberof Encoder
+       * @instance
+       * @constant
+       */
+      { name: 'STREAMDECK', value: streamDeck },
+      /**
+       * The {@link external:@elgato-stream-deck/node} instance managed by the {@link StreamDeck} that created
+       * the {@link Encoder}.
+       *
+       * @member {external:@elgato-stream-deck/node} STREAMDECK_NODE
+       * @memberof Encoder
+       * @instance
+       * @constant
+       */
+      {
+        name: 'STREAMDECK_NODE',
+        value: streamDeck.STREAMDECK_NODE,
+        get: () => this.STREAMDECK.STREAMDECK_NODE,
+      },
+      /**
+       * The number of encoders on the Stream Deck.
+       *
+       * @member {number} ENCODER_COUNT
+       * @memberof Encoder
+       * @instance
+       * @constant
+       */
+      { name: 'ENCODER_COUNT', value: streamDeck.ENCODER_COUNT },
+      /**
+       * The number of milliseconds after the {@link Encoder#event:down} is triggered that the
+       * {@link Encoder#event:hold} will be triggered. A value of `0` means the
+       * {@link Encoder#event:hold} is disabled. If undefined
+       * {@link Page#event:encoderHold|Page#encoderHold events} will be allowed to propagate from
+       * {@link Page|Pages} that the {@link Encoder} is attached to.
+       *
+       * @member {number|undefined} HOLD_TIME
+       * @memberof Encoder
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'HOLD_TIME',
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The number of milliseconds of inactivity before the {@link Encoder#event:idle} is
+       * triggered. A value of `0` means the {@link Encoder#event:idle} is disabled.
+       *
+       * @member {number} IDLE_TIME
+       * @memberof Encoder
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'IDLE_TIME',
+        value: streamDeck.IDLE_TIME,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * Whether or not the {@link Encoder} has been destroyed.
+       *
+       * @member {boolean} destroyed
+       * @memberof Encoder
+       * @instance
+       * @readonly
+       */
+      { name: 'destroyed', value: false },
+    ])
+
+    this.on('detach', (index, page) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._holdTimeoutIds.has([index, page])) {
+        clearTimeout(this._holdTimeoutIds.get([index, page]))
+        this._holdTimeoutIds.delete([index, page])
+      }
+
+      this._downStates.delete([index, page])
+      this._holdStates.delete([index, page])
+    })
+
+    this.on('down', (index, page) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._holdTimeoutIds.has([index, page])) {
+        clearTimeout(this._holdTimeoutIds.get([index, page]))
+        this._holdTimeoutIds.delete([index, page])
+      }
+
+      this._downStates.add([index, page])
+      this._holdStates.delete([index, page])
+
+      if (typeof this.HOLD_TIME === 'number' && this.HOLD_TIME > 0) {
+        this._holdTimeoutIds.set(
+          [index, page],
+          setTimeout(() => {
+            this._holdTimeoutIds.delete([index, page])
+
+            this._holdStates.add([index, page])
+
+            this.emit('hold', index, page, this)
+          }, this.HOLD_TIME)
+        )
+      }
+    })
+
+    this.on('hold', (index, page) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (typeof this.HOLD_TIME === 'number') {
+        return
+      }
+
+      this._holdStates.add([index, page])
+    })
+
+    this.on('up', (index, page) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._holdTimeoutIds.has([index, page])) {
+        clearTimeout(this._holdTimeoutIds.get([index, page]))
+        this._holdTimeoutIds.delete([index, page])
+      }
+
+      const held = this._holdStates.has([index, page])
+
+      this._downStates.delete([index, page])
+      this._holdStates.delete([index, page])
+
+      if (typeof this.HOLD_TIME === 'number' && !this.STREAMDECK.disconnected) {
+        this.emit(held ? 'held' : 'click', index, page, this)
+      }
+    })
+
+    this.on('activity', () => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._idleTimeoutId) {
+        clearTimeout(this._idleTimeoutId)
+        this._idleTimeoutId = undefined
+      }
+
+      if (this.IDLE_TIME <= 0 || this._downStates.size) {
+        return
+      }
+
+      this._idleTimeoutId = setTimeout(() => {
+        this._idleTimeoutId = undefined
+
+        this.emit('idle')
+      }, this.IDLE_TIME)
+    })
+
+    listenToEvents(this, options, [
+      /**
+       * Focus event fired when any {@link Page} that the {@link Encoder} is attached to gains
+       * focus.
+       *
+       * @event Encoder#event:focus
+       * @memberof Encoder
+       *
+       * @param {Page} focusPage
+       * The {@link Page} that gained focus.
+       *
+       * @param {Page} [blurPage]
+       * The {@link Page} that lost focus.
+       */
+      'focus',
+      /**
+       * Blur event fired when any {@link Page} that the {@link Encoder} is attached to loses
+       * focus.
+       *
+       * @event Encoder#event:blur
+       * @memberof Encoder
+       *
+       * @param {Page} [focusPage]
+       * The {@link Page} that gained focus.
+       *
+       * @param {Page} blurPage
+       * The {@link Page} that lost focus.
+       */
+      'blur',
+      /**
+       * Attach event fired when the {@link Encoder} is attached to a {@link Page}.
+       *
+       * @event Encoder#event:attach
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link Encoder} was attached to.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'attach',
+      /**
+       * Detach event fired when the {@link Encoder} is detached from a {@link Page}.
+       *
+       * @event Encoder#event:detach
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link Encoder} was detached from.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'detach',
+      /**
+       * Rotate event fired when an encoder is rotated and a {@link Page} that the
+       * {@link Encoder} is attached to has focus.
+       *
+       * @event Encoder#event:rotate
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index that was rotated.
+       *
+       * @param {number} delta
+       * The number of steps the encoder was rotated. Negative values are counterclockwise
+       * rotations and positive values are clockwise rotations.
+       *
+       * @param {Page} page
+       * The {@link Page} that currently has focus.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'rotate',
+      /**
+       * Down event fired when an encoder is pressed and a {@link Page} that the {@link Encoder}
+       * is attached to has focus.
+       *
+       * @event Encoder#event:down
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index that was pressed.
+       *
+       * @param {Page} page
+       * The {@link Page} that currently has focus.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'down',
+      /**
+       * Hold event fired when an encoder is pressed down for `{@link Encoder#HOLD_TIME}`
+       * milliseconds. If `{@link Encoder#HOLD_TIME}` is `0` this event is disabled. If
+       * `{@link Encoder#HOLD_TIME}` is undefined {@link Page#event:encoderHold|Page#encoderHold events}
+       * will be allowed to propagate from the {@link Page} that the {@link Encoder} is attached to.
+       *
+       * @event Encoder#event:hold
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index that is being pressed.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'hold',
+      /**
+       * Up event fired when an encoder is released and a {@link Page} that the {@link Encoder}
+       * is attached to had focus when it was initially pressed.
+       *
+       * @event Encoder#event:up
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index that was released.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'up',
+      /**
+       * Click event fired after the {@link Encoder#event:up} if the {@link Encoder#event:hold}
+       * had not been fired.
+       *
+       * @event Encoder#event:click
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index that was clicked.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'click',
+      /**
+       * Held event fired after the {@link Encoder#event:up} if the {@link Encoder#event:hold}
+       * had been fired.
+       *
+       * @event Encoder#event:held
+       * @memberof Encoder
+       *
+       * @param {number} index
+       * The encoder slot index that was held.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder}.
+       */
+      'held',
+      /**
+       * Activity event fired after a user interacts with the Stream Deck device's encoders
+       * while a {@link Page} that the {@link Encoder} is attached to has or gains focus.
+       *
+       * @event Encoder#event:activity
+       * @memberof Encoder
+       *
+       * @param {string} event
+       * The name of the event that was recognized as user interaction.
+       *
+       * @param {number} [index]
+       * The relevant encoder slot index if the event was an encoder related event.
+       *
+       * @param {Page} page
+       * The relevant {@link Page}.
+       *
+       * @param {Encoder} [encoder]
+       * The relevant {@link Encoder} if the event was an encoder related event.
+       */
+      'activity',
+      /**
+       * Idle event fired after `{@link Encoder#IDLE_TIME}` milliseconds of inactivity. If
+       * `{@link Encoder#IDLE_TIME}` is `0` this event is disabled.
+       *
+       * @event Encoder#event:idle
+       * @memberof Encoder
+       */
+      'idle',
+      /**
+       * Error event fired when an error occurs.
+       *
+       * @event Encoder#event:error
+       * @memberof Encoder
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Create event fired when the {@link Encoder} is created.
+       *
+       * @event Encoder#event:create
+       * @memberof Encoder
+       */
+      'create',
+      /**
+       * Destroy event fired when the {@link Encoder} is destroyed.
+       *
+       * @event Encoder#event:destroy
+       * @memberof Encoder
+       */
+      'destroy',
+    ])
+  }
+
+  /**
+   * Returns whether or not the {@link Encoder} is pressed down.
+   *
+   * @function isPressed
+   * @memberof Encoder
+   * @instance
+   *
+   * @param {number} [index]
+   * An encoder slot index. If set the {@link Encoder} must be pressed down at the encoder slot
+   * index in order to return `true`.
+   *
+   * (Integer between `0` and `{@link Encoder#ENCODER_COUNT} - 1` inclusive.)
+   *
+   * @param {Page} [page]
+   * A {@link Page}. If set the {@link Encoder} must be pressed down on the {@link Page} in order
+   * to return `true`.
+   *
+   * @returns {boolean}
+   */
+  isPressed(index, page) {
+    checkEncoderDestroyed(this)
+
+    checkValid(index, {
+      name: 'index',
+      type: 'integer',
+      min: 0,
+      max: this.ENCODER_COUNT - 1,
+      allowUndefined: true,
+    })
+
+    checkValid(page, {
+      name: 'page',
+      type: 'class',
+      class: 'Page',
+      streamDeck: this.STREAMDECK,
+      allowUndefined: true,
+    })
+
+    return this._downStates.wildHas([index, page])
+  }
+
+  /**
+   * Get the options needed to create the {@link Encoder} again via
+   * {@link StreamDeck#createEncoder}, including any custom properties. Event listeners are not
+   * included.
+   *
+   * @function toJSON
+   * @memberof Encoder
+   * @instance
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    checkEncoderDestroyed(this)
+
+    return {
+      ...getCustomProperties(this, ['attachToPages']),
+      holdTime: this.HOLD_TIME,
+      idleTime: this.IDLE_TIME,
+    }
+  }
+
+  /**
+   * Clean up all internal state data used by the {@link Encoder} in preparation for garbage
+   * collection and detach from all {@link Page|Pages}.
+   *
+   * @function destroy
+   * @memberof Encoder
+   * @instance
+   */
+  destroy() {
+    checkEncoderDestroyed(this)
+
+    if (this._holdTimeoutIds.size) {
+      for (const holdTimeoutId of this._holdTimeoutIds.values()) {
+        clearTimeout(holdTimeoutId)
+      }
+
+      this._holdTimeoutIds.clear()
+    }
+
+    if (this._idleTimeoutId) {
+      clearTimeout(this._idleTimeoutId)
+      this._idleTimeoutId = undefined
+    }
+
+    if (this._downStates.size) {
+      this._downStates.clear()
+    }
+
+    if (this._holdStates.size) {
+      this._holdStates.clear()
+    }
+
+    for (const page of this.STREAMDECK.pages.values()) {
+      for (const [index, encoder] of page.encoders.entries()) {
+        if (encoder !== this) {
+          continue
+        }
+
+        page.detachEncoder(index, this)
+      }
+    }
+
+    this._destroyed = true
+
+    this.emit('destroy')
+  }
+}
+
+function checkEncoderDestroyed(_this) {
+  if (_this._destroyed) {
+    throw new Error(`Encoder has been destroyed!`)
+  }
+}
+
+module.exports = Encoder
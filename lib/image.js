@@ -10,6 +10,8 @@ const {
   listenToEvents,
   emitCaughtAsyncError,
   parseColor,
+  watchFile,
+  serializeSource,
 } = require('./utils')
 
 /**
@@ -161,6 +163,8 @@ class Image extends EventEmitter {
       { name: 'nextFrameTimeoutId' },
       { name: 'frames', value: [] },
       { name: 'frameDelays', value: [] },
+      { name: 'loadPromise' },
+      { name: 'unwatchSources', value: [] },
     ])
 
     definePublicProperties(this, options, [
@@ -236,6 +240,21 @@ class Image extends EventEmitter {
         type: 'source',
         allowUndefined: true,
       },
+      /**
+       * Whether or not the {@link Image} is reloaded when one of its image file sources changes
+       * on disk, or when one of its {@link Image} sources is reloaded.
+       *
+       * @member {boolean} WATCH
+       * @memberof Image
+       * @instance
+       * @constant
+       */
+      {
+        name: 'WATCH',
+        value: false,
+        type: 'boolean',
+        allowUndefined: true,
+      },
       /**
        * An Object populated with metadata generated by {@link external:sharp}.
        *
@@ -339,6 +358,17 @@ class Image extends EventEmitter {
        * @memberof Image
        */
       'frameUpdated',
+      /**
+       * Reloaded event fired after the {@link Image} has been reloaded and the final frame is
+       * loaded.
+       *
+       * @event Image#event:reloaded
+       * @memberof Image
+       *
+       * @param {number} loadTime
+       * The number of milliseconds the {@link Image} took to reload.
+       */
+      'reloaded',
       /**
        * Error event fired when an error occurs.
        *
@@ -358,7 +388,15 @@ class Image extends EventEmitter {
       'destroy',
     ])
 
-    process.nextTick(() => emitCaughtAsyncError(this, loadImage(this)))
+    process.nextTick(() => {
+      this._loadPromise = loadImage(this)
+
+      emitCaughtAsyncError(this, this._loadPromise)
+    })
+
+    if (this.WATCH) {
+      watchImageSources(this)
+    }
   }
 
   on(...args) {
@@ -718,6 +756,44 @@ class Image extends EventEmitter {
     )
   }
 
+  /**
+   * Get a portable copy of `{@link Image#SOURCE}` that can be stored as JSON. Buffers are
+   * encoded as base64 and {@link Image} sources are replaced with their own sources.
+   *
+   * @function toJSON
+   * @memberof Image
+   * @instance
+   *
+   * @returns {Image.Source|undefined}
+   */
+  toJSON() {
+    return serializeSource(this.SOURCE)
+  }
+
+  /**
+   * Load the {@link Image|Image's} sources again, such as after an image file source has
+   * changed on disk. Every {@link Page} and {@link Key} using the {@link Image} is redrawn once
+   * the first frame has loaded. If the {@link Image} is still loading the reload happens after
+   * it has finished.
+   *
+   * @function reload
+   * @memberof Image
+   * @instance
+   */
+  reload() {
+    checkImageDestroyed(this)
+
+    if (this._loadPromise === undefined) {
+      return
+    }
+
+    this._loadPromise = this._loadPromise
+      .catch(() => {})
+      .then(() => reloadImage(this))
+
+    emitCaughtAsyncError(this, this._loadPromise)
+  }
+
   /**
    * Clean up all internal state data used by the {@link Image} in preparation for garbage
    * collection.
@@ -729,6 +805,12 @@ class Image extends EventEmitter {
   destroy() {
     checkImageDestroyed(this)
 
+    for (const unwatchSource of this._unwatchSources) {
+      unwatchSource()
+    }
+
+    this._unwatchSources = []
+
     this.stopAnimation()
 
     this.removeAllListeners('frameUpdated')
@@ -767,6 +849,63 @@ function manageNextFrameTimeout(_this) {
   }
 }
 
+function watchImageSources(_this) {
+  let sourcesData = _this.SOURCE
+
+  if (!Array.isArray(sourcesData)) {
+    sourcesData = sourcesData ? [sourcesData] : []
+  }
+
+  for (let sourceData of sourcesData.flat(Infinity)) {
+    if (typeof sourceData === 'object' && !(sourceData instanceof Image)) {
+      sourceData = sourceData.source
+    }
+
+    if (typeof sourceData === 'string') {
+      _this._unwatchSources.push(watchFile(sourceData, () => _this.reload()))
+    } else if (sourceData instanceof Image && !sourceData.destroyed) {
+      const reloadListener = () => {
+        if (!_this._destroyed) {
+          _this.reload()
+        }
+      }
+
+      sourceData.on('reloaded', reloadListener)
+
+      _this._unwatchSources.push(() => {
+        if (!sourceData.destroyed) {
+          sourceData.off('reloaded', reloadListener)
+        }
+      })
+    }
+  }
+}
+
+async function reloadImage(_this) {
+  if (_this._destroyed) {
+    return
+  }
+
+  if (_this._nextFrameTimeoutId !== undefined) {
+    clearTimeout(_this._nextFrameTimeoutId)
+    _this._nextFrameTimeoutId = undefined
+  }
+
+  if (_this._animate) {
+    _this._animate = undefined
+  }
+
+  _this._sharp = undefined
+  _this._frames = []
+  _this._frameDelays = []
+  _this._currentFrame = 0
+  _this._currentLoop = 0
+
+  await loadImage(_this)
+
+  _this.emit('reloaded', _this._loadTime)
+}
+
 async function loadImage(_this) {
   let start = Date.now()
 
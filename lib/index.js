@@ -1,5 +1,7 @@
 'use strict'
 
+const path = require('path')
+
 const {
   listStreamDecks: listStreamDecksNode,
   openStreamDeck: openStreamDeckNode,
@@ -8,16 +10,35 @@ const {
 const { StreamDeckNode } = require('@elgato-stream-deck/node/dist/wrapper')
 
 const StreamDeck = require('./streamdeck')
+const StreamDeckManager = require('./streamdeck-manager')
 const Page = require('./page')
 const Key = require('./key')
+const Encoder = require('./encoder')
+const LcdSegment = require('./lcd-segment')
+const KeyGrid = require('./key-grid')
+const LockScreen = require('./lock-screen')
 const Image = require('./image')
+const VirtualDevice = require('./virtual-device')
+const Simulator = require('./simulator')
+const Layout = require('./layout')
+
+const { readStreamDeckProfile } = require('./profile')
+const { adaptLayout } = require('./adapt')
 
-const { registerClass, checkValid } = require('./utils')
+const { registerClass, checkValid, readLayoutFile } = require('./utils')
 
 registerClass('StreamDeck', StreamDeck)
+registerClass('StreamDeckManager', StreamDeckManager)
 registerClass('Page', Page)
 registerClass('Key', Key)
+registerClass('Encoder', Encoder)
+registerClass('LcdSegment', LcdSegment)
+registerClass('KeyGrid', KeyGrid)
+registerClass('LockScreen', LockScreen)
 registerClass('Image', Image)
+registerClass('VirtualDevice', VirtualDevice)
+registerClass('Simulator', Simulator)
+registerClass('Layout', Layout)
 
 /**
  * The {@link module:streamdeck-ui-node|streamdeck-ui-node} module returned as an Object when importing the library.
@@ -67,6 +88,52 @@ registerClass('Image', Image)
  *
  * (Integer greater than or equal to `0`.)
  *
+ * @property {number} [doubleClickTime=300]
+ * The number of milliseconds after the {@link StreamDeck#event:click} is triggered
+ * that another click on the same key slot counts towards the same
+ * {@link StreamDeck#event:tap|tap} sequence. Setting to `0` disables the
+ * {@link StreamDeck#event:doubleClick}.
+ *
+ * (Integer greater than or equal to `0`.)
+ *
+ * @property {boolean} [delayClick=false]
+ * Whether or not the {@link StreamDeck#event:click} is delayed until the double
+ * click time has passed without another click. Also the default for
+ * {@link Page|Pages} and {@link Key|Keys} created by the {@link StreamDeck}.
+ *
+ * @property {number} [swipeTime=150]
+ * The maximum number of milliseconds between pressing two neighboring keys for
+ * them to count towards the same {@link StreamDeck#event:swipe}. Setting to `0`
+ * disables the {@link StreamDeck#event:swipe}.
+ *
+ * (Integer greater than or equal to `0`.)
+ *
+ * @property {number} [swipeLength=3]
+ * The minimum number of keys that have to be pressed in a line for the
+ * {@link StreamDeck#event:swipe} to be triggered.
+ *
+ * (Integer greater than or equal to `2`.)
+ *
+ * @property {number} [repeatDelay=500]
+ * The default number of milliseconds a {@link Key} has to be held down before the
+ * first {@link Key#event:repeat} is triggered.
+ *
+ * (Integer greater than or equal to `0`.)
+ *
+ * @property {number} [repeatInterval=0]
+ * The default number of milliseconds between each {@link Key#event:repeat} while a
+ * {@link Key} is held down. Setting to `0` disables the {@link Key#event:repeat}.
+ *
+ * (Integer greater than or equal to `0`.)
+ *
+ * @property {number} [chordTime=200]
+ * The maximum number of milliseconds between the first and the last key of a
+ * {@link StreamDeck.Chord} being pressed for the {@link StreamDeck#event:chord}
+ * to be triggered. Setting to `0` only requires the keys to be held down at the
+ * same time.
+ *
+ * (Integer greater than or equal to `0`.)
+ *
  * @property {number} [pressTime=0]
  * The default number of milliseconds after the {@link Key#event:down} is triggered
  * that the press scaling effect will apply on {@link Key|Keys} created by the
@@ -88,6 +155,44 @@ registerClass('Image', Image)
  *
  * (Integer greater than or equal to `0`.)
  *
+ * @property {boolean} [autoReconnect=true]
+ * Whether or not the {@link StreamDeck} will try to reopen the Stream Deck device
+ * after it has been disconnected. See {@link StreamDeck#event:disconnect} and
+ * {@link StreamDeck#event:reconnect}.
+ *
+ * @property {number} [reconnectInterval=1000]
+ * The number of milliseconds between each attempt to find and reopen a disconnected
+ * Stream Deck device.
+ *
+ * (Integer greater than or equal to `1`.)
+ *
+ * @property {StreamDeck.Transition} [transition='none']
+ * The default {@link StreamDeck.Transition} used when a {@link Page} gains focus.
+ *
+ * @property {number} [transitionDuration=300]
+ * The default number of milliseconds a {@link StreamDeck.Transition} lasts.
+ *
+ * (Integer greater than or equal to `0`.)
+ *
+ * @property {number} [brightnessDuration=0]
+ * The default number of milliseconds the brightness fades for when it changes. A value of `0`
+ * means the brightness changes instantly.
+ *
+ * (Integer greater than or equal to `0`.)
+ *
+ * @property {StreamDeck.Easing} [brightnessEasing='easeInOut']
+ * The default {@link StreamDeck.Easing} used while fading the brightness.
+ *
+ * @property {number} [backKeyIndex]
+ * The key slot index where a "back" {@link Key} is attached on {@link Page|Pages} pushed onto the
+ * {@link StreamDeck#pageStack}. If undefined no "back" {@link Key} is provided.
+ *
+ * (Integer between `0` and `{@link StreamDeck#KEY_COUNT} - 1` inclusive.)
+ *
+ * @property {boolean} [watchImages=false]
+ * Whether or not {@link Image|Images} created for the {@link StreamDeck} are reloaded when their
+ * image file sources change on disk.
+ *
  * @property {number} [brightness=1]
  * The initial brightness of the {@link StreamDeck|StreamDeck's} panel.
  *
@@ -103,6 +208,32 @@ registerClass('Image', Image)
  * be added to the {@link StreamDeck}.
  */
 
+/**
+ * A Object holding options for creating a {@link StreamDeckManager} instance.
+ *
+ * @typedef {Object} StreamDeckManagerOptions
+ * @memberof module:streamdeck-ui-node
+ *
+ * @property {module:streamdeck-ui-node.StreamDeckOptions} [streamDeckOptions]
+ * Options used to configure every {@link StreamDeck} opened by the
+ * {@link StreamDeckManager}.
+ *
+ * @property {number} [pollInterval=1000]
+ * The number of milliseconds between each check for connected and disconnected
+ * Stream Deck devices.
+ *
+ * (Integer greater than or equal to `1`.)
+ *
+ * @property {function} [on[Event]]
+ * An event listener that will be attached to the {@link StreamDeckManager} on `[event]`.
+ *
+ * See {@link StreamDeckManager} for a list of available events.
+ *
+ * @property {*} [[customProperty]]
+ * Any custom properties not already reserved by the {@link StreamDeckManager} class
+ * will be added to the {@link StreamDeckManager}.
+ */
+
 /**
  * Get information on connected Stream Deck devices.
  *
@@ -235,18 +366,298 @@ async function manageStreamDeck(streamDeckNode, options = {}) {
     firmwareVersion: await streamDeckNode.getFirmwareVersion(),
   }
 
-  // Path isn't exposed anywhere on @elgato-stream-deck/node instances so use serialNumber
-  // as a workaround
-  streamDeckData.hidPath = listStreamDecks().filter(
-    (streamDeckInfo) =>
-      streamDeckInfo.serialNumber === streamDeckData.serialNumber
-  )[0]?.hidPath
+  if (streamDeckNode.device instanceof VirtualDevice) {
+    streamDeckData.hidPath = streamDeckNode.device.HID_PATH
+  } else {
+    // Path isn't exposed anywhere on @elgato-stream-deck/node instances so use serialNumber
+    // as a workaround
+    streamDeckData.hidPath = listStreamDecks().filter(
+      (streamDeckInfo) =>
+        streamDeckInfo.serialNumber === streamDeckData.serialNumber
+    )[0]?.hidPath
+  }
 
   return new StreamDeck(streamDeckNode, streamDeckData, options)
 }
 
+/**
+ * A Object holding options for opening a virtual Stream Deck. Any
+ * {@link module:streamdeck-ui-node.StreamDeckOptions} are also accepted.
+ *
+ * @typedef {Object} VirtualStreamDeckOptions
+ * @memberof module:streamdeck-ui-node
+ *
+ * @property {string} [serialNumber]
+ * The serial number reported by the {@link VirtualDevice}. A unique serial number is
+ * generated if undefined.
+ *
+ * @property {string} [firmwareVersion='1.0.0']
+ * The firmware version reported by the {@link VirtualDevice}.
+ */
+
+/**
+ * Open a {@link StreamDeck} backed by a {@link VirtualDevice} instead of a connected Stream
+ * Deck device. Useful for developing and testing without hardware. The
+ * {@link VirtualDevice} can be reached as `{@link StreamDeck#STREAMDECK_NODE}.device`.
+ *
+ * @function openVirtualStreamDeck
+ * @memberof module:streamdeck-ui-node
+ * @static
+ *
+ * @param {module:streamdeck-ui-node.StreamDeckModel} [model='original']
+ * The Stream Deck model to emulate.
+ *
+ * @param {module:streamdeck-ui-node.VirtualStreamDeckOptions} [options]
+ * Options used to configure the {@link VirtualDevice} and the {@link StreamDeck}.
+ *
+ * @returns {Promise<StreamDeck>}
+ */
+async function openVirtualStreamDeck(model = 'original', options = {}) {
+  if (typeof model !== 'string') {
+    options = model
+    model = 'original'
+  }
+
+  checkValid(options, {
+    name: 'options',
+    type: 'object',
+    allowUndefined: true,
+  })
+
+  const { serialNumber, firmwareVersion, ...streamDeckOptions } = options
+
+  const virtualDevice = new VirtualDevice(model, {
+    serialNumber,
+    firmwareVersion,
+  })
+
+  return manageStreamDeck(
+    new StreamDeckNode(virtualDevice, false),
+    streamDeckOptions
+  )
+}
+
+/**
+ * A Object holding options for starting a {@link Simulator}.
+ *
+ * @typedef {Object} SimulatorOptions
+ * @memberof module:streamdeck-ui-node
+ *
+ * @property {string} [host='127.0.0.1']
+ * The host name the {@link Simulator} will listen on.
+ *
+ * @property {number} [port=0]
+ * The port the {@link Simulator} will listen on. Setting to `0` picks a free port.
+ *
+ * (Integer between `0` and `65535` inclusive.)
+ *
+ * @property {function} [on[Event]]
+ * An event listener that will be attached to the {@link Simulator} on `[event]`.
+ *
+ * See {@link Simulator} for a list of available events.
+ */
+
+/**
+ * Start a {@link Simulator} that serves a browser page mirroring the panel of a
+ * {@link StreamDeck} and lets keys be pressed from the browser.
+ *
+ * @function startSimulator
+ * @memberof module:streamdeck-ui-node
+ * @static
+ *
+ * @param {StreamDeck} streamDeck
+ * The {@link StreamDeck} to mirror. Can be a real or virtual Stream Deck.
+ *
+ * @param {module:streamdeck-ui-node.SimulatorOptions} [options]
+ * Options used to configure the {@link Simulator}.
+ *
+ * @returns {Promise<Simulator>}
+ */
+async function startSimulator(streamDeck, options = {}) {
+  const simulator = new Simulator(streamDeck, options)
+
+  try {
+    await simulator.listen()
+  } catch (err) {
+    await simulator.close()
+
+    throw err
+  }
+
+  return simulator
+}
+
+/**
+ * Create a {@link StreamDeckManager} that opens and tracks every connected Stream Deck
+ * device, including devices connected later on.
+ *
+ * @function createStreamDeckManager
+ * @memberof module:streamdeck-ui-node
+ * @static
+ *
+ * @param {module:streamdeck-ui-node.StreamDeckManagerOptions} [options]
+ * Options used to configure the {@link StreamDeckManager}.
+ *
+ * @returns {StreamDeckManager}
+ */
+function createStreamDeckManager(options = {}) {
+  return new StreamDeckManager(options)
+}
+
+/**
+ * A Object holding options for loading a {@link Layout}.
+ *
+ * @typedef {Object} LayoutOptions
+ * @memberof module:streamdeck-ui-node
+ *
+ * @property {Object<string,function>} [actions]
+ * Action handlers that can be referred to by name from the layout, in addition to the built in
+ * actions. Handlers are called with the action's `params` and an Object holding the `layout`,
+ * `streamDeck`, `page`, `key`, key slot `index`, and `event` that ran the action.
+ *
+ * @property {string} [basePath]
+ * The directory that relative image file paths in the layout are resolved from. Defaults to the
+ * directory of the layout file, or the current working directory if the layout is an Object.
+ *
+ * @property {module:streamdeck-ui-node.AdaptOptions} [adapt]
+ * If defined the layout is adapted to the {@link StreamDeck} via
+ * {@link module:streamdeck-ui-node.adaptLayout} before it is loaded, and again each time it is
+ * reloaded.
+ *
+ * @property {boolean} [watch=false]
+ * Whether or not the {@link Layout} is updated in place when the layout file changes on disk.
+ * Only applies when the layout is loaded from a file. Use
+ * {@link module:streamdeck-ui-node.StreamDeckOptions|StreamDeckOptions.watchImages} to also
+ * reload image files.
+ *
+ * @property {function} [on[Event]]
+ * An event listener that will be attached to the {@link Layout} on `[event]`.
+ *
+ * See {@link Layout} for a list of available events.
+ */
+
+/**
+ * Options used to adapt a {@link Layout.Config} to a {@link StreamDeck} via
+ * {@link module:streamdeck-ui-node.adaptLayout}.
+ *
+ * @typedef {Object} AdaptOptions
+ * @memberof module:streamdeck-ui-node
+ *
+ * @property {Layout.AdaptStrategy} strategy
+ * How {@link Key|Keys} are placed on the {@link StreamDeck}. (`'truncate'`, `'anchor'`,
+ * `'paginate'`, or `'priority'`)
+ *
+ * @property {string} [anchor='topLeft']
+ * The part of the layout kept by the `'anchor'` strategy. (`'topLeft'`, `'topRight'`,
+ * `'bottomLeft'`, `'bottomRight'`, or `'center'`)
+ *
+ * @property {string} [basePath]
+ * The directory that relative page background image paths are resolved from when they are
+ * cropped. Defaults to the `basePath` of the {@link Layout}.
+ */
+
+/**
+ * Create the {@link Page|Pages} and {@link Key|Keys} described by a layout on a
+ * {@link StreamDeck}. The layout is validated before anything is created, and if creating any
+ * part of it fails everything already created is destroyed again.
+ *
+ * @function loadLayout
+ * @memberof module:streamdeck-ui-node
+ * @static
+ *
+ * @param {StreamDeck} streamDeck
+ * The {@link StreamDeck} to load the layout onto.
+ *
+ * @param {string|Layout.Config} layout
+ * The layout, or the path to a JSON or YAML file holding the layout. Loading YAML files
+ * requires the `yaml` package to be installed.
+ *
+ * @param {module:streamdeck-ui-node.LayoutOptions} [options]
+ * Options used to configure the {@link Layout}.
+ *
+ * @returns {Promise<Layout>}
+ */
+async function loadLayout(streamDeck, layout, options = {}) {
+  checkValid(options, {
+    name: 'options',
+    type: 'object',
+    allowUndefined: true,
+  })
+
+  if (typeof layout === 'string') {
+    const file = path.resolve(layout)
+
+    options = { basePath: path.dirname(file), ...options, file }
+    layout = await readLayoutFile(file)
+  }
+
+  if (options.adapt !== undefined) {
+    layout = await adaptLayout(streamDeck, layout, {
+      basePath: options.basePath,
+      ...options.adapt,
+    })
+  }
+
+  return new Layout(streamDeck, layout, options)
+}
+
+/**
+ * Read an Elgato `.streamDeckProfile` archive via
+ * {@link module:streamdeck-ui-node.readStreamDeckProfile} and load it onto a {@link StreamDeck}.
+ * The actions that could not be mapped can be found in `{@link Layout#config}.unmappedActions`.
+ *
+ * @function importStreamDeckProfile
+ * @memberof module:streamdeck-ui-node
+ * @static
+ *
+ * @param {StreamDeck} streamDeck
+ * The {@link StreamDeck} to load the profile onto.
+ *
+ * @param {string} file
+ * The path to the `.streamDeckProfile` file.
+ *
+ * @param {module:streamdeck-ui-node.LayoutOptions} [options]
+ * Options used to configure the {@link Layout}.
+ *
+ * @returns {Promise<Layout>}
+ *
+ * @example
+ * const { openStreamDeck, importStreamDeckProfile } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openStreamDeck();
+ *
+ *   const layout = await importStreamDeckProfile(streamDeck, './Default.streamDeckProfile', {
+ *     actions: {
+ *       'com.elgato.streamdeck.system.hotkey': (settings) => console.log(settings),
+ *     },
+ *   });
+ *
+ *   console.log(layout.config.unmappedActions);
+ * })();
+ */
+async function importStreamDeckProfile(streamDeck, file, options = {}) {
+  let config = await readStreamDeckProfile(file, options)
+
+  if (options.adapt !== undefined) {
+    config = await adaptLayout(streamDeck, config, {
+      basePath: options.basePath,
+      ...options.adapt,
+    })
+  }
+
+  return new Layout(streamDeck, config, options)
+}
+
 module.exports = {
+  adaptLayout,
+  createStreamDeckManager,
+  importStreamDeckProfile,
   listStreamDecks,
+  loadLayout,
   manageStreamDeck,
   openStreamDeck,
+  openVirtualStreamDeck,
+  readStreamDeckProfile,
+  startSimulator,
 }
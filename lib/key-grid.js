@@ -0,0 +1,696 @@
+'use strict'
+
+const EventEmitter = require('eventemitter3')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+  listenToEvents,
+} = require('./utils')
+
+const NAVIGATION_KEY_TITLES = {
+  previous: 'Prev',
+  next: 'Next',
+  up: 'Up',
+  down: 'Down',
+}
+
+/**
+ * An instance of {@link KeyGrid} represents a scrollable grid of {@link Key|Keys} that can hold
+ * more {@link Key|Keys} than the Stream Deck has key slots, created via
+ * {@link StreamDeck#createKeyGrid}. The {@link KeyGrid} shows a window of its {@link Key|Keys} on
+ * the key slots of its {@link Page} that are not reserved for navigation {@link Key|Keys}.
+ *
+ * @class KeyGrid
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { openStreamDeck } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openStreamDeck();
+ *
+ *   const keyGrid = streamDeck.createKeyGrid({ keyCount: 60 });
+ *
+ *   keyGrid.PAGE.focus();
+ * })();
+ */
+class KeyGrid extends EventEmitter {
+  constructor(streamDeck, page, options = {}) {
+    super()
+
+    checkValid(streamDeck, {
+      name: 'streamDeck',
+      type: 'class',
+      class: 'StreamDeck',
+    })
+
+    checkValid(page, {
+      name: 'page',
+      type: 'class',
+      class: 'Page',
+      streamDeck,
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+    })
+
+    definePrivateProperties(this, options, [
+      {
+        name: 'navigationKeyIndexes',
+        valueName: 'navigationKeys',
+        value: {
+          previous: (page.PANEL_ROW_COUNT - 1) * page.PANEL_COLUMN_COUNT,
+          next: page.KEY_COUNT - 1,
+        },
+        type: 'object',
+        checkProps: Object.keys(NAVIGATION_KEY_TITLES).map((name) => ({
+          name,
+          type: 'integer',
+          min: 0,
+          max: page.KEY_COUNT - 1,
+          allowUndefined: true,
+        })),
+        allowUndefined: true,
+      },
+    ])
+
+    const navigationKeyIndexes = Object.values(
+      this._navigationKeyIndexes
+    ).filter((index) => index !== undefined)
+
+    if (new Set(navigationKeyIndexes).size !== navigationKeyIndexes.length) {
+      throw new Error(`Expected options.navigationKeys to use unique key slots`)
+    }
+
+    const viewIndexes = []
+
+    for (let i = 0; i < page.KEY_COUNT; i++) {
+      if (!navigationKeyIndexes.includes(i)) {
+        viewIndexes.push(i)
+      }
+    }
+
+    if (!viewIndexes.length) {
+      throw new Error(`There are no key slots left for the KeyGrid to use`)
+    }
+
+    const viewRowSizes = new Array(page.PANEL_ROW_COUNT).fill(0)
+
+    for (const index of viewIndexes) {
+      viewRowSizes[Math.floor(index / page.PANEL_COLUMN_COUNT)]++
+    }
+
+    definePublicProperties(this, options, [
+      /**
+       * The {@link StreamDeck} that created the {@link KeyGrid}.
+       *
+       * @member {StreamDeck} STREAMDECK
+       * @memberof KeyGrid
+       * @instance
+       * @constant
+       */
+      { name: 'STREAMDECK', value: streamDeck },
+      /**
+       * The {@link Page} that the {@link KeyGrid} shows its {@link Key|Keys} on.
+       *
+       * @member {Page} PAGE
+       * @memberof KeyGrid
+       * @instance
+       * @constant
+       */
+      { name: 'PAGE', value: page },
+      /**
+       * The number of key slots in the {@link KeyGrid}.
+       *
+       * @member {number} KEY_COUNT
+       * @memberof KeyGrid
+       * @instance
+       * @constant
+       */
+      { name: 'KEY_COUNT', type: 'integer', min: 1 },
+      /**
+       * The key slot indexes of `{@link KeyGrid#PAGE}` that show the {@link Key|Keys} of the
+       * {@link KeyGrid}, in order.
+       *
+       * @member {Array<number>} VIEW_INDEXES
+       * @memberof KeyGrid
+       * @instance
+       * @constant
+       */
+      { name: 'VIEW_INDEXES', value: viewIndexes, get: () => [...viewIndexes] },
+      /**
+       * The number of key slots the {@link KeyGrid} scrolls by when {@link KeyGrid#scrollUp} or
+       * {@link KeyGrid#scrollDown} is called. Defaults to the number of key slots in the widest
+       * row of `{@link KeyGrid#VIEW_INDEXES}`.
+       *
+       * @member {number} SCROLL_STEP
+       * @memberof KeyGrid
+       * @instance
+       * @constant
+       */
+      {
+        name: 'SCROLL_STEP',
+        value: Math.max(...viewRowSizes),
+        type: 'integer',
+        min: 1,
+        allowUndefined: true,
+      },
+      /**
+       * The index of the {@link KeyGrid} key slot shown on the first key slot in
+       * `{@link KeyGrid#VIEW_INDEXES}`.
+       *
+       * @member {number} offset
+       * @memberof KeyGrid
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'offset',
+        value: 0,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The largest value `{@link KeyGrid#offset}` can be scrolled to.
+       *
+       * @member {number} maxOffset
+       * @memberof KeyGrid
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'maxOffset',
+        get: () =>
+          Math.ceil(
+            Math.max(0, this.KEY_COUNT - this.VIEW_INDEXES.length) /
+              this.SCROLL_STEP
+          ) * this.SCROLL_STEP,
+      },
+      /**
+       * All {@link Key|Keys} attached to the {@link KeyGrid}, mapped by their {@link KeyGrid}
+       * key slot index.
+       *
+       * @member {Map<number,Key>} keys
+       * @memberof KeyGrid
+       * @instance
+       * @readonly
+       */
+      { name: 'keys', value: new Map(), get: () => new Map(this._keys) },
+      /**
+       * The navigation {@link Key|Keys} created by the {@link KeyGrid}, mapped by their
+       * direction. (`'previous'`, `'next'`, `'up'`, or `'down'`)
+       *
+       * @member {Map<string,Key>} navigationKeys
+       * @memberof KeyGrid
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'navigationKeys',
+        value: new Map(),
+        get: () => new Map(this._navigationKeys),
+      },
+      /**
+       * Whether or not the {@link KeyGrid} has been destroyed.
+       *
+       * @member {boolean} destroyed
+       * @memberof KeyGrid
+       * @instance
+       * @readonly
+       */
+      { name: 'destroyed', value: false },
+    ])
+
+    listenToEvents(this, options, [
+      /**
+       * Attach event fired when a {@link Key} is attached to the {@link KeyGrid}.
+       *
+       * @event KeyGrid#event:attach
+       * @memberof KeyGrid
+       *
+       * @param {number} index
+       * The {@link KeyGrid} key slot index.
+       *
+       * @param {KeyGrid} keyGrid
+       * The {@link KeyGrid}.
+       *
+       * @param {Key} key
+       * The {@link Key} that was attached.
+       */
+      'attach',
+      /**
+       * Detach event fired when a {@link Key} is detached from the {@link KeyGrid}.
+       *
+       * @event KeyGrid#event:detach
+       * @memberof KeyGrid
+       *
+       * @param {number} index
+       * The {@link KeyGrid} key slot index.
+       *
+       * @param {KeyGrid} keyGrid
+       * The {@link KeyGrid}.
+       *
+       * @param {Key} key
+       * The {@link Key} that was detached.
+       */
+      'detach',
+      /**
+       * Scroll event fired when `{@link KeyGrid#offset}` changes.
+       *
+       * @event KeyGrid#event:scroll
+       * @memberof KeyGrid
+       *
+       * @param {number} offset
+       * The new `{@link KeyGrid#offset}`.
+       *
+       * @param {number} previousOffset
+       * The previous `{@link KeyGrid#offset}`.
+       *
+       * @param {KeyGrid} keyGrid
+       * The {@link KeyGrid}.
+       */
+      'scroll',
+      /**
+       * Error event fired when an error occurs.
+       *
+       * @event KeyGrid#event:error
+       * @memberof KeyGrid
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Create event fired when the {@link KeyGrid} is created.
+       *
+       * @event KeyGrid#event:create
+       * @memberof KeyGrid
+       */
+      'create',
+      /**
+       * Destroy event fired when the {@link KeyGrid} is destroyed.
+       *
+       * @event KeyGrid#event:destroy
+       * @memberof KeyGrid
+       */
+      'destroy',
+    ])
+
+    this._offset = Math.min(this._offset, this.maxOffset)
+
+    for (const [direction, index] of Object.entries(
+      this._navigationKeyIndexes
+    )) {
+      if (index === undefined) {
+        continue
+      }
+
+      const navigationKey = streamDeck.createKey({
+        title: NAVIGATION_KEY_TITLES[direction],
+        titleAlign: 'middle',
+        attachToPages: [{ page, index }],
+      })
+
+      navigationKey.on('click', () => {
+        if (this._destroyed) {
+          return
+        }
+
+        switch (direction) {
+          case 'previous':
+            this.previous()
+            break
+          case 'next':
+            this.next()
+            break
+          case 'up':
+            this.scrollUp()
+            break
+          case 'down':
+            this.scrollDown()
+            break
+        }
+      })
+
+      this._navigationKeys.set(direction, navigationKey)
+    }
+  }
+
+  /**
+   * Attach a {@link Key} to the first free key slot of the {@link KeyGrid}.
+   *
+   * @function attachKey
+   * @memberof KeyGrid
+   * @instance
+   *
+   * @param {Key} key
+   * The {@link Key} to attach to the {@link KeyGrid}.
+   */
+
+  /**
+   * Attach a {@link Key} to a key slot index of the {@link KeyGrid}.
+   *
+   * @function attachKey
+   * @memberof KeyGrid
+   * @instance
+   * @variation 2
+   *
+   * @param {number} index
+   * The {@link KeyGrid} key slot index to attach the {@link Key} to.
+   *
+   * (Integer between `0` and `{@link KeyGrid#KEY_COUNT} - 1` inclusive.)
+   *
+   * @param {Key} key
+   * The {@link Key} to attach to the {@link KeyGrid}.
+   */
+  attachKey(index, key) {
+    checkKeyGridDestroyed(this)
+
+    if (typeof index === 'number') {
+      checkValid(index, {
+        name: 'index',
+        type: 'integer',
+        min: 0,
+        max: this.KEY_COUNT - 1,
+      })
+    } else {
+      key = index
+
+      index = -1
+
+      for (let i = 0; i < this.KEY_COUNT; i++) {
+        if (!this._keys.has(i)) {
+          index = i
+
+          break
+        }
+      }
+
+      if (index === -1) {
+        throw new Error(`There are no free key slots on this KeyGrid`)
+      }
+    }
+
+    checkValid(key, {
+      name: 'key',
+      type: 'class',
+      class: 'Key',
+      streamDeck: this.STREAMDECK,
+    })
+
+    if (this._keys.has(index)) {
+      this.detachKey(index)
+    }
+
+    this._keys.set(index, key)
+
+    this.emit('attach', index, this, key)
+
+    updateKeyGridView(this)
+  }
+
+  /**
+   * Detach a {@link Key} from the first key slot of the {@link KeyGrid} to which the
+   * {@link Key} is attached.
+   *
+   * @function detachKey
+   * @memberof KeyGrid
+   * @instance
+   *
+   * @param {Key} key
+   * The {@link Key} to detach from the {@link KeyGrid}.
+   */
+
+  /**
+   * Detach a {@link Key} from a key slot index of the {@link KeyGrid}.
+   *
+   * @function detachKey
+   * @memberof KeyGrid
+   * @instance
+   * @variation 2
+   *
+   * @param {number} index
+   * The {@link KeyGrid} key slot index to detach the {@link Key} from.
+   *
+   * (Integer between `0` and `{@link KeyGrid#KEY_COUNT} - 1` inclusive.)
+   *
+   * @param {Key} [key]
+   * The {@link Key} to detach from the {@link KeyGrid}. If undefined any {@link Key} at the
+   * given key slot index will be detached.
+   */
+  detachKey(index, key) {
+    checkKeyGridDestroyed(this)
+
+    if (typeof index === 'number') {
+      checkValid(index, {
+        name: 'index',
+        type: 'integer',
+        min: 0,
+        max: this.KEY_COUNT - 1,
+      })
+    } else {
+      key = index
+      index = undefined
+    }
+
+    checkValid(key, {
+      name: 'key',
+      type: 'class',
+      class: 'Key',
+      streamDeck: this.STREAMDECK,
+      allowUndefined: index !== undefined,
+      allowDestroyed: true,
+    })
+
+    for (const [attachedIndex, attachedKey] of this._keys.entries()) {
+      if (index !== undefined && attachedIndex !== index) {
+        continue
+      }
+
+      if (key !== undefined && attachedKey !== key) {
+        continue
+      }
+
+      this._keys.delete(attachedIndex)
+
+      this.emit('detach', attachedIndex, this, attachedKey)
+
+      break
+    }
+
+    updateKeyGridView(this)
+  }
+
+  /**
+   * Returns whether or not a {@link KeyGrid} key slot index is currently shown on
+   * `{@link KeyGrid#PAGE}`.
+   *
+   * @function isVisible
+   * @memberof KeyGrid
+   * @instance
+   *
+   * @param {number} index
+   * The {@link KeyGrid} key slot index.
+   *
+   * (Integer between `0` and `{@link KeyGrid#KEY_COUNT} - 1` inclusive.)
+   *
+   * @returns {boolean}
+   */
+  isVisible(index) {
+    checkKeyGridDestroyed(this)
+
+    checkValid(index, {
+      name: 'index',
+      type: 'integer',
+      min: 0,
+      max: this.KEY_COUNT - 1,
+    })
+
+    return (
+      index >= this._offset && index < this._offset + this.VIEW_INDEXES.length
+    )
+  }
+
+  /**
+   * Scroll the {@link KeyGrid} so that a {@link KeyGrid} key slot index is shown on the first
+   * key slot in `{@link KeyGrid#VIEW_INDEXES}`. The offset is clamped between `0` and
+   * `{@link KeyGrid#maxOffset}`.
+   *
+   * @function scrollTo
+   * @memberof KeyGrid
+   * @instance
+   *
+   * @param {number} offset
+   * The new `{@link KeyGrid#offset}`.
+   *
+   * (Integer greater than or equal to `0`.)
+   */
+  scrollTo(offset) {
+    checkKeyGridDestroyed(this)
+
+    checkValid(offset, {
+      name: 'offset',
+      type: 'integer',
+      min: 0,
+    })
+
+    offset = Math.min(offset, this.maxOffset)
+
+    if (offset === this._offset) {
+      return
+    }
+
+    const previousOffset = this._offset
+
+    this._offset = offset
+
+    updateKeyGridView(this)
+
+    this.emit('scroll', offset, previousOffset, this)
+  }
+
+  /**
+   * Scroll the {@link KeyGrid} forward by a full view of {@link Key|Keys}.
+   *
+   * @function next
+   * @memberof KeyGrid
+   * @instance
+   */
+  next() {
+    checkKeyGridDestroyed(this)
+
+    this.scrollTo(this._offset + this.VIEW_INDEXES.length)
+  }
+
+  /**
+   * Scroll the {@link KeyGrid} back by a full view of {@link Key|Keys}.
+   *
+   * @function previous
+   * @memberof KeyGrid
+   * @instance
+   */
+  previous() {
+    checkKeyGridDestroyed(this)
+
+    this.scrollTo(Math.max(0, this._offset - this.VIEW_INDEXES.length))
+  }
+
+  /**
+   * Scroll the {@link KeyGrid} back by `{@link KeyGrid#SCROLL_STEP}` key slots.
+   *
+   * @function scrollUp
+   * @memberof KeyGrid
+   * @instance
+   */
+  scrollUp() {
+    checkKeyGridDestroyed(this)
+
+    this.scrollTo(Math.max(0, this._offset - this.SCROLL_STEP))
+  }
+
+  /**
+   * Scroll the {@link KeyGrid} forward by `{@link KeyGrid#SCROLL_STEP}` key slots.
+   *
+   * @function scrollDown
+   * @memberof KeyGrid
+   * @instance
+   */
+  scrollDown() {
+    checkKeyGridDestroyed(this)
+
+    this.scrollTo(this._offset + this.SCROLL_STEP)
+  }
+
+  /**
+   * Clean up all internal state data used by the {@link KeyGrid} in preparation for garbage
+   * collection, detach all attached {@link Key|Keys} from `{@link KeyGrid#PAGE}`, and destroy
+   * the navigation {@link Key|Keys}.
+   *
+   * @function destroy
+   * @memberof KeyGrid
+   * @instance
+   */
+  destroy() {
+    checkKeyGridDestroyed(this)
+
+    if (!this.PAGE.destroyed) {
+      for (const index of this.VIEW_INDEXES) {
+        if (this.PAGE.keys.has(index)) {
+          this.PAGE.detachKey(index)
+        }
+      }
+    }
+
+    for (const navigationKey of this._navigationKeys.values()) {
+      if (!navigationKey.destroyed) {
+        navigationKey.destroy()
+      }
+    }
+
+    this._navigationKeys.clear()
+    this._keys.clear()
+
+    this._destroyed = true
+
+    this.emit('destroy')
+  }
+}
+
+function checkKeyGridDestroyed(_this) {
+  if (_this._destroyed) {
+    throw new Error(`KeyGrid has been destroyed!`)
+  }
+}
+
+function updateKeyGridView(_this) {
+  const page = _this.PAGE
+
+  if (page.destroyed) {
+    return
+  }
+
+  const focused = _this.STREAMDECK.focusedPage === page
+
+  for (const [viewPosition, slotIndex] of _this.VIEW_INDEXES.entries()) {
+    const index = _this._offset + viewPosition
+
+    let key = _this._keys.get(index)
+
+    if (key?.destroyed) {
+      _this._keys.delete(index)
+
+      key = undefined
+    }
+
+    const currentKey = page.keys.get(slotIndex)
+
+    if (currentKey === key) {
+      continue
+    }
+
+    if (currentKey) {
+      page.detachKey(slotIndex, currentKey)
+
+      if (focused) {
+        currentKey.emit('blur', undefined, page)
+      }
+    }
+
+    if (key) {
+      page.attachKey(slotIndex, key)
+
+      if (focused) {
+        key.emit('focus', page, undefined)
+      }
+    }
+  }
+}
+
+module.exports = KeyGrid
@@ -12,11 +12,45 @@ const {
   definePublicProperties,
   listenToEvents,
   emitCaughtAsyncError,
+  parseColor,
+  getCustomProperties,
 } = require('./utils')
 
 const ArrayKeyedMap = require('./wild-array-keyed-map')
 const ArrayValuedSet = require('./wild-array-valued-set')
 
+/**
+ * A state of a stateful {@link Key}, see `{@link Key#states}`. Title style properties that are not
+ * set fall back to the title style the {@link Key} was created with.
+ *
+ * @typedef {Object} State
+ * @memberof Key
+ *
+ * @property {Image|Image.Source} [backgroundImage]
+ * The background image of the {@link Key} while the state is active.
+ *
+ * @property {Image|Image.Source} [image]
+ * The image of the {@link Key} while the state is active.
+ *
+ * @property {string} [title]
+ * The title of the {@link Key} while the state is active.
+ *
+ * @property {Image.Color} [titleColor]
+ * The color of the title text.
+ *
+ * @property {string} [titleFont]
+ * The font family of the title text.
+ *
+ * @property {number} [titleSize]
+ * The maximum font size of the title text in points.
+ *
+ * @property {'top'|'middle'|'bottom'} [titleAlign]
+ * The vertical alignment of the title text.
+ *
+ * @property {Image.Color} [titleOutline]
+ * The color of the outline drawn around the title text.
+ */
+
 /**
  * An instance of {@link Key} represents a virtual key on a {@link Page} created via
  * {@link StreamDeck#createKey}.
@@ -61,12 +95,28 @@ class Key extends EventEmitter {
       { name: 'boundDraw', value: this.draw.bind(this) },
       { name: 'holdTimeoutIds', value: new ArrayKeyedMap() },
       { name: 'pressTimeoutIds', value: new ArrayKeyedMap() },
+      { name: 'tapTimeoutIds', value: new ArrayKeyedMap() },
+      { name: 'tapStates', value: new ArrayKeyedMap() },
+      { name: 'chordStates', value: new ArrayValuedSet() },
+      { name: 'repeatTimeoutIds', value: new ArrayKeyedMap() },
+      {
+        name: 'disconnectListener',
+        value: () => {
+          // The release that would stop a repeat never arrives from an unplugged device
+          for (const [index, page] of [...this._repeatTimeoutIds.keys()]) {
+            stopKeyRepeat(this, index, page)
+          }
+        },
+      },
       { name: 'idleTimeoutId' },
       { name: 'downStates', value: new ArrayValuedSet() },
       { name: 'holdStates', value: new ArrayValuedSet() },
       { name: 'pressStates', value: new ArrayValuedSet() },
       { name: 'backgroundFrame' },
       { name: 'frame' },
+      { name: 'titleFrame' },
+      { name: 'titleRenderId', value: 0 },
+      { name: 'stateTitleOptions' },
     ])
 
     definePublicProperties(this, options, [
@@ -88,7 +138,11 @@ class Key extends EventEmitter {
        * @instance
        * @constant
        */
-      { name: 'STREAMDECK_NODE', value: streamDeck.STREAMDECK_NODE },
+      {
+        name: 'STREAMDECK_NODE',
+        value: streamDeck.STREAMDECK_NODE,
+        get: () => this.STREAMDECK.STREAMDECK_NODE,
+      },
       /**
        * The number of keys on the Stream Deck.
        *
@@ -133,6 +187,71 @@ class Key extends EventEmitter {
         min: 0,
         allowUndefined: true,
       },
+      /**
+       * The number of milliseconds after the {@link Key#event:click} is triggered that another
+       * click counts towards the same {@link Key#event:tap|tap} sequence. A value of `0` means
+       * the {@link Key#event:doubleClick} is disabled. If undefined the double click time of the
+       * {@link Page} the {@link Key} is clicked on is used.
+       *
+       * @member {number|undefined} DOUBLE_CLICK_TIME
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'DOUBLE_CLICK_TIME',
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * Whether or not the {@link Key#event:click} is delayed until the double click time has
+       * passed without another click, and only triggered if the {@link Key} was clicked once.
+       * If undefined the delay click setting of the {@link Page} the {@link Key} is clicked on
+       * is used.
+       *
+       * @member {boolean|undefined} DELAY_CLICK
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'DELAY_CLICK',
+        type: 'boolean',
+        allowUndefined: true,
+      },
+      /**
+       * The number of milliseconds the {@link Key} has to be held down before the first
+       * {@link Key#event:repeat} is triggered. If undefined the repeat delay of the
+       * {@link Page} the {@link Key} is pressed on is used.
+       *
+       * @member {number|undefined} REPEAT_DELAY
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'REPEAT_DELAY',
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The number of milliseconds between each {@link Key#event:repeat} while the {@link Key}
+       * is held down. A value of `0` means the {@link Key#event:repeat} is disabled. If
+       * undefined the repeat interval of the {@link Page} the {@link Key} is pressed on is used.
+       *
+       * @member {number|undefined} REPEAT_INTERVAL
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'REPEAT_INTERVAL',
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
       /**
        * The number of milliseconds after the {@link Key#event:down} is triggered that the press
        * scaling effect will apply. A value of `0` means the press scaling effect lasts until
@@ -201,6 +320,143 @@ class Key extends EventEmitter {
        * @readonly
        */
       { name: 'image', type: 'source', allowUndefined: true },
+      /**
+       * The title text drawn over the image of the {@link Key}. Long titles are word wrapped and
+       * shrunk to fit within the {@link Key}.
+       *
+       * @member {string|undefined} title
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      { name: 'title', type: 'string', allowUndefined: true },
+      /**
+       * The color of the title text.
+       *
+       * @member {Image.Color} titleColor
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'titleColor',
+        value: '#FFFFFF',
+        type: 'color',
+        allowUndefined: true,
+      },
+      /**
+       * The font family of the title text.
+       *
+       * @member {string} titleFont
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'titleFont',
+        value: 'sans-serif',
+        type: 'string',
+        allowUndefined: true,
+      },
+      /**
+       * The maximum font size of the title text in points. The title will be shrunk below this
+       * size if it does not fit within the {@link Key}. If undefined a size relative to
+       * `{@link Key#KEY_HEIGHT}` is used.
+       *
+       * @member {number|undefined} titleSize
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      { name: 'titleSize', type: 'integer', min: 1, allowUndefined: true },
+      /**
+       * The vertical alignment of the title text.
+       *
+       * @member {'top'|'middle'|'bottom'} titleAlign
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'titleAlign',
+        value: 'bottom',
+        type: 'string',
+        validValues: ['top', 'middle', 'bottom'],
+        allowUndefined: true,
+      },
+      /**
+       * The color of the outline drawn around the title text. If undefined no outline is drawn.
+       *
+       * @member {Image.Color|undefined} titleOutline
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      { name: 'titleOutline', type: 'color', allowUndefined: true },
+      /**
+       * Whether or not the {@link Key} advances to its next state when the {@link Key#event:click}
+       * is triggered. Only applies to {@link Key|Keys} with `{@link Key#states}`.
+       *
+       * @member {boolean} ADVANCE_STATE_ON_CLICK
+       * @memberof Key
+       * @instance
+       * @constant
+       */
+      {
+        name: 'ADVANCE_STATE_ON_CLICK',
+        value: true,
+        type: 'boolean',
+        allowUndefined: true,
+      },
+      /**
+       * The states of the {@link Key}. Each state carries its own image, background image and
+       * title which are applied to the {@link Key} when the state becomes active. If undefined
+       * the {@link Key} is not a stateful {@link Key}.
+       *
+       * @member {Array<Key.State>|undefined} states
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'states',
+        type: 'array',
+        minLength: 1,
+        checkAllValues: {
+          type: 'object',
+          checkProps: [
+            { name: 'backgroundImage', type: 'source', allowUndefined: true },
+            { name: 'image', type: 'source', allowUndefined: true },
+            { name: 'title', type: 'string', allowUndefined: true },
+            { name: 'titleColor', type: 'color', allowUndefined: true },
+            { name: 'titleFont', type: 'string', allowUndefined: true },
+            {
+              name: 'titleSize',
+              type: 'integer',
+              min: 1,
+              allowUndefined: true,
+            },
+            {
+              name: 'titleAlign',
+              type: 'string',
+              validValues: ['top', 'middle', 'bottom'],
+              allowUndefined: true,
+            },
+            { name: 'titleOutline', type: 'color', allowUndefined: true },
+          ],
+        },
+        allowUndefined: true,
+      },
+      /**
+       * The index of the active state in `{@link Key#states}`. If the {@link Key} is not a stateful
+       * {@link Key} this is undefined.
+       *
+       * @member {number|undefined} state
+       * @memberof Key
+       * @instance
+       * @readonly
+       */
+      { name: 'state', type: 'integer', min: 0, allowUndefined: true },
       /**
        * Whether or not the {@link Key} has been destroyed.
        *
@@ -227,9 +483,18 @@ class Key extends EventEmitter {
         this._pressTimeoutIds.delete([index, page])
       }
 
+      if (this._tapTimeoutIds.has([index, page])) {
+        clearTimeout(this._tapTimeoutIds.get([index, page]))
+        this._tapTimeoutIds.delete([index, page])
+      }
+
+      stopKeyRepeat(this, index, page)
+
       this._downStates.delete([index, page])
       this._holdStates.delete([index, page])
       this._pressStates.delete([index, page])
+      this._tapStates.delete([index, page])
+      this._chordStates.delete([index, page])
     })
 
     this.on('down', (index, page) => {
@@ -247,9 +512,18 @@ class Key extends EventEmitter {
         this._pressTimeoutIds.delete([index, page])
       }
 
+      // A press before the tap sequence has timed out continues it
+      if (this._tapTimeoutIds.has([index, page])) {
+        clearTimeout(this._tapTimeoutIds.get([index, page]))
+        this._tapTimeoutIds.delete([index, page])
+      } else {
+        this._tapStates.delete([index, page])
+      }
+
       this._downStates.add([index, page])
       this._holdStates.delete([index, page])
       this._pressStates.add([index, page])
+      this._chordStates.delete([index, page])
 
       if (typeof this.HOLD_TIME === 'number' && this.HOLD_TIME > 0) {
         this._holdTimeoutIds.set(
@@ -277,6 +551,8 @@ class Key extends EventEmitter {
         )
       }
 
+      startKeyRepeat(this, index, page)
+
       this.draw()
     })
 
@@ -292,6 +568,39 @@ class Key extends EventEmitter {
       this._holdStates.add([index, page])
     })
 
+    this.on('chord', (chord, page, keys) => {
+      if (this._destroyed || !chord.suppressClicks) {
+        return
+      }
+
+      for (const [i, index] of chord.indexes.entries()) {
+        if (keys[i] !== this) {
+          continue
+        }
+
+        this._chordStates.add([index, page])
+
+        if (this._holdTimeoutIds.has([index, page])) {
+          clearTimeout(this._holdTimeoutIds.get([index, page]))
+          this._holdTimeoutIds.delete([index, page])
+        }
+
+        stopKeyRepeat(this, index, page)
+      }
+    })
+
+    this.on('blur', (focusPage, blurPage) => {
+      if (this._destroyed) {
+        return
+      }
+
+      for (const [index, page] of [...this._repeatTimeoutIds.keys()]) {
+        if (page === blurPage) {
+          stopKeyRepeat(this, index, page)
+        }
+      }
+    })
+
     this.on('up', (index, page) => {
       if (this._destroyed) {
         return
@@ -309,12 +618,23 @@ class Key extends EventEmitter {
 
       const held = this._holdStates.has([index, page])
       const pressed = this._pressStates.has([index, page])
+      const suppressed =
+        this._chordStates.has([index, page]) || this.STREAMDECK.disconnected
+
+      stopKeyRepeat(this, index, page)
 
       this._downStates.delete([index, page])
       this._holdStates.delete([index, page])
       this._pressStates.delete([index, page])
+      this._chordStates.delete([index, page])
 
-      if (typeof this.HOLD_TIME === 'number') {
+      handleKeyTap(this, index, page, held || suppressed)
+
+      if (
+        typeof this.HOLD_TIME === 'number' &&
+        !suppressed &&
+        (held || !getKeyDelayClick(this, page))
+      ) {
         this.emit(held ? 'held' : 'click', index, page, this)
       }
 
@@ -323,6 +643,16 @@ class Key extends EventEmitter {
       }
     })
 
+    this.on('click', () => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._states && this.ADVANCE_STATE_ON_CLICK) {
+        this.nextState()
+      }
+    })
+
     this.on('activity', () => {
       if (this._destroyed) {
         return
@@ -458,7 +788,8 @@ class Key extends EventEmitter {
       'up',
       /**
        * Click event fired after the {@link Key#event:up} if the {@link Key#event:hold} had not
-       * been fired.
+       * been fired. If `{@link Key#DELAY_CLICK}` is `true` this event is fired once the double
+       * click time has passed, and only if the {@link Key} was not clicked again.
        *
        * @event Key#event:click
        * @memberof Key
@@ -490,6 +821,83 @@ class Key extends EventEmitter {
        * The {@link Key}.
        */
       'held',
+      /**
+       * Tap event fired after the {@link Key#event:up} each time the {@link Key} is clicked,
+       * counting the clicks that were less than the double click time apart.
+       *
+       * @event Key#event:tap
+       * @memberof Key
+       *
+       * @param {number} index
+       * The key slot index that was clicked.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the key was initially pressed.
+       *
+       * @param {Key} key
+       * The {@link Key}.
+       *
+       * @param {number} count
+       * The number of clicks in the tap sequence so far, starting at `1`.
+       */
+      'tap',
+      /**
+       * Double click event fired after the second {@link Key#event:tap} of a tap sequence. If
+       * the double click time is `0` this event is disabled.
+       *
+       * @event Key#event:doubleClick
+       * @memberof Key
+       *
+       * @param {number} index
+       * The key slot index that was double clicked.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the key was initially pressed.
+       *
+       * @param {Key} key
+       * The {@link Key}.
+       */
+      'doubleClick',
+      /**
+       * Chord event fired when the {@link Key} is part of a {@link StreamDeck.Chord} whose keys
+       * are all pressed down.
+       *
+       * @event Key#event:chord
+       * @memberof Key
+       *
+       * @param {StreamDeck.Chord} chord
+       * The {@link StreamDeck.Chord} that was pressed.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the last key of the chord was pressed.
+       *
+       * @param {Array<Key|undefined>} keys
+       * The {@link Key|Keys} attached to each key slot index of the chord, in the same order as
+       * `indexes`.
+       */
+      'chord',
+      /**
+       * Repeat event fired repeatedly while the {@link Key} is held down, first after the
+       * repeat delay and then every repeat interval, until the key is released, the
+       * {@link Key} is detached, the {@link Page} loses focus, or the Stream Deck device is
+       * disconnected. If the repeat interval is `0` this event is disabled.
+       *
+       * @event Key#event:repeat
+       * @memberof Key
+       *
+       * @param {number} index
+       * The key slot index that is being pressed.
+       *
+       * @param {Page} page
+       * The {@link Page} that had focus when the key was initially pressed.
+       *
+       * @param {Key} key
+       * The {@link Key}.
+       *
+       * @param {number} count
+       * The number of times the event has been fired for this press, starting at `1`.
+       */
+      'repeat',
       /**
        * Activity event fired after a user interacts with the Stream Deck device's keys
        * while a {@link Page} that the {@link Key} is attached to has or gains focus.
@@ -518,6 +926,22 @@ class Key extends EventEmitter {
        * @memberof Key
        */
       'idle',
+      /**
+       * State change event fired when the active state of a stateful {@link Key} changes.
+       *
+       * @event Key#event:stateChange
+       * @memberof Key
+       *
+       * @param {number} state
+       * The index of the new state.
+       *
+       * @param {number} previousState
+       * The index of the previous state.
+       *
+       * @param {Key} key
+       * The {@link Key}.
+       */
+      'stateChange',
       /**
        * Error event fired when an error occurs.
        *
@@ -544,8 +968,50 @@ class Key extends EventEmitter {
       'destroy',
     ])
 
-    this.setBackgroundImage(this._backgroundImage)
-    this.setImage(this._image)
+    streamDeck.on('disconnect', this._disconnectListener)
+
+    if (this._states) {
+      if (this._state === undefined) {
+        this._state = 0
+      }
+
+      if (this._state >= this._states.length) {
+        throw new RangeError(
+          `Expected options.state to be less than options.states.length`
+        )
+      }
+
+      this._stateTitleOptions = {
+        titleColor: this._titleColor,
+        titleFont: this._titleFont,
+        titleSize: this._titleSize,
+        titleAlign: this._titleAlign,
+        titleOutline: this._titleOutline,
+      }
+
+      this._states = this._states.map((state) => ({
+        ...state,
+        backgroundImage:
+          state.backgroundImage && !(state.backgroundImage instanceof Image)
+            ? this.createBackgroundImage(state.backgroundImage)
+            : state.backgroundImage,
+        image:
+          state.image && !(state.image instanceof Image)
+            ? this.createImage(state.image)
+            : state.image,
+      }))
+
+      applyKeyState(this)
+    } else {
+      this._state = undefined
+
+      this.setBackgroundImage(this._backgroundImage)
+      this.setImage(this._image)
+
+      if (this._title) {
+        updateKeyTitle(this)
+      }
+    }
   }
 
   /**
@@ -605,6 +1071,7 @@ class Key extends EventEmitter {
       source,
       width: this.KEY_WIDTH,
       height: this.KEY_HEIGHT,
+      watch: this.STREAMDECK.WATCH_IMAGES,
     })
   }
 
@@ -759,6 +1226,7 @@ class Key extends EventEmitter {
       width: this.KEY_WIDTH,
       height: this.KEY_HEIGHT,
       scaleFrames: options.scaleFrames ?? this.PRESS_SCALE,
+      watch: this.STREAMDECK.WATCH_IMAGES,
     })
   }
 
@@ -867,6 +1335,239 @@ class Key extends EventEmitter {
     return this._frame ?? null
   }
 
+  /**
+   * Set the title of the {@link Key}. The title is drawn over the image and background image of
+   * the {@link Key}. If no title argument is passed this is the same as calling
+   * {@link Key#clearTitle}.
+   *
+   * @function setTitle
+   * @memberof Key
+   * @instance
+   *
+   * @param {string} [title]
+   * The new title text.
+   *
+   * @param {Object} [options]
+   * Options used to style the title. Any option not passed keeps its current value.
+   *
+   * @param {Image.Color} [options.titleColor]
+   * The color of the title text.
+   *
+   * @param {string} [options.titleFont]
+   * The font family of the title text.
+   *
+   * @param {number} [options.titleSize]
+   * The maximum font size of the title text in points.
+   *
+   * (Integer greater than or equal to `1`.)
+   *
+   * @param {'top'|'middle'|'bottom'} [options.titleAlign]
+   * The vertical alignment of the title text.
+   *
+   * @param {Image.Color} [options.titleOutline]
+   * The color of the outline drawn around the title text.
+   */
+  setTitle(title, options = {}) {
+    checkKeyDestroyed(this)
+
+    checkValid(title, {
+      name: 'title',
+      type: 'string',
+      allowUndefined: true,
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        { name: 'titleColor', type: 'color', allowUndefined: true },
+        { name: 'titleFont', type: 'string', allowUndefined: true },
+        { name: 'titleSize', type: 'integer', min: 1, allowUndefined: true },
+        {
+          name: 'titleAlign',
+          type: 'string',
+          validValues: ['top', 'middle', 'bottom'],
+          allowUndefined: true,
+        },
+        { name: 'titleOutline', type: 'color', allowUndefined: true },
+      ],
+    })
+
+    for (const name of [
+      'titleColor',
+      'titleFont',
+      'titleSize',
+      'titleAlign',
+      'titleOutline',
+    ]) {
+      if (options[name] !== undefined) {
+        this[`_${name}`] = options[name]
+      }
+    }
+
+    if (!title) {
+      this.clearTitle()
+
+      return
+    }
+
+    this._title = title
+
+    updateKeyTitle(this)
+  }
+
+  /**
+   * Clear the title of the {@link Key}.
+   *
+   * @function clearTitle
+   * @memberof Key
+   * @instance
+   */
+  clearTitle() {
+    checkKeyDestroyed(this)
+
+    this._titleRenderId++
+
+    if (!this._title) {
+      this._title = undefined
+
+      return
+    }
+
+    this._title = undefined
+    this._titleFrame = undefined
+
+    this.draw()
+  }
+
+  /**
+   * Get the rendered frame of the title for the {@link Key}. If no title is set or if the title
+   * has not yet been rendered returns `null`.
+   *
+   * @function getTitleFrame
+   * @memberof Key
+   * @instance
+   *
+   * @returns {Object|null}
+   * An Object with `withAlpha` and `withoutAlpha` raw pixel Buffers.
+   */
+  getTitleFrame() {
+    checkKeyDestroyed(this)
+
+    return this._titleFrame ?? null
+  }
+
+  /**
+   * Set the active state of a stateful {@link Key}. The image, background image and title of the
+   * state are applied to the {@link Key}.
+   *
+   * @function setState
+   * @memberof Key
+   * @instance
+   *
+   * @param {number} state
+   * The index of the new state in `{@link Key#states}`.
+   *
+   * (Integer between `0` and `{@link Key#states}.length - 1` inclusive.)
+   */
+  setState(state) {
+    checkKeyDestroyed(this)
+
+    if (!this._states) {
+      throw new Error(`Key has no states!`)
+    }
+
+    checkValid(state, {
+      name: 'state',
+      type: 'integer',
+      min: 0,
+      max: this._states.length - 1,
+    })
+
+    if (state === this._state) {
+      return
+    }
+
+    const previousState = this._state
+
+    this._state = state
+
+    applyKeyState(this)
+
+    this.emit('stateChange', state, previousState, this)
+  }
+
+  /**
+   * Advance a stateful {@link Key} to its next state, wrapping around to the first state after
+   * the last one.
+   *
+   * @function nextState
+   * @memberof Key
+   * @instance
+   */
+  nextState() {
+    checkKeyDestroyed(this)
+
+    if (!this._states) {
+      throw new Error(`Key has no states!`)
+    }
+
+    this.setState((this._state + 1) % this._states.length)
+  }
+
+  /**
+   * Get the options needed to create the {@link Key} again via {@link StreamDeck#createKey},
+   * including any custom properties. Event listeners are not included.
+   *
+   * @function toJSON
+   * @memberof Key
+   * @instance
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    checkKeyDestroyed(this)
+
+    const options = {
+      ...getCustomProperties(this, ['attachToPages']),
+      holdTime: this.HOLD_TIME,
+      doubleClickTime: this.DOUBLE_CLICK_TIME,
+      delayClick: this.DELAY_CLICK,
+      repeatDelay: this.REPEAT_DELAY,
+      repeatInterval: this.REPEAT_INTERVAL,
+      pressTime: this.PRESS_TIME,
+      pressScale: this.PRESS_SCALE,
+      idleTime: this.IDLE_TIME,
+    }
+
+    if (!this._states) {
+      return {
+        ...options,
+        backgroundImage: this._backgroundImage?.toJSON(),
+        image: this._image?.toJSON(),
+        title: this._title,
+        titleColor: this._titleColor,
+        titleFont: this._titleFont,
+        titleSize: this._titleSize,
+        titleAlign: this._titleAlign,
+        titleOutline: this._titleOutline,
+      }
+    }
+
+    return {
+      ...options,
+      ...this._stateTitleOptions,
+      advanceStateOnClick: this.ADVANCE_STATE_ON_CLICK,
+      states: this._states.map((state) => ({
+        ...state,
+        backgroundImage: state.backgroundImage?.toJSON(),
+        image: state.image?.toJSON(),
+      })),
+      state: this._state,
+    }
+  }
+
   /**
    * Draw the {@link Key} to the Stream Deck's panel.
    *
@@ -875,7 +1576,7 @@ class Key extends EventEmitter {
    * @instance
    */
   draw() {
-    if (this._destroyed) {
+    if (this._destroyed || this.STREAMDECK.disconnected) {
       return
     }
 
@@ -898,6 +1599,7 @@ class Key extends EventEmitter {
         let pageBackgroundFrame = page.getBackgroundFrame()
         let keyBackgroundFrame = this.getBackgroundFrame()
         let keyFrame = this.getFrame()
+        let titleFrame = this.getTitleFrame()
 
         await Promise.all(
           indexes.map(async (index) => {
@@ -913,131 +1615,66 @@ class Key extends EventEmitter {
               keySize = 'base'
             }
 
-            if (!pageBackgroundFrame) {
-              if (!keyFrame && !keyBackgroundFrame) {
-                emitCaughtAsyncError(this, this.STREAMDECK_NODE.clearKey(index))
+            let layers = []
 
-                return
-              }
+            if (pageBackgroundFrame) {
+              layers.push(pageBackgroundFrame.split[index])
+            }
 
-              if (!keyBackgroundFrame) {
-                emitCaughtAsyncError(
-                  this,
-                  this.STREAMDECK_NODE.fillKeyBuffer(
-                    index,
-                    keyFrame[keySize].withoutAlpha
-                  )
-                )
+            if (keyBackgroundFrame) {
+              layers.push(keyBackgroundFrame.base)
+            }
 
-                return
-              }
+            if (keyFrame) {
+              layers.push(keyFrame[keySize])
+            }
 
-              if (!keyFrame) {
-                emitCaughtAsyncError(
-                  this,
-                  this.STREAMDECK_NODE.fillKeyBuffer(
-                    index,
-                    keyBackgroundFrame.base.withoutAlpha
-                  )
-                )
+            if (titleFrame) {
+              layers.push(titleFrame)
+            }
 
-                return
-              }
-
-              emitCaughtAsyncError(
-                this,
-                this.STREAMDECK_NODE.fillKeyBuffer(
-                  index,
-                  await sharp(
-                    await sharp(keyBackgroundFrame.base.withAlpha, {
-                      raw: {
-                        width: this.KEY_WIDTH,
-                        height: this.KEY_HEIGHT,
-                        channels: 4,
-                      },
-                    })
-                      .composite([
-                        {
-                          input: keyFrame[keySize].withAlpha,
-                          left: 0,
-                          top: 0,
-                          raw: {
-                            width: this.KEY_WIDTH,
-                            height: this.KEY_HEIGHT,
-                            channels: 4,
-                          },
-                        },
-                      ])
-                      .toBuffer(),
-                    {
-                      raw: {
-                        width: this.KEY_WIDTH,
-                        height: this.KEY_HEIGHT,
-                        channels: 4,
-                      },
-                    }
-                  )
-                    .flatten()
-                    .toBuffer()
-                )
-              )
+            if (!layers.length) {
+              emitCaughtAsyncError(this, this.STREAMDECK_NODE.clearKey(index))
 
               return
             }
 
-            if (!keyBackgroundFrame && !keyFrame) {
+            if (layers.length === 1) {
               emitCaughtAsyncError(
                 this,
                 this.STREAMDECK_NODE.fillKeyBuffer(
                   index,
-                  pageBackgroundFrame.split[index].withoutAlpha
+                  layers[0].withoutAlpha
                 )
               )
 
               return
             }
 
-            let inputs = []
-
-            if (keyBackgroundFrame) {
-              inputs.push({
-                input: keyBackgroundFrame.base.withAlpha,
-                left: 0,
-                top: 0,
-                raw: {
-                  width: this.KEY_WIDTH,
-                  height: this.KEY_HEIGHT,
-                  channels: 4,
-                },
-              })
-            }
-
-            if (keyFrame) {
-              inputs.push({
-                input: keyFrame[keySize].withAlpha,
-                left: 0,
-                top: 0,
-                raw: {
-                  width: this.KEY_WIDTH,
-                  height: this.KEY_HEIGHT,
-                  channels: 4,
-                },
-              })
-            }
-
             emitCaughtAsyncError(
               this,
               this.STREAMDECK_NODE.fillKeyBuffer(
                 index,
                 await sharp(
-                  await sharp(pageBackgroundFrame.split[index].withAlpha, {
+                  await sharp(layers[0].withAlpha, {
                     raw: {
                       width: this.KEY_WIDTH,
                       height: this.KEY_HEIGHT,
                       channels: 4,
                     },
                   })
-                    .composite(inputs)
+                    .composite(
+                      layers.slice(1).map((layer) => ({
+                        input: layer.withAlpha,
+                        left: 0,
+                        top: 0,
+                        raw: {
+                          width: this.KEY_WIDTH,
+                          height: this.KEY_HEIGHT,
+                          channels: 4,
+                        },
+                      }))
+                    )
                     .toBuffer(),
                   {
                     raw: {
@@ -1101,6 +1738,32 @@ class Key extends EventEmitter {
       this._pressStates.clear()
     }
 
+    if (this._tapTimeoutIds.size) {
+      for (const tapTimeoutId of this._tapTimeoutIds.values()) {
+        clearTimeout(tapTimeoutId)
+      }
+
+      this._tapTimeoutIds.clear()
+    }
+
+    if (this._tapStates.size) {
+      this._tapStates.clear()
+    }
+
+    if (this._chordStates.size) {
+      this._chordStates.clear()
+    }
+
+    if (this._repeatTimeoutIds.size) {
+      for (const repeatTimeoutId of this._repeatTimeoutIds.values()) {
+        clearTimeout(repeatTimeoutId)
+      }
+
+      this._repeatTimeoutIds.clear()
+    }
+
+    this.STREAMDECK.off('disconnect', this._disconnectListener)
+
     for (const page of this.STREAMDECK.pages.values()) {
       for (const [index, key] of page.keys.entries()) {
         if (key !== this) {
@@ -1113,6 +1776,7 @@ class Key extends EventEmitter {
 
     this.clearImage()
     this.clearBackgroundImage()
+    this.clearTitle()
 
     this._destroyed = true
 
@@ -1126,4 +1790,275 @@ function checkKeyDestroyed(_this) {
   }
 }
 
+function startKeyRepeat(_this, index, page) {
+  stopKeyRepeat(_this, index, page)
+
+  const repeatInterval =
+    _this.REPEAT_INTERVAL ??
+    page.REPEAT_INTERVAL ??
+    _this.STREAMDECK.REPEAT_INTERVAL
+
+  if (!(repeatInterval > 0)) {
+    return
+  }
+
+  const repeatDelay =
+    _this.REPEAT_DELAY ?? page.REPEAT_DELAY ?? _this.STREAMDECK.REPEAT_DELAY
+
+  let count = 0
+
+  const repeat = () => {
+    count++
+
+    // Scheduled before emitting so a listener can stop the repeat, e.g. by detaching the Key
+    _this._repeatTimeoutIds.set(
+      [index, page],
+      setTimeout(repeat, repeatInterval)
+    )
+
+    _this.emit('repeat', index, page, _this, count)
+  }
+
+  _this._repeatTimeoutIds.set([index, page], setTimeout(repeat, repeatDelay))
+}
+
+function stopKeyRepeat(_this, index, page) {
+  if (_this._repeatTimeoutIds.has([index, page])) {
+    clearTimeout(_this._repeatTimeoutIds.get([index, page]))
+    _this._repeatTimeoutIds.delete([index, page])
+  }
+}
+
+function handleKeyTap(_this, index, page, held) {
+  // Holding the Key ends the tap sequence it was part of
+  if (held) {
+    endKeyTaps(_this, index, page)
+
+    return
+  }
+
+  const count = (_this._tapStates.get([index, page]) ?? 0) + 1
+  const doubleClickTime =
+    _this.DOUBLE_CLICK_TIME ??
+    page.DOUBLE_CLICK_TIME ??
+    _this.STREAMDECK.DOUBLE_CLICK_TIME
+
+  _this._tapStates.set([index, page], count)
+
+  _this.emit('tap', index, page, _this, count)
+
+  if (count === 2) {
+    _this.emit('doubleClick', index, page, _this)
+  }
+
+  if (doubleClickTime > 0) {
+    _this._tapTimeoutIds.set(
+      [index, page],
+      setTimeout(() => {
+        _this._tapTimeoutIds.delete([index, page])
+
+        endKeyTaps(_this, index, page)
+      }, doubleClickTime)
+    )
+  } else {
+    endKeyTaps(_this, index, page)
+  }
+}
+
+function endKeyTaps(_this, index, page) {
+  const count = _this._tapStates.get([index, page])
+
+  _this._tapStates.delete([index, page])
+
+  if (count === 1 && getKeyDelayClick(_this, page)) {
+    _this.emit('click', index, page, _this)
+  }
+}
+
+function getKeyDelayClick(_this, page) {
+  return _this.DELAY_CLICK ?? page.DELAY_CLICK ?? _this.STREAMDECK.DELAY_CLICK
+}
+
+function applyKeyState(_this) {
+  const {
+    backgroundImage,
+    image,
+    title,
+    titleColor,
+    titleFont,
+    titleSize,
+    titleAlign,
+    titleOutline,
+  } = _this._states[_this._state]
+
+  _this.setBackgroundImage(backgroundImage)
+  _this.setImage(image)
+
+  _this._titleColor = titleColor ?? _this._stateTitleOptions.titleColor
+  _this._titleFont = titleFont ?? _this._stateTitleOptions.titleFont
+  _this._titleSize = titleSize ?? _this._stateTitleOptions.titleSize
+  _this._titleAlign = titleAlign ?? _this._stateTitleOptions.titleAlign
+  _this._titleOutline = titleOutline ?? _this._stateTitleOptions.titleOutline
+
+  _this.setTitle(title)
+}
+
+function updateKeyTitle(_this) {
+  const titleRenderId = ++_this._titleRenderId
+
+  emitCaughtAsyncError(_this, async () => {
+    const titleFrame = await renderKeyTitle(_this)
+
+    if (_this._destroyed || titleRenderId !== _this._titleRenderId) {
+      return
+    }
+
+    _this._titleFrame = titleFrame
+
+    _this.draw()
+  })
+}
+
+async function renderKeyTitle(_this) {
+  const padding = Math.max(1, Math.round(_this.KEY_WIDTH / 24))
+  const maxSize =
+    _this._titleSize ?? Math.max(1, Math.round(_this.KEY_HEIGHT / 5))
+  const minSize = Math.min(maxSize, 6)
+  const outlineWidth = _this._titleOutline
+    ? Math.max(1, Math.round(maxSize / 8))
+    : 0
+  const maxWidth = _this.KEY_WIDTH - (padding + outlineWidth) * 2
+  const maxHeight = _this.KEY_HEIGHT - (padding + outlineWidth) * 2
+
+  let size = maxSize
+  let text
+
+  while (true) {
+    text = await renderTitleText(_this, _this._titleColor, size, maxWidth)
+
+    if (
+      (text.info.width <= maxWidth && text.info.height <= maxHeight) ||
+      size <= minSize
+    ) {
+      break
+    }
+
+    size = Math.max(minSize, Math.floor(size * 0.9))
+  }
+
+  const scale = Math.min(
+    1,
+    maxWidth / text.info.width,
+    maxHeight / text.info.height
+  )
+
+  let width = Math.max(1, Math.floor(text.info.width * scale))
+  let height = Math.max(1, Math.floor(text.info.height * scale))
+
+  let left = Math.round((_this.KEY_WIDTH - width) / 2)
+  let top
+
+  switch (_this._titleAlign) {
+    case 'top':
+      top = padding + outlineWidth
+      break
+    case 'middle':
+      top = Math.round((_this.KEY_HEIGHT - height) / 2)
+      break
+    default:
+      top = _this.KEY_HEIGHT - padding - outlineWidth - height
+  }
+
+  let texts = [text]
+
+  if (outlineWidth) {
+    texts.unshift(
+      await renderTitleText(_this, _this._titleOutline, size, maxWidth)
+    )
+  }
+
+  let inputs = []
+
+  for (const [i, { data, info }] of texts.entries()) {
+    let input = await sharp(data, {
+      raw: { width: info.width, height: info.height, channels: 4 },
+    })
+      .resize(width, height)
+      .raw()
+      .toBuffer()
+
+    let offsets = [[0, 0]]
+
+    if (outlineWidth && i === 0) {
+      offsets = []
+
+      for (let x = -outlineWidth; x <= outlineWidth; x++) {
+        for (let y = -outlineWidth; y <= outlineWidth; y++) {
+          if (x || y) {
+            offsets.push([x, y])
+          }
+        }
+      }
+    }
+
+    for (const [x, y] of offsets) {
+      inputs.push({
+        input,
+        left: left + x,
+        top: top + y,
+        raw: { width, height, channels: 4 },
+      })
+    }
+  }
+
+  const withAlpha = await sharp({
+    create: {
+      width: _this.KEY_WIDTH,
+      height: _this.KEY_HEIGHT,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite(inputs)
+    .raw()
+    .toBuffer()
+
+  return {
+    withAlpha,
+    withoutAlpha: await sharp(withAlpha, {
+      raw: { width: _this.KEY_WIDTH, height: _this.KEY_HEIGHT, channels: 4 },
+    })
+      .flatten()
+      .toBuffer(),
+  }
+}
+
+async function renderTitleText(_this, color, size, width) {
+  const { red, green, blue, alpha } = parseColor(color)
+
+  const hex = [red, green, blue]
+    .map((value) => value.toString(16).padStart(2, '0'))
+    .join('')
+
+  const escaped = _this._title
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+
+  return await sharp({
+    text: {
+      text: `<span foreground="#${hex}" fgalpha="${Math.round(
+        Math.max(1, ((alpha ?? 255) / 255) * 100)
+      )}%">${escaped}</span>`,
+      font: `${_this._titleFont} ${size}`,
+      width,
+      align: 'centre',
+      wrap: 'word',
+      rgba: true,
+    },
+  })
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+}
+
 module.exports = Key
@@ -0,0 +1,1127 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const EventEmitter = require('eventemitter3')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+  listenToEvents,
+  emitCaughtAsyncError,
+  watchFile,
+  readLayoutFile,
+} = require('./utils')
+const { adaptLayout } = require('./adapt')
+
+const KEY_EVENTS = [
+  'down',
+  'up',
+  'click',
+  'hold',
+  'held',
+  'tap',
+  'doubleClick',
+  'repeat',
+  'stateChange',
+]
+
+const TITLE_PROPS = [
+  { name: 'title', type: 'string', allowUndefined: true },
+  { name: 'titleColor', type: 'color', allowUndefined: true },
+  { name: 'titleFont', type: 'string', allowUndefined: true },
+  { name: 'titleSize', type: 'integer', min: 1, allowUndefined: true },
+  {
+    name: 'titleAlign',
+    type: 'string',
+    validValues: ['top', 'middle', 'bottom'],
+    allowUndefined: true,
+  },
+  { name: 'titleOutline', type: 'color', allowUndefined: true },
+]
+
+const BUILT_IN_ACTIONS = {
+  focusPage: (pageId, { layout }) => layout.pages.get(pageId).focus(),
+  pushPage: (pageId, { layout, streamDeck }) =>
+    streamDeck.pushPage(layout.pages.get(pageId)),
+  replacePage: (pageId, { layout, streamDeck }) =>
+    streamDeck.replacePage(layout.pages.get(pageId)),
+  popPage: (params, { streamDeck }) => streamDeck.popPage(),
+  popToRoot: (params, { streamDeck }) => streamDeck.popToRoot(),
+  setBrightness: (brightness, { streamDeck }) =>
+    streamDeck.setBrightness(brightness),
+  nextState: (params, { key }) => key.nextState(),
+}
+
+const PAGE_ACTIONS = ['focusPage', 'pushPage', 'replacePage']
+
+/**
+ * An Object describing a whole deck of {@link Page|Pages} and {@link Key|Keys}, usually loaded
+ * from a JSON or YAML file via {@link module:streamdeck-ui-node.loadLayout}.
+ *
+ * @typedef {Object} Config
+ * @memberof Layout
+ *
+ * @property {number} [rows]
+ * The number of rows the layout was designed for. If it does not match the
+ * {@link StreamDeck}, the layout must be adapted via
+ * {@link module:streamdeck-ui-node.adaptLayout}.
+ *
+ * @property {number} [columns]
+ * The number of columns the layout was designed for. If it does not match the
+ * {@link StreamDeck}, the layout must be adapted via
+ * {@link module:streamdeck-ui-node.adaptLayout}.
+ *
+ * @property {number} [brightness]
+ * The brightness of the {@link StreamDeck}.
+ *
+ * (Float between `0` and `1` inclusive.)
+ *
+ * @property {string} [defaultPage]
+ * The id of the {@link Page} to set as the `{@link StreamDeck#defaultPage}`. Defaults to the
+ * first {@link Page}.
+ *
+ * @property {string} [focusedPage]
+ * The id of the {@link Page} to set as the `{@link StreamDeck#focusedPage}`. Defaults to the
+ * default {@link Page}.
+ *
+ * @property {Array<Layout.PageConfig>} pages
+ * The {@link Page|Pages} of the layout.
+ *
+ * @property {Array<Layout.UnmappedAction>} [unmappedActions]
+ * The actions that could not be mapped when the {@link Layout.Config} was read from a
+ * `.streamDeckProfile` via {@link module:streamdeck-ui-node.readStreamDeckProfile}. Not used when
+ * loading the layout.
+ *
+ * @property {Array<Object>} [droppedKeys]
+ * The `page` and `key` ids of the {@link Key|Keys} that did not fit when the
+ * {@link Layout.Config} was adapted via {@link module:streamdeck-ui-node.adaptLayout}. Not used
+ * when loading the layout.
+ */
+
+/**
+ * An Object describing a {@link Page} in a {@link Layout.Config}. Any other property is passed
+ * to {@link StreamDeck#createPage}, such as `backgroundImage`, `brightness`, `holdTime`, and
+ * `idleTime`.
+ *
+ * @typedef {Object} PageConfig
+ * @memberof Layout
+ *
+ * @property {string} [id]
+ * The id of the {@link Page}, used to refer to it from actions. Defaults to the index of the
+ * {@link Page} in `pages`.
+ *
+ * @property {Array<Layout.KeyConfig>} [keys]
+ * The {@link Key|Keys} of the {@link Page}.
+ */
+
+/**
+ * An Object describing a {@link Key} in a {@link Layout.PageConfig}. Any other property is
+ * passed to {@link StreamDeck#createKey}, such as `image`, `backgroundImage`, `title`, `states`,
+ * `holdTime`, and `pressScale`.
+ *
+ * @typedef {Object} KeyConfig
+ * @memberof Layout
+ *
+ * @property {string} [id]
+ * The id of the {@link Key}. Defaults to `<page id>:<index of the key in keys>`.
+ *
+ * @property {number} [index]
+ * The key slot index the {@link Key} is attached to. If `row` and `column` are defined they are
+ * used instead. If undefined the {@link Key} is attached to the first free key slot.
+ *
+ * @property {number} [row]
+ * The row the {@link Key} is attached to.
+ *
+ * @property {number} [column]
+ * The column the {@link Key} is attached to.
+ *
+ * @property {number} [priority]
+ * The priority of the {@link Key} when the layout is adapted with the `'priority'` strategy,
+ * {@link Key|Keys} with a higher priority are placed first. Defaults to `0`.
+ *
+ * @property {Layout.ActionConfig} [action]
+ * The action run when the {@link Key#event:click} is triggered.
+ *
+ * @property {Object<string,Layout.ActionConfig>} [actions]
+ * The actions run for each {@link Key} event. (`down`, `up`, `click`, `hold`, `held`, `tap`,
+ * `doubleClick`, `repeat`, or `stateChange`)
+ */
+
+/**
+ * The name of an action or an Object with the following properties. Built in actions are
+ * `focusPage`, `pushPage`, and `replacePage` which take a page id as `params`, `popPage`,
+ * `popToRoot`, `setBrightness` which takes a brightness as `params`, and `nextState`.
+ *
+ * @typedef {string|Object} ActionConfig
+ * @memberof Layout
+ *
+ * @property {string} name
+ * The name of the action.
+ *
+ * @property {*} [params]
+ * The params passed to the action handler.
+ */
+
+/**
+ * An instance of {@link Layout} holds the {@link Page|Pages} and {@link Key|Keys} created from a
+ * {@link Layout.Config}, created via {@link module:streamdeck-ui-node.loadLayout}.
+ *
+ * @class Layout
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { openStreamDeck, loadLayout } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openStreamDeck();
+ *
+ *   const layout = await loadLayout(streamDeck, './layout.yaml', {
+ *     actions: {
+ *       mute: () => console.log('mute'),
+ *     },
+ *   });
+ * })();
+ */
+class Layout extends EventEmitter {
+  constructor(streamDeck, config, options = {}) {
+    super()
+
+    checkValid(streamDeck, {
+      name: 'streamDeck',
+      type: 'class',
+      class: 'StreamDeck',
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'actions',
+          type: 'object',
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    for (const [name, handler] of Object.entries(options.actions ?? {})) {
+      checkValid(handler, {
+        name: `options.actions.${name}`,
+        type: 'function',
+      })
+    }
+
+    definePrivateProperties(this, options, [
+      { name: 'pageSignatures', value: new Map() },
+      { name: 'keySignatures', value: new Map() },
+      { name: 'unwatchFile' },
+    ])
+
+    definePublicProperties(this, options, [
+      /**
+       * The {@link StreamDeck} that the {@link Layout} was loaded onto.
+       *
+       * @member {StreamDeck} STREAMDECK
+       * @memberof Layout
+       * @instance
+       * @constant
+       */
+      { name: 'STREAMDECK', value: streamDeck },
+      /**
+       * The directory that relative image file paths in the {@link Layout.Config} are resolved
+       * from.
+       *
+       * @member {string} BASE_PATH
+       * @memberof Layout
+       * @instance
+       * @constant
+       */
+      {
+        name: 'BASE_PATH',
+        value: process.cwd(),
+        type: 'string',
+        allowUndefined: true,
+      },
+      /**
+       * The path to the JSON or YAML file the {@link Layout} was loaded from. If undefined the
+       * {@link Layout} was loaded from an Object.
+       *
+       * @member {string|undefined} FILE
+       * @memberof Layout
+       * @instance
+       * @constant
+       */
+      { name: 'FILE', type: 'string', allowUndefined: true },
+      /**
+       * Whether or not the {@link Layout} is updated when `{@link Layout#FILE}` changes on disk.
+       *
+       * @member {boolean} WATCH
+       * @memberof Layout
+       * @instance
+       * @constant
+       */
+      {
+        name: 'WATCH',
+        value: false,
+        type: 'boolean',
+        allowUndefined: true,
+      },
+      /**
+       * The options used to adapt the {@link Layout.Config} to `{@link Layout#STREAMDECK}` each
+       * time `{@link Layout#FILE}` is reloaded. If undefined the {@link Layout.Config} is applied
+       * as is.
+       *
+       * @member {module:streamdeck-ui-node.AdaptOptions|undefined} ADAPT
+       * @memberof Layout
+       * @instance
+       * @constant
+       */
+      { name: 'ADAPT', type: 'object', allowUndefined: true },
+      /**
+       * The {@link Layout.Config} the {@link Layout} was last loaded or updated from.
+       *
+       * @member {Layout.Config} config
+       * @memberof Layout
+       * @instance
+       * @readonly
+       */
+      { name: 'config' },
+      /**
+       * The action handlers that can be used by the {@link Layout.Config}, mapped by their name.
+       * Includes the built in actions along with `options.actions`.
+       *
+       * @member {Object<string,function>} actions
+       * @memberof Layout
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'actions',
+        value: { ...BUILT_IN_ACTIONS, ...options.actions },
+        get: () => ({ ...this._actions }),
+      },
+      /**
+       * All {@link Page|Pages} created by the {@link Layout}, mapped by their id.
+       *
+       * @member {Map<string,Page>} pages
+       * @memberof Layout
+       * @instance
+       * @readonly
+       */
+      { name: 'pages', value: new Map(), get: () => new Map(this._pages) },
+      /**
+       * All {@link Key|Keys} created by the {@link Layout}, mapped by their id.
+       *
+       * @member {Map<string,Key>} keys
+       * @memberof Layout
+       * @instance
+       * @readonly
+       */
+      { name: 'keys', value: new Map(), get: () => new Map(this._keys) },
+      /**
+       * Whether or not the {@link Layout} has been destroyed.
+       *
+       * @member {boolean} destroyed
+       * @memberof Layout
+       * @instance
+       * @readonly
+       */
+      { name: 'destroyed', value: false },
+    ])
+
+    listenToEvents(this, options, [
+      /**
+       * Action event fired before an action handler is run.
+       *
+       * @event Layout#event:action
+       * @memberof Layout
+       *
+       * @param {string} name
+       * The name of the action.
+       *
+       * @param {*} params
+       * The params of the action.
+       *
+       * @param {Object} context
+       * The `layout`, `streamDeck`, `page`, `key`, key slot `index`, and `event` that ran the
+       * action. For the `tap` and `repeat` events the `count` is included. For the `stateChange`
+       * event `state` replaces `page` and `index`.
+       */
+      'action',
+      /**
+       * Update event fired after a new {@link Layout.Config} has been applied.
+       *
+       * @event Layout#event:update
+       * @memberof Layout
+       *
+       * @param {Layout.Config} config
+       * The applied {@link Layout.Config}.
+       */
+      'update',
+      /**
+       * Error event fired when an error occurs, including errors thrown by action handlers and
+       * errors while reloading a watched `{@link Layout#FILE}`.
+       *
+       * @event Layout#event:error
+       * @memberof Layout
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Destroy event fired when the {@link Layout} is destroyed.
+       *
+       * @event Layout#event:destroy
+       * @memberof Layout
+       */
+      'destroy',
+    ])
+
+    if (this.WATCH && this.FILE === undefined) {
+      throw new Error(`Expected options.file to be defined when watching`)
+    }
+
+    applyLayoutConfig(this, config)
+
+    if (this.WATCH) {
+      this._unwatchFile = watchFile(this.FILE, () =>
+        emitCaughtAsyncError(this, this.reload())
+      )
+    }
+  }
+
+  /**
+   * Apply a new {@link Layout.Config} in place. {@link Page|Pages} and {@link Key|Keys} are
+   * matched by id, those whose config is unchanged are kept, and only the rest are created,
+   * moved, or destroyed. If the new {@link Layout.Config} is invalid nothing is changed.
+   *
+   * @function update
+   * @memberof Layout
+   * @instance
+   *
+   * @param {Layout.Config} config
+   * The new {@link Layout.Config}.
+   */
+  update(config) {
+    checkLayoutDestroyed(this)
+
+    applyLayoutConfig(this, config)
+
+    this.emit('update', config)
+  }
+
+  /**
+   * Read `{@link Layout#FILE}` again, adapt it if `{@link Layout#ADAPT}` is defined, and apply it
+   * via {@link Layout#update}.
+   *
+   * @function reload
+   * @memberof Layout
+   * @instance
+   *
+   * @returns {Promise}
+   */
+  async reload() {
+    checkLayoutDestroyed(this)
+
+    if (this.FILE === undefined) {
+      throw new Error(`Layout was not loaded from a file`)
+    }
+
+    let config = await readLayoutFile(this.FILE)
+
+    if (this.ADAPT !== undefined && !this._destroyed) {
+      config = await adaptLayout(this.STREAMDECK, config, {
+        basePath: this.BASE_PATH,
+        ...this.ADAPT,
+      })
+    }
+
+    if (this._destroyed) {
+      return
+    }
+
+    this.update(config)
+  }
+
+  /**
+   * Destroy every {@link Page} and {@link Key} created by the {@link Layout}.
+   *
+   * @function destroy
+   * @memberof Layout
+   * @instance
+   */
+  destroy() {
+    checkLayoutDestroyed(this)
+
+    if (this._unwatchFile) {
+      this._unwatchFile()
+      this._unwatchFile = undefined
+    }
+
+    for (const key of this._keys.values()) {
+      if (!key.destroyed) {
+        key.destroy()
+      }
+    }
+
+    for (const page of this._pages.values()) {
+      if (!page.destroyed) {
+        page.destroy()
+      }
+    }
+
+    this._keys.clear()
+    this._pages.clear()
+
+    this._destroyed = true
+
+    this.emit('destroy')
+  }
+}
+
+function checkLayoutDestroyed(_this) {
+  if (_this._destroyed) {
+    throw new Error(`Layout has been destroyed!`)
+  }
+}
+
+function checkLayoutConfig(_this, config) {
+  const streamDeck = _this.STREAMDECK
+
+  // Checked first since a layout for another panel size fails on its key positions otherwise
+  for (const [name, count] of [
+    ['rows', streamDeck.PANEL_ROW_COUNT],
+    ['columns', streamDeck.PANEL_COLUMN_COUNT],
+  ]) {
+    if (config?.[name] !== undefined && config[name] !== count) {
+      throw new Error(
+        `Expected layout.${name} to be ${count}, use adaptLayout to fit the layout to the StreamDeck`
+      )
+    }
+  }
+
+  checkValid(config, {
+    name: 'layout',
+    type: 'object',
+    checkProps: [
+      {
+        name: 'brightness',
+        type: 'number',
+        min: 0,
+        max: 1,
+        allowUndefined: true,
+      },
+      { name: 'rows', type: 'integer', allowUndefined: true },
+      { name: 'columns', type: 'integer', allowUndefined: true },
+      { name: 'defaultPage', type: 'string', allowUndefined: true },
+      { name: 'focusedPage', type: 'string', allowUndefined: true },
+      {
+        name: 'pages',
+        type: 'array',
+        minLength: 1,
+        checkAllValues: {
+          type: 'object',
+          checkProps: [
+            { name: 'id', type: 'string', allowUndefined: true },
+            { name: 'backgroundImage', type: 'source', allowUndefined: true },
+            {
+              name: 'lcdBackgroundImage',
+              type: 'source',
+              allowUndefined: true,
+            },
+            {
+              name: 'brightness',
+              type: 'number',
+              min: 0,
+              max: 1,
+              allowUndefined: true,
+            },
+            { name: 'holdTime', type: 'integer', min: 0, allowUndefined: true },
+            {
+              name: 'doubleClickTime',
+              type: 'integer',
+              min: 0,
+              allowUndefined: true,
+            },
+            { name: 'delayClick', type: 'boolean', allowUndefined: true },
+            {
+              name: 'repeatDelay',
+              type: 'integer',
+              min: 0,
+              allowUndefined: true,
+            },
+            {
+              name: 'repeatInterval',
+              type: 'integer',
+              min: 0,
+              allowUndefined: true,
+            },
+            { name: 'idleTime', type: 'integer', min: 0, allowUndefined: true },
+            {
+              name: 'keys',
+              type: 'array',
+              allowUndefined: true,
+              checkAllValues: {
+                type: 'object',
+                checkProps: [
+                  { name: 'id', type: 'string', allowUndefined: true },
+                  {
+                    name: 'index',
+                    type: 'integer',
+                    min: 0,
+                    max: streamDeck.KEY_COUNT - 1,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'row',
+                    type: 'integer',
+                    min: 1,
+                    max: streamDeck.PANEL_ROW_COUNT,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'column',
+                    type: 'integer',
+                    min: 1,
+                    max: streamDeck.PANEL_COLUMN_COUNT,
+                    allowUndefined: true,
+                  },
+                  { name: 'priority', type: 'number', allowUndefined: true },
+                  { name: 'image', type: 'source', allowUndefined: true },
+                  {
+                    name: 'backgroundImage',
+                    type: 'source',
+                    allowUndefined: true,
+                  },
+                  ...TITLE_PROPS,
+                  {
+                    name: 'holdTime',
+                    type: 'integer',
+                    min: 0,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'doubleClickTime',
+                    type: 'integer',
+                    min: 0,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'delayClick',
+                    type: 'boolean',
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'repeatDelay',
+                    type: 'integer',
+                    min: 0,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'repeatInterval',
+                    type: 'integer',
+                    min: 0,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'pressTime',
+                    type: 'integer',
+                    min: 0,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'pressScale',
+                    type: 'number',
+                    min: 0,
+                    max: 2,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'idleTime',
+                    type: 'integer',
+                    min: 0,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'states',
+                    type: 'array',
+                    minLength: 1,
+                    allowUndefined: true,
+                    checkAllValues: {
+                      type: 'object',
+                      checkProps: [
+                        { name: 'image', type: 'source', allowUndefined: true },
+                        {
+                          name: 'backgroundImage',
+                          type: 'source',
+                          allowUndefined: true,
+                        },
+                        ...TITLE_PROPS,
+                      ],
+                    },
+                  },
+                  {
+                    name: 'state',
+                    type: 'integer',
+                    min: 0,
+                    allowUndefined: true,
+                  },
+                  {
+                    name: 'advanceStateOnClick',
+                    type: 'boolean',
+                    allowUndefined: true,
+                  },
+                  { name: 'actions', type: 'object', allowUndefined: true },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    ],
+  })
+
+  const pageIds = new Set()
+  const keyIds = new Set()
+  const pageConfigs = []
+
+  for (const [i, pageConfig] of config.pages.entries()) {
+    const pagePath = `layout.pages[${i}]`
+
+    const {
+      id: pageId = String(i),
+      keys: keyConfigs = [],
+      ...pageOptions
+    } = pageConfig
+
+    if (pageIds.has(pageId)) {
+      throw new Error(`Expected ${pagePath}.id to be unique`)
+    }
+
+    pageIds.add(pageId)
+
+    checkLayoutSource(
+      _this,
+      pageOptions.backgroundImage,
+      `${pagePath}.backgroundImage`
+    )
+    checkLayoutSource(
+      _this,
+      pageOptions.lcdBackgroundImage,
+      `${pagePath}.lcdBackgroundImage`
+    )
+
+    pageOptions.backgroundImage = resolveLayoutSource(
+      _this,
+      pageOptions.backgroundImage
+    )
+    pageOptions.lcdBackgroundImage = resolveLayoutSource(
+      _this,
+      pageOptions.lcdBackgroundImage
+    )
+
+    const keyIndexes = new Set()
+    const keys = []
+
+    for (const [j, keyConfig] of keyConfigs.entries()) {
+      const keyPath = `${pagePath}.keys[${j}]`
+
+      const {
+        id: keyId = `${pageId}:${j}`,
+        index,
+        row,
+        column,
+        priority,
+        action,
+        actions,
+        ...keyOptions
+      } = keyConfig
+
+      if (keyIds.has(keyId)) {
+        throw new Error(`Expected ${keyPath}.id to be unique`)
+      }
+
+      keyIds.add(keyId)
+
+      const slotIndex =
+        row !== undefined && column !== undefined
+          ? (row - 1) * streamDeck.PANEL_COLUMN_COUNT + column - 1
+          : index
+
+      if (slotIndex !== undefined) {
+        if (keyIndexes.has(slotIndex)) {
+          throw new Error(`Expected ${keyPath} key slot to be unique`)
+        }
+
+        keyIndexes.add(slotIndex)
+      }
+
+      checkLayoutSource(_this, keyOptions.image, `${keyPath}.image`)
+      checkLayoutSource(
+        _this,
+        keyOptions.backgroundImage,
+        `${keyPath}.backgroundImage`
+      )
+
+      for (const [k, state] of (keyOptions.states ?? []).entries()) {
+        checkLayoutSource(_this, state.image, `${keyPath}.states[${k}].image`)
+        checkLayoutSource(
+          _this,
+          state.backgroundImage,
+          `${keyPath}.states[${k}].backgroundImage`
+        )
+      }
+
+      const keyActions = {}
+
+      for (const [event, eventAction] of Object.entries(actions ?? {})) {
+        if (!KEY_EVENTS.includes(event)) {
+          throw new TypeError(
+            `Expected ${keyPath}.actions.${event} to be one of: ${KEY_EVENTS.join(
+              ', '
+            )}`
+          )
+        }
+
+        checkLayoutAction(_this, eventAction, `${keyPath}.actions.${event}`)
+
+        keyActions[event] = { path: `${keyPath}.actions.${event}`, eventAction }
+      }
+
+      if (action !== undefined) {
+        checkLayoutAction(_this, action, `${keyPath}.action`)
+
+        keyActions.click = { path: `${keyPath}.action`, eventAction: action }
+      }
+
+      keyOptions.image = resolveLayoutSource(_this, keyOptions.image)
+      keyOptions.backgroundImage = resolveLayoutSource(
+        _this,
+        keyOptions.backgroundImage
+      )
+      keyOptions.states = keyOptions.states?.map((state) => ({
+        ...state,
+        image: resolveLayoutSource(_this, state.image),
+        backgroundImage: resolveLayoutSource(_this, state.backgroundImage),
+      }))
+
+      keys.push({
+        id: keyId,
+        path: keyPath,
+        index: slotIndex,
+        options: keyOptions,
+        actions: keyActions,
+      })
+    }
+
+    // Keys without a key slot fill the free key slots in order
+    for (const key of keys) {
+      if (key.index !== undefined) {
+        continue
+      }
+
+      for (let i = 0; i < streamDeck.KEY_COUNT; i++) {
+        if (!keyIndexes.has(i)) {
+          key.index = i
+
+          break
+        }
+      }
+
+      if (key.index === undefined) {
+        throw new Error(`Expected ${key.path} to fit in a free key slot`)
+      }
+
+      keyIndexes.add(key.index)
+    }
+
+    pageConfigs.push({ id: pageId, options: pageOptions, keys })
+  }
+
+  for (const { keys } of pageConfigs) {
+    for (const key of keys) {
+      for (const { path: actionPath, eventAction } of Object.values(
+        key.actions
+      )) {
+        const name = eventAction.name ?? eventAction
+
+        if (PAGE_ACTIONS.includes(name)) {
+          checkValid(eventAction.params, {
+            name: `${actionPath}.params`,
+            type: 'string',
+            validValues: [...pageIds],
+          })
+        } else if (name === 'setBrightness') {
+          checkValid(eventAction.params, {
+            name: `${actionPath}.params`,
+            type: 'number',
+            min: 0,
+            max: 1,
+          })
+        }
+      }
+
+      key.actions = Object.fromEntries(
+        Object.entries(key.actions).map(([event, { eventAction }]) => [
+          event,
+          eventAction,
+        ])
+      )
+
+      // Used to tell whether an existing Key can be kept when the Layout is updated
+      key.signature = JSON.stringify([key.options, key.actions])
+    }
+  }
+
+  for (const name of ['defaultPage', 'focusedPage']) {
+    checkValid(config[name], {
+      name: `layout.${name}`,
+      type: 'string',
+      validValues: [...pageIds],
+      allowUndefined: true,
+    })
+  }
+
+  for (const page of pageConfigs) {
+    page.signature = JSON.stringify(page.options)
+  }
+
+  return pageConfigs
+}
+
+function checkLayoutSource(_this, source, name) {
+  if (Array.isArray(source)) {
+    for (const [i, arrSource] of source.entries()) {
+      checkLayoutSource(_this, arrSource, `${name}[${i}]`)
+    }
+
+    return
+  }
+
+  if (typeof source?.source === 'string') {
+    checkLayoutSource(_this, source.source, `${name}.source`)
+
+    return
+  }
+
+  if (
+    typeof source === 'string' &&
+    !fs.existsSync(path.resolve(_this.BASE_PATH, source))
+  ) {
+    throw new Error(`Expected ${name} to be an existing file`)
+  }
+}
+
+function checkLayoutAction(_this, action, name) {
+  if (typeof action !== 'string') {
+    checkValid(action, {
+      name,
+      type: 'object',
+      checkProps: [{ name: 'name', type: 'string' }],
+    })
+  }
+
+  checkValid(action.name ?? action, {
+    name: typeof action === 'string' ? name : `${name}.name`,
+    type: 'string',
+    validValues: Object.keys(_this._actions),
+  })
+}
+
+function resolveLayoutSource(_this, source) {
+  if (Array.isArray(source)) {
+    return source.map((arrSource) => resolveLayoutSource(_this, arrSource))
+  }
+
+  if (typeof source === 'string') {
+    return path.resolve(_this.BASE_PATH, source)
+  }
+
+  if (typeof source?.source === 'string') {
+    return { ...source, source: path.resolve(_this.BASE_PATH, source.source) }
+  }
+
+  return source
+}
+
+function applyLayoutConfig(_this, config) {
+  const streamDeck = _this.STREAMDECK
+  const previousConfig = _this._config
+
+  const pageConfigs = checkLayoutConfig(_this, config)
+
+  const pages = new Map()
+  const keys = new Map()
+  const createdPages = []
+  const createdKeys = []
+
+  try {
+    for (const pageConfig of pageConfigs) {
+      for (const keyConfig of pageConfig.keys) {
+        let key = _this._keys.get(keyConfig.id)
+
+        if (
+          !key ||
+          _this._keySignatures.get(keyConfig.id) !== keyConfig.signature
+        ) {
+          key = createLayoutKey(_this, keyConfig)
+
+          createdKeys.push(key)
+        }
+
+        keys.set(keyConfig.id, key)
+      }
+
+      let page = _this._pages.get(pageConfig.id)
+
+      if (
+        !page ||
+        _this._pageSignatures.get(pageConfig.id) !== pageConfig.signature
+      ) {
+        page = streamDeck.createPage(pageConfig.options)
+
+        createdPages.push(page)
+      }
+
+      pages.set(pageConfig.id, page)
+    }
+  } catch (err) {
+    for (const key of createdKeys) {
+      key.destroy()
+    }
+
+    for (const page of createdPages) {
+      page.destroy()
+    }
+
+    throw err
+  }
+
+  const previousKeys = new Set(_this._keys.values())
+
+  for (const pageConfig of pageConfigs) {
+    const page = pages.get(pageConfig.id)
+
+    const slots = new Map(
+      pageConfig.keys.map((keyConfig) => [
+        keyConfig.index,
+        keys.get(keyConfig.id),
+      ])
+    )
+
+    for (const [index, key] of page.keys) {
+      if (previousKeys.has(key) && slots.get(index) !== key) {
+        page.detachKey(index, key)
+      }
+    }
+
+    for (const [index, key] of slots) {
+      if (page.keys.get(index) !== key) {
+        page.attachKey(index, key)
+      }
+    }
+  }
+
+  if (
+    config.brightness !== undefined &&
+    config.brightness !== previousConfig?.brightness
+  ) {
+    streamDeck.setBrightness(config.brightness)
+  }
+
+  const defaultPage = pages.get(config.defaultPage ?? pageConfigs[0].id)
+
+  if (streamDeck.defaultPage !== defaultPage) {
+    streamDeck.setDefaultPage(defaultPage)
+  }
+
+  let focusedPage = streamDeck.focusedPage
+
+  const focusedPageId = [..._this._pages].find(
+    ([, page]) => page === focusedPage
+  )?.[0]
+
+  if (!previousConfig || config.focusedPage !== previousConfig.focusedPage) {
+    focusedPage = pages.get(config.focusedPage) ?? defaultPage
+  } else if (focusedPageId !== undefined) {
+    focusedPage = pages.get(focusedPageId) ?? defaultPage
+  }
+
+  // A locked StreamDeck keeps its LockScreen focused, the Pages shown before it was locked
+  // are restored on unlock
+  if (streamDeck.focusedPage !== focusedPage && !streamDeck.locked) {
+    streamDeck.setFocusedPage(focusedPage)
+  }
+
+  for (const [keyId, key] of _this._keys) {
+    if (keys.get(keyId) !== key && !key.destroyed) {
+      key.destroy()
+    }
+  }
+
+  for (const [pageId, page] of _this._pages) {
+    if (pages.get(pageId) !== page && !page.destroyed) {
+      page.destroy()
+    }
+  }
+
+  _this._pages = pages
+  _this._keys = keys
+  _this._pageSignatures = new Map(
+    pageConfigs.map(({ id, signature }) => [id, signature])
+  )
+  _this._keySignatures = new Map(
+    pageConfigs.flatMap(({ keys }) =>
+      keys.map(({ id, signature }) => [id, signature])
+    )
+  )
+  _this._config = config
+}
+
+function createLayoutKey(_this, keyConfig) {
+  const key = _this.STREAMDECK.createKey(keyConfig.options)
+
+  for (const [event, action] of Object.entries(keyConfig.actions)) {
+    if (event === 'stateChange') {
+      key.on(event, (state) =>
+        runLayoutAction(_this, action, { key, state, event })
+      )
+    } else if (event === 'tap' || event === 'repeat') {
+      key.on(event, (index, page, key, count) =>
+        runLayoutAction(_this, action, { page, key, index, count, event })
+      )
+    } else {
+      key.on(event, (index, page) =>
+        runLayoutAction(_this, action, { page, key, index, event })
+      )
+    }
+  }
+
+  return key
+}
+
+function runLayoutAction(_this, action, context) {
+  if (_this._destroyed) {
+    return
+  }
+
+  const { name, params } =
+    typeof action === 'string' ? { name: action } : action
+
+  context = {
+    layout: _this,
+    streamDeck: _this.STREAMDECK,
+    ...context,
+  }
+
+  _this.emit('action', name, params, context)
+
+  emitCaughtAsyncError(_this, async () => _this._actions[name](params, context))
+}
+
+module.exports = Layout
@@ -0,0 +1,830 @@
+'use strict'
+
+const EventEmitter = require('eventemitter3')
+const sharp = require('sharp')
+const queue = require('queue')
+
+const Image = require('./image')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+  listenToEvents,
+  emitCaughtAsyncError,
+  getCustomProperties,
+} = require('./utils')
+
+/**
+ * An instance of {@link LcdSegment} represents a virtual segment of the LCD touch strip on a
+ * {@link Page} created via {@link StreamDeck#createLcdSegment}. Each segment of the LCD touch
+ * strip sits above the encoder with the same index.
+ *
+ * @class LcdSegment
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { openStreamDeck } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openStreamDeck('plus');
+ *
+ *   const lcdSegment = streamDeck.createLcdSegment();
+ * })();
+ */
+class LcdSegment extends EventEmitter {
+  constructor(streamDeck, graphicsQueue, options = {}) {
+    super()
+
+    checkValid(streamDeck, {
+      name: 'streamDeck',
+      type: 'class',
+      class: 'StreamDeck',
+    })
+
+    checkValid(graphicsQueue, {
+      name: 'graphicsQueue',
+      type: 'class',
+      class: queue,
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+    })
+
+    definePrivateProperties(this, options, [
+      { name: 'graphicsQueue', value: graphicsQueue },
+      { name: 'boundDraw', value: this.draw.bind(this) },
+      { name: 'idleTimeoutId' },
+      { name: 'backgroundFrame' },
+      { name: 'frame' },
+    ])
+
+    definePublicProperties(this, options, [
+      /**
+       * The {@link StreamDeck} that created the {@link LcdSegment}.
+       *
+       * @member {StreamDeck} STREAMDECK
+       * @memberof LcdSegment
+       * @instance
+       * @constant
+       */
+      { name: 'STREAMDECK', value: streamDeck },
+      /**
+       * The {@link external:@elgato-stream-deck/node} instance managed by the {@link StreamDeck} that created
+       * the {@link LcdSegment}.
+       *
+       * @member {external:@elgato-stream-deck/node} STREAMDECK_NODE
+       * @memberof LcdSegment
+       * @instance
+       * @constant
+       */
+      {
+        name: 'STREAMDECK_NODE',
+        value: streamDeck.STREAMDECK_NODE,
+        get: () => this.STREAMDECK.STREAMDECK_NODE,
+      },
+      /**
+       * The number of segments on the Stream Deck's LCD touch strip.
+       *
+       * @member {number} LCD_SEGMENT_COUNT
+       * @memberof LcdSegment
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_SEGMENT_COUNT', value: streamDeck.LCD_SEGMENT_COUNT },
+      /**
+       * The width of each segment on the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_SEGMENT_WIDTH
+       * @memberof LcdSegment
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_SEGMENT_WIDTH', value: streamDeck.LCD_SEGMENT_WIDTH },
+      /**
+       * The height of each segment on the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_SEGMENT_HEIGHT
+       * @memberof LcdSegment
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_SEGMENT_HEIGHT', value: streamDeck.LCD_SEGMENT_HEIGHT },
+      /**
+       * The number of milliseconds of inactivity before the {@link LcdSegment#event:idle} is
+       * triggered. A value of `0` means the {@link LcdSegment#event:idle} is disabled.
+       *
+       * @member {number} IDLE_TIME
+       * @memberof LcdSegment
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'IDLE_TIME',
+        value: streamDeck.IDLE_TIME,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The background image of the {@link LcdSegment}.
+       *
+       * @member {Image|undefined} backgroundImage
+       * @memberof LcdSegment
+       * @instance
+       * @readonly
+       */
+      { name: 'backgroundImage', type: 'source', allowUndefined: true },
+      /**
+       * The image of the {@link LcdSegment}.
+       *
+       * @member {Image|undefined} image
+       * @memberof LcdSegment
+       * @instance
+       * @readonly
+       */
+      { name: 'image', type: 'source', allowUndefined: true },
+      /**
+       * Whether or not the {@link LcdSegment} has been destroyed.
+       *
+       * @member {boolean} destroyed
+       * @memberof LcdSegment
+       * @instance
+       * @readonly
+       */
+      { name: 'destroyed', value: false },
+    ])
+
+    this.on('activity', () => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._idleTimeoutId) {
+        clearTimeout(this._idleTimeoutId)
+        this._idleTimeoutId = undefined
+      }
+
+      if (this.IDLE_TIME <= 0) {
+        return
+      }
+
+      this._idleTimeoutId = setTimeout(() => {
+        this._idleTimeoutId = undefined
+
+        this.emit('idle')
+      }, this.IDLE_TIME)
+    })
+
+    listenToEvents(this, options, [
+      /**
+       * Focus event fired when any {@link Page} that the {@link LcdSegment} is attached to
+       * gains focus.
+       *
+       * @event LcdSegment#event:focus
+       * @memberof LcdSegment
+       *
+       * @param {Page} focusPage
+       * The {@link Page} that gained focus.
+       *
+       * @param {Page} [blurPage]
+       * The {@link Page} that lost focus.
+       */
+      'focus',
+      /**
+       * Blur event fired when any {@link Page} that the {@link LcdSegment} is attached to
+       * loses focus.
+       *
+       * @event LcdSegment#event:blur
+       * @memberof LcdSegment
+       *
+       * @param {Page} [focusPage]
+       * The {@link Page} that gained focus.
+       *
+       * @param {Page} blurPage
+       * The {@link Page} that lost focus.
+       */
+      'blur',
+      /**
+       * Attach event fired when the {@link LcdSegment} is attached to a {@link Page}.
+       *
+       * @event LcdSegment#event:attach
+       * @memberof LcdSegment
+       *
+       * @param {number} index
+       * The LCD segment slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link LcdSegment} was attached to.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment}.
+       */
+      'attach',
+      /**
+       * Detach event fired when the {@link LcdSegment} is detached from a {@link Page}.
+       *
+       * @event LcdSegment#event:detach
+       * @memberof LcdSegment
+       *
+       * @param {number} index
+       * The LCD segment slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link LcdSegment} was detached from.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment}.
+       */
+      'detach',
+      /**
+       * Tap event fired when the LCD touch strip is briefly touched over the segment and a
+       * {@link Page} that the {@link LcdSegment} is attached to has focus.
+       *
+       * @event LcdSegment#event:tap
+       * @memberof LcdSegment
+       *
+       * @param {number} index
+       * The LCD segment slot index that was tapped.
+       *
+       * @param {Object} position
+       * The coordinates of the tap in pixels, relative to the whole LCD touch strip.
+       *
+       * @param {number} position.x
+       * The x coordinate.
+       *
+       * @param {number} position.y
+       * The y coordinate.
+       *
+       * @param {Page} page
+       * The {@link Page} that currently has focus.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment}.
+       */
+      'tap',
+      /**
+       * Long press event fired when the LCD touch strip is touched and held over the segment
+       * and a {@link Page} that the {@link LcdSegment} is attached to has focus.
+       *
+       * @event LcdSegment#event:longPress
+       * @memberof LcdSegment
+       *
+       * @param {number} index
+       * The LCD segment slot index that was pressed.
+       *
+       * @param {Object} position
+       * The coordinates of the press in pixels, relative to the whole LCD touch strip.
+       *
+       * @param {number} position.x
+       * The x coordinate.
+       *
+       * @param {number} position.y
+       * The y coordinate.
+       *
+       * @param {Page} page
+       * The {@link Page} that currently has focus.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment}.
+       */
+      'longPress',
+      /**
+       * Swipe event fired when a swipe across the LCD touch strip starts over the segment
+       * and a {@link Page} that the {@link LcdSegment} is attached to has focus.
+       *
+       * @event LcdSegment#event:swipe
+       * @memberof LcdSegment
+       *
+       * @param {number} fromIndex
+       * The LCD segment slot index where the swipe started.
+       *
+       * @param {number} toIndex
+       * The LCD segment slot index where the swipe ended.
+       *
+       * @param {Object} fromPosition
+       * The coordinates where the swipe started in pixels, relative to the whole LCD touch
+       * strip.
+       *
+       * @param {Object} toPosition
+       * The coordinates where the swipe ended in pixels, relative to the whole LCD touch
+       * strip.
+       *
+       * @param {Page} page
+       * The {@link Page} that currently has focus.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment}.
+       */
+      'swipe',
+      /**
+       * Activity event fired after a user interacts with the Stream Deck device's LCD touch
+       * strip while a {@link Page} that the {@link LcdSegment} is attached to has or gains
+       * focus.
+       *
+       * @event LcdSegment#event:activity
+       * @memberof LcdSegment
+       *
+       * @param {string} event
+       * The name of the event that was recognized as user interaction.
+       *
+       * @param {number} [index]
+       * The relevant LCD segment slot index if the event was an LCD touch strip related event.
+       *
+       * @param {Page} page
+       * The relevant {@link Page}.
+       *
+       * @param {LcdSegment} [lcdSegment]
+       * The relevant {@link LcdSegment} if the event was an LCD touch strip related event.
+       */
+      'activity',
+      /**
+       * Idle event fired after `{@link LcdSegment#IDLE_TIME}` milliseconds of inactivity. If
+       * `{@link LcdSegment#IDLE_TIME}` is `0` this event is disabled.
+       *
+       * @event LcdSegment#event:idle
+       * @memberof LcdSegment
+       */
+      'idle',
+      /**
+       * Error event fired when an error occurs.
+       *
+       * @event LcdSegment#event:error
+       * @memberof LcdSegment
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Create event fired when the {@link LcdSegment} is created.
+       *
+       * @event LcdSegment#event:create
+       * @memberof LcdSegment
+       */
+      'create',
+      /**
+       * Destroy event fired when the {@link LcdSegment} is destroyed.
+       *
+       * @event LcdSegment#event:destroy
+       * @memberof LcdSegment
+       */
+      'destroy',
+    ])
+
+    this.setBackgroundImage(this._backgroundImage)
+    this.setImage(this._image)
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link LcdSegment#LCD_SEGMENT_WIDTH}` and a
+   * height of `{@link LcdSegment#LCD_SEGMENT_HEIGHT}`.
+   *
+   * @function createBackgroundImage
+   * @memberof LcdSegment
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createBackgroundImage(source) {
+    checkLcdSegmentDestroyed(this)
+
+    return new Image({
+      source,
+      width: this.LCD_SEGMENT_WIDTH,
+      height: this.LCD_SEGMENT_HEIGHT,
+      watch: this.STREAMDECK.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Set the background image of the {@link LcdSegment}. If no image argument is passed this is
+   * the same as calling {@link LcdSegment#clearBackgroundImage}.
+   *
+   * @function setBackgroundImage
+   * @memberof LcdSegment
+   * @instance
+   *
+   * @param {Image|Image.Source} [image]
+   * The new background {@link Image}.
+   */
+  setBackgroundImage(image) {
+    checkLcdSegmentDestroyed(this)
+
+    if (!image) {
+      this.clearBackgroundImage()
+
+      return
+    }
+
+    try {
+      checkValid(image, {
+        name: 'image',
+        type: 'class',
+        class: 'Image',
+      })
+
+      checkValid(image, {
+        name: 'image',
+        type: 'dimensions',
+        width: this.LCD_SEGMENT_WIDTH,
+        height: this.LCD_SEGMENT_HEIGHT,
+        checkConstantKeys: true,
+      })
+    } catch (err) {
+      image = this.createBackgroundImage(image)
+    }
+
+    if (this._image === image) {
+      this._image.off('frameUpdated', this._boundDraw)
+    }
+
+    if (this._backgroundImage instanceof Image) {
+      this._backgroundImage.off('frameUpdated', this._boundDraw)
+    }
+
+    this._backgroundImage = image
+
+    this._backgroundImage.on('frameUpdated', this._boundDraw)
+
+    this.draw()
+  }
+
+  /**
+   * Clear the background image of the {@link LcdSegment}.
+   *
+   * @function clearBackgroundImage
+   * @memberof LcdSegment
+   * @instance
+   */
+  clearBackgroundImage() {
+    checkLcdSegmentDestroyed(this)
+
+    if (!this._backgroundImage) {
+      this._backgroundImage = undefined
+
+      return
+    }
+
+    if (this._backgroundImage !== this._image) {
+      this._backgroundImage.off('frameUpdated', this._boundDraw)
+    }
+
+    this._backgroundImage = undefined
+    this._backgroundFrame = undefined
+
+    this.draw()
+  }
+
+  /**
+   * Get the current frame of the background image for the {@link LcdSegment}. If no background
+   * image is set or if the background image frame has not yet loaded returns `null`.
+   *
+   * @function getBackgroundFrame
+   * @memberof LcdSegment
+   * @instance
+   *
+   * @returns {Image.FrameData|null}
+   */
+  getBackgroundFrame() {
+    checkLcdSegmentDestroyed(this)
+
+    if (!this._backgroundImage) {
+      return null
+    }
+
+    let backgroundFrame = this._backgroundImage.getFrame()
+
+    if (backgroundFrame) {
+      this._backgroundFrame = backgroundFrame
+    }
+
+    return this._backgroundFrame ?? null
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link LcdSegment#LCD_SEGMENT_WIDTH}` and a
+   * height of `{@link LcdSegment#LCD_SEGMENT_HEIGHT}`.
+   *
+   * @function createImage
+   * @memberof LcdSegment
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createImage(source) {
+    checkLcdSegmentDestroyed(this)
+
+    return new Image({
+      source,
+      width: this.LCD_SEGMENT_WIDTH,
+      height: this.LCD_SEGMENT_HEIGHT,
+      watch: this.STREAMDECK.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Set the image of the {@link LcdSegment}. If no image argument is passed this is the same as
+   * calling {@link LcdSegment#clearImage}.
+   *
+   * @function setImage
+   * @memberof LcdSegment
+   * @instance
+   *
+   * @param {Image|Image.Source} [image]
+   * The new {@link Image}.
+   */
+  setImage(image) {
+    checkLcdSegmentDestroyed(this)
+
+    if (!image) {
+      this.clearImage()
+
+      return
+    }
+
+    try {
+      checkValid(image, {
+        name: 'image',
+        type: 'class',
+        class: 'Image',
+      })
+
+      checkValid(image, {
+        name: 'image',
+        type: 'dimensions',
+        width: this.LCD_SEGMENT_WIDTH,
+        height: this.LCD_SEGMENT_HEIGHT,
+        checkConstantKeys: true,
+      })
+    } catch (err) {
+      image = this.createImage(image)
+    }
+
+    if (this._backgroundImage === image) {
+      this._backgroundImage.off('frameUpdated', this._boundDraw)
+    }
+
+    if (this._image instanceof Image) {
+      this._image.off('frameUpdated', this._boundDraw)
+    }
+
+    this._image = image
+
+    this._image.on('frameUpdated', this._boundDraw)
+
+    this.draw()
+  }
+
+  /**
+   * Clear the image of the {@link LcdSegment}.
+   *
+   * @function clearImage
+   * @memberof LcdSegment
+   * @instance
+   */
+  clearImage() {
+    checkLcdSegmentDestroyed(this)
+
+    if (!this._image) {
+      this._image = undefined
+
+      return
+    }
+
+    if (this._image !== this._backgroundImage) {
+      this._image.off('frameUpdated', this._boundDraw)
+    }
+
+    this._image = undefined
+    this._frame = undefined
+
+    this.draw()
+  }
+
+  /**
+   * Get the current frame of the image for the {@link LcdSegment}. If no image is set or if the
+   * image frame has not yet loaded returns `null`.
+   *
+   * @function getFrame
+   * @memberof LcdSegment
+   * @instance
+   *
+   * @returns {Image.FrameData|null}
+   */
+  getFrame() {
+    checkLcdSegmentDestroyed(this)
+
+    if (!this._image) {
+      return null
+    }
+
+    let frame = this._image.getFrame()
+
+    if (frame) {
+      this._frame = frame
+    }
+
+    return this._frame ?? null
+  }
+
+  /**
+   * Draw the {@link LcdSegment} to the Stream Deck's LCD touch strip.
+   *
+   * @function draw
+   * @memberof LcdSegment
+   * @instance
+   */
+  draw() {
+    if (this._destroyed || this.STREAMDECK.disconnected) {
+      return
+    }
+
+    this._graphicsQueue.push(() =>
+      emitCaughtAsyncError(this, async () => {
+        const page = this.STREAMDECK.focusedPage
+
+        if (!page) {
+          return
+        }
+
+        let indexes = Array.from(page.lcdSegments.entries())
+          .filter(([index, lcdSegment]) => lcdSegment === this)
+          .map(([index]) => index)
+
+        if (!indexes.length) {
+          return
+        }
+
+        let pageLcdBackgroundFrame = page.getLcdBackgroundFrame()
+        let lcdSegmentBackgroundFrame = this.getBackgroundFrame()
+        let lcdSegmentFrame = this.getFrame()
+
+        await Promise.all(
+          indexes.map(async (index) => {
+            let backgroundFrame = lcdSegmentBackgroundFrame
+            let frame = lcdSegmentFrame
+            let base
+
+            if (pageLcdBackgroundFrame) {
+              base = pageLcdBackgroundFrame.split[index]
+            } else if (backgroundFrame) {
+              base = backgroundFrame.base
+              backgroundFrame = undefined
+            } else if (frame) {
+              base = frame.base
+              frame = undefined
+            }
+
+            if (!base) {
+              emitCaughtAsyncError(
+                this,
+                this.STREAMDECK_NODE.fillEncoderLcd(
+                  index,
+                  Buffer.alloc(
+                    this.LCD_SEGMENT_WIDTH * this.LCD_SEGMENT_HEIGHT * 3
+                  ),
+                  { format: 'rgb' }
+                )
+              )
+
+              return
+            }
+
+            let inputs = []
+
+            for (const inputFrame of [backgroundFrame, frame]) {
+              if (!inputFrame) {
+                continue
+              }
+
+              inputs.push({
+                input: inputFrame.base.withAlpha,
+                left: 0,
+                top: 0,
+                raw: {
+                  width: this.LCD_SEGMENT_WIDTH,
+                  height: this.LCD_SEGMENT_HEIGHT,
+                  channels: 4,
+                },
+              })
+            }
+
+            if (!inputs.length) {
+              emitCaughtAsyncError(
+                this,
+                this.STREAMDECK_NODE.fillEncoderLcd(index, base.withoutAlpha, {
+                  format: 'rgb',
+                })
+              )
+
+              return
+            }
+
+            emitCaughtAsyncError(
+              this,
+              this.STREAMDECK_NODE.fillEncoderLcd(
+                index,
+                await sharp(
+                  await sharp(base.withAlpha, {
+                    raw: {
+                      width: this.LCD_SEGMENT_WIDTH,
+                      height: this.LCD_SEGMENT_HEIGHT,
+                      channels: 4,
+                    },
+                  })
+                    .composite(inputs)
+                    .toBuffer(),
+                  {
+                    raw: {
+                      width: this.LCD_SEGMENT_WIDTH,
+                      height: this.LCD_SEGMENT_HEIGHT,
+                      channels: 4,
+                    },
+                  }
+                )
+                  .flatten()
+                  .toBuffer(),
+                { format: 'rgb' }
+              )
+            )
+          })
+        )
+      })
+    )
+  }
+
+  /**
+   * Get the options needed to create the {@link LcdSegment} again via
+   * {@link StreamDeck#createLcdSegment}, including any custom properties. Event listeners are
+   * not included.
+   *
+   * @function toJSON
+   * @memberof LcdSegment
+   * @instance
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    checkLcdSegmentDestroyed(this)
+
+    return {
+      ...getCustomProperties(this, ['attachToPages']),
+      idleTime: this.IDLE_TIME,
+      backgroundImage: this._backgroundImage?.toJSON(),
+      image: this._image?.toJSON(),
+    }
+  }
+
+  /**
+   * Clean up all internal state data used by the {@link LcdSegment} in preparation for garbage
+   * collection and detach from all {@link Page|Pages}.
+   *
+   * @function destroy
+   * @memberof LcdSegment
+   * @instance
+   */
+  destroy() {
+    checkLcdSegmentDestroyed(this)
+
+    if (this._idleTimeoutId) {
+      clearTimeout(this._idleTimeoutId)
+      this._idleTimeoutId = undefined
+    }
+
+    for (const page of this.STREAMDECK.pages.values()) {
+      for (const [index, lcdSegment] of page.lcdSegments.entries()) {
+        if (lcdSegment !== this) {
+          continue
+        }
+
+        page.detachLcdSegment(index, this)
+      }
+    }
+
+    this.clearImage()
+    this.clearBackgroundImage()
+
+    this._destroyed = true
+
+    this.emit('destroy')
+  }
+}
+
+function checkLcdSegmentDestroyed(_this) {
+  if (_this._destroyed) {
+    throw new Error(`LcdSegment has been destroyed!`)
+  }
+}
+
+module.exports = LcdSegment
@@ -0,0 +1,378 @@
+'use strict'
+
+const EventEmitter = require('eventemitter3')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+  listenToEvents,
+} = require('./utils')
+
+/**
+ * An instance of {@link LockScreen} locks a {@link StreamDeck} behind a sequence of key presses
+ * on its {@link Page}, created via {@link StreamDeck#createLockScreen}. While locked the
+ * {@link Page} keeps focus and no other {@link Page} can be focused, and input only reaches the
+ * {@link Page} and its {@link Key|Keys}, not the {@link StreamDeck|StreamDeck's} own input
+ * events, chords, or swipes. Once the sequence is entered the {@link StreamDeck} returns to the
+ * {@link Page|Pages} it showed before it was locked.
+ *
+ * @class LockScreen
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { openStreamDeck } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openStreamDeck({ idleTime: 60000 });
+ *
+ *   const lockScreen = streamDeck.createLockScreen({
+ *     sequence: [3, 7, 7, 1],
+ *     autoLock: true,
+ *     locked: true,
+ *   });
+ *
+ *   lockScreen.on('failedAttempt', (attempts) => console.log(`${attempts} failed attempts`));
+ * })();
+ */
+class LockScreen extends EventEmitter {
+  constructor(streamDeck, page, navigate, options = {}) {
+    super()
+
+    checkValid(streamDeck, {
+      name: 'streamDeck',
+      type: 'class',
+      class: 'StreamDeck',
+    })
+
+    checkValid(page, {
+      name: 'page',
+      type: 'class',
+      class: 'Page',
+      streamDeck,
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+    })
+
+    definePrivateProperties(this, options, [
+      { name: 'navigate', value: navigate },
+      { name: 'input', value: [] },
+      {
+        name: 'pageDownListener',
+        value: (index) => handleLockScreenDown(this, index),
+      },
+      { name: 'pageDestroyListener', value: () => this.destroy() },
+      {
+        name: 'idleListener',
+        value: () => {
+          // Another LockScreen may already have locked the StreamDeck
+          if (this.AUTO_LOCK && !streamDeck.locked) {
+            this.lock()
+          }
+        },
+      },
+    ])
+
+    definePublicProperties(this, options, [
+      /**
+       * The {@link StreamDeck} that created the {@link LockScreen}.
+       *
+       * @member {StreamDeck} STREAMDECK
+       * @memberof LockScreen
+       * @instance
+       * @constant
+       */
+      { name: 'STREAMDECK', value: streamDeck },
+      /**
+       * The {@link Page} that has focus while the {@link LockScreen} is locked.
+       *
+       * @member {Page} PAGE
+       * @memberof LockScreen
+       * @instance
+       * @constant
+       */
+      { name: 'PAGE', value: page },
+      /**
+       * The key slot indexes of `{@link LockScreen#PAGE}` that have to be pressed, in order, to
+       * unlock the {@link LockScreen}.
+       *
+       * @member {Array<number>} SEQUENCE
+       * @memberof LockScreen
+       * @instance
+       * @constant
+       */
+      {
+        name: 'SEQUENCE',
+        type: 'array',
+        minLength: 1,
+        checkAllValues: { type: 'integer', min: 0, max: page.KEY_COUNT - 1 },
+        get: () => [...this._SEQUENCE],
+      },
+      /**
+       * The maximum number of milliseconds between two presses of an attempt. A slower press
+       * starts a new attempt. A value of `0` means there is no limit.
+       *
+       * @member {number} TIMEOUT
+       * @memberof LockScreen
+       * @instance
+       * @constant
+       */
+      {
+        name: 'TIMEOUT',
+        value: 5000,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * Whether or not the {@link LockScreen} locks itself on the {@link StreamDeck#event:idle}.
+       *
+       * @member {boolean} AUTO_LOCK
+       * @memberof LockScreen
+       * @instance
+       * @constant
+       */
+      {
+        name: 'AUTO_LOCK',
+        value: false,
+        type: 'boolean',
+        allowUndefined: true,
+      },
+      /**
+       * Whether or not the {@link LockScreen} is locked.
+       *
+       * @member {boolean} locked
+       * @memberof LockScreen
+       * @instance
+       * @readonly
+       */
+      { name: 'locked', value: false },
+      /**
+       * The {@link Page|Pages} the {@link StreamDeck} returns to once the {@link LockScreen} is
+       * unlocked, see `{@link StreamDeck#pageStack}`. Empty while it is not locked.
+       *
+       * @member {Array<Page>} pageStack
+       * @memberof LockScreen
+       * @instance
+       * @readonly
+       */
+      { name: 'pageStack', value: [], get: () => [...this._pageStack] },
+      /**
+       * The number of failed attempts since the {@link LockScreen} was locked.
+       *
+       * @member {number} attempts
+       * @memberof LockScreen
+       * @instance
+       * @readonly
+       */
+      { name: 'attempts', value: 0 },
+      /**
+       * Whether or not the {@link LockScreen} has been destroyed.
+       *
+       * @member {boolean} destroyed
+       * @memberof LockScreen
+       * @instance
+       * @readonly
+       */
+      { name: 'destroyed', value: false },
+    ])
+
+    this._SEQUENCE = [...this._SEQUENCE]
+
+    listenToEvents(this, options, [
+      /**
+       * Lock event fired when the {@link LockScreen} is locked, after
+       * `{@link LockScreen#PAGE}` has gained focus.
+       *
+       * @event LockScreen#event:lock
+       * @memberof LockScreen
+       *
+       * @param {LockScreen} lockScreen
+       * The {@link LockScreen}.
+       */
+      'lock',
+      /**
+       * Unlock event fired when the {@link LockScreen} is unlocked, after the
+       * {@link Page|Pages} shown before it was locked have been restored.
+       *
+       * @event LockScreen#event:unlock
+       * @memberof LockScreen
+       *
+       * @param {LockScreen} lockScreen
+       * The {@link LockScreen}.
+       */
+      'unlock',
+      /**
+       * Failed attempt event fired when as many key slots as `{@link LockScreen#SEQUENCE}` holds
+       * were pressed without matching it. The next press starts a new attempt.
+       *
+       * @event LockScreen#event:failedAttempt
+       * @memberof LockScreen
+       *
+       * @param {number} attempts
+       * The number of failed attempts since the {@link LockScreen} was locked.
+       *
+       * @param {LockScreen} lockScreen
+       * The {@link LockScreen}.
+       */
+      'failedAttempt',
+      /**
+       * Error event fired when an error occurs.
+       *
+       * @event LockScreen#event:error
+       * @memberof LockScreen
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Create event fired when the {@link LockScreen} is created.
+       *
+       * @event LockScreen#event:create
+       * @memberof LockScreen
+       */
+      'create',
+      /**
+       * Destroy event fired when the {@link LockScreen} is destroyed.
+       *
+       * @event LockScreen#event:destroy
+       * @memberof LockScreen
+       */
+      'destroy',
+    ])
+
+    page.on('down', this._pageDownListener)
+    page.on('destroy', this._pageDestroyListener)
+    streamDeck.on('idle', this._idleListener)
+  }
+
+  /**
+   * Lock the {@link LockScreen}, giving focus to `{@link LockScreen#PAGE}` until
+   * `{@link LockScreen#SEQUENCE}` is entered or {@link LockScreen#unlock} is called.
+   *
+   * @function lock
+   * @memberof LockScreen
+   * @instance
+   */
+  lock() {
+    checkLockScreenDestroyed(this)
+
+    if (this._locked) {
+      return
+    }
+
+    for (const lockScreen of this.STREAMDECK.lockScreens) {
+      if (lockScreen !== this && lockScreen.locked) {
+        throw new Error(
+          `The StreamDeck is already locked by another LockScreen`
+        )
+      }
+    }
+
+    this._locked = true
+    this._attempts = 0
+    this._input = []
+    this._pageStack = this.STREAMDECK.pageStack
+
+    this._navigate('lock', [this.PAGE])
+
+    this.emit('lock', this)
+  }
+
+  /**
+   * Unlock the {@link LockScreen} without entering `{@link LockScreen#SEQUENCE}`, giving focus
+   * back to the {@link Page|Pages} shown before it was locked.
+   *
+   * @function unlock
+   * @memberof LockScreen
+   * @instance
+   */
+  unlock() {
+    checkLockScreenDestroyed(this)
+
+    if (!this._locked) {
+      return
+    }
+
+    const pageStack = this._pageStack.filter((page) => !page.destroyed)
+
+    this._locked = false
+    this._input = []
+    this._pageStack = []
+
+    this._navigate('unlock', pageStack)
+
+    this.emit('unlock', this)
+  }
+
+  /**
+   * Destroy the {@link LockScreen}, unlocking it first if it is locked.
+   * `{@link LockScreen#PAGE}` is not destroyed.
+   *
+   * @function destroy
+   * @memberof LockScreen
+   * @instance
+   */
+  destroy() {
+    checkLockScreenDestroyed(this)
+
+    this.unlock()
+
+    this.PAGE.off('down', this._pageDownListener)
+    this.PAGE.off('destroy', this._pageDestroyListener)
+    this.STREAMDECK.off('idle', this._idleListener)
+
+    this._destroyed = true
+
+    this.emit('destroy')
+  }
+}
+
+function checkLockScreenDestroyed(_this) {
+  if (_this._destroyed) {
+    throw new Error(`LockScreen has been destroyed!`)
+  }
+}
+
+// Each attempt is exactly as long as the sequence and is checked as a whole, so presses are
+// never shared between attempts and every attempt is either an unlock or a failed attempt
+function handleLockScreenDown(_this, index) {
+  if (_this._destroyed || !_this._locked) {
+    return
+  }
+
+  const time = Date.now()
+  const lastPress = _this._input[_this._input.length - 1]
+
+  if (lastPress && _this.TIMEOUT > 0 && time - lastPress.time > _this.TIMEOUT) {
+    _this._input = []
+  }
+
+  _this._input.push({ index, time })
+
+  if (_this._input.length < _this._SEQUENCE.length) {
+    return
+  }
+
+  const input = _this._input
+
+  _this._input = []
+
+  if (input.every((press, i) => press.index === _this._SEQUENCE[i])) {
+    _this.unlock()
+
+    return
+  }
+
+  _this._attempts++
+
+  _this.emit('failedAttempt', _this._attempts, _this)
+}
+
+module.exports = LockScreen
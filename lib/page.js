@@ -6,14 +6,39 @@ const queue = require('queue')
 
 const Image = require('./image')
 
+const { EASINGS } = require('./transitions')
+
 const {
   checkValid,
   definePrivateProperties,
   definePublicProperties,
   listenToEvents,
   emitCaughtAsyncError,
+  checkSnapshotOptions,
+  createChord,
+  encodeSnapshot,
+  getCustomProperties,
 } = require('./utils')
 
+/**
+ * A series of key slots that triggers a `sequence` event when they are pressed one after
+ * another, created by {@link Page#addSequence}.
+ *
+ * @typedef {Object} Sequence
+ * @memberof Page
+ *
+ * @property {Array<number>} indexes
+ * The key slot indexes that have to be pressed, in order.
+ *
+ * @property {function} [handler]
+ * The function called with the same arguments as the {@link Page#event:sequence} when the
+ * {@link Page.Sequence} is entered.
+ *
+ * @property {number} timeout
+ * The maximum number of milliseconds between two presses of the {@link Page.Sequence}. A value
+ * of `0` means there is no limit.
+ */
+
 /**
  * An instance of {@link Page} represents a virtual page on a {@link StreamDeck|StreamDeck's} panel created via
  * {@link StreamDeck#createPage}.
@@ -32,7 +57,7 @@ const {
  * })();
  */
 class Page extends EventEmitter {
-  constructor(streamDeck, graphicsQueue, options = {}) {
+  constructor(streamDeck, graphicsQueue, setNodeBrightness, options = {}) {
     super()
 
     checkValid(streamDeck, {
@@ -47,6 +72,11 @@ class Page extends EventEmitter {
       class: queue,
     })
 
+    checkValid(setNodeBrightness, {
+      name: 'setNodeBrightness',
+      type: 'function',
+    })
+
     checkValid(options, {
       name: 'options',
       type: 'object',
@@ -55,12 +85,22 @@ class Page extends EventEmitter {
 
     definePrivateProperties(this, options, [
       { name: 'graphicsQueue', value: graphicsQueue },
+      { name: 'setNodeBrightness', value: setNodeBrightness },
       { name: 'holdTimeoutIds', value: new Map() },
       { name: 'idleTimeoutId' },
       { name: 'downIndexes', value: new Set() },
       { name: 'holdIndexes', value: new Set() },
-      { name: 'boundDraw', value: this.draw.bind(this) },
+      { name: 'tapTimeoutIds', value: new Map() },
+      { name: 'tapStates', value: new Map() },
+      { name: 'chordIndexes', value: new Set() },
+      { name: 'sequenceInput', value: [] },
+      { name: 'encoderHoldTimeoutIds', value: new Map() },
+      { name: 'downEncoderIndexes', value: new Set() },
+      { name: 'holdEncoderIndexes', value: new Set() },
+      { name: 'boundDrawPanel', value: this.drawPanel.bind(this) },
+      { name: 'boundDrawLcd', value: this.drawLcd.bind(this) },
       { name: 'backgroundFrame' },
+      { name: 'lcdBackgroundFrame' },
     ])
 
     definePublicProperties(this, options, [
@@ -82,7 +122,11 @@ class Page extends EventEmitter {
        * @instance
        * @constant
        */
-      { name: 'STREAMDECK_NODE', value: streamDeck.STREAMDECK_NODE },
+      {
+        name: 'STREAMDECK_NODE',
+        value: streamDeck.STREAMDECK_NODE,
+        get: () => this.STREAMDECK.STREAMDECK_NODE,
+      },
       /**
        * The number of keys on the Stream Deck.
        *
@@ -146,6 +190,60 @@ class Page extends EventEmitter {
        * @constant
        */
       { name: 'PANEL_HEIGHT', value: streamDeck.PANEL_HEIGHT },
+      /**
+       * The number of encoders on the Stream Deck.
+       *
+       * @member {number} ENCODER_COUNT
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      { name: 'ENCODER_COUNT', value: streamDeck.ENCODER_COUNT },
+      /**
+       * The width of the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_WIDTH
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_WIDTH', value: streamDeck.LCD_WIDTH },
+      /**
+       * The height of the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_HEIGHT
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_HEIGHT', value: streamDeck.LCD_HEIGHT },
+      /**
+       * The number of segments on the Stream Deck's LCD touch strip.
+       *
+       * @member {number} LCD_SEGMENT_COUNT
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_SEGMENT_COUNT', value: streamDeck.LCD_SEGMENT_COUNT },
+      /**
+       * The width of each segment on the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_SEGMENT_WIDTH
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_SEGMENT_WIDTH', value: streamDeck.LCD_SEGMENT_WIDTH },
+      /**
+       * The height of each segment on the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_SEGMENT_HEIGHT
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_SEGMENT_HEIGHT', value: streamDeck.LCD_SEGMENT_HEIGHT },
       /**
        * The number of milliseconds after the {@link Page#event:down} is triggered that the
        * {@link Page#event:hold} will be triggered. A value of `0` means the {@link Page#event:hold}
@@ -163,6 +261,74 @@ class Page extends EventEmitter {
         min: 0,
         allowUndefined: true,
       },
+      /**
+       * The number of milliseconds after the {@link Page#event:click} is triggered that another
+       * click on the same key slot counts towards the same {@link Page#event:tap|tap} sequence.
+       * A value of `0` means the {@link Page#event:doubleClick} is disabled. If undefined
+       * `{@link StreamDeck#DOUBLE_CLICK_TIME}` of the {@link StreamDeck} that created the
+       * {@link Page} is used.
+       *
+       * @member {number|undefined} DOUBLE_CLICK_TIME
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      {
+        name: 'DOUBLE_CLICK_TIME',
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * Whether or not the {@link Page#event:click} is delayed until the double click time has
+       * passed without another click, and only triggered if the key was clicked once. If
+       * undefined `{@link StreamDeck#DELAY_CLICK}` of the {@link StreamDeck} that created the
+       * {@link Page} is used.
+       *
+       * @member {boolean|undefined} DELAY_CLICK
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      {
+        name: 'DELAY_CLICK',
+        type: 'boolean',
+        allowUndefined: true,
+      },
+      /**
+       * The number of milliseconds a {@link Key} on the {@link Page} has to be held down before
+       * the first {@link Key#event:repeat} is triggered. If undefined
+       * `{@link StreamDeck#REPEAT_DELAY}` of the {@link StreamDeck} that created the
+       * {@link Page} is used.
+       *
+       * @member {number|undefined} REPEAT_DELAY
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      {
+        name: 'REPEAT_DELAY',
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The number of milliseconds between each {@link Key#event:repeat} while a {@link Key} on
+       * the {@link Page} is held down. A value of `0` means the {@link Key#event:repeat} is
+       * disabled. If undefined `{@link StreamDeck#REPEAT_INTERVAL}` of the {@link StreamDeck}
+       * that created the {@link Page} is used.
+       *
+       * @member {number|undefined} REPEAT_INTERVAL
+       * @memberof Page
+       * @instance
+       * @constant
+       */
+      {
+        name: 'REPEAT_INTERVAL',
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
       /**
        * The number of milliseconds of inactivity before the {@link Page#event:idle} is triggered.
        * A value of `0` means the {@link Page#event:idle} is disabled.
@@ -204,6 +370,15 @@ class Page extends EventEmitter {
        * @readonly
        */
       { name: 'backgroundImage', type: 'source', allowUndefined: true },
+      /**
+       * The background image of the {@link Page|Page's} LCD touch strip.
+       *
+       * @member {Image|undefined} lcdBackgroundImage
+       * @memberof Page
+       * @instance
+       * @readonly
+       */
+      { name: 'lcdBackgroundImage', type: 'source', allowUndefined: true },
       /**
        * A Map of {@link Key|Keys} currently attached to the {@link Page}, stored by key slot index.
        *
@@ -213,6 +388,56 @@ class Page extends EventEmitter {
        * @readonly
        */
       { name: 'keys', value: new Map(), get: () => new Map(this._keys) },
+      /**
+       * A Map of {@link Encoder|Encoders} currently attached to the {@link Page}, stored by
+       * encoder slot index.
+       *
+       * @member {Map<number, Encoder>} encoders
+       * @memberof Page
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'encoders',
+        value: new Map(),
+        get: () => new Map(this._encoders),
+      },
+      /**
+       * A Map of {@link LcdSegment|LcdSegments} currently attached to the {@link Page}, stored
+       * by LCD segment slot index.
+       *
+       * @member {Map<number, LcdSegment>} lcdSegments
+       * @memberof Page
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'lcdSegments',
+        value: new Map(),
+        get: () => new Map(this._lcdSegments),
+      },
+      /**
+       * All {@link StreamDeck.Chord|Chords} added to the {@link Page}.
+       *
+       * @member {Set<StreamDeck.Chord>} chords
+       * @memberof Page
+       * @instance
+       * @readonly
+       */
+      { name: 'chords', value: new Set(), get: () => new Set(this._chords) },
+      /**
+       * All {@link Page.Sequence|Sequences} added to the {@link Page}.
+       *
+       * @member {Set<Page.Sequence>} sequences
+       * @memberof Page
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'sequences',
+        value: new Set(),
+        get: () => new Set(this._sequences),
+      },
       /**
        * Whether or not the {@link Page} has been destroyed.
        *
@@ -234,10 +459,21 @@ class Page extends EventEmitter {
         this._holdTimeoutIds.delete(index)
       }
 
+      // A press before the tap sequence has timed out continues it
+      if (this._tapTimeoutIds.has(index)) {
+        clearTimeout(this._tapTimeoutIds.get(index))
+        this._tapTimeoutIds.delete(index)
+      } else {
+        this._tapStates.delete(index)
+      }
+
       const key = this._keys.get(index)
 
       this._downIndexes.add(index)
       this._holdIndexes.delete(index)
+      this._chordIndexes.delete(index)
+
+      handlePageSequences(this, index)
 
       if (typeof this.HOLD_TIME !== 'number' || this.HOLD_TIME <= 0) {
         return
@@ -271,6 +507,26 @@ class Page extends EventEmitter {
       this._holdIndexes.add(index)
     })
 
+    this.on('chord', (chord) => {
+      if (this._destroyed || !chord.suppressClicks) {
+        return
+      }
+
+      for (const index of chord.indexes) {
+        this._chordIndexes.add(index)
+
+        if (this._holdTimeoutIds.has(index)) {
+          clearTimeout(this._holdTimeoutIds.get(index))
+          this._holdTimeoutIds.delete(index)
+        }
+      }
+    })
+
+    // A sequence has to be entered without the Page losing focus
+    this.on('blur', () => {
+      this._sequenceInput = []
+    })
+
     this.on('up', (index) => {
       if (this._destroyed) {
         return
@@ -283,18 +539,103 @@ class Page extends EventEmitter {
 
       const key = this._keys.get(index)
       const held = this._holdIndexes.has(index)
+      const suppressed =
+        this._chordIndexes.has(index) || this.STREAMDECK.disconnected
 
       this._downIndexes.delete(index)
       this._holdIndexes.delete(index)
+      this._chordIndexes.delete(index)
 
-      if (typeof this.HOLD_TIME !== 'number') {
+      handlePageTap(this, index, key, held || suppressed)
+
+      if (typeof this.HOLD_TIME !== 'number' || suppressed) {
         return
       }
 
-      this.emit(held ? 'held' : 'click', index, this, key)
+      const delayClick = this.DELAY_CLICK ?? this.STREAMDECK.DELAY_CLICK
+
+      if (held || !delayClick) {
+        this.emit(held ? 'held' : 'click', index, this, key)
+      }
 
       if (key && typeof key.HOLD_TIME !== 'number') {
-        key.emit(held ? 'held' : 'click', index, this, key)
+        if (held || !(key.DELAY_CLICK ?? delayClick)) {
+          key.emit(held ? 'held' : 'click', index, this, key)
+        }
+      }
+    })
+
+    this.on('encoderDown', (index) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._encoderHoldTimeoutIds.has(index)) {
+        clearTimeout(this._encoderHoldTimeoutIds.get(index))
+        this._encoderHoldTimeoutIds.delete(index)
+      }
+
+      const encoder = this._encoders.get(index)
+
+      this._downEncoderIndexes.add(index)
+      this._holdEncoderIndexes.delete(index)
+
+      if (typeof this.HOLD_TIME !== 'number' || this.HOLD_TIME <= 0) {
+        return
+      }
+
+      this._encoderHoldTimeoutIds.set(
+        index,
+        setTimeout(() => {
+          this._encoderHoldTimeoutIds.delete(index)
+
+          this._holdEncoderIndexes.add(index)
+
+          this.emit('encoderHold', index, this, encoder)
+
+          if (encoder && typeof encoder.HOLD_TIME !== 'number') {
+            encoder.emit('hold', index, this, encoder)
+          }
+        }, this.HOLD_TIME)
+      )
+    })
+
+    this.on('encoderHold', (index) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (typeof this.HOLD_TIME === 'number') {
+        return
+      }
+
+      this._holdEncoderIndexes.add(index)
+    })
+
+    this.on('encoderUp', (index) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._encoderHoldTimeoutIds.has(index)) {
+        clearTimeout(this._encoderHoldTimeoutIds.get(index))
+        this._encoderHoldTimeoutIds.delete(index)
+      }
+
+      const encoder = this._encoders.get(index)
+      const held = this._holdEncoderIndexes.has(index)
+
+      this._downEncoderIndexes.delete(index)
+      this._holdEncoderIndexes.delete(index)
+
+      if (typeof this.HOLD_TIME !== 'number' || this.STREAMDECK.disconnected) {
+        return
+      }
+
+      this.emit(held ? 'encoderHeld' : 'encoderClick', index, this, encoder)
+
+      if (encoder && typeof encoder.HOLD_TIME !== 'number') {
+        encoder.emit(held ? 'held' : 'click', index, this, encoder)
       }
     })
 
@@ -308,7 +649,11 @@ class Page extends EventEmitter {
         this._idleTimeoutId = undefined
       }
 
-      if (this.IDLE_TIME <= 0 || this._downIndexes.size) {
+      if (
+        this.IDLE_TIME <= 0 ||
+        this._downIndexes.size ||
+        this._downEncoderIndexes.size
+      ) {
         return
       }
 
@@ -444,7 +789,8 @@ class Page extends EventEmitter {
       'up',
       /**
        * Click event fired after the {@link Page#event:up} if the {@link Page#event:hold} had not
-       * been fired.
+       * been fired. If `{@link Page#DELAY_CLICK}` is `true` this event is fired once the double
+       * click time has passed, and only if the key was not clicked again.
        *
        * @event Page#event:click
        * @memberof Page
@@ -479,65 +825,407 @@ class Page extends EventEmitter {
        */
       'held',
       /**
-       * Activity event fired after a user interacts with the Stream Deck device's keys
-       * while the {@link Page} has focus or when the {@link Page} gains focus.
+       * Tap event fired after the {@link Page#event:up} each time a key is clicked, counting the
+       * clicks on the same key slot that were less than the double click time apart.
        *
-       * @event Page#event:activity
+       * @event Page#event:tap
        * @memberof Page
        *
-       * @param {string} event
-       * The name of the event that was recognized as user interaction.
+       * @param {number} index
+       * The key slot index that was clicked.
        *
-       * @param {number} [index]
-       * The relevant key slot index if the event was a key related event.
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Key} [key]
+       * The {@link Key} that was attached to the key slot index on the {@link Page} when it
+       * was initially pressed.
+       *
+       * @param {number} count
+       * The number of clicks in the tap sequence so far, starting at `1`.
+       */
+      'tap',
+      /**
+       * Double click event fired after the second {@link Page#event:tap} of a tap sequence. If
+       * the double click time is `0` this event is disabled.
+       *
+       * @event Page#event:doubleClick
+       * @memberof Page
+       *
+       * @param {number} index
+       * The key slot index that was double clicked.
        *
        * @param {Page} page
        * The {@link Page}.
        *
        * @param {Key} [key]
-       * The relevant {@link Key} if the event was a key related event.
+       * The {@link Key} that was attached to the key slot index on the {@link Page} when it
+       * was initially pressed.
        */
-      'activity',
+      'doubleClick',
       /**
-       * Idle event fired after {@link Page#IDLE_TIME} milliseconds of inactivity. If
-       * {@link Page#IDLE_TIME} is `0` this event is disabled.
+       * Chord event fired when every key of a {@link StreamDeck.Chord} added to the
+       * {@link Page}, or to the {@link StreamDeck} that created it, is pressed down while the
+       * {@link Page} has focus.
        *
-       * @event Page#event:idle
+       * @event Page#event:chord
        * @memberof Page
+       *
+       * @param {StreamDeck.Chord} chord
+       * The {@link StreamDeck.Chord} that was pressed.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Array<Key|undefined>} keys
+       * The {@link Key|Keys} attached to each key slot index of the chord, in the same order as
+       * `indexes`.
        */
-      'idle',
+      'chord',
       /**
-       * Error event fired when an error occurs.
+       * Swipe event fired when neighboring keys in a straight line were pressed one after
+       * another while the {@link Page} had focus, see {@link StreamDeck#event:swipe}.
        *
-       * @event Page#event:error
+       * @event Page#event:swipe
        * @memberof Page
        *
-       * @param {*} err
-       * The error that occurred.
+       * @param {string} direction
+       * The direction of the swipe. (`'left'`, `'right'`, `'up'`, or `'down'`)
+       *
+       * @param {Array<number>} path
+       * The key slot indexes in the order they were pressed.
+       *
+       * @param {number} speed
+       * The speed of the swipe in keys per second.
+       *
+       * @param {Page} page
+       * The {@link Page}.
        */
-      'error',
+      'swipe',
       /**
-       * Create event fired when the {@link Page} is created.
+       * Sequence event fired when every key slot of a {@link Page.Sequence} added to the
+       * {@link Page} is pressed in order while the {@link Page} has focus.
        *
-       * @event Page#event:create
+       * @event Page#event:sequence
        * @memberof Page
+       *
+       * @param {Page.Sequence} sequence
+       * The {@link Page.Sequence} that was entered.
+       *
+       * @param {Page} page
+       * The {@link Page}.
        */
-      'create',
+      'sequence',
       /**
-       * Destroy event fired when the {@link Page} is destroyed.
+       * Encoder attach event fired when an {@link Encoder} is attached to the {@link Page}.
        *
-       * @event Page#event:destroy
+       * @event Page#event:encoderAttach
        * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder} that was attached.
        */
-      'destroy',
-    ])
-
-    this.setBackgroundImage(this._backgroundImage)
-  }
-
-  /**
-   * Set the brightness of the Stream Deck's panel. If no brightness value is given the
-   * {@link StreamDeck} that created the {@link Page} will be allowed to use
+      'encoderAttach',
+      /**
+       * Encoder detach event fired when an {@link Encoder} is detached from the {@link Page}.
+       *
+       * @event Page#event:encoderDetach
+       * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder} that was detached.
+       */
+      'encoderDetach',
+      /**
+       * Rotate event fired when an encoder is rotated and the {@link Page} has focus.
+       *
+       * @event Page#event:rotate
+       * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index that was rotated.
+       *
+       * @param {number} delta
+       * The number of steps the encoder was rotated. Negative values are counterclockwise
+       * rotations and positive values are clockwise rotations.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that is attached to the encoder slot index on the {@link Page}.
+       */
+      'rotate',
+      /**
+       * Encoder down event fired when an encoder is pressed and the {@link Page} has focus.
+       *
+       * @event Page#event:encoderDown
+       * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index that was pressed.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that is attached to the encoder slot index on the {@link Page}.
+       */
+      'encoderDown',
+      /**
+       * Encoder hold event fired when an encoder is pressed down for `{@link Page#HOLD_TIME}`
+       * milliseconds. If `{@link Page#HOLD_TIME}` is `0` this event is disabled. If
+       * `{@link Page#HOLD_TIME}` is undefined
+       * {@link StreamDeck#event:encoderHold|StreamDeck#encoderHold events} will be allowed to
+       * propagate from the {@link StreamDeck} that created the {@link Page}.
+       *
+       * @event Page#event:encoderHold
+       * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index that is being pressed.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}
+       * when it was initially pressed.
+       */
+      'encoderHold',
+      /**
+       * Encoder up event fired when an encoder is released and the {@link Page} had focus
+       * when it was initially pressed.
+       *
+       * @event Page#event:encoderUp
+       * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index that was released.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}
+       * when it was initially pressed.
+       */
+      'encoderUp',
+      /**
+       * Encoder click event fired after the {@link Page#event:encoderUp} if the
+       * {@link Page#event:encoderHold} had not been fired.
+       *
+       * @event Page#event:encoderClick
+       * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index that was clicked.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}
+       * when it was initially pressed.
+       */
+      'encoderClick',
+      /**
+       * Encoder held event fired after the {@link Page#event:encoderUp} if the
+       * {@link Page#event:encoderHold} had been fired.
+       *
+       * @event Page#event:encoderHeld
+       * @memberof Page
+       *
+       * @param {number} index
+       * The encoder slot index that was held.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}
+       * when it was initially pressed.
+       */
+      'encoderHeld',
+      /**
+       * LCD segment attach event fired when an {@link LcdSegment} is attached to the
+       * {@link Page}.
+       *
+       * @event Page#event:lcdSegmentAttach
+       * @memberof Page
+       *
+       * @param {number} index
+       * The LCD segment slot index.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment} that was attached.
+       */
+      'lcdSegmentAttach',
+      /**
+       * LCD segment detach event fired when an {@link LcdSegment} is detached from the
+       * {@link Page}.
+       *
+       * @event Page#event:lcdSegmentDetach
+       * @memberof Page
+       *
+       * @param {number} index
+       * The LCD segment slot index.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment} that was detached.
+       */
+      'lcdSegmentDetach',
+      /**
+       * LCD tap event fired when the LCD touch strip is briefly touched and the {@link Page}
+       * has focus.
+       *
+       * @event Page#event:lcdTap
+       * @memberof Page
+       *
+       * @param {number} index
+       * The LCD segment slot index that was tapped.
+       *
+       * @param {Object} position
+       * The coordinates of the tap in pixels, relative to the whole LCD touch strip.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {LcdSegment} [lcdSegment]
+       * The {@link LcdSegment} that is attached to the LCD segment slot index on the
+       * {@link Page}.
+       */
+      'lcdTap',
+      /**
+       * LCD long press event fired when the LCD touch strip is touched and held and the
+       * {@link Page} has focus.
+       *
+       * @event Page#event:lcdLongPress
+       * @memberof Page
+       *
+       * @param {number} index
+       * The LCD segment slot index that was pressed.
+       *
+       * @param {Object} position
+       * The coordinates of the press in pixels, relative to the whole LCD touch strip.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {LcdSegment} [lcdSegment]
+       * The {@link LcdSegment} that is attached to the LCD segment slot index on the
+       * {@link Page}.
+       */
+      'lcdLongPress',
+      /**
+       * LCD swipe event fired when a swipe is made across the LCD touch strip and the
+       * {@link Page} has focus.
+       *
+       * @event Page#event:lcdSwipe
+       * @memberof Page
+       *
+       * @param {number} fromIndex
+       * The LCD segment slot index where the swipe started.
+       *
+       * @param {number} toIndex
+       * The LCD segment slot index where the swipe ended.
+       *
+       * @param {Object} fromPosition
+       * The coordinates where the swipe started in pixels, relative to the whole LCD touch
+       * strip.
+       *
+       * @param {Object} toPosition
+       * The coordinates where the swipe ended in pixels, relative to the whole LCD touch
+       * strip.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {LcdSegment} [lcdSegment]
+       * The {@link LcdSegment} that is attached to the LCD segment slot index where the swipe
+       * started.
+       */
+      'lcdSwipe',
+      /**
+       * Activity event fired after a user interacts with the Stream Deck device's keys or
+       * encoders while the {@link Page} has focus or when the {@link Page} gains focus.
+       *
+       * @event Page#event:activity
+       * @memberof Page
+       *
+       * @param {string} event
+       * The name of the event that was recognized as user interaction.
+       *
+       * @param {number} [index]
+       * The relevant key or encoder slot index if the event was a key or encoder related event.
+       *
+       * @param {Page} page
+       * The {@link Page}.
+       *
+       * @param {Key|Encoder} [element]
+       * The relevant {@link Key} or {@link Encoder} if the event was a key or encoder related
+       * event.
+       */
+      'activity',
+      /**
+       * Idle event fired after {@link Page#IDLE_TIME} milliseconds of inactivity. If
+       * {@link Page#IDLE_TIME} is `0` this event is disabled.
+       *
+       * @event Page#event:idle
+       * @memberof Page
+       */
+      'idle',
+      /**
+       * Error event fired when an error occurs.
+       *
+       * @event Page#event:error
+       * @memberof Page
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Create event fired when the {@link Page} is created.
+       *
+       * @event Page#event:create
+       * @memberof Page
+       */
+      'create',
+      /**
+       * Destroy event fired when the {@link Page} is destroyed.
+       *
+       * @event Page#event:destroy
+       * @memberof Page
+       */
+      'destroy',
+    ])
+
+    this.setBackgroundImage(this._backgroundImage)
+    this.setLcdBackgroundImage(this._lcdBackgroundImage)
+  }
+
+  /**
+   * Set the brightness of the Stream Deck's panel. If no brightness value is given the
+   * {@link StreamDeck} that created the {@link Page} will be allowed to use
    * it's `{@link StreamDeck#brightness}` value instead.
    *
    * @function setBrightness
@@ -548,8 +1236,23 @@ class Page extends EventEmitter {
    * The new brightness for the {@link Page}.
    *
    * (Float between `0` and `1` inclusive.)
+   *
+   * @param {Object} [options]
+   * Options used while changing the brightness.
+   *
+   * @param {number} [options.duration]
+   * The number of milliseconds the brightness fades for if the {@link Page} has focus. The
+   * {@link Page#event:brightness} is fired once the fade completes, a fade that is cancelled by
+   * another brightness change does not fire it.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
+   *
+   * @param {StreamDeck.Easing} [options.easing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
    */
-  setBrightness(brightness) {
+  setBrightness(brightness, options = {}) {
     checkPageDestroyed(this)
 
     checkValid(brightness, {
@@ -560,26 +1263,50 @@ class Page extends EventEmitter {
       allowUndefined: true,
     })
 
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'duration',
+          type: 'integer',
+          min: 0,
+          allowUndefined: true,
+        },
+        {
+          name: 'easing',
+          type: 'string',
+          validValues: Object.keys(EASINGS),
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    const duration = options.duration ?? this.STREAMDECK.BRIGHTNESS_DURATION
+    const easing = options.easing ?? this.STREAMDECK.BRIGHTNESS_EASING
+
     this._brightness = brightness
 
-    this.emit('brightness', brightness)
+    if (this.STREAMDECK.focusedPage !== this || duration <= 0) {
+      this.emit('brightness', brightness)
+    }
 
     if (this.STREAMDECK.focusedPage !== this) {
       return
     }
 
-    emitCaughtAsyncError(
-      this,
-      this.STREAMDECK_NODE.setBrightness(
-        Math.max(
-          0,
-          Math.min(
-            Math.round((brightness ?? this.STREAMDECK.brightness) * 100),
-            100
-          )
-        )
-      )
-    )
+    if (duration <= 0) {
+      this._setNodeBrightness(brightness)
+
+      return
+    }
+
+    emitCaughtAsyncError(this, async () => {
+      if (await this._setNodeBrightness(brightness, duration, easing)) {
+        this.emit('brightness', brightness)
+      }
+    })
   }
 
   /**
@@ -589,28 +1316,85 @@ class Page extends EventEmitter {
    * @function focus
    * @memberof Page
    * @instance
+   *
+   * @param {Object} [options]
+   * Options used while changing focus.
+   *
+   * @param {StreamDeck.Transition} [options.transition]
+   * The {@link StreamDeck.Transition} used to draw the {@link Page}.
+   * {Default: `{@link StreamDeck#TRANSITION}`}
+   *
+   * @param {number} [options.duration]
+   * The number of milliseconds the {@link StreamDeck.Transition} lasts.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#TRANSITION_DURATION}`}
+   *
+   * @param {number} [options.brightnessDuration]
+   * The number of milliseconds the brightness fades for when the {@link Page} that gains focus
+   * changes the brightness.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
+   *
+   * @param {StreamDeck.Easing} [options.brightnessEasing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
    */
-  focus() {
+  focus(options) {
     checkPageDestroyed(this)
 
     if (this.STREAMDECK.focusedPage !== this) {
-      this.STREAMDECK.setFocusedPage(this)
+      this.STREAMDECK.setFocusedPage(this, options)
     }
   }
 
   /**
    * Set the `{@link StreamDeck#focusedPage}` of the {@link StreamDeck} that created the
-   * {@link Page} to the `{@link StreamDeck#defaultPage}` if the {@link Page} has focus.
+   * {@link Page} to the `{@link StreamDeck#defaultPage}` if the {@link Page} has focus. If the
+   * {@link Page} was pushed onto the `{@link StreamDeck#pageStack}` it is popped instead.
    *
    * @function blur
    * @memberof Page
    * @instance
+   *
+   * @param {Object} [options]
+   * Options used while changing focus.
+   *
+   * @param {StreamDeck.Transition} [options.transition]
+   * The {@link StreamDeck.Transition} used to draw the {@link Page} that gains focus.
+   * {Default: `{@link StreamDeck#TRANSITION}`}
+   *
+   * @param {number} [options.duration]
+   * The number of milliseconds the {@link StreamDeck.Transition} lasts.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#TRANSITION_DURATION}`}
+   *
+   * @param {number} [options.brightnessDuration]
+   * The number of milliseconds the brightness fades for when the {@link Page} that gains focus
+   * changes the brightness.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
+   *
+   * @param {StreamDeck.Easing} [options.brightnessEasing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
    */
-  blur() {
+  blur(options) {
     checkPageDestroyed(this)
 
-    if (this.STREAMDECK.focusedPage === this) {
-      this.STREAMDECK.setFocusedPage(this.STREAMDECK.defaultPage)
+    if (this.STREAMDECK.focusedPage !== this) {
+      return
+    }
+
+    const pageStack = this.STREAMDECK.pageStack
+
+    if (pageStack.length > 1 && pageStack[pageStack.length - 1] === this) {
+      this.STREAMDECK.popPage(options)
+    } else {
+      this.STREAMDECK.setFocusedPage(this.STREAMDECK.defaultPage, options)
     }
   }
 
@@ -848,52 +1632,636 @@ class Page extends EventEmitter {
       break
     }
 
-    this.draw()
+    this.drawPanel()
   }
 
   /**
-   * Create a new {@link Image} with a width of `{@link Page#PANEL_WIDTH}` and a height
-   * of `{@link Page#PANEL_HEIGHT}`. The created {@link Image} will have split frames.
+   * Add a {@link StreamDeck.Chord} that triggers the {@link Page#event:chord} when its key slots
+   * are pressed together while the {@link Page} has focus.
    *
-   * @function createBackgroundImage
+   * @function addChord
    * @memberof Page
    * @instance
    *
-   * @param {Image.Source} [source]
-   * The sources used to create the new {@link Image}.
+   * @param {Array<number>} indexes
+   * The key slot indexes that have to be pressed together.
    *
-   * @returns {Image}
+   * (At least two unique integers between `0` and `{@link Page#KEY_COUNT} - 1` inclusive.)
+   *
+   * @param {function} [handler]
+   * The function called with the same arguments as the {@link Page#event:chord} when the chord
+   * is pressed.
+   *
+   * @param {Object} [options]
+   * Options used while adding the {@link StreamDeck.Chord}.
+   *
+   * @param {boolean} [options.suppressClicks=false]
+   * Whether or not the keys of the chord trigger neither `click` nor `held` events when they
+   * are released.
+   *
+   * @returns {StreamDeck.Chord}
+   *
+   * @example
+   * page.addChord([0, 4], () => streamDeck.popPage(), { suppressClicks: true });
    */
-  createBackgroundImage(source) {
+  addChord(indexes, handler, options) {
     checkPageDestroyed(this)
 
-    return new Image({
-      source,
-      width: this.PANEL_WIDTH,
-      height: this.PANEL_HEIGHT,
-      splitFrames: { width: this.KEY_WIDTH, height: this.KEY_HEIGHT },
-    })
+    const chord = createChord(indexes, handler, options, this.KEY_COUNT)
+
+    this._chords.add(chord)
+
+    return chord
   }
 
   /**
-   * Set the background image of the {@link Page}. If no image argument is passed this is the
-   * same as calling {@link Page#clearBackgroundImage}.
+   * Remove a {@link StreamDeck.Chord} added via {@link Page#addChord}.
    *
-   * @function setBackgroundImage
+   * @function removeChord
    * @memberof Page
    * @instance
    *
-   * @param {Image|Image.Source} [image]
-   * The new background {@link Image}.
+   * @param {StreamDeck.Chord} chord
+   * The {@link StreamDeck.Chord} to remove.
    */
-  setBackgroundImage(image) {
+  removeChord(chord) {
     checkPageDestroyed(this)
 
-    if (!image) {
-      this.clearBackgroundImage()
-
-      return
-    }
+    this._chords.delete(chord)
+  }
+
+  /**
+   * Add a {@link Page.Sequence} that triggers the {@link Page#event:sequence} when its key slots
+   * are pressed one after another while the {@link Page} has focus.
+   *
+   * @function addSequence
+   * @memberof Page
+   * @instance
+   *
+   * @param {Array<number>} indexes
+   * The key slot indexes that have to be pressed, in order.
+   *
+   * (At least one integer between `0` and `{@link Page#KEY_COUNT} - 1` inclusive.)
+   *
+   * @param {function} [handler]
+   * The function called with the same arguments as the {@link Page#event:sequence} when the
+   * sequence is entered.
+   *
+   * @param {Object} [options]
+   * Options used while adding the {@link Page.Sequence}.
+   *
+   * @param {number} [options.timeout=2000]
+   * The maximum number of milliseconds between two presses of the sequence. A value of `0` means
+   * there is no limit.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @returns {Page.Sequence}
+   *
+   * @example
+   * page.addSequence([3, 7, 7, 1], () => console.log('3771'), { timeout: 5000 });
+   */
+  addSequence(indexes, handler, options) {
+    checkPageDestroyed(this)
+
+    checkValid(indexes, {
+      name: 'indexes',
+      type: 'array',
+      minLength: 1,
+      checkAllValues: { type: 'integer', min: 0, max: this.KEY_COUNT - 1 },
+    })
+
+    checkValid(handler, {
+      name: 'handler',
+      type: 'function',
+      allowUndefined: true,
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        { name: 'timeout', type: 'integer', min: 0, allowUndefined: true },
+      ],
+    })
+
+    const sequence = Object.freeze({
+      indexes: Object.freeze([...indexes]),
+      handler,
+      timeout: options?.timeout ?? 2000,
+    })
+
+    this._sequences.add(sequence)
+
+    return sequence
+  }
+
+  /**
+   * Remove a {@link Page.Sequence} added via {@link Page#addSequence}.
+   *
+   * @function removeSequence
+   * @memberof Page
+   * @instance
+   *
+   * @param {Page.Sequence} sequence
+   * The {@link Page.Sequence} to remove.
+   */
+  removeSequence(sequence) {
+    checkPageDestroyed(this)
+
+    this._sequences.delete(sequence)
+  }
+
+  /**
+   * Attach an {@link Encoder} to the first free encoder slot on the {@link Page}.
+   *
+   * @function attachEncoder
+   * @memberof Page
+   * @instance
+   *
+   * @param {Encoder} encoder
+   * The {@link Encoder} to attach to the {@link Page}.
+   */
+
+  /**
+   * Attach an {@link Encoder} to an encoder slot index on the {@link Page}.
+   *
+   * @function attachEncoder
+   * @memberof Page
+   * @instance
+   * @variation 2
+   *
+   * @param {number} index
+   * The encoder slot index to attach the {@link Encoder} to.
+   *
+   * (Integer between `0` and `{@link Page#ENCODER_COUNT} - 1` inclusive.)
+   *
+   * @param {Encoder} encoder
+   * The {@link Encoder} to attach to the {@link Page}.
+   */
+  attachEncoder(index, encoder) {
+    checkPageDestroyed(this)
+
+    if (typeof index === 'number') {
+      checkValid(index, {
+        name: 'index',
+        type: 'integer',
+        min: 0,
+        max: this.ENCODER_COUNT - 1,
+      })
+    } else {
+      encoder = index
+
+      index = -1
+
+      for (let i = 0; i < this.ENCODER_COUNT; i++) {
+        if (!this._encoders.has(i)) {
+          index = i
+
+          break
+        }
+      }
+
+      if (index === -1) {
+        throw new Error(`There are no free encoder slots on this Page`)
+      }
+    }
+
+    checkValid(encoder, {
+      name: 'encoder',
+      type: 'class',
+      class: 'Encoder',
+      streamDeck: this.STREAMDECK,
+    })
+
+    if (this._encoders.has(index)) {
+      this.detachEncoder(index)
+    }
+
+    this._encoders.set(index, encoder)
+
+    this.STREAMDECK.emit('encoderAttach', index, this, encoder)
+    this.emit('encoderAttach', index, this, encoder)
+    encoder.emit('attach', index, this, encoder)
+  }
+
+  /**
+   * Detach an {@link Encoder} from the first encoder slot index to which the {@link Encoder}
+   * is attached on the {@link Page}.
+   *
+   * @function detachEncoder
+   * @memberof Page
+   * @instance
+   *
+   * @param {Encoder} encoder
+   * The {@link Encoder} to detach from the {@link Page}.
+   */
+
+  /**
+   * Detach an {@link Encoder} from an encoder slot index on the {@link Page}.
+   *
+   * @function detachEncoder
+   * @memberof Page
+   * @instance
+   * @variation 2
+   *
+   * @param {number} index
+   * The encoder slot index to detach the {@link Encoder} from.
+   *
+   * (Integer between `0` and `{@link Page#ENCODER_COUNT} - 1` inclusive.)
+   *
+   * @param {Encoder} [encoder]
+   * The {@link Encoder} to detach from the {@link Page}. If undefined any {@link Encoder} at
+   * the given encoder slot index will be detached.
+   */
+  detachEncoder(index, encoder) {
+    checkPageDestroyed(this)
+
+    if (typeof index === 'number') {
+      checkValid(index, {
+        name: 'index',
+        type: 'integer',
+        min: 0,
+        max: this.ENCODER_COUNT - 1,
+      })
+    } else {
+      encoder = index
+      index = undefined
+    }
+
+    checkValid(encoder, {
+      name: 'encoder',
+      type: 'class',
+      class: 'Encoder',
+      streamDeck: this.STREAMDECK,
+      allowUndefined: index !== undefined,
+      allowDestroyed: true,
+    })
+
+    for (const [attachedIndex, attachedEncoder] of this._encoders.entries()) {
+      if (index !== undefined && attachedIndex !== index) {
+        continue
+      }
+
+      if (encoder !== undefined && attachedEncoder !== encoder) {
+        continue
+      }
+
+      this._encoders.delete(attachedIndex)
+
+      this.STREAMDECK.emit(
+        'encoderDetach',
+        attachedIndex,
+        this,
+        attachedEncoder
+      )
+      this.emit('encoderDetach', attachedIndex, this, attachedEncoder)
+      attachedEncoder.emit('detach', attachedIndex, this, attachedEncoder)
+
+      break
+    }
+  }
+
+  /**
+   * Attach an {@link LcdSegment} to the first free LCD segment slot on the {@link Page}.
+   *
+   * @function attachLcdSegment
+   * @memberof Page
+   * @instance
+   *
+   * @param {LcdSegment} lcdSegment
+   * The {@link LcdSegment} to attach to the {@link Page}.
+   */
+
+  /**
+   * Attach an {@link LcdSegment} to an LCD segment slot index on the {@link Page}.
+   *
+   * @function attachLcdSegment
+   * @memberof Page
+   * @instance
+   * @variation 2
+   *
+   * @param {number} index
+   * The LCD segment slot index to attach the {@link LcdSegment} to.
+   *
+   * (Integer between `0` and `{@link Page#LCD_SEGMENT_COUNT} - 1` inclusive.)
+   *
+   * @param {LcdSegment} lcdSegment
+   * The {@link LcdSegment} to attach to the {@link Page}.
+   */
+  attachLcdSegment(index, lcdSegment) {
+    checkPageDestroyed(this)
+
+    if (typeof index === 'number') {
+      checkValid(index, {
+        name: 'index',
+        type: 'integer',
+        min: 0,
+        max: this.LCD_SEGMENT_COUNT - 1,
+      })
+    } else {
+      lcdSegment = index
+
+      index = -1
+
+      for (let i = 0; i < this.LCD_SEGMENT_COUNT; i++) {
+        if (!this._lcdSegments.has(i)) {
+          index = i
+
+          break
+        }
+      }
+
+      if (index === -1) {
+        throw new Error(`There are no free LCD segment slots on this Page`)
+      }
+    }
+
+    checkValid(lcdSegment, {
+      name: 'lcdSegment',
+      type: 'class',
+      class: 'LcdSegment',
+      streamDeck: this.STREAMDECK,
+    })
+
+    if (this._lcdSegments.has(index)) {
+      this.detachLcdSegment(index)
+    }
+
+    this._lcdSegments.set(index, lcdSegment)
+
+    this.STREAMDECK.emit('lcdSegmentAttach', index, this, lcdSegment)
+    this.emit('lcdSegmentAttach', index, this, lcdSegment)
+    lcdSegment.emit('attach', index, this, lcdSegment)
+
+    lcdSegment.draw()
+  }
+
+  /**
+   * Detach an {@link LcdSegment} from the first LCD segment slot index to which the
+   * {@link LcdSegment} is attached on the {@link Page}.
+   *
+   * @function detachLcdSegment
+   * @memberof Page
+   * @instance
+   *
+   * @param {LcdSegment} lcdSegment
+   * The {@link LcdSegment} to detach from the {@link Page}.
+   */
+
+  /**
+   * Detach an {@link LcdSegment} from an LCD segment slot index on the {@link Page}.
+   *
+   * @function detachLcdSegment
+   * @memberof Page
+   * @instance
+   * @variation 2
+   *
+   * @param {number} index
+   * The LCD segment slot index to detach the {@link LcdSegment} from.
+   *
+   * (Integer between `0` and `{@link Page#LCD_SEGMENT_COUNT} - 1` inclusive.)
+   *
+   * @param {LcdSegment} [lcdSegment]
+   * The {@link LcdSegment} to detach from the {@link Page}. If undefined any
+   * {@link LcdSegment} at the given LCD segment slot index will be detached.
+   */
+  detachLcdSegment(index, lcdSegment) {
+    checkPageDestroyed(this)
+
+    if (typeof index === 'number') {
+      checkValid(index, {
+        name: 'index',
+        type: 'integer',
+        min: 0,
+        max: this.LCD_SEGMENT_COUNT - 1,
+      })
+    } else {
+      lcdSegment = index
+      index = undefined
+    }
+
+    checkValid(lcdSegment, {
+      name: 'lcdSegment',
+      type: 'class',
+      class: 'LcdSegment',
+      streamDeck: this.STREAMDECK,
+      allowUndefined: index !== undefined,
+      allowDestroyed: true,
+    })
+
+    for (const [
+      attachedIndex,
+      attachedLcdSegment,
+    ] of this._lcdSegments.entries()) {
+      if (index !== undefined && attachedIndex !== index) {
+        continue
+      }
+
+      if (lcdSegment !== undefined && attachedLcdSegment !== lcdSegment) {
+        continue
+      }
+
+      this._lcdSegments.delete(attachedIndex)
+
+      this.STREAMDECK.emit(
+        'lcdSegmentDetach',
+        attachedIndex,
+        this,
+        attachedLcdSegment
+      )
+      this.emit('lcdSegmentDetach', attachedIndex, this, attachedLcdSegment)
+      attachedLcdSegment.emit('detach', attachedIndex, this, attachedLcdSegment)
+
+      break
+    }
+
+    this.drawLcd()
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link Page#PANEL_WIDTH}` and a height
+   * of `{@link Page#PANEL_HEIGHT}`. The created {@link Image} will have split frames.
+   *
+   * @function createBackgroundImage
+   * @memberof Page
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createBackgroundImage(source) {
+    checkPageDestroyed(this)
+
+    return new Image({
+      source,
+      width: this.PANEL_WIDTH,
+      height: this.PANEL_HEIGHT,
+      splitFrames: { width: this.KEY_WIDTH, height: this.KEY_HEIGHT },
+      watch: this.STREAMDECK.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Set the background image of the {@link Page}. If no image argument is passed this is the
+   * same as calling {@link Page#clearBackgroundImage}.
+   *
+   * @function setBackgroundImage
+   * @memberof Page
+   * @instance
+   *
+   * @param {Image|Image.Source} [image]
+   * The new background {@link Image}.
+   */
+  setBackgroundImage(image) {
+    checkPageDestroyed(this)
+
+    if (!image) {
+      this.clearBackgroundImage()
+
+      return
+    }
+
+    try {
+      checkValid(image, {
+        name: 'image',
+        type: 'class',
+        class: 'Image',
+      })
+
+      checkValid(image, {
+        name: 'image',
+        type: 'dimensions',
+        width: this.PANEL_WIDTH,
+        height: this.PANEL_HEIGHT,
+        checkConstantKeys: true,
+      })
+
+      checkValid(image.SPLIT_FRAMES, {
+        name: 'image.SPLIT_FRAMES',
+        type: 'dimensions',
+        width: this.KEY_WIDTH,
+        height: this.KEY_HEIGHT,
+      })
+    } catch (err) {
+      image = this.createBackgroundImage(image)
+    }
+
+    if (this._backgroundImage instanceof Image) {
+      this._backgroundImage.off('frameUpdated', this._boundDrawPanel)
+    }
+
+    this._backgroundImage = image
+
+    image.on('frameUpdated', this._boundDrawPanel)
+
+    this.drawPanel()
+  }
+
+  /**
+   * Clear the background image of the {@link Page}.
+   *
+   * @function clearBackgroundImage
+   * @memberof Page
+   * @instance
+   */
+  clearBackgroundImage() {
+    checkPageDestroyed(this)
+
+    if (!this._backgroundImage) {
+      this._backgroundImage = undefined
+
+      return
+    }
+
+    this._backgroundImage.off('frameUpdated', this._boundDrawPanel)
+
+    this._backgroundImage = undefined
+    this._backgroundFrame = undefined
+
+    this.drawPanel()
+  }
+
+  /**
+   * Get the current frame of the background image for the {@link Page}. If no background image
+   * is set or if the background image frame has not yet loaded returns `null`.
+   *
+   * @function getBackgroundFrame
+   * @memberof Page
+   * @instance
+   *
+   * @returns {Image.FrameData|null}
+   */
+  getBackgroundFrame() {
+    checkPageDestroyed(this)
+
+    if (!this._backgroundImage) {
+      return null
+    }
+
+    let backgroundFrame = this._backgroundImage.getFrame()
+
+    if (backgroundFrame) {
+      this._backgroundFrame = backgroundFrame
+    }
+
+    return this._backgroundFrame ?? null
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link Page#LCD_WIDTH}` and a height
+   * of `{@link Page#LCD_HEIGHT}`. The created {@link Image} will have split frames.
+   *
+   * @function createLcdBackgroundImage
+   * @memberof Page
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createLcdBackgroundImage(source) {
+    checkPageDestroyed(this)
+
+    if (this.LCD_WIDTH <= 0 || this.LCD_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support LCD Images`)
+    }
+
+    return new Image({
+      source,
+      width: this.LCD_WIDTH,
+      height: this.LCD_HEIGHT,
+      splitFrames: {
+        width: this.LCD_SEGMENT_WIDTH,
+        height: this.LCD_SEGMENT_HEIGHT,
+      },
+      watch: this.STREAMDECK.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Set the background image of the {@link Page|Page's} LCD touch strip. If no image argument
+   * is passed this is the same as calling {@link Page#clearLcdBackgroundImage}.
+   *
+   * @function setLcdBackgroundImage
+   * @memberof Page
+   * @instance
+   *
+   * @param {Image|Image.Source} [image]
+   * The new LCD background {@link Image}.
+   */
+  setLcdBackgroundImage(image) {
+    checkPageDestroyed(this)
+
+    if (!image) {
+      this.clearLcdBackgroundImage()
+
+      return
+    }
 
     try {
       checkValid(image, {
@@ -905,91 +2273,105 @@ class Page extends EventEmitter {
       checkValid(image, {
         name: 'image',
         type: 'dimensions',
-        width: this.PANEL_WIDTH,
-        height: this.PANEL_HEIGHT,
+        width: this.LCD_WIDTH,
+        height: this.LCD_HEIGHT,
         checkConstantKeys: true,
       })
 
       checkValid(image.SPLIT_FRAMES, {
         name: 'image.SPLIT_FRAMES',
         type: 'dimensions',
-        width: this.KEY_WIDTH,
-        height: this.KEY_HEIGHT,
+        width: this.LCD_SEGMENT_WIDTH,
+        height: this.LCD_SEGMENT_HEIGHT,
       })
     } catch (err) {
-      image = this.createBackgroundImage(image)
+      image = this.createLcdBackgroundImage(image)
     }
 
-    if (this._backgroundImage instanceof Image) {
-      this._backgroundImage.off('frameUpdated', this._boundDraw)
+    if (this._lcdBackgroundImage instanceof Image) {
+      this._lcdBackgroundImage.off('frameUpdated', this._boundDrawLcd)
     }
 
-    this._backgroundImage = image
+    this._lcdBackgroundImage = image
 
-    image.on('frameUpdated', this._boundDraw)
+    image.on('frameUpdated', this._boundDrawLcd)
 
-    this.draw()
+    this.drawLcd()
   }
 
   /**
-   * Clear the background image of the {@link Page}.
+   * Clear the background image of the {@link Page|Page's} LCD touch strip.
    *
-   * @function clearBackgroundImage
+   * @function clearLcdBackgroundImage
    * @memberof Page
    * @instance
    */
-  clearBackgroundImage() {
+  clearLcdBackgroundImage() {
     checkPageDestroyed(this)
 
-    if (!this._backgroundImage) {
-      this._backgroundImage = undefined
+    if (!this._lcdBackgroundImage) {
+      this._lcdBackgroundImage = undefined
 
       return
     }
 
-    this._backgroundImage.off('frameUpdated', this._boundDraw)
+    this._lcdBackgroundImage.off('frameUpdated', this._boundDrawLcd)
 
-    this._backgroundImage = undefined
-    this._backgroundFrame = undefined
+    this._lcdBackgroundImage = undefined
+    this._lcdBackgroundFrame = undefined
 
-    this.draw()
+    this.drawLcd()
   }
 
   /**
-   * Get the current frame of the background image for the {@link Page}. If no background image
-   * is set or if the background image frame has not yet loaded returns `null`.
+   * Get the current frame of the LCD background image for the {@link Page}. If no LCD
+   * background image is set or if the LCD background image frame has not yet loaded returns
+   * `null`.
    *
-   * @function getBackgroundFrame
+   * @function getLcdBackgroundFrame
    * @memberof Page
    * @instance
    *
    * @returns {Image.FrameData|null}
    */
-  getBackgroundFrame() {
+  getLcdBackgroundFrame() {
     checkPageDestroyed(this)
 
-    if (!this._backgroundImage) {
+    if (!this._lcdBackgroundImage) {
       return null
     }
 
-    let backgroundFrame = this._backgroundImage.getFrame()
+    let lcdBackgroundFrame = this._lcdBackgroundImage.getFrame()
 
-    if (backgroundFrame) {
-      this._backgroundFrame = backgroundFrame
+    if (lcdBackgroundFrame) {
+      this._lcdBackgroundFrame = lcdBackgroundFrame
     }
 
-    return this._backgroundFrame ?? null
+    return this._lcdBackgroundFrame ?? null
   }
 
   /**
-   * Draw the {@link Page} to the Stream Deck's panel.
+   * Draw the {@link Page} to the Stream Deck's panel and LCD touch strip, if the Stream Deck
+   * has one.
    *
    * @function draw
    * @memberof Page
    * @instance
    */
   draw() {
-    if (this._destroyed) {
+    this.drawPanel()
+    this.drawLcd()
+  }
+
+  /**
+   * Draw the {@link Page|Page's} key slots to the Stream Deck's panel.
+   *
+   * @function drawPanel
+   * @memberof Page
+   * @instance
+   */
+  drawPanel() {
+    if (this._destroyed || this.STREAMDECK.disconnected) {
       return
     }
 
@@ -999,128 +2381,162 @@ class Page extends EventEmitter {
           return
         }
 
-        let pageBackgroundFrame = this.getBackgroundFrame()
+        const panelBuffer = await renderPagePanel(this)
 
-        let keyFramesData = Array.from(this._keys.entries()).map(
-          ([index, key]) => ({
-            index,
-            keyBackgroundFrame: key.getBackgroundFrame(),
-            keyFrame: key.getFrame(),
-            pressed: key.isPressed(index, this),
-          })
-        )
-
-        if (
-          !keyFramesData.some(
-            (keyFrameData) =>
-              keyFrameData.keyBackgroundFrame || keyFrameData.keyFrame
+        if (!panelBuffer) {
+          emitCaughtAsyncError(this, this.STREAMDECK_NODE.clearPanel())
+        } else {
+          emitCaughtAsyncError(
+            this,
+            this.STREAMDECK_NODE.fillPanelBuffer(panelBuffer)
           )
-        ) {
-          if (!pageBackgroundFrame) {
-            emitCaughtAsyncError(this, this.STREAMDECK_NODE.clearPanel())
-          } else {
-            emitCaughtAsyncError(
-              this,
-              this.STREAMDECK_NODE.fillPanelBuffer(
-                pageBackgroundFrame.base.withoutAlpha
-              )
-            )
-          }
-
-          return
         }
+      })
+    )
+  }
 
-        let pageImage
-
-        if (pageBackgroundFrame) {
-          pageImage = await sharp(pageBackgroundFrame.base.withAlpha, {
-            raw: {
-              width: this.PANEL_WIDTH,
-              height: this.PANEL_HEIGHT,
-              channels: 4,
-            },
-          })
-        } else {
-          pageImage = await sharp({
-            create: {
-              width: this.PANEL_WIDTH,
-              height: this.PANEL_HEIGHT,
-              channels: 4,
-              background: { r: 0, g: 0, b: 0, alpha: 1 },
-            },
-          })
-        }
+  /**
+   * Draw the {@link Page|Page's} LCD touch strip to the Stream Deck's LCD touch strip. If the
+   * Stream Deck does not have an LCD touch strip this is a no-op.
+   *
+   * @function drawLcd
+   * @memberof Page
+   * @instance
+   */
+  drawLcd() {
+    if (this._destroyed || this.STREAMDECK.disconnected) {
+      return
+    }
 
-        let inputs = []
-
-        for (const {
-          index,
-          keyBackgroundFrame,
-          keyFrame,
-          pressed,
-        } of keyFramesData) {
-          if (keyBackgroundFrame) {
-            inputs.push({
-              input: keyBackgroundFrame.base.withAlpha,
-              left: this.KEY_WIDTH * (index % this.PANEL_COLUMN_COUNT),
-              top:
-                this.KEY_HEIGHT * Math.floor(index / this.PANEL_COLUMN_COUNT),
-              raw: {
-                width: this.KEY_WIDTH,
-                height: this.KEY_HEIGHT,
-                channels: 4,
-              },
-            })
-          }
+    if (this.LCD_WIDTH <= 0 || this.LCD_HEIGHT <= 0) {
+      return
+    }
 
-          if (keyFrame) {
-            let keyFrameSize
-
-            if (pressed) {
-              keyFrameSize = 'scaled'
-            } else {
-              keyFrameSize = 'base'
-            }
-
-            if (!keyFrame[keyFrameSize]) {
-              keyFrameSize = 'base'
-            }
-
-            inputs.push({
-              input: keyFrame[keyFrameSize].withAlpha,
-              left: this.KEY_WIDTH * (index % this.PANEL_COLUMN_COUNT),
-              top:
-                this.KEY_HEIGHT * Math.floor(index / this.PANEL_COLUMN_COUNT),
-              raw: {
-                width: this.KEY_WIDTH,
-                height: this.KEY_HEIGHT,
-                channels: 4,
-              },
-            })
-          }
+    this._graphicsQueue.push(() =>
+      emitCaughtAsyncError(this, async () => {
+        if (this.STREAMDECK.focusedPage !== this) {
+          return
         }
 
         emitCaughtAsyncError(
           this,
-          this.STREAMDECK_NODE.fillPanelBuffer(
-            await sharp(await pageImage.composite(inputs).toBuffer(), {
-              raw: {
-                width: this.PANEL_WIDTH,
-                height: this.PANEL_HEIGHT,
-                channels: 4,
-              },
-            })
-              .flatten()
-              .toBuffer()
-          )
+          this.STREAMDECK_NODE.fillLcdRegion(0, 0, await renderPageLcd(this), {
+            format: 'rgb',
+            width: this.LCD_WIDTH,
+            height: this.LCD_HEIGHT,
+          })
         )
       })
     )
   }
 
+  /**
+   * Render the {@link Page|Page's} key slots exactly as they would be drawn to the Stream
+   * Deck's panel. The {@link Page} does not need to have focus.
+   *
+   * @function snapshot
+   * @memberof Page
+   * @instance
+   *
+   * @param {Object} [options]
+   * Options used while rendering the snapshot.
+   *
+   * @param {string} [options.format='png']
+   * The format of the returned Buffer. Either `'png'` or `'raw'`. Raw Buffers hold RGB pixel
+   * data with a width of `{@link Page#PANEL_WIDTH}` and a height of
+   * `{@link Page#PANEL_HEIGHT}`.
+   *
+   * @returns {Promise<Buffer>}
+   */
+  async snapshot(options = {}) {
+    checkPageDestroyed(this)
+
+    checkSnapshotOptions(options)
+
+    const panelBuffer =
+      (await renderPagePanel(this)) ??
+      Buffer.alloc(this.PANEL_WIDTH * this.PANEL_HEIGHT * 3)
+
+    return encodeSnapshot(
+      panelBuffer,
+      this.PANEL_WIDTH,
+      this.PANEL_HEIGHT,
+      options
+    )
+  }
+
+  /**
+   * Render the {@link Page|Page's} LCD touch strip exactly as it would be drawn to the Stream
+   * Deck's LCD touch strip. The {@link Page} does not need to have focus.
+   *
+   * @function snapshotLcd
+   * @memberof Page
+   * @instance
+   *
+   * @param {Object} [options]
+   * Options used while rendering the snapshot.
+   *
+   * @param {string} [options.format='png']
+   * The format of the returned Buffer. Either `'png'` or `'raw'`. Raw Buffers hold RGB pixel
+   * data with a width of `{@link Page#LCD_WIDTH}` and a height of `{@link Page#LCD_HEIGHT}`.
+   *
+   * @returns {Promise<Buffer>}
+   */
+  async snapshotLcd(options = {}) {
+    checkPageDestroyed(this)
+
+    if (this.LCD_WIDTH <= 0 || this.LCD_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support LCD Images`)
+    }
+
+    checkSnapshotOptions(options)
+
+    return encodeSnapshot(
+      await renderPageLcd(this),
+      this.LCD_WIDTH,
+      this.LCD_HEIGHT,
+      options
+    )
+  }
+
+  /**
+   * Get the options needed to create the {@link Page} again via {@link StreamDeck#createPage},
+   * including any custom properties. Attached {@link Key|Keys}, {@link Encoder|Encoders},
+   * {@link LcdSegment|LcdSegments}, and event listeners are not included.
+   *
+   * @function toJSON
+   * @memberof Page
+   * @instance
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    checkPageDestroyed(this)
+
+    return {
+      ...getCustomProperties(this, [
+        'setDefault',
+        'setFocused',
+        'attachKeys',
+        'attachEncoders',
+        'attachLcdSegments',
+      ]),
+      holdTime: this.HOLD_TIME,
+      doubleClickTime: this.DOUBLE_CLICK_TIME,
+      delayClick: this.DELAY_CLICK,
+      repeatDelay: this.REPEAT_DELAY,
+      repeatInterval: this.REPEAT_INTERVAL,
+      idleTime: this.IDLE_TIME,
+      brightness: this._brightness,
+      backgroundImage: this._backgroundImage?.toJSON(),
+      lcdBackgroundImage: this._lcdBackgroundImage?.toJSON(),
+    }
+  }
+
   /**
    * Clean up all internal state data used by the {@link Page} in preparation for garbage
-   * collection and detach all attached {@link Key|Keys}.
+   * collection and detach all attached {@link Key|Keys}, {@link Encoder|Encoders}, and
+   * {@link LcdSegment|LcdSegments}.
    *
    * @function destroy
    * @memberof Page
@@ -1150,20 +2566,78 @@ class Page extends EventEmitter {
       this._holdIndexes.clear()
     }
 
+    if (this._tapTimeoutIds.size) {
+      for (const tapTimeoutId of this._tapTimeoutIds.values()) {
+        clearTimeout(tapTimeoutId)
+      }
+
+      this._tapTimeoutIds.clear()
+    }
+
+    if (this._tapStates.size) {
+      this._tapStates.clear()
+    }
+
+    if (this._chordIndexes.size) {
+      this._chordIndexes.clear()
+    }
+
+    if (this._chords.size) {
+      this._chords.clear()
+    }
+
+    this._sequenceInput = []
+
+    if (this._sequences.size) {
+      this._sequences.clear()
+    }
+
+    if (this._encoderHoldTimeoutIds.size) {
+      for (const encoderHoldTimeoutId of this._encoderHoldTimeoutIds.values()) {
+        clearTimeout(encoderHoldTimeoutId)
+      }
+
+      this._encoderHoldTimeoutIds.clear()
+    }
+
+    if (this._downEncoderIndexes.size) {
+      this._downEncoderIndexes.clear()
+    }
+
+    if (this._holdEncoderIndexes.size) {
+      this._holdEncoderIndexes.clear()
+    }
+
+    // Destroying a LockScreen unlocks it, so the Page can give up focus
+    for (const lockScreen of this.STREAMDECK.lockScreens) {
+      if (lockScreen.PAGE === this) {
+        lockScreen.destroy()
+      }
+    }
+
     if (this.STREAMDECK.defaultPage === this) {
       this.STREAMDECK.setDefaultPage()
     }
 
     if (this.STREAMDECK.focusedPage === this) {
-      this.STREAMDECK.setFocusedPage(this.STREAMDECK.defaultPage)
+      this.blur()
     }
 
     this.clearBackgroundImage()
+    this.clearLcdBackgroundImage()
 
     for (const [index, key] of this._keys.entries()) {
       this.detachKey(index, key)
     }
 
+    for (const [index, encoder] of this._encoders.entries()) {
+      this.detachEncoder(index, encoder)
+    }
+
+    for (const [index, lcdSegment] of this._lcdSegments.entries()) {
+      this.detachLcdSegment(index, lcdSegment)
+    }
+
     this._destroyed = true
 
     this.emit('destroy')
@@ -1176,4 +2650,289 @@ function checkPageDestroyed(_this) {
   }
 }
 
+function handlePageSequences(_this, index) {
+  if (!_this._sequences.size) {
+    return
+  }
+
+  const sequences = [..._this._sequences]
+  const maxLength = Math.max(...sequences.map(({ indexes }) => indexes.length))
+
+  _this._sequenceInput.push({ index, time: Date.now() })
+  _this._sequenceInput = _this._sequenceInput.slice(-maxLength)
+
+  const input = _this._sequenceInput
+
+  const entered = sequences.filter(({ indexes, timeout }) => {
+    if (indexes.length > input.length) {
+      return false
+    }
+
+    const presses = input.slice(-indexes.length)
+
+    return presses.every(
+      (press, i) =>
+        press.index === indexes[i] &&
+        (i === 0 || timeout <= 0 || press.time - presses[i - 1].time <= timeout)
+    )
+  })
+
+  if (!entered.length) {
+    return
+  }
+
+  // Presses that completed a sequence do not count towards the next one
+  _this._sequenceInput = []
+
+  for (const sequence of entered) {
+    _this.emit('sequence', sequence, _this)
+
+    if (sequence.handler) {
+      emitCaughtAsyncError(_this, async () => sequence.handler(sequence, _this))
+    }
+  }
+}
+
+function handlePageTap(_this, index, key, held) {
+  // Holding a key ends the tap sequence it was part of
+  if (held) {
+    endPageTaps(_this, index)
+
+    return
+  }
+
+  const count = (_this._tapStates.get(index)?.count ?? 0) + 1
+  const doubleClickTime =
+    _this.DOUBLE_CLICK_TIME ?? _this.STREAMDECK.DOUBLE_CLICK_TIME
+
+  _this._tapStates.set(index, { count, key })
+
+  _this.emit('tap', index, _this, key, count)
+
+  if (count === 2) {
+    _this.emit('doubleClick', index, _this, key)
+  }
+
+  if (doubleClickTime > 0) {
+    _this._tapTimeoutIds.set(
+      index,
+      setTimeout(() => {
+        _this._tapTimeoutIds.delete(index)
+
+        endPageTaps(_this, index)
+      }, doubleClickTime)
+    )
+  } else {
+    endPageTaps(_this, index)
+  }
+}
+
+function endPageTaps(_this, index) {
+  const tapState = _this._tapStates.get(index)
+
+  _this._tapStates.delete(index)
+
+  if (
+    tapState?.count === 1 &&
+    (_this.DELAY_CLICK ?? _this.STREAMDECK.DELAY_CLICK)
+  ) {
+    _this.emit('click', index, _this, tapState.key)
+  }
+}
+
+async function renderPagePanel(_this) {
+  let pageBackgroundFrame = _this.getBackgroundFrame()
+
+  let keyFramesData = Array.from(_this._keys.entries()).map(([index, key]) => ({
+    index,
+    keyBackgroundFrame: key.getBackgroundFrame(),
+    keyFrame: key.getFrame(),
+    titleFrame: key.getTitleFrame(),
+    pressed: key.isPressed(index, _this),
+  }))
+
+  if (
+    !keyFramesData.some(
+      (keyFrameData) =>
+        keyFrameData.keyBackgroundFrame ||
+        keyFrameData.keyFrame ||
+        keyFrameData.titleFrame
+    )
+  ) {
+    return pageBackgroundFrame?.base.withoutAlpha
+  }
+
+  let pageImage
+
+  if (pageBackgroundFrame) {
+    pageImage = await sharp(pageBackgroundFrame.base.withAlpha, {
+      raw: {
+        width: _this.PANEL_WIDTH,
+        height: _this.PANEL_HEIGHT,
+        channels: 4,
+      },
+    })
+  } else {
+    pageImage = await sharp({
+      create: {
+        width: _this.PANEL_WIDTH,
+        height: _this.PANEL_HEIGHT,
+        channels: 4,
+        background: { r: 0, g: 0, b: 0, alpha: 1 },
+      },
+    })
+  }
+
+  let inputs = []
+
+  for (const {
+    index,
+    keyBackgroundFrame,
+    keyFrame,
+    titleFrame,
+    pressed,
+  } of keyFramesData) {
+    if (keyBackgroundFrame) {
+      inputs.push({
+        input: keyBackgroundFrame.base.withAlpha,
+        left: _this.KEY_WIDTH * (index % _this.PANEL_COLUMN_COUNT),
+        top: _this.KEY_HEIGHT * Math.floor(index / _this.PANEL_COLUMN_COUNT),
+        raw: {
+          width: _this.KEY_WIDTH,
+          height: _this.KEY_HEIGHT,
+          channels: 4,
+        },
+      })
+    }
+
+    if (keyFrame) {
+      let keyFrameSize
+
+      if (pressed) {
+        keyFrameSize = 'scaled'
+      } else {
+        keyFrameSize = 'base'
+      }
+
+      if (!keyFrame[keyFrameSize]) {
+        keyFrameSize = 'base'
+      }
+
+      inputs.push({
+        input: keyFrame[keyFrameSize].withAlpha,
+        left: _this.KEY_WIDTH * (index % _this.PANEL_COLUMN_COUNT),
+        top: _this.KEY_HEIGHT * Math.floor(index / _this.PANEL_COLUMN_COUNT),
+        raw: {
+          width: _this.KEY_WIDTH,
+          height: _this.KEY_HEIGHT,
+          channels: 4,
+        },
+      })
+    }
+
+    if (titleFrame) {
+      inputs.push({
+        input: titleFrame.withAlpha,
+        left: _this.KEY_WIDTH * (index % _this.PANEL_COLUMN_COUNT),
+        top: _this.KEY_HEIGHT * Math.floor(index / _this.PANEL_COLUMN_COUNT),
+        raw: {
+          width: _this.KEY_WIDTH,
+          height: _this.KEY_HEIGHT,
+          channels: 4,
+        },
+      })
+    }
+  }
+
+  return sharp(await pageImage.composite(inputs).toBuffer(), {
+    raw: {
+      width: _this.PANEL_WIDTH,
+      height: _this.PANEL_HEIGHT,
+      channels: 4,
+    },
+  })
+    .flatten()
+    .toBuffer()
+}
+
+async function renderPageLcd(_this) {
+  let lcdBackgroundFrame = _this.getLcdBackgroundFrame()
+
+  let lcdSegmentFramesData = Array.from(_this._lcdSegments.entries()).map(
+    ([index, lcdSegment]) => ({
+      index,
+      lcdSegmentBackgroundFrame: lcdSegment.getBackgroundFrame(),
+      lcdSegmentFrame: lcdSegment.getFrame(),
+    })
+  )
+
+  if (
+    !lcdSegmentFramesData.some(
+      (lcdSegmentFrameData) =>
+        lcdSegmentFrameData.lcdSegmentBackgroundFrame ||
+        lcdSegmentFrameData.lcdSegmentFrame
+    )
+  ) {
+    return lcdBackgroundFrame
+      ? lcdBackgroundFrame.base.withoutAlpha
+      : Buffer.alloc(_this.LCD_WIDTH * _this.LCD_HEIGHT * 3)
+  }
+
+  let lcdImage
+
+  if (lcdBackgroundFrame) {
+    lcdImage = await sharp(lcdBackgroundFrame.base.withAlpha, {
+      raw: {
+        width: _this.LCD_WIDTH,
+        height: _this.LCD_HEIGHT,
+        channels: 4,
+      },
+    })
+  } else {
+    lcdImage = await sharp({
+      create: {
+        width: _this.LCD_WIDTH,
+        height: _this.LCD_HEIGHT,
+        channels: 4,
+        background: { r: 0, g: 0, b: 0, alpha: 1 },
+      },
+    })
+  }
+
+  let inputs = []
+
+  for (const {
+    index,
+    lcdSegmentBackgroundFrame,
+    lcdSegmentFrame,
+  } of lcdSegmentFramesData) {
+    for (const frame of [lcdSegmentBackgroundFrame, lcdSegmentFrame]) {
+      if (!frame) {
+        continue
+      }
+
+      inputs.push({
+        input: frame.base.withAlpha,
+        left: _this.LCD_SEGMENT_WIDTH * index,
+        top: 0,
+        raw: {
+          width: _this.LCD_SEGMENT_WIDTH,
+          height: _this.LCD_SEGMENT_HEIGHT,
+          channels: 4,
+        },
+      })
+    }
+  }
+
+  return sharp(await lcdImage.composite(inputs).toBuffer(), {
+    raw: {
+      width: _this.LCD_WIDTH,
+      height: _this.LCD_HEIGHT,
+      channels: 4,
+    },
+  })
+    .flatten()
+    .toBuffer()
+}
+
 module.exports = Page
@@ -0,0 +1,402 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+
+const { checkValid } = require('./utils')
+
+const OPEN_CHILD_ACTION = 'com.elgato.streamdeck.profile.openchild'
+const BACK_TO_PARENT_ACTION = 'com.elgato.streamdeck.profile.backtoparent'
+const NEXT_PAGE_ACTION = 'com.elgato.streamdeck.page.next'
+const PREVIOUS_PAGE_ACTION = 'com.elgato.streamdeck.page.previous'
+const BRIGHTNESS_ACTION = 'com.elgato.streamdeck.system.brightness'
+
+// Panel sizes by the product family at the start of an Elgato model number, later revisions
+// of a device only change the rest of it
+const PROFILE_DEVICE_SIZES = {
+  '20GAA': { rows: 3, columns: 5 },
+  '20GBA': { rows: 3, columns: 5 },
+  '20GAI': { rows: 2, columns: 3 },
+  '20GAT': { rows: 4, columns: 8 },
+  '20GBD': { rows: 2, columns: 4 },
+}
+
+/**
+ * An Object describing an action in a `.streamDeckProfile` that could not be mapped onto a
+ * {@link Layout} action. Pass a handler named after the action's `name` in
+ * `options.actions` to bind it.
+ *
+ * @typedef {Object} UnmappedAction
+ * @memberof Layout
+ *
+ * @property {string} name
+ * The UUID of the Elgato action, such as `'com.elgato.streamdeck.system.hotkey'`.
+ *
+ * @property {string} [label]
+ * The display name of the Elgato action.
+ *
+ * @property {Object} [params]
+ * The settings of the Elgato action, passed as `params` to a bound handler.
+ *
+ * @property {string} page
+ * The id of the {@link Page} the action was found on.
+ *
+ * @property {string} [key]
+ * The id of the {@link Key} the action was found on. Undefined for encoder actions.
+ */
+
+/**
+ * Read an Elgato `.streamDeckProfile` archive, as exported by the official Stream Deck app, into a
+ * {@link Layout.Config} that can be passed to {@link module:streamdeck-ui-node.loadLayout}.
+ *
+ * Every page and folder of the profile becomes a {@link Page}, with folders only reachable
+ * through their folder {@link Key}. Key positions, titles, state images, and brightness are
+ * mapped onto {@link Key} options. Folder, back, next page, previous page, and brightness
+ * actions are mapped onto the built in {@link Layout} actions. Every other action is listed in
+ * `unmappedActions` unless a handler named after its UUID is given in `options.actions`, in
+ * which case the handler is called with the action's settings as `params`.
+ *
+ * When the profile names a known Stream Deck model, `rows` and `columns` are set to its panel
+ * size, so loading the layout on a Stream Deck of another size asks for `options.adapt`.
+ *
+ * @function readStreamDeckProfile
+ * @memberof module:streamdeck-ui-node
+ * @static
+ *
+ * @param {string} file
+ * The path to the `.streamDeckProfile` file.
+ *
+ * @param {module:streamdeck-ui-node.LayoutOptions} [options]
+ * Options used to map the profile. Only `options.actions` is used.
+ *
+ * @returns {Promise<Layout.Config>}
+ */
+
+async function readStreamDeckProfile(file, options = {}) {
+  checkValid(file, { name: 'file', type: 'string' })
+
+  checkValid(options, {
+    name: 'options',
+    type: 'object',
+    allowUndefined: true,
+    checkProps: [{ name: 'actions', type: 'object', allowUndefined: true }],
+  })
+
+  const entries = readZipEntries(await fs.promises.readFile(file))
+
+  const manifestPath = [...entries.keys()]
+    .filter((entryPath) => path.posix.basename(entryPath) === 'manifest.json')
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0]
+
+  if (manifestPath === undefined) {
+    throw new Error(`Expected ${file} to contain a manifest.json`)
+  }
+
+  const rootPath = path.posix.dirname(manifestPath)
+  const manifest = readProfileJson(entries, manifestPath)
+
+  // Each profile page is a directory with a manifest.json, version 2 profiles keep every page
+  // in Profiles/ while version 1 profiles keep the root page next to Profiles/
+  const rootPrefix = rootPath === '.' ? '' : `${rootPath}/`
+  const pageDirs = new Map()
+
+  for (const entryPath of entries.keys()) {
+    const match = entryPath.match(/(?:^|\/)Profiles\/([^/]+)\/manifest\.json$/)
+
+    if (match && entryPath.startsWith(rootPrefix)) {
+      pageDirs.set(getProfilePageId(match[1]), path.posix.dirname(entryPath))
+    }
+  }
+
+  let pageIds
+  let defaultPage
+  let focusedPage
+
+  if (Array.isArray(manifest.Pages?.Pages)) {
+    pageIds = manifest.Pages.Pages.map(getProfilePageId).filter((pageId) =>
+      pageDirs.has(pageId)
+    )
+
+    defaultPage = getProfilePageId(manifest.Pages.Default ?? '')
+    focusedPage = getProfilePageId(manifest.Pages.Current ?? '')
+  } else {
+    pageDirs.set('root', rootPath)
+
+    pageIds = ['root']
+  }
+
+  if (!pageIds.length) {
+    throw new Error(`Expected ${file} to contain at least one page`)
+  }
+
+  // Folders are pages that are only reachable through an open child action
+  const folderIds = [...pageDirs.keys()].filter(
+    (pageId) => !pageIds.includes(pageId)
+  )
+
+  const actionNames = Object.keys(options.actions ?? {})
+
+  const config = {
+    defaultPage: pageIds.includes(defaultPage) ? defaultPage : undefined,
+    focusedPage: pageIds.includes(focusedPage) ? focusedPage : undefined,
+    pages: [],
+    unmappedActions: [],
+  }
+
+  const deviceModel = manifest.Device?.Model ?? manifest.DeviceModel
+  const deviceSize =
+    typeof deviceModel === 'string'
+      ? PROFILE_DEVICE_SIZES[deviceModel.slice(0, 5).toUpperCase()]
+      : undefined
+
+  if (deviceSize) {
+    config.rows = deviceSize.rows
+    config.columns = deviceSize.columns
+  }
+
+  if (typeof manifest.Brightness === 'number') {
+    config.brightness = Math.min(Math.max(manifest.Brightness / 100, 0), 1)
+  }
+
+  for (const pageId of [...pageIds, ...folderIds]) {
+    const pageDir = pageDirs.get(pageId)
+    const pageManifest =
+      pageDir === rootPath
+        ? manifest
+        : readProfileJson(entries, `${pageDir}/manifest.json`)
+
+    const controllers = Array.isArray(pageManifest.Controllers)
+      ? pageManifest.Controllers
+      : [{ Type: 'Keypad', Actions: pageManifest.Actions }]
+
+    const pageConfig = { id: pageId, keys: [] }
+
+    for (const controller of controllers) {
+      for (const [position, action] of Object.entries(
+        controller.Actions ?? {}
+      )) {
+        if (controller.Type !== 'Keypad') {
+          config.unmappedActions.push({
+            name: action.UUID,
+            label: action.Name,
+            params: action.Settings,
+            page: pageId,
+          })
+
+          continue
+        }
+
+        const [column, row] = position.split(',').map(Number)
+        const keyId = `${pageId}:${position}`
+
+        const states = (action.States ?? []).map((state) =>
+          readProfileState(entries, pageDir, position, state)
+        )
+
+        const keyConfig = { id: keyId, row: row + 1, column: column + 1 }
+
+        if (states.length > 1) {
+          keyConfig.states = states
+          keyConfig.state = Math.min(action.State ?? 0, states.length - 1)
+          keyConfig.advanceStateOnClick = false
+        } else if (states.length) {
+          Object.assign(keyConfig, states[0])
+        }
+
+        const layoutAction = mapProfileAction(
+          action,
+          pageId,
+          pageIds,
+          pageDirs,
+          actionNames
+        )
+
+        if (layoutAction) {
+          keyConfig.action = layoutAction
+        } else if (action.UUID) {
+          config.unmappedActions.push({
+            name: action.UUID,
+            label: action.Name,
+            params: action.Settings,
+            page: pageId,
+            key: keyId,
+          })
+        }
+
+        pageConfig.keys.push(keyConfig)
+      }
+    }
+
+    config.pages.push(pageConfig)
+  }
+
+  return config
+}
+
+function mapProfileAction(action, pageId, pageIds, pageDirs, actionNames) {
+  const settings = action.Settings ?? {}
+
+  if (actionNames.includes(action.UUID)) {
+    return { name: action.UUID, params: settings }
+  }
+
+  switch (action.UUID) {
+    case OPEN_CHILD_ACTION: {
+      const childId = getProfilePageId(settings.ProfileUUID ?? '')
+
+      return pageDirs.has(childId)
+        ? { name: 'pushPage', params: childId }
+        : undefined
+    }
+    case BACK_TO_PARENT_ACTION:
+      return 'popPage'
+    case NEXT_PAGE_ACTION:
+    case PREVIOUS_PAGE_ACTION: {
+      const index = pageIds.indexOf(pageId)
+
+      if (index === -1) {
+        return
+      }
+
+      const offset = action.UUID === NEXT_PAGE_ACTION ? 1 : -1
+
+      return {
+        name: 'focusPage',
+        params: pageIds[(index + offset + pageIds.length) % pageIds.length],
+      }
+    }
+    case BRIGHTNESS_ACTION: {
+      const value = Number(settings.value ?? settings.brightness)
+
+      if (!Number.isFinite(value)) {
+        return
+      }
+
+      return {
+        name: 'setBrightness',
+        params: Math.min(Math.max(value / 100, 0), 1),
+      }
+    }
+  }
+}
+
+function readProfileState(entries, pageDir, position, state) {
+  const keyState = {}
+
+  if (state.Image) {
+    // Version 1 profiles keep images in a directory per key position
+    const image = [
+      `${pageDir}/${state.Image}`,
+      `${pageDir}/${position}/CustomImages/${state.Image}`,
+      `${pageDir}/${position}/${state.Image}`,
+    ]
+      .map((imagePath) => path.posix.normalize(imagePath))
+      .find((imagePath) => entries.has(imagePath))
+
+    if (image !== undefined) {
+      keyState.image = entries.get(image)
+    }
+  }
+
+  if (state.Title && state.ShowTitle !== false) {
+    keyState.title = state.Title
+
+    if (['top', 'middle', 'bottom'].includes(state.TitleAlignment)) {
+      keyState.titleAlign = state.TitleAlignment
+    }
+
+    if (state.TitleColor) {
+      keyState.titleColor = state.TitleColor
+    }
+
+    if (state.FontFamily) {
+      keyState.titleFont = state.FontFamily
+    }
+
+    const fontSize = parseInt(state.FontSize, 10)
+
+    if (fontSize > 0) {
+      keyState.titleSize = fontSize
+    }
+  }
+
+  return keyState
+}
+
+function getProfilePageId(name) {
+  return name.replace(/\.sdProfile$/i, '').toLowerCase()
+}
+
+function readProfileJson(entries, entryPath) {
+  try {
+    return JSON.parse(entries.get(entryPath).toString('utf8'))
+  } catch (err) {
+    throw new Error(`Unable to read ${entryPath}: ${err.message}`)
+  }
+}
+
+// Reads every file entry in a zip archive, only stored and deflated entries are supported
+function readZipEntries(buffer) {
+  let endOffset = -1
+
+  for (let i = buffer.length - 22; i >= 0; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i
+
+      break
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error(`Expected a zip archive`)
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10)
+  let offset = buffer.readUInt32LE(endOffset + 16)
+
+  const entries = new Map()
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error(`Invalid zip central directory`)
+    }
+
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer
+      .toString('utf8', offset + 46, offset + 46 + nameLength)
+      .replace(/\\/g, '/')
+
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) {
+      continue
+    }
+
+    const dataOffset =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28)
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize)
+
+    if (method === 0) {
+      entries.set(name, data)
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data))
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}: ${name}`)
+    }
+  }
+
+  return entries
+}
+
+module.exports = {
+  readStreamDeckProfile,
+}
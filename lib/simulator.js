@@ -0,0 +1,600 @@
+'use strict'
+
+const http = require('http')
+const net = require('net')
+const EventEmitter = require('eventemitter3')
+const sharp = require('sharp')
+
+const VirtualDevice = require('./virtual-device')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+  listenToEvents,
+} = require('./utils')
+
+const MIRRORED_METHODS = [
+  'fillKeyColor',
+  'fillKeyBuffer',
+  'fillPanelBuffer',
+  'fillEncoderLcd',
+  'fillLcdRegion',
+  'clearKey',
+  'clearPanel',
+  'setBrightness',
+]
+
+/**
+ * An instance of {@link Simulator} serves a browser page showing a live mirror of a
+ * {@link StreamDeck|StreamDeck's} panel. Clicking a key on the page presses and releases the
+ * key on the {@link StreamDeck}, so hold timing works the same as on the device. Works with
+ * both real and virtual Stream Decks. Key presses are only accepted from the page when it is
+ * opened at `{@link Simulator#url}`. Created via
+ * {@link module:streamdeck-ui-node.startSimulator}.
+ *
+ * @class Simulator
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { openVirtualStreamDeck, startSimulator } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openVirtualStreamDeck('xl');
+ *   const simulator = await startSimulator(streamDeck, { port: 8080 });
+ *
+ *   console.log(`Open ${simulator.url} in a browser`);
+ * })();
+ */
+class Simulator extends EventEmitter {
+  constructor(streamDeck, options = {}) {
+    super()
+
+    checkValid(streamDeck, {
+      name: 'streamDeck',
+      type: 'class',
+      class: 'StreamDeck',
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+    })
+
+    definePrivateProperties(this, options, [
+      { name: 'server', value: http.createServer() },
+      {
+        name: 'mirror',
+        value: new VirtualDevice(streamDeck.MODEL),
+      },
+      { name: 'mirroredStreamDeckNode' },
+      { name: 'originalMethods', value: {} },
+      { name: 'clients', value: new Set() },
+      { name: 'downIndexes', value: new Set() },
+      { name: 'version', value: 0 },
+      { name: 'broadcastTimeoutId' },
+      { name: 'boundMirror', value: () => mirrorStreamDeckNode(this) },
+    ])
+
+    definePublicProperties(this, options, [
+      /**
+       * The {@link StreamDeck} mirrored by the {@link Simulator}.
+       *
+       * @member {StreamDeck} STREAMDECK
+       * @memberof Simulator
+       * @instance
+       * @constant
+       */
+      { name: 'STREAMDECK', value: streamDeck },
+      /**
+       * The host name the {@link Simulator} listens on.
+       *
+       * @member {string} HOST
+       * @memberof Simulator
+       * @instance
+       * @constant
+       */
+      {
+        name: 'HOST',
+        value: '127.0.0.1',
+        type: 'string',
+        allowUndefined: true,
+      },
+      /**
+       * The port the {@link Simulator} listens on. A value of `0` picks a free port, see
+       * `{@link Simulator#url}` for the port in use.
+       *
+       * @member {number} PORT
+       * @memberof Simulator
+       * @instance
+       * @constant
+       */
+      {
+        name: 'PORT',
+        value: 0,
+        type: 'integer',
+        min: 0,
+        max: 65535,
+        allowUndefined: true,
+      },
+      /**
+       * The URL of the simulator page, or undefined if the {@link Simulator} is not listening.
+       *
+       * @member {string|undefined} url
+       * @memberof Simulator
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'url',
+        get: () => {
+          const address = this._server.address()
+
+          if (!address || typeof address === 'string') {
+            return address ?? undefined
+          }
+
+          const host = this.HOST ?? address.address
+
+          // IPv6 literals need brackets in a URL
+          return net.isIPv6(host)
+            ? `http://[${host}]:${address.port}/`
+            : `http://${host}:${address.port}/`
+        },
+      },
+      /**
+       * Whether or not the {@link Simulator} has been closed.
+       *
+       * @member {boolean} closed
+       * @memberof Simulator
+       * @instance
+       * @readonly
+       */
+      { name: 'closed', value: false },
+    ])
+
+    listenToEvents(this, options, [
+      /**
+       * Error event.
+       *
+       * @event Simulator#event:error
+       * @memberof Simulator
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Close event fired when the {@link Simulator} is closed.
+       *
+       * @event Simulator#event:close
+       * @memberof Simulator
+       */
+      'close',
+    ])
+
+    this._server.on('request', (req, res) => handleRequest(this, req, res))
+    this._server.on('error', this.emit.bind(this, 'error'))
+
+    this.STREAMDECK.on('reconnect', this._boundMirror)
+    this.STREAMDECK.once('destroy', () => {
+      if (!this._closed) {
+        this.close()
+      }
+    })
+
+    mirrorStreamDeckNode(this)
+  }
+
+  /**
+   * Start listening on `{@link Simulator#HOST}` and `{@link Simulator#PORT}`. Called by
+   * {@link module:streamdeck-ui-node.startSimulator}.
+   *
+   * @function listen
+   * @memberof Simulator
+   * @instance
+   *
+   * @returns {Promise}
+   */
+  async listen() {
+    checkSimulatorClosed(this)
+
+    if (this._server.listening) {
+      return
+    }
+
+    await Promise.all([
+      initializeMirror(this),
+      new Promise((resolve, reject) => {
+        this._server.once('error', reject)
+        this._server.listen(this.PORT, this.HOST, () => {
+          this._server.removeListener('error', reject)
+          resolve()
+        })
+      }),
+    ])
+  }
+
+  /**
+   * Stop the server and stop mirroring the {@link StreamDeck}. Any keys still held down from
+   * the simulator page are released.
+   *
+   * @function close
+   * @memberof Simulator
+   * @instance
+   *
+   * @returns {Promise}
+   */
+  async close() {
+    checkSimulatorClosed(this)
+
+    this._closed = true
+
+    if (this._broadcastTimeoutId) {
+      clearTimeout(this._broadcastTimeoutId)
+      this._broadcastTimeoutId = undefined
+    }
+
+    if (!this.STREAMDECK.destroyed) {
+      for (const index of this._downIndexes) {
+        this.STREAMDECK.STREAMDECK_NODE.emit('up', index)
+      }
+    }
+
+    this._downIndexes.clear()
+
+    this.STREAMDECK.removeListener('reconnect', this._boundMirror)
+
+    restoreStreamDeckNode(this)
+
+    for (const res of this._clients) {
+      res.end()
+    }
+
+    this._clients.clear()
+
+    if (this._server.listening) {
+      await new Promise((resolve) => this._server.close(() => resolve()))
+    }
+
+    this.emit('close')
+  }
+}
+
+function checkSimulatorClosed(_this) {
+  if (_this._closed) {
+    throw new Error(`Simulator has been closed!`)
+  }
+}
+
+function mirrorStreamDeckNode(_this) {
+  restoreStreamDeckNode(_this)
+
+  const streamDeckNode = _this.STREAMDECK.STREAMDECK_NODE
+
+  for (const method of MIRRORED_METHODS) {
+    const originalMethod = streamDeckNode[method]
+
+    _this._originalMethods[method] = Object.prototype.hasOwnProperty.call(
+      streamDeckNode,
+      method
+    )
+      ? originalMethod
+      : undefined
+
+    streamDeckNode[method] = async (...args) => {
+      const result = await originalMethod.apply(streamDeckNode, args)
+
+      try {
+        await _this._mirror[method](...args)
+
+        scheduleBroadcast(_this)
+      } catch (err) {
+        _this.emit('error', err)
+      }
+
+      return result
+    }
+  }
+
+  _this._mirroredStreamDeckNode = streamDeckNode
+}
+
+function restoreStreamDeckNode(_this) {
+  const streamDeckNode = _this._mirroredStreamDeckNode
+
+  if (!streamDeckNode) {
+    return
+  }
+
+  for (const method of MIRRORED_METHODS) {
+    if (_this._originalMethods[method]) {
+      streamDeckNode[method] = _this._originalMethods[method]
+    } else {
+      delete streamDeckNode[method]
+    }
+  }
+
+  _this._originalMethods = {}
+  _this._mirroredStreamDeckNode = undefined
+}
+
+async function initializeMirror(_this) {
+  const streamDeck = _this.STREAMDECK
+
+  await _this._mirror.fillPanelBuffer(
+    await streamDeck.snapshot({ format: 'raw' })
+  )
+
+  if (streamDeck.LCD_WIDTH > 0 && streamDeck.LCD_HEIGHT > 0) {
+    await _this._mirror.fillLcdRegion(
+      0,
+      0,
+      await streamDeck.snapshotLcd({ format: 'raw' }),
+      { width: streamDeck.LCD_WIDTH, height: streamDeck.LCD_HEIGHT }
+    )
+  }
+
+  await _this._mirror.setBrightness(
+    Math.round(
+      (streamDeck.focusedPage?.brightness ?? streamDeck.brightness) * 100
+    )
+  )
+
+  _this._version++
+}
+
+function scheduleBroadcast(_this) {
+  _this._version++
+
+  if (_this._broadcastTimeoutId || _this._closed) {
+    return
+  }
+
+  // Coalesce bursts of key draws into a single refresh
+  _this._broadcastTimeoutId = setTimeout(() => {
+    _this._broadcastTimeoutId = undefined
+
+    for (const res of _this._clients) {
+      res.write(`data: ${getState(_this)}\n\n`)
+    }
+  }, 30)
+}
+
+function getState(_this) {
+  return JSON.stringify({
+    version: _this._version,
+    brightness: _this._mirror.brightness,
+  })
+}
+
+function handleRequest(_this, req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost')
+
+  let match
+
+  if (req.method === 'GET' && pathname === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+    res.end(renderPage(_this))
+  } else if (req.method === 'GET' && pathname === '/events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    })
+    res.write(`data: ${getState(_this)}\n\n`)
+
+    _this._clients.add(res)
+
+    req.on('close', () => _this._clients.delete(res))
+  } else if (req.method === 'GET' && pathname === '/panel.png') {
+    sendPng(
+      _this,
+      res,
+      _this._mirror.getPanelBuffer(),
+      _this.STREAMDECK.PANEL_WIDTH,
+      _this.STREAMDECK.PANEL_HEIGHT
+    )
+  } else if (
+    req.method === 'GET' &&
+    pathname === '/lcd.png' &&
+    _this.STREAMDECK.LCD_WIDTH > 0
+  ) {
+    sendPng(
+      _this,
+      res,
+      _this._mirror.getLcdBuffer(),
+      _this.STREAMDECK.LCD_WIDTH,
+      _this.STREAMDECK.LCD_HEIGHT
+    )
+  } else if (
+    req.method === 'POST' &&
+    (match = /^\/keys\/(\d+)\/(down|up)$/.exec(pathname))
+  ) {
+    const index = Number(match[1])
+    const event = match[2]
+
+    let allowed
+
+    try {
+      allowed = isSimulatorOrigin(_this, req)
+    } catch (err) {
+      res.writeHead(400)
+      res.end()
+
+      return
+    }
+
+    if (!allowed) {
+      res.writeHead(403)
+      res.end()
+
+      return
+    }
+
+    if (index >= _this.STREAMDECK.KEY_COUNT || _this.STREAMDECK.destroyed) {
+      res.writeHead(404)
+      res.end()
+
+      return
+    }
+
+    // Ignore repeated downs and stray ups so the StreamDeck never sees an unbalanced press
+    if ((event === 'down') !== _this._downIndexes.has(index)) {
+      if (event === 'down') {
+        _this._downIndexes.add(index)
+      } else {
+        _this._downIndexes.delete(index)
+      }
+
+      _this.STREAMDECK.STREAMDECK_NODE.emit(event, index)
+    }
+
+    res.writeHead(204)
+    res.end()
+  } else {
+    res.writeHead(404)
+    res.end()
+  }
+}
+
+// Key presses are only accepted from the simulator page, so other web pages can't press keys
+// through cross-site form posts or DNS rebinding. The Host header has to name this server by IP
+// address, localhost or HOST, and the Origin header (if sent) has to match the Host header.
+// Throws a TypeError if the Host header can't be parsed.
+function isSimulatorOrigin(_this, req) {
+  const { host, hostname, port } = new URL(`http://${req.headers.host}`)
+  const address = _this._server.address()
+
+  if (!address || typeof address === 'string') {
+    return false
+  }
+
+  const name = hostname.replace(/^\[(.*)\]$/, '$1')
+
+  return (
+    (net.isIP(name) !== 0 ||
+      name === 'localhost' ||
+      name === _this.HOST?.toLowerCase()) &&
+    Number(port || 80) === address.port &&
+    (req.headers.origin === undefined ||
+      req.headers.origin === `http://${host}`)
+  )
+}
+
+async function sendPng(_this, res, buffer, width, height) {
+  try {
+    const png = await sharp(buffer, { raw: { width, height, channels: 3 } })
+      .png()
+      .toBuffer()
+
+    res.writeHead(200, {
+      'Content-Type': 'image/png',
+      'Cache-Control': 'no-store',
+    })
+    res.end(png)
+  } catch (err) {
+    _this.emit('error', err)
+
+    res.writeHead(500)
+    res.end()
+  }
+}
+
+function renderPage(_this) {
+  const streamDeck = _this.STREAMDECK
+
+  const config = JSON.stringify({
+    columns: streamDeck.PANEL_COLUMN_COUNT,
+    rows: streamDeck.PANEL_ROW_COUNT,
+    keyWidth: streamDeck.KEY_WIDTH,
+    keyHeight: streamDeck.KEY_HEIGHT,
+    lcdWidth: streamDeck.LCD_WIDTH,
+    lcdHeight: streamDeck.LCD_HEIGHT,
+  })
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(streamDeck.PRODUCT_NAME)} (${escapeHtml(
+    streamDeck.SERIAL_NUMBER
+  )})</title>
+<style>
+body { background: #222; color: #ccc; font-family: sans-serif; display: flex; flex-direction: column; align-items: center; }
+#device { background: #000; padding: 16px; border-radius: 16px; }
+#keys { display: grid; gap: 12px; }
+.key { border-radius: 8px; background-repeat: no-repeat; cursor: pointer; user-select: none; }
+.key.down { outline: 2px solid #888; }
+#lcd { display: block; margin-top: 16px; }
+</style>
+</head>
+<body>
+<h3>${escapeHtml(streamDeck.PRODUCT_NAME)} (${escapeHtml(
+    streamDeck.SERIAL_NUMBER
+  )})</h3>
+<div id="device"><div id="keys"></div></div>
+<script>
+const config = ${config}
+const keys = document.getElementById('keys')
+const device = document.getElementById('device')
+keys.style.gridTemplateColumns = 'repeat(' + config.columns + ', ' + config.keyWidth + 'px)'
+let lcd
+if (config.lcdWidth > 0) {
+  lcd = document.createElement('img')
+  lcd.id = 'lcd'
+  lcd.width = config.lcdWidth
+  lcd.height = config.lcdHeight
+  device.appendChild(lcd)
+}
+const tiles = []
+for (let index = 0; index < config.columns * config.rows; index++) {
+  const tile = document.createElement('div')
+  tile.className = 'key'
+  tile.style.width = config.keyWidth + 'px'
+  tile.style.height = config.keyHeight + 'px'
+  tile.style.backgroundPosition = -(index % config.columns) * config.keyWidth + 'px ' + -Math.floor(index / config.columns) * config.keyHeight + 'px'
+  const send = (event) => {
+    if (tile.classList.contains('down') === (event === 'down')) return
+    tile.classList.toggle('down', event === 'down')
+    fetch('keys/' + index + '/' + event, { method: 'POST', keepalive: true })
+  }
+  tile.addEventListener('pointerdown', (e) => { e.preventDefault(); send('down') })
+  tile.addEventListener('pointerup', () => send('up'))
+  tile.addEventListener('pointerleave', () => send('up'))
+  keys.appendChild(tile)
+  tiles.push(tile)
+}
+new EventSource('events').onmessage = (message) => {
+  const state = JSON.parse(message.data)
+  const panel = new Image()
+  panel.onload = () => {
+    for (const tile of tiles) tile.style.backgroundImage = 'url(' + panel.src + ')'
+  }
+  panel.src = 'panel.png?v=' + state.version
+  if (lcd) lcd.src = 'lcd.png?v=' + state.version
+  device.style.filter = 'brightness(' + Math.max(state.brightness, 10) / 100 + ')'
+}
+</script>
+</body>
+</html>
+`
+}
+
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      }[char])
+  )
+}
+
+module.exports = Simulator
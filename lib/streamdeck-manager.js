@@ -0,0 +1,548 @@
+'use strict'
+
+const EventEmitter = require('eventemitter3')
+
+const {
+  listStreamDecks: listStreamDecksNode,
+  openStreamDeck: openStreamDeckNode,
+} = require('@elgato-stream-deck/node')
+
+const StreamDeck = require('./streamdeck')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+  listenToEvents,
+  emitCaughtAsyncError,
+} = require('./utils')
+
+/**
+ * An instance of {@link StreamDeckManager} discovers and tracks every connected Stream Deck
+ * device, opening a {@link StreamDeck} for each one. Created via
+ * {@link module:streamdeck-ui-node.createStreamDeckManager}.
+ *
+ * @class StreamDeckManager
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { createStreamDeckManager } = require('streamdeck-ui-node');
+ *
+ * const streamDeckManager = createStreamDeckManager();
+ *
+ * streamDeckManager.addSetup('AL12H1A00000', (streamDeck) => {
+ *   streamDeck.createPage({ setFocused: true });
+ * });
+ */
+class StreamDeckManager extends EventEmitter {
+  constructor(options = {}) {
+    super()
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+    })
+
+    definePrivateProperties(this, options, [
+      { name: 'pollTimeoutId' },
+      { name: 'setups', value: new Map() },
+      { name: 'openingSerialNumbers', value: new Set() },
+      { name: 'failedSerialNumbers', value: new Set() },
+    ])
+
+    definePublicProperties(this, options, [
+      /**
+       * The options used to configure every {@link StreamDeck} opened by the
+       * {@link StreamDeckManager}.
+       *
+       * @member {module:streamdeck-ui-node.StreamDeckOptions} streamDeckOptions
+       * @memberof StreamDeckManager
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'streamDeckOptions',
+        value: {},
+        type: 'object',
+        allowUndefined: true,
+      },
+      /**
+       * The number of milliseconds between each check for connected and disconnected Stream
+       * Deck devices.
+       *
+       * @member {number} POLL_INTERVAL
+       * @memberof StreamDeckManager
+       * @instance
+       * @constant
+       */
+      {
+        name: 'POLL_INTERVAL',
+        value: 1000,
+        type: 'integer',
+        min: 1,
+        allowUndefined: true,
+      },
+      /**
+       * All currently connected Stream Deck devices, keyed by serial number.
+       *
+       * @member {Map<string, module:streamdeck-ui-node.StreamDeckInfo>} streamDeckInfos
+       * @memberof StreamDeckManager
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'streamDeckInfos',
+        value: new Map(),
+        get: () => new Map(this._streamDeckInfos),
+      },
+      /**
+       * All {@link StreamDeck|StreamDecks} opened by the {@link StreamDeckManager} that have
+       * not been destroyed, keyed by serial number.
+       *
+       * @member {Map<string, StreamDeck>} streamDecks
+       * @memberof StreamDeckManager
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'streamDecks',
+        value: new Map(),
+        get: () => new Map(this._streamDecks),
+      },
+      /**
+       * Whether or not the {@link StreamDeckManager} has been destroyed.
+       *
+       * @member {boolean} destroyed
+       * @memberof StreamDeckManager
+       * @instance
+       * @readonly
+       */
+      { name: 'destroyed', value: false },
+    ])
+
+    listenToEvents(this, options, [
+      /**
+       * Connect event fired when a Stream Deck device is found.
+       *
+       * @event StreamDeckManager#event:connect
+       * @memberof StreamDeckManager
+       *
+       * @param {module:streamdeck-ui-node.StreamDeckInfo} streamDeckInfo
+       * Information on the connected Stream Deck device.
+       */
+      'connect',
+      /**
+       * Disconnect event fired when a Stream Deck device is no longer found.
+       *
+       * @event StreamDeckManager#event:disconnect
+       * @memberof StreamDeckManager
+       *
+       * @param {module:streamdeck-ui-node.StreamDeckInfo} streamDeckInfo
+       * Information on the disconnected Stream Deck device.
+       */
+      'disconnect',
+      /**
+       * Stream Deck event fired when a new {@link StreamDeck} has been opened and all
+       * matching setup callbacks have been called.
+       *
+       * @event StreamDeckManager#event:streamDeck
+       * @memberof StreamDeckManager
+       *
+       * @param {StreamDeck} streamDeck
+       * The opened {@link StreamDeck}.
+       *
+       * @param {module:streamdeck-ui-node.StreamDeckInfo} streamDeckInfo
+       * Information on the opened Stream Deck device.
+       */
+      'streamDeck',
+      /**
+       * Error event. A Stream Deck device that fails to open fires this event and is retried on
+       * the next poll.
+       *
+       * @event StreamDeckManager#event:error
+       * @memberof StreamDeckManager
+       *
+       * @param {*} err
+       * The error that occurred.
+       */
+      'error',
+      /**
+       * Destroy event fired when the {@link StreamDeckManager} is destroyed.
+       *
+       * @event StreamDeckManager#event:destroy
+       * @memberof StreamDeckManager
+       */
+      'destroy',
+    ])
+
+    // Wait a tick so listeners added right after creation receive the first connect events
+    schedulePoll(this, 0)
+  }
+
+  /**
+   * Register a setup callback that will be called with every {@link StreamDeck} opened by the
+   * {@link StreamDeckManager}. If a matching {@link StreamDeck} is already open the callback
+   * is called right away.
+   *
+   * @function addSetup
+   * @memberof StreamDeckManager
+   * @instance
+   *
+   * @param {function} callback
+   * The setup callback. Called with the {@link StreamDeck} and its
+   * {@link module:streamdeck-ui-node.StreamDeckInfo}. May return a Promise.
+   */
+
+  /**
+   * Register a setup callback that will be called with the {@link StreamDeck} opened by the
+   * {@link StreamDeckManager} for the Stream Deck device with the given serial number. If a
+   * matching {@link StreamDeck} is already open the callback is called right away.
+   *
+   * @function addSetup
+   * @memberof StreamDeckManager
+   * @instance
+   * @variation 2
+   *
+   * @param {string} serialNumber
+   * The serial number of the Stream Deck device.
+   *
+   * @param {function} callback
+   * The setup callback. Called with the {@link StreamDeck} and its
+   * {@link module:streamdeck-ui-node.StreamDeckInfo}. May return a Promise.
+   */
+  addSetup(serialNumber, callback) {
+    checkStreamDeckManagerDestroyed(this)
+
+    if (typeof serialNumber === 'function') {
+      callback = serialNumber
+      serialNumber = undefined
+    }
+
+    checkValid(serialNumber, {
+      name: 'serialNumber',
+      type: 'string',
+      allowUndefined: true,
+    })
+
+    checkValid(callback, {
+      name: 'callback',
+      type: 'function',
+    })
+
+    if (!this._setups.has(serialNumber)) {
+      this._setups.set(serialNumber, new Set())
+    }
+
+    this._setups.get(serialNumber).add(callback)
+
+    for (const [streamDeckSerialNumber, streamDeck] of this._streamDecks) {
+      if (
+        serialNumber === undefined ||
+        serialNumber === streamDeckSerialNumber
+      ) {
+        callSetup(this, callback, streamDeck)
+      }
+    }
+  }
+
+  /**
+   * Remove a setup callback registered for every {@link StreamDeck}.
+   *
+   * @function removeSetup
+   * @memberof StreamDeckManager
+   * @instance
+   *
+   * @param {function} callback
+   * The setup callback to remove.
+   */
+
+  /**
+   * Remove a setup callback registered for the Stream Deck device with the given serial
+   * number.
+   *
+   * @function removeSetup
+   * @memberof StreamDeckManager
+   * @instance
+   * @variation 2
+   *
+   * @param {string} serialNumber
+   * The serial number of the Stream Deck device.
+   *
+   * @param {function} callback
+   * The setup callback to remove.
+   */
+  removeSetup(serialNumber, callback) {
+    checkStreamDeckManagerDestroyed(this)
+
+    if (typeof serialNumber === 'function') {
+      callback = serialNumber
+      serialNumber = undefined
+    }
+
+    checkValid(serialNumber, {
+      name: 'serialNumber',
+      type: 'string',
+      allowUndefined: true,
+    })
+
+    checkValid(callback, {
+      name: 'callback',
+      type: 'function',
+    })
+
+    const setups = this._setups.get(serialNumber)
+
+    if (!setups) {
+      return
+    }
+
+    setups.delete(callback)
+
+    if (!setups.size) {
+      this._setups.delete(serialNumber)
+    }
+  }
+
+  /**
+   * Check for connected and disconnected Stream Deck devices right away instead of waiting for
+   * the next poll.
+   *
+   * @function refresh
+   * @memberof StreamDeckManager
+   * @instance
+   */
+  refresh() {
+    checkStreamDeckManagerDestroyed(this)
+
+    if (this._pollTimeoutId) {
+      clearTimeout(this._pollTimeoutId)
+      this._pollTimeoutId = undefined
+    }
+
+    poll(this)
+  }
+
+  /**
+   * Clean up all internal state data used by the {@link StreamDeckManager} in preparation for
+   * garbage collection. This also destroys all {@link StreamDeck|StreamDecks} opened by the
+   * {@link StreamDeckManager}.
+   *
+   * @function destroy
+   * @memberof StreamDeckManager
+   * @instance
+   */
+  destroy() {
+    checkStreamDeckManagerDestroyed(this)
+
+    if (this._pollTimeoutId) {
+      clearTimeout(this._pollTimeoutId)
+      this._pollTimeoutId = undefined
+    }
+
+    if (this._streamDecks.size) {
+      for (const streamDeck of this._streamDecks.values()) {
+        streamDeck.destroy()
+      }
+
+      this._streamDecks.clear()
+    }
+
+    this._streamDeckInfos.clear()
+    this._failedSerialNumbers.clear()
+    this._setups.clear()
+
+    this._destroyed = true
+
+    this.emit('destroy')
+  }
+
+  /**
+   * Destroy the {@link StreamDeckManager}, then close all {@link StreamDeck|StreamDecks}
+   * opened by the {@link StreamDeckManager}.
+   *
+   * Returns a Promise that resolves once all {@link StreamDeck|StreamDecks} have been closed.
+   *
+   * @function close
+   * @memberof StreamDeckManager
+   * @instance
+   *
+   * @returns {Promise}
+   */
+  async close() {
+    checkStreamDeckManagerDestroyed(this)
+
+    const streamDecks = Array.from(this._streamDecks.values())
+
+    // Closing a StreamDeck destroys it, so keep destroy() from doing it first
+    this._streamDecks.clear()
+
+    this.destroy()
+
+    await Promise.all(streamDecks.map((streamDeck) => streamDeck.close()))
+  }
+}
+
+function checkStreamDeckManagerDestroyed(_this) {
+  if (_this._destroyed) {
+    throw new Error(`StreamDeckManager has been destroyed!`)
+  }
+}
+
+function schedulePoll(_this, delay = _this.POLL_INTERVAL) {
+  _this._pollTimeoutId = setTimeout(() => {
+    _this._pollTimeoutId = undefined
+
+    poll(_this)
+  }, delay)
+}
+
+function poll(_this) {
+  if (_this._destroyed) {
+    return
+  }
+
+  let streamDeckInfos
+
+  try {
+    streamDeckInfos = listStreamDecksNode().map(
+      ({ path: hidPath, model, serialNumber }) => ({
+        hidPath,
+        model,
+        serialNumber,
+      })
+    )
+  } catch (err) {
+    _this.emit('error', err)
+
+    schedulePoll(_this)
+
+    return
+  }
+
+  const connectedSerialNumbers = new Set(
+    streamDeckInfos.map((streamDeckInfo) => streamDeckInfo.serialNumber)
+  )
+
+  for (const [serialNumber, streamDeckInfo] of _this._streamDeckInfos) {
+    if (!connectedSerialNumbers.has(serialNumber)) {
+      _this._streamDeckInfos.delete(serialNumber)
+      _this._failedSerialNumbers.delete(serialNumber)
+
+      _this.emit('disconnect', streamDeckInfo)
+    }
+  }
+
+  for (const streamDeckInfo of streamDeckInfos) {
+    if (_this._streamDeckInfos.has(streamDeckInfo.serialNumber)) {
+      // Devices that failed to open are retried until they open or are unplugged
+      if (_this._failedSerialNumbers.has(streamDeckInfo.serialNumber)) {
+        _this._failedSerialNumbers.delete(streamDeckInfo.serialNumber)
+
+        openManagedStreamDeck(_this, streamDeckInfo)
+      }
+
+      continue
+    }
+
+    _this._streamDeckInfos.set(streamDeckInfo.serialNumber, streamDeckInfo)
+
+    _this.emit('connect', streamDeckInfo)
+
+    openManagedStreamDeck(_this, streamDeckInfo)
+  }
+
+  schedulePoll(_this)
+}
+
+async function openManagedStreamDeck(_this, streamDeckInfo) {
+  const { serialNumber } = streamDeckInfo
+
+  const existingStreamDeck = _this._streamDecks.get(serialNumber)
+
+  // StreamDecks reopen their own device after being replugged unless told not to
+  if (existingStreamDeck?.AUTO_RECONNECT) {
+    return
+  }
+
+  if (existingStreamDeck) {
+    _this._streamDecks.delete(serialNumber)
+
+    existingStreamDeck.destroy()
+  }
+
+  if (_this._openingSerialNumbers.has(serialNumber)) {
+    return
+  }
+
+  _this._openingSerialNumbers.add(serialNumber)
+
+  let streamDeck
+
+  try {
+    const streamDeckNode = await openStreamDeckNode(
+      streamDeckInfo.hidPath,
+      _this._streamDeckOptions
+    )
+
+    if (_this._destroyed) {
+      await streamDeckNode.close()
+
+      return
+    }
+
+    streamDeck = new StreamDeck(
+      streamDeckNode,
+      {
+        hidPath: streamDeckInfo.hidPath,
+        serialNumber,
+        firmwareVersion: await streamDeckNode.getFirmwareVersion(),
+      },
+      _this._streamDeckOptions
+    )
+  } catch (err) {
+    _this.emit('error', err)
+
+    if (_this._streamDeckInfos.has(serialNumber)) {
+      _this._failedSerialNumbers.add(serialNumber)
+    }
+
+    return
+  } finally {
+    _this._openingSerialNumbers.delete(serialNumber)
+  }
+
+  _this._streamDecks.set(serialNumber, streamDeck)
+
+  streamDeck.on('destroy', () => {
+    if (_this._streamDecks.get(serialNumber) === streamDeck) {
+      _this._streamDecks.delete(serialNumber)
+    }
+  })
+
+  const setups = [
+    ...(_this._setups.get(undefined) ?? []),
+    ...(_this._setups.get(serialNumber) ?? []),
+  ]
+
+  await Promise.all(setups.map((setup) => callSetup(_this, setup, streamDeck)))
+
+  if (_this._destroyed || streamDeck.destroyed) {
+    return
+  }
+
+  _this.emit('streamDeck', streamDeck, streamDeckInfo)
+}
+
+function callSetup(_this, setup, streamDeck) {
+  const streamDeckInfo = {
+    hidPath: streamDeck.HID_PATH,
+    model: streamDeck.MODEL,
+    serialNumber: streamDeck.SERIAL_NUMBER,
+  }
+
+  return emitCaughtAsyncError(_this, () => setup(streamDeck, streamDeckInfo))
+}
+
+module.exports = StreamDeckManager
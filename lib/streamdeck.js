@@ -3,11 +3,28 @@
 const EventEmitter = require('eventemitter3')
 const queue = require('queue')
 
+const {
+  listStreamDecks: listStreamDecksNode,
+  openStreamDeck: openStreamDeckNode,
+} = require('@elgato-stream-deck/node')
+
 const { StreamDeckNode } = require('@elgato-stream-deck/node/dist/wrapper')
 
 const Page = require('./page')
 const Key = require('./key')
+const Encoder = require('./encoder')
+const LcdSegment = require('./lcd-segment')
+const KeyGrid = require('./key-grid')
+const LockScreen = require('./lock-screen')
 const Image = require('./image')
+const VirtualDevice = require('./virtual-device')
+
+const {
+  TRANSITIONS,
+  EASINGS,
+  TRANSITION_FRAME_TIME,
+  renderTransitionFrame,
+} = require('./transitions')
 
 const {
   checkValid,
@@ -15,6 +32,10 @@ const {
   definePublicProperties,
   listenToEvents,
   emitCaughtAsyncError,
+  checkSnapshotOptions,
+  createChord,
+  encodeSnapshot,
+  deserializeSource,
 } = require('./utils')
 
 /**
@@ -32,6 +53,67 @@ const {
  *   const streamDeck = await openStreamDeck();
  * })();
  */
+/**
+ * A portable description of a {@link StreamDeck|StreamDeck's} user interface created by
+ * {@link StreamDeck#serialize}. Elements refer to {@link Page|Pages} by their index in `pages`.
+ *
+ * @typedef {Object} SerializedState
+ * @memberof StreamDeck
+ *
+ * @property {number} version
+ * The version of the format, currently `1`.
+ *
+ * @property {module:streamdeck-ui-node.StreamDeckModel} model
+ * The model of the serialized {@link StreamDeck}.
+ *
+ * @property {number} panelRowCount
+ * The `{@link StreamDeck#PANEL_ROW_COUNT}` of the serialized {@link StreamDeck}.
+ *
+ * @property {number} panelColumnCount
+ * The `{@link StreamDeck#PANEL_COLUMN_COUNT}` of the serialized {@link StreamDeck}.
+ *
+ * @property {number} brightness
+ * The `{@link StreamDeck#brightness}`.
+ *
+ * @property {number} [defaultPage]
+ * The index of the `{@link StreamDeck#defaultPage}` in `pages`.
+ *
+ * @property {number} [focusedPage]
+ * The index of the `{@link StreamDeck#focusedPage}` in `pages`.
+ *
+ * @property {Array<Object>} pages
+ * The options of each {@link Page}, see {@link Page#toJSON}.
+ *
+ * @property {Array<Object>} keys
+ * The options of each {@link Key}, see {@link Key#toJSON}, with an `attachments` Array of
+ * `{ page, index, row, column }` Objects.
+ *
+ * @property {Array<Object>} encoders
+ * The options of each {@link Encoder}, see {@link Encoder#toJSON}, with an `attachments` Array
+ * of `{ page, index }` Objects.
+ *
+ * @property {Array<Object>} lcdSegments
+ * The options of each {@link LcdSegment}, see {@link LcdSegment#toJSON}, with an `attachments`
+ * Array of `{ page, index }` Objects.
+ */
+/**
+ * A combination of key slots that triggers a `chord` event when they are pressed together,
+ * created by {@link StreamDeck#addChord} or {@link Page#addChord}.
+ *
+ * @typedef {Object} Chord
+ * @memberof StreamDeck
+ *
+ * @property {Array<number>} indexes
+ * The key slot indexes that have to be pressed together.
+ *
+ * @property {function} [handler]
+ * The function called with the same arguments as the {@link StreamDeck#event:chord} when the
+ * {@link StreamDeck.Chord} is pressed.
+ *
+ * @property {boolean} suppressClicks
+ * Whether or not the keys of the {@link StreamDeck.Chord} trigger neither `click` nor `held`
+ * events when they are released.
+ */
 class StreamDeck extends EventEmitter {
   constructor(streamDeckNode, streamDeckData, options = {}) {
     super()
@@ -68,11 +150,38 @@ class StreamDeck extends EventEmitter {
     })
 
     definePrivateProperties(this, options, [
+      { name: 'streamDeckNodeOptions', value: options },
+      { name: 'streamDeckNodeListeners', value: new Map() },
+      { name: 'reconnectTimeoutId' },
       { name: 'holdTimeoutIds', value: new Map() },
       { name: 'idleTimeoutId' },
       { name: 'downPages', value: new Map() },
       { name: 'downKeys', value: new Map() },
       { name: 'holdIndexes', value: new Set() },
+      { name: 'tapTimeoutIds', value: new Map() },
+      { name: 'tapStates', value: new Map() },
+      { name: 'downTimes', value: new Map() },
+      { name: 'chordIndexes', value: new Map() },
+      { name: 'swipePath', value: [] },
+      { name: 'swipeTimeoutId' },
+      { name: 'encoderHoldTimeoutIds', value: new Map() },
+      { name: 'downEncoderPages', value: new Map() },
+      { name: 'downEncoders', value: new Map() },
+      { name: 'holdEncoderIndexes', value: new Set() },
+      { name: 'navigating', value: false },
+      { name: 'transitionId', value: 0 },
+      { name: 'brightnessFadeId', value: 0 },
+      { name: 'nodeBrightness' },
+      { name: 'screensaverPage' },
+      { name: 'screensaverPageStack' },
+      { name: 'brightnessScheduleOptions' },
+      { name: 'brightnessScheduleRule' },
+      { name: 'brightnessScheduleTimeoutId' },
+      { name: 'suppressedIndexes', value: new Set() },
+      { name: 'suppressedEncoderIndexes', value: new Set() },
+      { name: 'lockedIndexes', value: new Set() },
+      { name: 'backKeyPages', value: new Set() },
+      { name: 'lockScreenPages', value: new Set() },
       {
         name: 'graphicsQueue',
         value: queue({ autostart: true, concurrency: 1 }),
@@ -82,22 +191,32 @@ class StreamDeck extends EventEmitter {
     definePublicProperties(this, options, [
       /**
        * The {@link external:@elgato-stream-deck/node} instance managed by the {@link StreamDeck}.
+       * Replaced with a newly opened instance when the Stream Deck device is reconnected.
        *
        * @member {external:@elgato-stream-deck/node} STREAMDECK_NODE
        * @memberof StreamDeck
        * @instance
        * @constant
        */
-      { name: 'STREAMDECK_NODE', value: streamDeckNode },
+      {
+        name: 'STREAMDECK_NODE',
+        value: streamDeckNode,
+        get: () => this._STREAMDECK_NODE,
+      },
       /**
-       * The HID path of the Stream Deck device.
+       * The HID path of the Stream Deck device. May change when the Stream Deck device is
+       * reconnected.
        *
        * @member {string} HID_PATH
        * @memberof StreamDeck
        * @instance
        * @constant
        */
-      { name: 'HID_PATH', value: streamDeckData.hidPath },
+      {
+        name: 'HID_PATH',
+        value: streamDeckData.hidPath,
+        get: () => this._HID_PATH,
+      },
       /**
        * The {@link module:streamdeck-ui-node.StreamDeckModel} of the Stream Deck device.
        *
@@ -203,6 +322,75 @@ class StreamDeck extends EventEmitter {
         name: 'PANEL_HEIGHT',
         value: streamDeckNode.ICON_SIZE * streamDeckNode.KEY_ROWS,
       },
+      /**
+       * The number of encoders on the Stream Deck.
+       *
+       * @member {number} ENCODER_COUNT
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      { name: 'ENCODER_COUNT', value: streamDeckNode.NUM_ENCODERS ?? 0 },
+      /**
+       * The width of the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_WIDTH
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      { name: 'LCD_WIDTH', value: streamDeckNode.LCD_STRIP_SIZE?.width ?? 0 },
+      /**
+       * The height of the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_HEIGHT
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'LCD_HEIGHT',
+        value: streamDeckNode.LCD_STRIP_SIZE?.height ?? 0,
+      },
+      /**
+       * The number of segments on the Stream Deck's LCD touch strip. Each segment sits above
+       * the encoder with the same index.
+       *
+       * @member {number} LCD_SEGMENT_COUNT
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'LCD_SEGMENT_COUNT',
+        value: streamDeckNode.LCD_ENCODER_SIZE
+          ? streamDeckNode.NUM_ENCODERS ?? 0
+          : 0,
+      },
+      /**
+       * The width of each segment on the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_SEGMENT_WIDTH
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'LCD_SEGMENT_WIDTH',
+        value: streamDeckNode.LCD_ENCODER_SIZE?.width ?? 0,
+      },
+      /**
+       * The height of each segment on the Stream Deck's LCD touch strip in pixels.
+       *
+       * @member {number} LCD_SEGMENT_HEIGHT
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'LCD_SEGMENT_HEIGHT',
+        value: streamDeckNode.LCD_ENCODER_SIZE?.height ?? 0,
+      },
       /**
        * The number of milliseconds after the {@link StreamDeck#event:down} is triggered that
        * the {@link StreamDeck#event:hold} will be triggered. A value of `0` means the
@@ -255,6 +443,123 @@ class StreamDeck extends EventEmitter {
         max: 2,
         allowUndefined: true,
       },
+      /**
+       * The number of milliseconds after the {@link StreamDeck#event:click} is triggered that
+       * another click on the same key slot counts towards the same
+       * {@link StreamDeck#event:tap|tap} sequence. A value of `0` means every click starts a new
+       * sequence, disabling the {@link StreamDeck#event:doubleClick}.
+       *
+       * @member {number} DOUBLE_CLICK_TIME
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'DOUBLE_CLICK_TIME',
+        value: 300,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * Whether or not the {@link StreamDeck#event:click} is delayed until
+       * `{@link StreamDeck#DOUBLE_CLICK_TIME}` has passed without another click, and only
+       * triggered if the key was clicked once. Also the default for {@link Page|Pages} and
+       * {@link Key|Keys} created by the {@link StreamDeck}.
+       *
+       * @member {boolean} DELAY_CLICK
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'DELAY_CLICK',
+        value: false,
+        type: 'boolean',
+        allowUndefined: true,
+      },
+      /**
+       * The maximum number of milliseconds between pressing two neighboring keys for them to
+       * count towards the same {@link StreamDeck#event:swipe}. A value of `0` means the
+       * {@link StreamDeck#event:swipe} is disabled.
+       *
+       * @member {number} SWIPE_TIME
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'SWIPE_TIME',
+        value: 150,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The minimum number of keys that have to be pressed in a line for the
+       * {@link StreamDeck#event:swipe} to be triggered.
+       *
+       * @member {number} SWIPE_LENGTH
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'SWIPE_LENGTH',
+        value: 3,
+        type: 'integer',
+        min: 2,
+        allowUndefined: true,
+      },
+      /**
+       * The default number of milliseconds a {@link Key} has to be held down before the first
+       * {@link Key#event:repeat} is triggered.
+       *
+       * @member {number} REPEAT_DELAY
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'REPEAT_DELAY',
+        value: 500,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The default number of milliseconds between each {@link Key#event:repeat} while a
+       * {@link Key} is held down. A value of `0` means the {@link Key#event:repeat} is disabled.
+       *
+       * @member {number} REPEAT_INTERVAL
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'REPEAT_INTERVAL',
+        value: 0,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The maximum number of milliseconds between the first and the last key of a
+       * {@link StreamDeck.Chord} being pressed for the {@link StreamDeck#event:chord} to be
+       * triggered. A value of `0` means the keys only have to be held down at the same time.
+       *
+       * @member {number} CHORD_TIME
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'CHORD_TIME',
+        value: 200,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
       /**
        * The number of milliseconds of inactivity before the {@link StreamDeck#event:idle} is
        * triggered. A value of `0` means the {@link StreamDeck#event:idle} is disabled.
@@ -271,6 +576,133 @@ class StreamDeck extends EventEmitter {
         min: 0,
         allowUndefined: true,
       },
+      /**
+       * Whether or not the {@link StreamDeck} will try to reopen the Stream Deck device after
+       * it has been disconnected. A {@link VirtualDevice} is reopened once
+       * {@link VirtualDevice#replug} is called.
+       *
+       * @member {boolean} AUTO_RECONNECT
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'AUTO_RECONNECT',
+        value: true,
+        type: 'boolean',
+        allowUndefined: true,
+      },
+      /**
+       * The number of milliseconds between each attempt to find and reopen the Stream Deck
+       * device after it has been disconnected.
+       *
+       * @member {number} RECONNECT_INTERVAL
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'RECONNECT_INTERVAL',
+        value: 1000,
+        type: 'integer',
+        min: 1,
+        allowUndefined: true,
+      },
+      /**
+       * The default {@link StreamDeck.Transition} used when a {@link Page} gains focus.
+       *
+       * @member {StreamDeck.Transition} TRANSITION
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'TRANSITION',
+        value: 'none',
+        type: 'string',
+        validValues: TRANSITIONS,
+        allowUndefined: true,
+      },
+      /**
+       * The default number of milliseconds a {@link StreamDeck.Transition} lasts.
+       *
+       * @member {number} TRANSITION_DURATION
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'TRANSITION_DURATION',
+        value: 300,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The default number of milliseconds the brightness of the Stream Deck's panel fades for
+       * when it changes. A value of `0` means the brightness changes instantly.
+       *
+       * @member {number} BRIGHTNESS_DURATION
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'BRIGHTNESS_DURATION',
+        value: 0,
+        type: 'integer',
+        min: 0,
+        allowUndefined: true,
+      },
+      /**
+       * The default {@link StreamDeck.Easing} used while fading the brightness of the Stream
+       * Deck's panel.
+       *
+       * @member {StreamDeck.Easing} BRIGHTNESS_EASING
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'BRIGHTNESS_EASING',
+        value: 'easeInOut',
+        type: 'string',
+        validValues: Object.keys(EASINGS),
+        allowUndefined: true,
+      },
+      /**
+       * The key slot index that the `{@link StreamDeck#backKey}` is attached to on every
+       * {@link Page} in the `{@link StreamDeck#pageStack}` above the root {@link Page}. The
+       * `{@link StreamDeck#backKey}` is only attached if the key slot is free. If undefined no
+       * `{@link StreamDeck#backKey}` is provided.
+       *
+       * @member {number|undefined} BACK_KEY_INDEX
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'BACK_KEY_INDEX',
+        type: 'integer',
+        min: 0,
+        max: streamDeckNode.NUM_KEYS - 1,
+        allowUndefined: true,
+      },
+      /**
+       * Whether or not {@link Image|Images} created for the {@link StreamDeck} are reloaded when
+       * their image file sources change on disk.
+       *
+       * @member {boolean} WATCH_IMAGES
+       * @memberof StreamDeck
+       * @instance
+       * @constant
+       */
+      {
+        name: 'WATCH_IMAGES',
+        value: false,
+        type: 'boolean',
+        allowUndefined: true,
+      },
       /**
        * The brightness of Stream Deck's panel. Value is a float between `0` and `1` inclusive.
        * Can be overridden by the `{@link StreamDeck#focusedPage}` if the
@@ -308,6 +740,30 @@ class StreamDeck extends EventEmitter {
        * @readonly
        */
       { name: 'focusedPage' },
+      /**
+       * The navigation stack of {@link Page|Pages} managed by {@link StreamDeck#pushPage},
+       * {@link StreamDeck#popPage}, {@link StreamDeck#replacePage} and
+       * {@link StreamDeck#popToRoot}. The last {@link Page} is the
+       * `{@link StreamDeck#focusedPage}`. Focusing a {@link Page} by any other means resets the
+       * navigation stack to only contain that {@link Page}.
+       *
+       * @member {Array<Page>} pageStack
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      { name: 'pageStack', value: [], get: () => [...this._pageStack] },
+      /**
+       * The {@link Key} that calls {@link StreamDeck#popPage} when clicked, attached to
+       * `{@link StreamDeck#BACK_KEY_INDEX}` on stacked {@link Page|Pages}. Created the first time
+       * it is needed.
+       *
+       * @member {Key|undefined} backKey
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      { name: 'backKey' },
       /**
        * All {@link Page|Pages} created by the {@link StreamDeck} that have not been destroyed.
        *
@@ -327,37 +783,218 @@ class StreamDeck extends EventEmitter {
        */
       { name: 'keys', value: new Set(), get: () => new Set(this._keys) },
       /**
-       * Whether or not the {@link StreamDeck} has been destroyed.
+       * All {@link Encoder|Encoders} created by the {@link StreamDeck} that have not been
+       * destroyed.
        *
-       * @member {boolean} destroyed
+       * @member {Set<Encoder>} encoders
        * @memberof StreamDeck
        * @instance
        * @readonly
        */
-      { name: 'destroyed', value: false },
-    ])
-
-    this.STREAMDECK_NODE.on('error', this.emit.bind(this, 'error'))
-
-    this.STREAMDECK_NODE.on('down', (index) => {
-      if (this._destroyed) {
-        return
-      }
-
-      if (this._holdTimeoutIds.has(index)) {
-        clearTimeout(this._holdTimeoutIds.get(index))
-        this._holdTimeoutIds.delete(index)
-      }
-
-      const page = this._focusedPage
+      {
+        name: 'encoders',
+        value: new Set(),
+        get: () => new Set(this._encoders),
+      },
+      /**
+       * All {@link LcdSegment|LcdSegments} created by the {@link StreamDeck} that have not been
+       * destroyed.
+       *
+       * @member {Set<LcdSegment>} lcdSegments
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'lcdSegments',
+        value: new Set(),
+        get: () => new Set(this._lcdSegments),
+      },
+      /**
+       * All {@link KeyGrid|KeyGrids} created by the {@link StreamDeck} that have not been
+       * destroyed.
+       *
+       * @member {Set<KeyGrid>} keyGrids
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'keyGrids',
+        value: new Set(),
+        get: () => new Set(this._keyGrids),
+      },
+      /**
+       * All {@link LockScreen|LockScreens} created by the {@link StreamDeck} that have not been
+       * destroyed.
+       *
+       * @member {Set<LockScreen>} lockScreens
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'lockScreens',
+        value: new Set(),
+        get: () => new Set(this._lockScreens),
+      },
+      /**
+       * Whether or not a {@link LockScreen} has locked the {@link StreamDeck}.
+       *
+       * @member {boolean} locked
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'locked',
+        get: () =>
+          [...this._lockScreens].some((lockScreen) => lockScreen.locked),
+      },
+      /**
+       * All {@link StreamDeck.Chord|Chords} added to the {@link StreamDeck}.
+       *
+       * @member {Set<StreamDeck.Chord>} chords
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      { name: 'chords', value: new Set(), get: () => new Set(this._chords) },
+      /**
+       * Whether or not the Stream Deck device is currently disconnected.
+       *
+       * @member {boolean} disconnected
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      { name: 'disconnected', value: false },
+      /**
+       * The options of the screensaver set via {@link StreamDeck#setScreensaver}, or undefined
+       * if no screensaver is set.
+       *
+       * @member {Object|undefined} screensaver
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'screensaver',
+        get: () => this._screensaver && { ...this._screensaver },
+      },
+      /**
+       * Whether or not the screensaver is currently shown.
+       *
+       * @member {boolean} screensaverActive
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'screensaverActive',
+        get: () => this._screensaverPageStack !== undefined,
+      },
+      /**
+       * The rules of the brightness schedule set via {@link StreamDeck#setBrightnessSchedule},
+       * sorted by time of day, or undefined if no brightness schedule is set.
+       *
+       * @member {Array<Object>|undefined} brightnessSchedule
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      {
+        name: 'brightnessSchedule',
+        get: () => this._brightnessSchedule?.map((rule) => ({ ...rule })),
+      },
+      /**
+       * Whether or not a {@link StreamDeck.Transition} is currently being drawn. Key presses,
+       * encoder input, and LCD touch strip input are ignored while a
+       * {@link StreamDeck.Transition} is being drawn.
+       *
+       * @member {boolean} transitioning
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      { name: 'transitioning', value: false },
+      /**
+       * Whether or not the {@link StreamDeck} has been destroyed.
+       *
+       * @member {boolean} destroyed
+       * @memberof StreamDeck
+       * @instance
+       * @readonly
+       */
+      { name: 'destroyed', value: false },
+    ])
+
+    listenToStreamDeckNode(this, 'error', (err) => {
+      this.emit('error', err)
+
+      // @elgato-stream-deck/node only emits errors when reading from the device fails, which
+      // happens when the device has been unplugged
+      if (this.AUTO_RECONNECT) {
+        disconnectStreamDeckNode(this)
+      }
+    })
+
+    listenToStreamDeckNode(this, 'down', (index) => {
+      if (this._destroyed) {
+        return
+      }
+
+      // The press that wakes the Stream Deck is swallowed so it doesn't trigger anything
+      if (this._screensaverPageStack) {
+        this._suppressedIndexes.add(index)
+
+        wakeStreamDeck(this)
+
+        this.emit('activity', 'wake', index)
+
+        return
+      }
+
+      if (this._transitioning) {
+        this._suppressedIndexes.add(index)
+
+        return
+      }
+
+      if (this._holdTimeoutIds.has(index)) {
+        clearTimeout(this._holdTimeoutIds.get(index))
+        this._holdTimeoutIds.delete(index)
+      }
+
+      // A press before the tap sequence has timed out continues it
+      if (this._tapTimeoutIds.has(index)) {
+        clearTimeout(this._tapTimeoutIds.get(index))
+        this._tapTimeoutIds.delete(index)
+      } else {
+        this._tapStates.delete(index)
+      }
+
+      const page = this._focusedPage
       const key = page?.keys.get(index)
 
+      // Presses made while locked only reach the LockScreen's Page and its Keys
+      const locked = this.locked
+
       this._downPages.set(index, page)
       this._downKeys.set(index, key)
+      this._downTimes.set(index, Date.now())
 
       this._holdIndexes.delete(index)
+      this._chordIndexes.delete(index)
+
+      if (locked) {
+        this._lockedIndexes.add(index)
+      } else {
+        this._lockedIndexes.delete(index)
+
+        this.emit('down', index, page, key)
+      }
 
-      this.emit('down', index, page, key)
       page?.emit('down', index, page, key)
       key?.emit('down', index, page, key)
 
@@ -369,7 +1006,9 @@ class StreamDeck extends EventEmitter {
 
             this._holdIndexes.add(index)
 
-            this.emit('hold', index, page, key)
+            if (!locked) {
+              this.emit('hold', index, page, key)
+            }
 
             if (page && typeof page.HOLD_TIME !== 'number') {
               page.emit('hold', index, page, key)
@@ -382,16 +1021,32 @@ class StreamDeck extends EventEmitter {
         )
       }
 
+      handleStreamDeckChords(this, index, locked)
+
+      if (!locked) {
+        handleStreamDeckSwipe(this, index, page)
+      }
+
       this.emit('activity', 'down', index, page, key)
       page?.emit('activity', 'down', index, page, key)
       key?.emit('activity', 'down', index, page, key)
     })
 
-    this.STREAMDECK_NODE.on('up', (index) => {
+    listenToStreamDeckNode(this, 'up', (index) => {
       if (this._destroyed) {
         return
       }
 
+      if (this._suppressedIndexes.has(index)) {
+        this._suppressedIndexes.delete(index)
+
+        return
+      }
+
+      if (!this._downKeys.has(index)) {
+        return
+      }
+
       if (this._holdTimeoutIds.has(index)) {
         clearTimeout(this._holdTimeoutIds.get(index))
         this._holdTimeoutIds.delete(index)
@@ -401,23 +1056,42 @@ class StreamDeck extends EventEmitter {
       const key = this._downKeys.get(index)
 
       const held = this._holdIndexes.has(index)
+      const suppressed =
+        this._chordIndexes.get(index) === true || this._disconnected
+      const locked = this._lockedIndexes.has(index)
 
       this._downPages.delete(index)
       this._downKeys.delete(index)
+      this._downTimes.delete(index)
 
       this._holdIndexes.delete(index)
+      this._chordIndexes.delete(index)
+      this._lockedIndexes.delete(index)
+
+      if (!locked) {
+        this.emit('up', index, page, key)
+
+        handleStreamDeckTap(this, index, page, key, held || suppressed)
+      }
 
-      this.emit('up', index, page, key)
       page?.emit('up', index, page, key)
       key?.emit('up', index, page, key)
 
-      this.emit(held ? 'held' : 'click', index, page, key)
+      if (!suppressed && !locked && (held || !this.DELAY_CLICK)) {
+        this.emit(held ? 'held' : 'click', index, page, key)
+      }
+
+      if (!suppressed && page && typeof page.HOLD_TIME !== 'number') {
+        const delayClick = page.DELAY_CLICK ?? this.DELAY_CLICK
 
-      if (page && typeof page.HOLD_TIME !== 'number') {
-        page.emit(held ? 'held' : 'click', index, page, key)
+        if (held || !delayClick) {
+          page.emit(held ? 'held' : 'click', index, page, key)
+        }
 
         if (key && typeof key.HOLD_TIME !== 'number') {
-          key.emit(held ? 'held' : 'click', index, page, key)
+          if (held || !(key.DELAY_CLICK ?? delayClick)) {
+            key.emit(held ? 'held' : 'click', index, page, key)
+          }
         }
       }
 
@@ -426,6 +1100,177 @@ class StreamDeck extends EventEmitter {
       key?.emit('activity', 'up', index, page, key)
     })
 
+    listenToStreamDeckNode(this, 'rotateLeft', (index, amount) => {
+      handleStreamDeckNodeRotate(this, index, -amount)
+    })
+
+    listenToStreamDeckNode(this, 'rotateRight', (index, amount) => {
+      handleStreamDeckNodeRotate(this, index, amount)
+    })
+
+    listenToStreamDeckNode(this, 'encoderDown', (index) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._screensaverPageStack) {
+        this._suppressedEncoderIndexes.add(index)
+
+        wakeStreamDeck(this)
+
+        this.emit('activity', 'wake', index)
+
+        return
+      }
+
+      if (this._transitioning) {
+        this._suppressedEncoderIndexes.add(index)
+
+        return
+      }
+
+      if (this._encoderHoldTimeoutIds.has(index)) {
+        clearTimeout(this._encoderHoldTimeoutIds.get(index))
+        this._encoderHoldTimeoutIds.delete(index)
+      }
+
+      const page = this._focusedPage
+      const encoder = page?.encoders.get(index)
+
+      this._downEncoderPages.set(index, page)
+      this._downEncoders.set(index, encoder)
+
+      this._holdEncoderIndexes.delete(index)
+
+      if (!this.locked) {
+        this.emit('encoderDown', index, page, encoder)
+      }
+
+      page?.emit('encoderDown', index, page, encoder)
+      encoder?.emit('down', index, page, encoder)
+
+      if (this.HOLD_TIME > 0) {
+        this._encoderHoldTimeoutIds.set(
+          index,
+          setTimeout(() => {
+            this._encoderHoldTimeoutIds.delete(index)
+
+            this._holdEncoderIndexes.add(index)
+
+            if (!this.locked) {
+              this.emit('encoderHold', index, page, encoder)
+            }
+
+            if (page && typeof page.HOLD_TIME !== 'number') {
+              page.emit('encoderHold', index, page, encoder)
+
+              if (encoder && typeof encoder.HOLD_TIME !== 'number') {
+                encoder.emit('hold', index, page, encoder)
+              }
+            }
+          }, this.HOLD_TIME)
+        )
+      }
+
+      this.emit('activity', 'encoderDown', index, page, encoder)
+      page?.emit('activity', 'encoderDown', index, page, encoder)
+      encoder?.emit('activity', 'encoderDown', index, page, encoder)
+    })
+
+    listenToStreamDeckNode(this, 'encoderUp', (index) => {
+      if (this._destroyed) {
+        return
+      }
+
+      if (this._suppressedEncoderIndexes.has(index)) {
+        this._suppressedEncoderIndexes.delete(index)
+
+        return
+      }
+
+      if (!this._downEncoders.has(index)) {
+        return
+      }
+
+      if (this._encoderHoldTimeoutIds.has(index)) {
+        clearTimeout(this._encoderHoldTimeoutIds.get(index))
+        this._encoderHoldTimeoutIds.delete(index)
+      }
+
+      const page = this._downEncoderPages.get(index)
+      const encoder = this._downEncoders.get(index)
+
+      const held = this._holdEncoderIndexes.has(index)
+
+      this._downEncoderPages.delete(index)
+      this._downEncoders.delete(index)
+
+      this._holdEncoderIndexes.delete(index)
+
+      if (!this.locked) {
+        this.emit('encoderUp', index, page, encoder)
+      }
+
+      page?.emit('encoderUp', index, page, encoder)
+      encoder?.emit('up', index, page, encoder)
+
+      if (!this._disconnected && !this.locked) {
+        this.emit(held ? 'encoderHeld' : 'encoderClick', index, page, encoder)
+      }
+
+      if (!this._disconnected && page && typeof page.HOLD_TIME !== 'number') {
+        page.emit(held ? 'encoderHeld' : 'encoderClick', index, page, encoder)
+
+        if (encoder && typeof encoder.HOLD_TIME !== 'number') {
+          encoder.emit(held ? 'held' : 'click', index, page, encoder)
+        }
+      }
+
+      this.emit('activity', 'encoderUp', index, page, encoder)
+      page?.emit('activity', 'encoderUp', index, page, encoder)
+      encoder?.emit('activity', 'encoderUp', index, page, encoder)
+    })
+
+    listenToStreamDeckNode(this, 'lcdShortPress', (index, position) => {
+      handleStreamDeckNodeLcdPress(this, 'lcdTap', 'tap', index, position)
+    })
+
+    listenToStreamDeckNode(this, 'lcdLongPress', (index, position) => {
+      handleStreamDeckNodeLcdPress(
+        this,
+        'lcdLongPress',
+        'longPress',
+        index,
+        position
+      )
+    })
+
+    listenToStreamDeckNode(
+      this,
+      'lcdSwipe',
+      (fromIndex, toIndex, fromPosition, toPosition) => {
+        if (this._destroyed || this._transitioning) {
+          return
+        }
+
+        const page = this._focusedPage
+        const lcdSegment = page?.lcdSegments.get(fromIndex)
+
+        const args = [fromIndex, toIndex, fromPosition, toPosition, page]
+
+        if (!this.locked) {
+          this.emit('lcdSwipe', ...args, lcdSegment)
+        }
+
+        page?.emit('lcdSwipe', ...args, lcdSegment)
+        lcdSegment?.emit('swipe', ...args, lcdSegment)
+
+        this.emit('activity', 'lcdSwipe', fromIndex, page, lcdSegment)
+        page?.emit('activity', 'lcdSwipe', fromIndex, page, lcdSegment)
+        lcdSegment?.emit('activity', 'lcdSwipe', fromIndex, page, lcdSegment)
+      }
+    )
+
     this._graphicsQueue.on('error', this.emit.bind(this, 'error'))
 
     this.on('activity', () => {
@@ -438,7 +1283,11 @@ class StreamDeck extends EventEmitter {
         this._idleTimeoutId = undefined
       }
 
-      if (this.IDLE_TIME <= 0 || this._downKeys.size) {
+      if (
+        this.IDLE_TIME <= 0 ||
+        this._downKeys.size ||
+        this._downEncoders.size
+      ) {
         return
       }
 
@@ -446,6 +1295,8 @@ class StreamDeck extends EventEmitter {
         this._idleTimeoutId = undefined
 
         this.emit('idle')
+
+        startStreamDeckScreensaver(this)
       }, this.IDLE_TIME)
     })
 
@@ -461,6 +1312,39 @@ class StreamDeck extends EventEmitter {
        * The new brightness for the {@link StreamDeck}.
        */
       'brightness',
+      /**
+       * Brightness schedule event fired when a rule of the brightness schedule set via
+       * {@link StreamDeck#setBrightnessSchedule} comes into effect and sets the
+       * `{@link StreamDeck#brightness}`.
+       *
+       * @event StreamDeck#event:brightnessSchedule
+       * @memberof StreamDeck
+       *
+       * @param {number} brightness
+       * The brightness of the rule.
+       *
+       * @param {string} time
+       * The time of day of the rule, such as `'08:00'`.
+       */
+      'brightnessSchedule',
+      /**
+       * Disconnect event fired when the Stream Deck device is disconnected. Drawing is paused
+       * until the Stream Deck device is reconnected, and any key slots or encoders that were
+       * still down are released without firing click or held events.
+       *
+       * @event StreamDeck#event:disconnect
+       * @memberof StreamDeck
+       */
+      'disconnect',
+      /**
+       * Reconnect event fired when the Stream Deck device has been reopened after being
+       * disconnected. The brightness and `{@link StreamDeck#focusedPage}` are redrawn before
+       * this event fires.
+       *
+       * @event StreamDeck#event:reconnect
+       * @memberof StreamDeck
+       */
+      'reconnect',
       /**
        * Focus event fired when a {@link Page} gains focus.
        *
@@ -487,6 +1371,26 @@ class StreamDeck extends EventEmitter {
        * The {@link Page} that lost focus.
        */
       'blur',
+      /**
+       * Navigate event fired after the `{@link StreamDeck#pageStack}` changes via
+       * {@link StreamDeck#pushPage}, {@link StreamDeck#popPage}, {@link StreamDeck#replacePage},
+       * {@link StreamDeck#popToRoot}, {@link LockScreen#lock}, {@link LockScreen#unlock}, or
+       * when the screensaver is shown or woken from. Fired after the
+       * {@link StreamDeck#event:focus}.
+       *
+       * @event StreamDeck#event:navigate
+       * @memberof StreamDeck
+       *
+       * @param {'push'|'pop'|'replace'|'popToRoot'|'lock'|'unlock'|'screensaver'|'wake'} action
+       * The navigation action.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that has focus after navigating.
+       *
+       * @param {Page} [previousPage]
+       * The {@link Page} that had focus before navigating.
+       */
+      'navigate',
       /**
        * Page event fired when a new {@link Page} is created.
        *
@@ -508,16 +1412,56 @@ class StreamDeck extends EventEmitter {
        */
       'key',
       /**
-       * Attach event fired when a {@link Key} is attached to a {@link Page}.
+       * Encoder event fired when a new {@link Encoder} is created.
        *
-       * @event StreamDeck#event:attach
+       * @event StreamDeck#event:encoder
        * @memberof StreamDeck
        *
-       * @param {number} index
-       * The key slot index.
+       * @param {Encoder} encoder
+       * The created {@link Encoder}.
+       */
+      'encoder',
+      /**
+       * LCD segment event fired when a new {@link LcdSegment} is created.
        *
-       * @param {Page} page
-       * The {@link Page} that the {@link Key} was attached to.
+       * @event StreamDeck#event:lcdSegment
+       * @memberof StreamDeck
+       *
+       * @param {LcdSegment} lcdSegment
+       * The created {@link LcdSegment}.
+       */
+      'lcdSegment',
+      /**
+       * Key grid event fired when a new {@link KeyGrid} is created.
+       *
+       * @event StreamDeck#event:keyGrid
+       * @memberof StreamDeck
+       *
+       * @param {KeyGrid} keyGrid
+       * The created {@link KeyGrid}.
+       */
+      'keyGrid',
+      /**
+       * Lock screen event fired when a new {@link LockScreen} is created.
+       *
+       * @event StreamDeck#event:lockScreen
+       * @memberof StreamDeck
+       *
+       * @param {LockScreen} lockScreen
+       * The created {@link LockScreen}.
+       */
+      'lockScreen',
+      /**
+       * Attach event fired when a {@link Key} is attached to a {@link Page}.
+       *
+       * @event StreamDeck#event:attach
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The key slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link Key} was attached to.
        *
        * @param {Key} key
        * The {@link Key} that was attached.
@@ -590,7 +1534,9 @@ class StreamDeck extends EventEmitter {
       'up',
       /**
        * Click event fired after the {@link StreamDeck#event:up} if the
-       * {@link StreamDeck#event:hold} had not been fired.
+       * {@link StreamDeck#event:hold} had not been fired. If `{@link StreamDeck#DELAY_CLICK}` is
+       * `true` this event is fired once `{@link StreamDeck#DOUBLE_CLICK_TIME}` has passed, and
+       * only if the key was not clicked again.
        *
        * @event StreamDeck#event:click
        * @memberof StreamDeck
@@ -622,6 +1568,336 @@ class StreamDeck extends EventEmitter {
        * The {@link Key} that was attached to the key slot index on the {@link Page}.
        */
       'held',
+      /**
+       * Tap event fired after the {@link StreamDeck#event:up} each time a key is clicked,
+       * counting the clicks on the same key slot that were less than
+       * `{@link StreamDeck#DOUBLE_CLICK_TIME}` milliseconds apart.
+       *
+       * @event StreamDeck#event:tap
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The key slot index that was clicked.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus when the key was initially pressed.
+       *
+       * @param {Key} [key]
+       * The {@link Key} that was attached to the key slot index on the {@link Page}.
+       *
+       * @param {number} count
+       * The number of clicks in the tap sequence so far, starting at `1`.
+       */
+      'tap',
+      /**
+       * Double click event fired after the second {@link StreamDeck#event:tap} of a tap
+       * sequence. If `{@link StreamDeck#DOUBLE_CLICK_TIME}` is `0` this event is disabled.
+       *
+       * @event StreamDeck#event:doubleClick
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The key slot index that was double clicked.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus when the key was initially pressed.
+       *
+       * @param {Key} [key]
+       * The {@link Key} that was attached to the key slot index on the {@link Page}.
+       */
+      'doubleClick',
+      /**
+       * Chord event fired when every key of a {@link StreamDeck.Chord} added to the
+       * {@link StreamDeck}, or to the {@link Page} that has focus, is pressed down within
+       * `{@link StreamDeck#CHORD_TIME}` milliseconds.
+       *
+       * @event StreamDeck#event:chord
+       * @memberof StreamDeck
+       *
+       * @param {StreamDeck.Chord} chord
+       * The {@link StreamDeck.Chord} that was pressed.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus when the last key of the chord was pressed.
+       *
+       * @param {Array<Key|undefined>} keys
+       * The {@link Key|Keys} attached to each key slot index of the chord, in the same order as
+       * `indexes`.
+       */
+      'chord',
+      /**
+       * Swipe event fired when at least `{@link StreamDeck#SWIPE_LENGTH}` neighboring keys in a
+       * straight line were pressed one after another, each within
+       * `{@link StreamDeck#SWIPE_TIME}` milliseconds of the previous one. The event is fired
+       * once the swipe has ended, the {@link StreamDeck#event:down} and
+       * {@link StreamDeck#event:up} of each key are fired as usual.
+       *
+       * @event StreamDeck#event:swipe
+       * @memberof StreamDeck
+       *
+       * @param {string} direction
+       * The direction of the swipe. (`'left'`, `'right'`, `'up'`, or `'down'`)
+       *
+       * @param {Array<number>} path
+       * The key slot indexes in the order they were pressed.
+       *
+       * @param {number} speed
+       * The speed of the swipe in keys per second.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus during the swipe.
+       */
+      'swipe',
+      /**
+       * Encoder attach event fired when an {@link Encoder} is attached to a {@link Page}.
+       *
+       * @event StreamDeck#event:encoderAttach
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link Encoder} was attached to.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder} that was attached.
+       */
+      'encoderAttach',
+      /**
+       * Encoder detach event fired when an {@link Encoder} is detached from a {@link Page}.
+       *
+       * @event StreamDeck#event:encoderDetach
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link Encoder} was detached from.
+       *
+       * @param {Encoder} encoder
+       * The {@link Encoder} that was detached.
+       */
+      'encoderDetach',
+      /**
+       * Rotate event fired when an encoder is rotated.
+       *
+       * @event StreamDeck#event:rotate
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index that was rotated.
+       *
+       * @param {number} delta
+       * The number of steps the encoder was rotated. Negative values are counterclockwise
+       * rotations and positive values are clockwise rotations.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that currently has focus.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that is attached to the encoder slot index on the {@link Page}.
+       */
+      'rotate',
+      /**
+       * Encoder down event fired when an encoder is pressed.
+       *
+       * @event StreamDeck#event:encoderDown
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index that was pressed.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that currently has focus.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that is attached to the encoder slot index on the {@link Page}.
+       */
+      'encoderDown',
+      /**
+       * Encoder hold event fired when an encoder is pressed down for
+       * `{@link StreamDeck#HOLD_TIME}` milliseconds. If `{@link StreamDeck#HOLD_TIME}` is `0`
+       * this event is disabled.
+       *
+       * @event StreamDeck#event:encoderHold
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index that is being pressed.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}.
+       */
+      'encoderHold',
+      /**
+       * Encoder up event fired when an encoder is released.
+       *
+       * @event StreamDeck#event:encoderUp
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index that was released.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}.
+       */
+      'encoderUp',
+      /**
+       * Encoder click event fired after the {@link StreamDeck#event:encoderUp} if the
+       * {@link StreamDeck#event:encoderHold} had not been fired.
+       *
+       * @event StreamDeck#event:encoderClick
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index that was clicked.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}.
+       */
+      'encoderClick',
+      /**
+       * Encoder held event fired after the {@link StreamDeck#event:encoderUp} if the
+       * {@link StreamDeck#event:encoderHold} had been fired.
+       *
+       * @event StreamDeck#event:encoderHeld
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The encoder slot index that was held.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that had focus when the encoder was initially pressed.
+       *
+       * @param {Encoder} [encoder]
+       * The {@link Encoder} that was attached to the encoder slot index on the {@link Page}.
+       */
+      'encoderHeld',
+      /**
+       * LCD segment attach event fired when an {@link LcdSegment} is attached to a
+       * {@link Page}.
+       *
+       * @event StreamDeck#event:lcdSegmentAttach
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The LCD segment slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link LcdSegment} was attached to.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment} that was attached.
+       */
+      'lcdSegmentAttach',
+      /**
+       * LCD segment detach event fired when an {@link LcdSegment} is detached from a
+       * {@link Page}.
+       *
+       * @event StreamDeck#event:lcdSegmentDetach
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The LCD segment slot index.
+       *
+       * @param {Page} page
+       * The {@link Page} that the {@link LcdSegment} was detached from.
+       *
+       * @param {LcdSegment} lcdSegment
+       * The {@link LcdSegment} that was detached.
+       */
+      'lcdSegmentDetach',
+      /**
+       * LCD tap event fired when the LCD touch strip is briefly touched.
+       *
+       * @event StreamDeck#event:lcdTap
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The LCD segment slot index that was tapped.
+       *
+       * @param {Object} position
+       * The coordinates of the tap in pixels, relative to the whole LCD touch strip.
+       *
+       * @param {number} position.x
+       * The x coordinate.
+       *
+       * @param {number} position.y
+       * The y coordinate.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that currently has focus.
+       *
+       * @param {LcdSegment} [lcdSegment]
+       * The {@link LcdSegment} that is attached to the LCD segment slot index on the
+       * {@link Page}.
+       */
+      'lcdTap',
+      /**
+       * LCD long press event fired when the LCD touch strip is touched and held.
+       *
+       * @event StreamDeck#event:lcdLongPress
+       * @memberof StreamDeck
+       *
+       * @param {number} index
+       * The LCD segment slot index that was pressed.
+       *
+       * @param {Object} position
+       * The coordinates of the press in pixels, relative to the whole LCD touch strip.
+       *
+       * @param {number} position.x
+       * The x coordinate.
+       *
+       * @param {number} position.y
+       * The y coordinate.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that currently has focus.
+       *
+       * @param {LcdSegment} [lcdSegment]
+       * The {@link LcdSegment} that is attached to the LCD segment slot index on the
+       * {@link Page}.
+       */
+      'lcdLongPress',
+      /**
+       * LCD swipe event fired when a swipe is made across the LCD touch strip.
+       *
+       * @event StreamDeck#event:lcdSwipe
+       * @memberof StreamDeck
+       *
+       * @param {number} fromIndex
+       * The LCD segment slot index where the swipe started.
+       *
+       * @param {number} toIndex
+       * The LCD segment slot index where the swipe ended.
+       *
+       * @param {Object} fromPosition
+       * The coordinates where the swipe started in pixels, relative to the whole LCD touch
+       * strip.
+       *
+       * @param {Object} toPosition
+       * The coordinates where the swipe ended in pixels, relative to the whole LCD touch
+       * strip.
+       *
+       * @param {Page} [page]
+       * The {@link Page} that currently has focus.
+       *
+       * @param {LcdSegment} [lcdSegment]
+       * The {@link LcdSegment} that is attached to the LCD segment slot index where the swipe
+       * started.
+       */
+      'lcdSwipe',
       /**
        * Activity event fired after a user interacts with the Stream Deck device or the focused
        * {@link Page} has been changed.
@@ -633,13 +1909,16 @@ class StreamDeck extends EventEmitter {
        * The name of the event that was recognized as user interaction.
        *
        * @param {number} [index]
-       * The relevant key slot index if the event was a key related event.
+       * The relevant slot index if the event was a key, encoder, or LCD touch strip related
+       * event.
        *
        * @param {Page} [page]
-       * The relevant {@link Page} if the event was a key related event.
+       * The relevant {@link Page} if the event was a key, encoder, or LCD touch strip related
+       * event.
        *
-       * @param {Key} [key]
-       * The relevant {@link Key} if the event was a key related event.
+       * @param {Key|Encoder|LcdSegment} [element]
+       * The relevant {@link Key}, {@link Encoder}, or {@link LcdSegment} if the event was a
+       * key, encoder, or LCD touch strip related event.
        */
       'activity',
       /**
@@ -650,6 +1929,23 @@ class StreamDeck extends EventEmitter {
        * @memberof StreamDeck
        */
       'idle',
+      /**
+       * Screensaver event fired when the screensaver set via {@link StreamDeck#setScreensaver}
+       * is shown.
+       *
+       * @event StreamDeck#event:screensaver
+       * @memberof StreamDeck
+       */
+      'screensaver',
+      /**
+       * Wake event fired when the screensaver is no longer shown, either because a key or
+       * encoder was pressed, {@link StreamDeck#stopScreensaver} was called, or another
+       * {@link Page} was given focus.
+       *
+       * @event StreamDeck#event:wake
+       * @memberof StreamDeck
+       */
+      'wake',
       /**
        * Error event fired when an error occurs.
        *
@@ -684,8 +1980,23 @@ class StreamDeck extends EventEmitter {
    * The new brightness for the {@link StreamDeck|StreamDeck's} panel.
    *
    * (Float between `0` and `1` inclusive.)
+   *
+   * @param {Object} [options]
+   * Options used while changing the brightness.
+   *
+   * @param {number} [options.duration]
+   * The number of milliseconds the brightness fades for. The
+   * {@link StreamDeck#event:brightness} is fired once the fade completes, a fade that is
+   * cancelled by another brightness change does not fire it.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
+   *
+   * @param {StreamDeck.Easing} [options.easing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
    */
-  setBrightness(brightness) {
+  setBrightness(brightness, options = {}) {
     checkStreamDeckDestroyed(this)
 
     checkValid(brightness, {
@@ -695,36 +2006,189 @@ class StreamDeck extends EventEmitter {
       max: 1,
     })
 
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'duration',
+          type: 'integer',
+          min: 0,
+          allowUndefined: true,
+        },
+        {
+          name: 'easing',
+          type: 'string',
+          validValues: Object.keys(EASINGS),
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    const duration = options.duration ?? this.BRIGHTNESS_DURATION
+    const easing = options.easing ?? this.BRIGHTNESS_EASING
+
     this._brightness = brightness
 
-    this.emit('brightness', brightness)
+    const overridden =
+      this._focusedPage?.brightness !== undefined || this.screensaverActive
+
+    if (overridden || duration <= 0) {
+      this.emit('brightness', brightness)
+    }
 
-    if (this._focusedPage?.brightness !== undefined) {
+    if (overridden) {
       return
     }
 
-    setStreamDeckNodeBrightness(this)
+    if (duration <= 0) {
+      setStreamDeckNodeBrightness(this)
+
+      return
+    }
+
+    emitCaughtAsyncError(this, async () => {
+      if (
+        await setStreamDeckNodeBrightness(this, undefined, duration, easing)
+      ) {
+        this.emit('brightness', brightness)
+      }
+    })
   }
 
   /**
-   * Set the default {@link Page} for the {@link StreamDeck}.
+   * Set a schedule that changes the `{@link StreamDeck#brightness}` by time of day. The rule
+   * with the latest time of day that has passed is applied right away, each following rule is
+   * applied via {@link StreamDeck#setBrightness} once its time of day is reached. Before the
+   * first rule of the day the last rule of the previous day is in effect. A
+   * {@link Page#brightness} still overrides the scheduled brightness while the {@link Page} has
+   * focus. Call without rules to remove the schedule.
    *
-   * @function setDefaultPage
+   * @function setBrightnessSchedule
    * @memberof StreamDeck
    * @instance
    *
-   * @param {Page} [page]
-   * The new default {@link Page}.
+   * @param {Array<Object>} [rules]
+   * The rules of the schedule.
+   *
+   * @param {string} rules[].time
+   * The local time of day the rule comes into effect, formatted as `'HH:MM'`.
+   *
+   * @param {number} rules[].brightness
+   * The brightness set when the rule comes into effect.
+   *
+   * (Float between `0` and `1` inclusive.)
+   *
+   * @param {Object} [options]
+   * Options passed to {@link StreamDeck#setBrightness} when a rule comes into effect, such as
+   * `duration` and `easing`.
+   *
+   * @example
+   * streamDeck.setBrightnessSchedule(
+   *   [
+   *     { time: '08:00', brightness: 1 },
+   *     { time: '20:00', brightness: 0.4 },
+   *   ],
+   *   { duration: 5000 }
+   * );
    */
-  setDefaultPage(page) {
+  setBrightnessSchedule(rules, options) {
     checkStreamDeckDestroyed(this)
 
-    if (this._defaultPage === page) {
-      return
-    }
-
-    checkValid(page, {
-      name: 'page',
+    checkValid(rules, {
+      name: 'rules',
+      type: 'array',
+      minLength: 1,
+      allowUndefined: true,
+      checkAllValues: {
+        type: 'object',
+        checkProps: [
+          {
+            name: 'time',
+            type: 'string',
+          },
+          {
+            name: 'brightness',
+            type: 'number',
+            min: 0,
+            max: 1,
+          },
+        ],
+      },
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'duration',
+          type: 'integer',
+          min: 0,
+          allowUndefined: true,
+        },
+        {
+          name: 'easing',
+          type: 'string',
+          validValues: Object.keys(EASINGS),
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    const schedule = rules
+      ?.map(({ time, brightness }, i) => {
+        if (getScheduleMinutes(time) === undefined) {
+          throw new Error(
+            `Expected rules[${i}].time to be a time of day such as '08:00'`
+          )
+        }
+
+        return { time, brightness }
+      })
+      .sort((a, b) => getScheduleMinutes(a.time) - getScheduleMinutes(b.time))
+
+    if (
+      schedule &&
+      new Set(schedule.map(({ time }) => getScheduleMinutes(time))).size !==
+        schedule.length
+    ) {
+      throw new Error(`Expected every rule to have a unique time`)
+    }
+
+    if (this._brightnessScheduleTimeoutId) {
+      clearTimeout(this._brightnessScheduleTimeoutId)
+      this._brightnessScheduleTimeoutId = undefined
+    }
+
+    this._brightnessSchedule = schedule
+    this._brightnessScheduleOptions = options && { ...options }
+    this._brightnessScheduleRule = undefined
+
+    updateStreamDeckBrightnessSchedule(this)
+  }
+
+  /**
+   * Set the default {@link Page} for the {@link StreamDeck}.
+   *
+   * @function setDefaultPage
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Page} [page]
+   * The new default {@link Page}.
+   */
+  setDefaultPage(page) {
+    checkStreamDeckDestroyed(this)
+
+    if (this._defaultPage === page) {
+      return
+    }
+
+    checkValid(page, {
+      name: 'page',
       type: 'class',
       class: 'Page',
       streamDeck: this,
@@ -747,8 +2211,32 @@ class StreamDeck extends EventEmitter {
    *
    * @param {Page} [page]
    * The new focused {@link Page}.
+   *
+   * @param {Object} [options]
+   * Options used while changing focus.
+   *
+   * @param {StreamDeck.Transition} [options.transition]
+   * The {@link StreamDeck.Transition} used to draw the new focused {@link Page}.
+   * {Default: `{@link StreamDeck#TRANSITION}`}
+   *
+   * @param {number} [options.duration]
+   * The number of milliseconds the {@link StreamDeck.Transition} lasts.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#TRANSITION_DURATION}`}
+   *
+   * @param {number} [options.brightnessDuration]
+   * The number of milliseconds the brightness fades for when the {@link Page} that gains focus
+   * changes the brightness.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
+   *
+   * @param {StreamDeck.Easing} [options.brightnessEasing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
    */
-  setFocusedPage(page = this._defaultPage) {
+  setFocusedPage(page = this._defaultPage, options = {}) {
     checkStreamDeckDestroyed(this)
 
     if (this._focusedPage === page) {
@@ -763,26 +2251,86 @@ class StreamDeck extends EventEmitter {
       allowUndefined: true,
     })
 
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'transition',
+          type: 'string',
+          validValues: TRANSITIONS,
+          allowUndefined: true,
+        },
+        {
+          name: 'duration',
+          type: 'integer',
+          min: 0,
+          allowUndefined: true,
+        },
+        {
+          name: 'brightnessDuration',
+          type: 'integer',
+          min: 0,
+          allowUndefined: true,
+        },
+        {
+          name: 'brightnessEasing',
+          type: 'string',
+          validValues: Object.keys(EASINGS),
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    checkStreamDeckLocked(this, page)
+
+    const screensaverPage =
+      this._screensaverPageStack && page === this._screensaverPage
+
+    // Giving another Page focus ends the screensaver without restoring the previous Pages
+    if (this._screensaverPageStack && !screensaverPage) {
+      this._screensaverPageStack = undefined
+
+      this.emit('wake')
+    }
+
+    const transition = options.transition ?? this.TRANSITION
+    const duration = options.duration ?? this.TRANSITION_DURATION
+
+    cancelStreamDeckTransition(this)
+
+    if (!this._navigating) {
+      updateStreamDeckPageStack(this, page ? [page] : [])
+    }
+
     const blurPage = this._focusedPage
 
     this._focusedPage = page
 
     if (blurPage) {
-      this.emit('blur', page, blurPage)
-      blurPage.emit('blur', page, blurPage)
-
-      for (const key of blurPage.keys.values()) {
-        key.emit('blur', page, blurPage)
-      }
+      emitStreamDeckBlur(this, page, blurPage)
     }
 
     if (!page) {
-      clearStreamDeckNodePanel(this)
+      // Queued so a cancelled transition can't draw over the cleared panel
+      if (!this._disconnected) {
+        this._graphicsQueue.push(() => clearStreamDeckNodePanel(this))
+      }
+    } else if (transition !== 'none' && duration > 0 && !this._disconnected) {
+      transitionStreamDeckPanel(this, blurPage, page, transition, duration)
+
+      page.drawLcd()
     } else {
       page.draw()
     }
 
-    setStreamDeckNodeBrightness(this, page?.brightness)
+    setStreamDeckNodeBrightness(
+      this,
+      page?.brightness,
+      options.brightnessDuration ?? this.BRIGHTNESS_DURATION,
+      options.brightnessEasing ?? this.BRIGHTNESS_EASING
+    )
 
     if (page) {
       this.emit('focus', page, blurPage)
@@ -792,119 +2340,572 @@ class StreamDeck extends EventEmitter {
         key.emit('focus', page, blurPage)
       }
 
+      for (const encoder of page.encoders.values()) {
+        encoder.emit('focus', page, blurPage)
+      }
+
+      for (const lcdSegment of page.lcdSegments.values()) {
+        lcdSegment.emit('focus', page, blurPage)
+      }
+
       this.emit('activity', 'focus', undefined, page, undefined)
       page.emit('activity', 'focus', undefined, page, undefined)
 
       for (const key of page.keys.values()) {
         key.emit('activity', 'focus', undefined, page, undefined)
       }
+
+      for (const encoder of page.encoders.values()) {
+        encoder.emit('activity', 'focus', undefined, page, undefined)
+      }
+
+      for (const lcdSegment of page.lcdSegments.values()) {
+        lcdSegment.emit('activity', 'focus', undefined, page, undefined)
+      }
     }
   }
 
   /**
-   * Create a new {@link Page}.
+   * Push a {@link Page} onto the `{@link StreamDeck#pageStack}` and give it focus. If the
+   * `{@link StreamDeck#pageStack}` is empty the current `{@link StreamDeck#focusedPage}` becomes
+   * the root {@link Page}.
    *
-   * @function createPage
+   * @function pushPage
    * @memberof StreamDeck
    * @instance
    *
+   * @param {Page} page
+   * The {@link Page} to push.
+   *
    * @param {Object} [options]
-   * Options used while creating a {@link Page}.
+   * Options used while changing focus.
    *
-   * @param {number} [options.holdTime]
-   * The number of milliseconds after the {@link Page#event:down} is triggered that the
-   * {@link Page#event:hold} will be triggered. A value of `0` means the {@link Page#event:hold}
-   * is disabled. If undefined {@link StreamDeck#event:hold|StreamDeck#hold events} will be
-   * allowed to propagate from the {@link StreamDeck}.
+   * @param {StreamDeck.Transition} [options.transition]
+   * The {@link StreamDeck.Transition} used to draw the pushed {@link Page}.
+   * {Default: `{@link StreamDeck#TRANSITION}`}
+   *
+   * @param {number} [options.duration]
+   * The number of milliseconds the {@link StreamDeck.Transition} lasts.
    *
    * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#TRANSITION_DURATION}`}
    *
-   * @param {number} [options.idleTime]
-   * The number of milliseconds of inactivity before the {@link Page#event:idle} is triggered.
-   * A value of `0` means the {@link Page#event:idle} is disabled.
+   * @param {number} [options.brightnessDuration]
+   * The number of milliseconds the brightness fades for when the {@link Page} that gains focus
+   * changes the brightness.
    *
    * (Integer greater than or equal to `0`.)
-   * {Default: `{@link StreamDeck#IDLE_TIME}`}
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
    *
-   * @param {Image|Image.Source} [options.backgroundImage]
-   * The image to be set as the background image on the created {@link Page}.
+   * @param {StreamDeck.Easing} [options.brightnessEasing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
+   */
+  pushPage(page, options) {
+    checkStreamDeckDestroyed(this)
+
+    checkValid(page, {
+      name: 'page',
+      type: 'class',
+      class: 'Page',
+      streamDeck: this,
+    })
+
+    let pageStack = this._pageStack.filter(
+      (stackedPage) => stackedPage !== page
+    )
+
+    if (!pageStack.length && this._focusedPage && this._focusedPage !== page) {
+      pageStack.push(this._focusedPage)
+    }
+
+    pageStack.push(page)
+
+    navigateStreamDeck(this, 'push', pageStack, options)
+  }
+
+  /**
+   * Pop the last {@link Page} off the `{@link StreamDeck#pageStack}` and give focus to the
+   * {@link Page} below it. The root {@link Page} is never popped.
    *
-   * @param {number} [options.brightness]
-   * The brightness of the created {@link Page}. If set the created {@link Page} will
-   * override {@link StreamDeck#brightness} when it has focus.
+   * @function popPage
+   * @memberof StreamDeck
+   * @instance
    *
-   * (Float between `0` and `1` inclusive.)
+   * @param {Object} [options]
+   * Options used while changing focus.
    *
-   * @param {boolean} [options.setDefault=false]
-   * Set the created {@link Page} as the {@link StreamDeck.defaultPage}.
+   * @param {StreamDeck.Transition} [options.transition]
+   * The {@link StreamDeck.Transition} used to draw the {@link Page} below the popped {@link Page}.
+   * {Default: `{@link StreamDeck#TRANSITION}`}
    *
-   * Same as calling {@link StreamDeck#setDefaultPage}.
+   * @param {number} [options.duration]
+   * The number of milliseconds the {@link StreamDeck.Transition} lasts.
    *
-   * @param {boolean} [options.setFocused=false]
-   * Set the created {@link Page} as the {@link StreamDeck.focusedPage}.
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#TRANSITION_DURATION}`}
    *
-   * Same as calling {@link StreamDeck#setFocusedPage}.
+   * @param {number} [options.brightnessDuration]
+   * The number of milliseconds the brightness fades for when the {@link Page} that gains focus
+   * changes the brightness.
    *
-   * @param {Array<Object>} [options.attachKeys]
-   * An Array of Objects listing {@link Key|Keys} to attach to the created {@link Page}.
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
    *
-   * @param {Key} options.attachKeys[].key
-   * The {@link Key} to attach to the created {@link Page}.
+   * @param {StreamDeck.Easing} [options.brightnessEasing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
    *
-   * @param {number} [options.attachKeys[].index]
-   * The key index that the {@link Key} will be attached to. If `options.attachKeys[].row` and
-   * `options.attachKeys[].column` are defined they will be used calculate
-   * `options.attachKeys[].index`. If undefined the {@link Key} will be attached to the first
-   * free key slot.
+   * @returns {Page|undefined}
+   * The popped {@link Page}, or undefined if there was nothing to pop.
+   */
+  popPage(options) {
+    checkStreamDeckDestroyed(this)
+
+    if (this._pageStack.length <= 1) {
+      return
+    }
+
+    const page = this._pageStack[this._pageStack.length - 1]
+
+    navigateStreamDeck(this, 'pop', this._pageStack.slice(0, -1), options)
+
+    return page
+  }
+
+  /**
+   * Replace the last {@link Page} in the `{@link StreamDeck#pageStack}` with a {@link Page}
+   * and give it focus.
    *
-   * (Integer between `0` and `{@link StreamDeck#KEY_COUNT} - 1` inclusive.)
+   * @function replacePage
+   * @memberof StreamDeck
+   * @instance
    *
-   * @param {number} [options.attachKeys[].row]
-   * The row that the {@link Key} will be attached to.
+   * @param {Page} page
+   * The {@link Page} to replace the last {@link Page} with.
    *
-   * (Integer between `1` and `{@link StreamDeck#PANEL_ROW_COUNT}` inclusive.)
+   * @param {Object} [options]
+   * Options used while changing focus.
    *
-   * @param {number} [options.attachKeys[].column]
-   * The column that the {@link Key} will be attached to.
+   * @param {StreamDeck.Transition} [options.transition]
+   * The {@link StreamDeck.Transition} used to draw the new {@link Page}.
+   * {Default: `{@link StreamDeck#TRANSITION}`}
    *
-   * (Integer between `1` and `{@link StreamDeck#PANEL_COLUMN_COUNT}` inclusive.)
+   * @param {number} [options.duration]
+   * The number of milliseconds the {@link StreamDeck.Transition} lasts.
    *
-   * @param {function} [options.on[Event]]
-   * An event listener that will be attached to the created {@link Page} on `[event]`.
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#TRANSITION_DURATION}`}
    *
-   * See {@link Page} for a list of available events.
+   * @param {number} [options.brightnessDuration]
+   * The number of milliseconds the brightness fades for when the {@link Page} that gains focus
+   * changes the brightness.
    *
-   * @param {*} [options.[customProperty]]
-   * Any custom properties not already reserved by the {@link Page} class will be added to the
-   * created {@link Page}.
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
    *
-   * @returns {Page}
+   * @param {StreamDeck.Easing} [options.brightnessEasing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
    */
-  createPage(options = {}) {
+  replacePage(page, options) {
     checkStreamDeckDestroyed(this)
 
-    if (this.PANEL_WIDTH <= 0 || this.PANEL_HEIGHT <= 0) {
-      throw new Error(`This Stream Deck does not support Pages`)
+    checkValid(page, {
+      name: 'page',
+      type: 'class',
+      class: 'Page',
+      streamDeck: this,
+    })
+
+    let pageStack = this._pageStack
+      .slice(0, -1)
+      .filter((stackedPage) => stackedPage !== page)
+
+    pageStack.push(page)
+
+    navigateStreamDeck(this, 'replace', pageStack, options)
+  }
+
+  /**
+   * Pop every {@link Page} except the root {@link Page} off the `{@link StreamDeck#pageStack}`
+   * and give focus to the root {@link Page}.
+   *
+   * @function popToRoot
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Object} [options]
+   * Options used while changing focus.
+   *
+   * @param {StreamDeck.Transition} [options.transition]
+   * The {@link StreamDeck.Transition} used to draw the root {@link Page}.
+   * {Default: `{@link StreamDeck#TRANSITION}`}
+   *
+   * @param {number} [options.duration]
+   * The number of milliseconds the {@link StreamDeck.Transition} lasts.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#TRANSITION_DURATION}`}
+   *
+   * @param {number} [options.brightnessDuration]
+   * The number of milliseconds the brightness fades for when the {@link Page} that gains focus
+   * changes the brightness.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#BRIGHTNESS_DURATION}`}
+   *
+   * @param {StreamDeck.Easing} [options.brightnessEasing]
+   * The {@link StreamDeck.Easing} used while fading the brightness.
+   * {Default: `{@link StreamDeck#BRIGHTNESS_EASING}`}
+   */
+  popToRoot(options) {
+    checkStreamDeckDestroyed(this)
+
+    if (this._pageStack.length <= 1) {
+      return
     }
 
+    navigateStreamDeck(this, 'popToRoot', this._pageStack.slice(0, 1), options)
+  }
+
+  /**
+   * Set the screensaver shown after `{@link StreamDeck#IDLE_TIME}` milliseconds of inactivity.
+   * The next key or encoder press restores the previous {@link Page|Pages} and brightness, that
+   * press is swallowed and triggers no events besides the {@link StreamDeck#event:wake}. Call
+   * without options to remove the screensaver.
+   *
+   * @function setScreensaver
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Object} [options]
+   * Options describing the screensaver. Only one of `options.page`, `options.image`, and
+   * `options.off` can be set, if none are set the screensaver only dims the panel.
+   *
+   * @param {number} [options.brightness]
+   * The brightness of the panel while the screensaver is shown. If undefined the brightness
+   * does not change unless `options.page` has its own `{@link Page#brightness}`.
+   *
+   * (Float between `0` and `1` inclusive.)
+   *
+   * @param {Page} [options.page]
+   * The {@link Page} that has focus while the screensaver is shown.
+   *
+   * @param {Image|Image.Source} [options.image]
+   * A full panel {@link Image}, or a source to create one from, shown while the screensaver is
+   * shown. Animated images keep playing.
+   *
+   * @param {boolean} [options.off=false]
+   * Whether or not the panel is cleared and its brightness set to `0` while the screensaver is
+   * shown. No {@link Page} has focus until the screensaver ends.
+   *
+   * @example
+   * streamDeck.setScreensaver({ image: 'screensaver.gif', brightness: 0.2 });
+   */
+  setScreensaver(options) {
+    checkStreamDeckDestroyed(this)
+
     checkValid(options, {
       name: 'options',
       type: 'object',
       allowUndefined: true,
       checkProps: [
         {
-          name: 'setDefault',
-          type: 'boolean',
+          name: 'brightness',
+          type: 'number',
+          min: 0,
+          max: 1,
           allowUndefined: true,
         },
         {
-          name: 'setFocused',
-          type: 'boolean',
+          name: 'page',
+          type: 'class',
+          class: 'Page',
+          streamDeck: this,
           allowUndefined: true,
         },
         {
-          name: 'attachKeys',
-          type: 'array',
+          name: 'image',
+          type: 'source',
+          allowUndefined: true,
+        },
+        {
+          name: 'off',
+          type: 'boolean',
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    if (
+      [options?.page, options?.image, options?.off || undefined].filter(
+        (value) => value !== undefined
+      ).length > 1
+    ) {
+      throw new Error(
+        `Expected only one of options.page, options.image, and options.off to be set`
+      )
+    }
+
+    this.stopScreensaver()
+
+    if (this._screensaver?.image !== undefined) {
+      this._screensaverPage.destroy()
+    }
+
+    this._screensaver = options && { ...options }
+    this._screensaverPage =
+      options?.image !== undefined
+        ? this.createPage({ backgroundImage: options.image })
+        : options?.page
+  }
+
+  /**
+   * Show the screensaver set via {@link StreamDeck#setScreensaver} without waiting for
+   * `{@link StreamDeck#IDLE_TIME}` milliseconds of inactivity.
+   *
+   * @function startScreensaver
+   * @memberof StreamDeck
+   * @instance
+   */
+  startScreensaver() {
+    checkStreamDeckDestroyed(this)
+
+    if (!this._screensaver) {
+      throw new Error(`No screensaver has been set`)
+    }
+
+    startStreamDeckScreensaver(this)
+  }
+
+  /**
+   * Stop showing the screensaver, restoring the previous {@link Page|Pages} and brightness.
+   *
+   * @function stopScreensaver
+   * @memberof StreamDeck
+   * @instance
+   */
+  stopScreensaver() {
+    checkStreamDeckDestroyed(this)
+
+    wakeStreamDeck(this)
+  }
+
+  /**
+   * Add a {@link StreamDeck.Chord} that triggers the {@link StreamDeck#event:chord} when its key
+   * slots are pressed together, regardless of the {@link Page} that has focus.
+   *
+   * @function addChord
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Array<number>} indexes
+   * The key slot indexes that have to be pressed together.
+   *
+   * (At least two unique integers between `0` and `{@link StreamDeck#KEY_COUNT} - 1`
+   * inclusive.)
+   *
+   * @param {function} [handler]
+   * The function called with the same arguments as the {@link StreamDeck#event:chord} when the
+   * chord is pressed.
+   *
+   * @param {Object} [options]
+   * Options used while adding the {@link StreamDeck.Chord}.
+   *
+   * @param {boolean} [options.suppressClicks=false]
+   * Whether or not the keys of the chord trigger neither `click` nor `held` events when they
+   * are released.
+   *
+   * @returns {StreamDeck.Chord}
+   *
+   * @example
+   * streamDeck.addChord([0, 4], () => console.log('0 + 4'), { suppressClicks: true });
+   */
+  addChord(indexes, handler, options) {
+    checkStreamDeckDestroyed(this)
+
+    const chord = createChord(indexes, handler, options, this.KEY_COUNT)
+
+    this._chords.add(chord)
+
+    return chord
+  }
+
+  /**
+   * Remove a {@link StreamDeck.Chord} added via {@link StreamDeck#addChord}.
+   *
+   * @function removeChord
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {StreamDeck.Chord} chord
+   * The {@link StreamDeck.Chord} to remove.
+   */
+  removeChord(chord) {
+    checkStreamDeckDestroyed(this)
+
+    this._chords.delete(chord)
+  }
+
+  /**
+   * Create a new {@link Page}.
+   *
+   * @function createPage
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Object} [options]
+   * Options used while creating a {@link Page}.
+   *
+   * @param {number} [options.holdTime]
+   * The number of milliseconds after the {@link Page#event:down} is triggered that the
+   * {@link Page#event:hold} will be triggered. A value of `0` means the {@link Page#event:hold}
+   * is disabled. If undefined {@link StreamDeck#event:hold|StreamDeck#hold events} will be
+   * allowed to propagate from the {@link StreamDeck}.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {number} [options.doubleClickTime]
+   * The number of milliseconds after the {@link Page#event:click} is triggered that another
+   * click on the same key slot counts towards the same {@link Page#event:tap|tap} sequence. A
+   * value of `0` means the {@link Page#event:doubleClick} is disabled. If undefined
+   * `{@link StreamDeck#DOUBLE_CLICK_TIME}` is used.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {boolean} [options.delayClick]
+   * Whether or not the {@link Page#event:click} is delayed until the double click time has
+   * passed without another click. If undefined `{@link StreamDeck#DELAY_CLICK}` is used.
+   *
+   * @param {number} [options.repeatDelay]
+   * The number of milliseconds a {@link Key} on the {@link Page} has to be held down before
+   * the first {@link Key#event:repeat} is triggered. If undefined
+   * `{@link StreamDeck#REPEAT_DELAY}` is used.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {number} [options.repeatInterval]
+   * The number of milliseconds between each {@link Key#event:repeat} while a {@link Key} on the
+   * {@link Page} is held down. A value of `0` means the {@link Key#event:repeat} is disabled. If
+   * undefined `{@link StreamDeck#REPEAT_INTERVAL}` is used.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {number} [options.idleTime]
+   * The number of milliseconds of inactivity before the {@link Page#event:idle} is triggered.
+   * A value of `0` means the {@link Page#event:idle} is disabled.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#IDLE_TIME}`}
+   *
+   * @param {Image|Image.Source} [options.backgroundImage]
+   * The image to be set as the background image on the created {@link Page}.
+   *
+   * @param {Image|Image.Source} [options.lcdBackgroundImage]
+   * The image to be set as the LCD touch strip background image on the created {@link Page}.
+   *
+   * @param {number} [options.brightness]
+   * The brightness of the created {@link Page}. If set the created {@link Page} will
+   * override {@link StreamDeck#brightness} when it has focus.
+   *
+   * (Float between `0` and `1` inclusive.)
+   *
+   * @param {boolean} [options.setDefault=false]
+   * Set the created {@link Page} as the {@link StreamDeck.defaultPage}.
+   *
+   * Same as calling {@link StreamDeck#setDefaultPage}.
+   *
+   * @param {boolean} [options.setFocused=false]
+   * Set the created {@link Page} as the {@link StreamDeck.focusedPage}.
+   *
+   * Same as calling {@link StreamDeck#setFocusedPage}.
+   *
+   * @param {Array<Object>} [options.attachKeys]
+   * An Array of Objects listing {@link Key|Keys} to attach to the created {@link Page}.
+   *
+   * @param {Key} options.attachKeys[].key
+   * The {@link Key} to attach to the created {@link Page}.
+   *
+   * @param {number} [options.attachKeys[].index]
+   * The key index that the {@link Key} will be attached to. If `options.attachKeys[].row` and
+   * `options.attachKeys[].column` are defined they will be used calculate
+   * `options.attachKeys[].index`. If undefined the {@link Key} will be attached to the first
+   * free key slot.
+   *
+   * (Integer between `0` and `{@link StreamDeck#KEY_COUNT} - 1` inclusive.)
+   *
+   * @param {number} [options.attachKeys[].row]
+   * The row that the {@link Key} will be attached to.
+   *
+   * (Integer between `1` and `{@link StreamDeck#PANEL_ROW_COUNT}` inclusive.)
+   *
+   * @param {number} [options.attachKeys[].column]
+   * The column that the {@link Key} will be attached to.
+   *
+   * (Integer between `1` and `{@link StreamDeck#PANEL_COLUMN_COUNT}` inclusive.)
+   *
+   * @param {Array<Object>} [options.attachEncoders]
+   * An Array of Objects listing {@link Encoder|Encoders} to attach to the created {@link Page}.
+   *
+   * @param {Encoder} options.attachEncoders[].encoder
+   * The {@link Encoder} to attach to the created {@link Page}.
+   *
+   * @param {number} [options.attachEncoders[].index]
+   * The encoder index that the {@link Encoder} will be attached to. If undefined the
+   * {@link Encoder} will be attached to the first free encoder slot.
+   *
+   * (Integer between `0` and `{@link StreamDeck#ENCODER_COUNT} - 1` inclusive.)
+   *
+   * @param {Array<Object>} [options.attachLcdSegments]
+   * An Array of Objects listing {@link LcdSegment|LcdSegments} to attach to the created
+   * {@link Page}.
+   *
+   * @param {LcdSegment} options.attachLcdSegments[].lcdSegment
+   * The {@link LcdSegment} to attach to the created {@link Page}.
+   *
+   * @param {number} [options.attachLcdSegments[].index]
+   * The LCD segment index that the {@link LcdSegment} will be attached to. If undefined the
+   * {@link LcdSegment} will be attached to the first free LCD segment slot.
+   *
+   * (Integer between `0` and `{@link StreamDeck#LCD_SEGMENT_COUNT} - 1` inclusive.)
+   *
+   * @param {function} [options.on[Event]]
+   * An event listener that will be attached to the created {@link Page} on `[event]`.
+   *
+   * See {@link Page} for a list of available events.
+   *
+   * @param {*} [options.[customProperty]]
+   * Any custom properties not already reserved by the {@link Page} class will be added to the
+   * created {@link Page}.
+   *
+   * @returns {Page}
+   */
+  createPage(options = {}) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.PANEL_WIDTH <= 0 || this.PANEL_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support Pages`)
+    }
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'setDefault',
+          type: 'boolean',
+          allowUndefined: true,
+        },
+        {
+          name: 'setFocused',
+          type: 'boolean',
+          allowUndefined: true,
+        },
+        {
+          name: 'attachKeys',
+          type: 'array',
           allowUndefined: true,
           checkAllValues: {
             type: 'object',
@@ -939,16 +2940,85 @@ class StreamDeck extends EventEmitter {
             ],
           },
         },
+        {
+          name: 'attachEncoders',
+          type: 'array',
+          allowUndefined: true,
+          checkAllValues: {
+            type: 'object',
+            checkProps: [
+              {
+                name: 'encoder',
+                type: 'class',
+                class: 'Encoder',
+                streamDeck: this,
+              },
+              {
+                name: 'index',
+                type: 'integer',
+                min: 0,
+                max: this.ENCODER_COUNT - 1,
+                allowUndefined: true,
+              },
+            ],
+          },
+        },
+        {
+          name: 'attachLcdSegments',
+          type: 'array',
+          allowUndefined: true,
+          checkAllValues: {
+            type: 'object',
+            checkProps: [
+              {
+                name: 'lcdSegment',
+                type: 'class',
+                class: 'LcdSegment',
+                streamDeck: this,
+              },
+              {
+                name: 'index',
+                type: 'integer',
+                min: 0,
+                max: this.LCD_SEGMENT_COUNT - 1,
+                allowUndefined: true,
+              },
+            ],
+          },
+        },
       ],
     })
 
-    const { attachKeys, setDefault, setFocused } = options
+    const {
+      attachKeys,
+      attachEncoders,
+      attachLcdSegments,
+      setDefault,
+      setFocused,
+    } = options
 
-    const page = new Page(this, this._graphicsQueue, options)
+    const page = new Page(
+      this,
+      this._graphicsQueue,
+      (brightness, duration, easing) =>
+        this._screensaverPageStack
+          ? Promise.resolve(true)
+          : setStreamDeckNodeBrightness(this, brightness, duration, easing),
+      options
+    )
 
     this._pages.add(page)
 
-    page.on('destroy', () => this._pages.delete(page))
+    page.on('destroy', () => {
+      this._pages.delete(page)
+
+      if (this._pageStack.includes(page)) {
+        updateStreamDeckPageStack(
+          this,
+          this._pageStack.filter((stackedPage) => stackedPage !== page)
+        )
+      }
+    })
 
     try {
       if (Array.isArray(attachKeys)) {
@@ -963,6 +3033,26 @@ class StreamDeck extends EventEmitter {
         }
       }
 
+      if (Array.isArray(attachEncoders)) {
+        for (const { encoder, index } of attachEncoders) {
+          if (typeof index === 'number') {
+            page.attachEncoder(index, encoder)
+          } else {
+            page.attachEncoder(encoder)
+          }
+        }
+      }
+
+      if (Array.isArray(attachLcdSegments)) {
+        for (const { lcdSegment, index } of attachLcdSegments) {
+          if (typeof index === 'number') {
+            page.attachLcdSegment(index, lcdSegment)
+          } else {
+            page.attachLcdSegment(lcdSegment)
+          }
+        }
+      }
+
       if (setDefault) {
         this.setDefaultPage(page)
       }
@@ -1000,6 +3090,33 @@ class StreamDeck extends EventEmitter {
    *
    * (Integer greater than or equal to `0`.)
    *
+   * @param {number} [options.doubleClickTime]
+   * The number of milliseconds after the {@link Key#event:click} is triggered that another
+   * click counts towards the same {@link Key#event:tap|tap} sequence. A value of `0` means the
+   * {@link Key#event:doubleClick} is disabled. If undefined the double click time of the
+   * {@link Page} the {@link Key} is clicked on is used.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {boolean} [options.delayClick]
+   * Whether or not the {@link Key#event:click} is delayed until the double click time has
+   * passed without another click. If undefined the delay click setting of the {@link Page}
+   * the {@link Key} is clicked on is used.
+   *
+   * @param {number} [options.repeatDelay]
+   * The number of milliseconds the {@link Key} has to be held down before the first
+   * {@link Key#event:repeat} is triggered. If undefined the repeat delay of the {@link Page}
+   * the {@link Key} is pressed on is used.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {number} [options.repeatInterval]
+   * The number of milliseconds between each {@link Key#event:repeat} while the {@link Key} is
+   * held down. A value of `0` means the {@link Key#event:repeat} is disabled. If undefined the
+   * repeat interval of the {@link Page} the {@link Key} is pressed on is used.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
    * @param {number} [options.pressTime]
    * The number of milliseconds after the {@link Key#event:down} is triggered that the press
    * scaling effect will apply. A value of `0` means the press scaling effect lasts until the
@@ -1028,11 +3145,52 @@ class StreamDeck extends EventEmitter {
    * @param {Image|Image.Source} [options.image]
    * The image to be set as the image on the created {@link Key}.
    *
-   * @param {Array<Object>} [options.attachToPages]
-   * An Array of Objects listing {@link Page|Pages} to attach the created {@link Key} to.
+   * @param {string} [options.title]
+   * The title text drawn over the image of the created {@link Key}. Long titles are word
+   * wrapped and shrunk to fit within the {@link Key}.
    *
-   * @param {Page} options.attachToPages[].page
-   * The {@link Page} to attach the created {@link Key} to.
+   * @param {Image.Color} [options.titleColor]
+   * The color of the title text.
+   * {Default: `'#FFFFFF'`}
+   *
+   * @param {string} [options.titleFont]
+   * The font family of the title text.
+   * {Default: `'sans-serif'`}
+   *
+   * @param {number} [options.titleSize]
+   * The maximum font size of the title text in points. If undefined a size relative to
+   * `{@link StreamDeck#KEY_HEIGHT}` is used.
+   *
+   * (Integer greater than or equal to `1`.)
+   *
+   * @param {'top'|'middle'|'bottom'} [options.titleAlign]
+   * The vertical alignment of the title text.
+   * {Default: `'bottom'`}
+   *
+   * @param {Image.Color} [options.titleOutline]
+   * The color of the outline drawn around the title text. If undefined no outline is drawn.
+   *
+   * @param {Array<Key.State>} [options.states]
+   * The states of the created {@link Key}. Each state carries its own image, background image
+   * and title, which take the place of `options.image`, `options.backgroundImage` and
+   * `options.title`.
+   *
+   * @param {number} [options.state]
+   * The index of the initial state in `options.states`.
+   *
+   * (Integer between `0` and `options.states.length - 1` inclusive.)
+   * {Default: `0`}
+   *
+   * @param {boolean} [options.advanceStateOnClick]
+   * Whether or not the created {@link Key} advances to its next state when the
+   * {@link Key#event:click} is triggered.
+   * {Default: `true`}
+   *
+   * @param {Array<Object>} [options.attachToPages]
+   * An Array of Objects listing {@link Page|Pages} to attach the created {@link Key} to.
+   *
+   * @param {Page} options.attachToPages[].page
+   * The {@link Page} to attach the created {@link Key} to.
    *
    * @param {number} [options.attachToPages[].index]
    * The key index that the created {@link Key} will be attached to. If
@@ -1148,88 +3306,179 @@ class StreamDeck extends EventEmitter {
   }
 
   /**
-   * Create a new {@link Image} with a width of `{@link StreamDeck#PANEL_WIDTH}` and a height
-   * of `{@link StreamDeck#PANEL_HEIGHT}`. The created {@link Image} will have split frames.
+   * Create a new {@link Encoder}.
    *
-   * @function createPageBackgroundImage
+   * @function createEncoder
    * @memberof StreamDeck
    * @instance
    *
-   * @param {Image.Source} [source]
-   * The sources used to create the new {@link Image}.
+   * @param {Object} [options]
+   * Options used while creating an {@link Encoder}.
    *
-   * @returns {Image}
+   * @param {number} [options.holdTime]
+   * The number of milliseconds after the {@link Encoder#event:down} is triggered that the
+   * {@link Encoder#event:hold} will be triggered. A value of `0` means the
+   * {@link Encoder#event:hold} is disabled. If undefined
+   * {@link Page#event:encoderHold|Page#encoderHold events} will be allowed to propagate from
+   * {@link Page|Pages} that the created {@link Encoder} is attached to.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {number} [options.idleTime]
+   * The number of milliseconds of inactivity before the {@link Encoder#event:idle} is
+   * triggered. A value of `0` means the {@link Encoder#event:idle} is disabled.
+   *
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#IDLE_TIME}`}
+   *
+   * @param {Array<Object>} [options.attachToPages]
+   * An Array of Objects listing {@link Page|Pages} to attach the created {@link Encoder} to.
+   *
+   * @param {Page} options.attachToPages[].page
+   * The {@link Page} to attach the created {@link Encoder} to.
+   *
+   * @param {number} [options.attachToPages[].index]
+   * The encoder index that the created {@link Encoder} will be attached to. If undefined the
+   * created {@link Encoder} will be attached to the first free encoder slot.
+   *
+   * (Integer between `0` and `{@link StreamDeck#ENCODER_COUNT} - 1` inclusive.)
+   *
+   * @param {function} [options.on[Event]]
+   * An event listener that will be attached to the created {@link Encoder} on `[event]`.
+   *
+   * See {@link Encoder} for a list of available events.
+   *
+   * @param {*} [options.[customProperty]]
+   * Any custom properties not already reserved by the {@link Encoder} class will be added to
+   * the created {@link Encoder}.
+   *
+   * @returns {Encoder}
    */
-  createPageBackgroundImage(source) {
+  createEncoder(options = {}) {
     checkStreamDeckDestroyed(this)
 
-    if (this.PANEL_WIDTH <= 0 || this.PANEL_HEIGHT <= 0) {
-      throw new Error(`This Stream Deck does not support Page Images`)
+    if (this.ENCODER_COUNT <= 0) {
+      throw new Error(`This Stream Deck does not support Encoders`)
     }
 
-    return new Image({
-      source,
-      width: this.PANEL_WIDTH,
-      height: this.PANEL_HEIGHT,
-      splitFrames: { width: this.KEY_WIDTH, height: this.KEY_HEIGHT },
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'attachToPages',
+          type: 'array',
+          allowUndefined: true,
+          checkAllValues: {
+            type: 'object',
+            checkProps: [
+              {
+                name: 'page',
+                type: 'class',
+                class: 'Page',
+                streamDeck: this,
+              },
+              {
+                name: 'index',
+                type: 'integer',
+                min: 0,
+                max: this.ENCODER_COUNT - 1,
+                allowUndefined: true,
+              },
+            ],
+          },
+        },
+      ],
     })
-  }
 
-  /**
-   * Create a new {@link Image} with a width of `{@link StreamDeck#KEY_WIDTH}` and a height of
-   * `{@link StreamDeck#KEY_HEIGHT}`.
-   *
-   * @function createKeyBackgroundImage
-   * @memberof StreamDeck
-   * @instance
-   *
-   * @param {Image.Source} [source]
-   * The sources used to create the new {@link Image}.
-   *
-   * @returns {Image}
-   */
-  createKeyBackgroundImage(source) {
-    checkStreamDeckDestroyed(this)
+    const { attachToPages } = options
 
-    if (this.KEY_WIDTH <= 0 || this.KEY_HEIGHT <= 0) {
-      throw new Error(`This Stream Deck does not support Key Images`)
+    const encoder = new Encoder(this, options)
+
+    this._encoders.add(encoder)
+
+    encoder.on('destroy', () => this._encoders.delete(encoder))
+
+    try {
+      if (Array.isArray(attachToPages)) {
+        for (const { page, index } of attachToPages) {
+          if (typeof index === 'number') {
+            page.attachEncoder(index, encoder)
+          } else {
+            page.attachEncoder(encoder)
+          }
+        }
+      }
+    } catch (err) {
+      encoder.destroy()
+
+      throw err
     }
 
-    return new Image({
-      source,
-      width: this.KEY_WIDTH,
-      height: this.KEY_HEIGHT,
-    })
+    this.emit('encoder', encoder)
+    encoder.emit('create')
+
+    return encoder
   }
 
   /**
-   * Create a new {@link Image} with a width of `{@link StreamDeck#KEY_WIDTH}` and a height of
-   * `{@link StreamDeck#KEY_HEIGHT}`. The created {@link Image} will have scaled frames if applicable.
+   * Create a new {@link LcdSegment}.
    *
-   * @function createKeyImage
+   * @function createLcdSegment
    * @memberof StreamDeck
    * @instance
    *
-   * @param {Image.Source} [source]
-   * The sources used to create the new {@link Image}.
-   *
    * @param {Object} [options]
-   * Options used while creating a {@link Image}.
+   * Options used while creating an {@link LcdSegment}.
    *
-   * @param {number} [options.scaleFrames]
-   * The scale to use for the press scaling effect. A value of `1` means the press scaling effect
-   * is disabled.
+   * @param {number} [options.idleTime]
+   * The number of milliseconds of inactivity before the {@link LcdSegment#event:idle} is
+   * triggered. A value of `0` means the {@link LcdSegment#event:idle} is disabled.
    *
-   * (Float between `0` and `2` inclusive.)
-   * {Default: `{@link StreamDeck#PRESS_SCALE}`}
+   * (Integer greater than or equal to `0`.)
+   * {Default: `{@link StreamDeck#IDLE_TIME}`}
    *
-   * @return {Image}
+   * @param {Image|Image.Source} [options.backgroundImage]
+   * The image to be set as the background image on the created {@link LcdSegment}.
+   *
+   * @param {Image|Image.Source} [options.image]
+   * The image to be set as the image on the created {@link LcdSegment}.
+   *
+   * @param {Array<Object>} [options.attachToPages]
+   * An Array of Objects listing {@link Page|Pages} to attach the created {@link LcdSegment}
+   * to.
+   *
+   * @param {Page} options.attachToPages[].page
+   * The {@link Page} to attach the created {@link LcdSegment} to.
+   *
+   * @param {number} [options.attachToPages[].index]
+   * The LCD segment index that the created {@link LcdSegment} will be attached to. If
+   * undefined the created {@link LcdSegment} will be attached to the first free LCD segment
+   * slot.
+   *
+   * (Integer between `0` and `{@link StreamDeck#LCD_SEGMENT_COUNT} - 1` inclusive.)
+   *
+   * @param {function} [options.on[Event]]
+   * An event listener that will be attached to the created {@link LcdSegment} on `[event]`.
+   *
+   * See {@link LcdSegment} for a list of available events.
+   *
+   * @param {*} [options.[customProperty]]
+   * Any custom properties not already reserved by the {@link LcdSegment} class will be added
+   * to the created {@link LcdSegment}.
+   *
+   * @returns {LcdSegment}
    */
-  createKeyImage(source, options = {}) {
+  createLcdSegment(options = {}) {
     checkStreamDeckDestroyed(this)
 
-    if (this.KEY_WIDTH <= 0 || this.KEY_HEIGHT <= 0) {
-      throw new Error(`This Stream Deck does not support Key Images`)
+    if (
+      this.LCD_SEGMENT_COUNT <= 0 ||
+      this.LCD_SEGMENT_WIDTH <= 0 ||
+      this.LCD_SEGMENT_HEIGHT <= 0
+    ) {
+      throw new Error(`This Stream Deck does not support LcdSegments`)
     }
 
     checkValid(options, {
@@ -1238,122 +3487,1905 @@ class StreamDeck extends EventEmitter {
       allowUndefined: true,
       checkProps: [
         {
-          name: 'scaleFrames',
-          type: 'number',
-          min: 0,
-          max: 2,
+          name: 'attachToPages',
+          type: 'array',
           allowUndefined: true,
+          checkAllValues: {
+            type: 'object',
+            checkProps: [
+              {
+                name: 'page',
+                type: 'class',
+                class: 'Page',
+                streamDeck: this,
+              },
+              {
+                name: 'index',
+                type: 'integer',
+                min: 0,
+                max: this.LCD_SEGMENT_COUNT - 1,
+                allowUndefined: true,
+              },
+            ],
+          },
         },
       ],
     })
 
-    return new Image({
-      source,
-      width: this.KEY_WIDTH,
-      height: this.KEY_HEIGHT,
-      scaleFrames: options.scaleFrames ?? this.PRESS_SCALE,
-    })
-  }
-
-  /**
-   * Clean up all internal state data used by the {@link StreamDeck} in preparation for garbage
-   * collection. This also destroys all {@link Page|Pages} and {@link Key|Keys} created by the
-   * {@link StreamDeck}.
-   *
-   * @function destroy
-   * @memberof StreamDeck
-   * @instance
-   */
-  destroy() {
-    checkStreamDeckDestroyed(this)
-
-    if (this._holdTimeoutIds.size) {
-      for (const holdTimeoutId of this._holdTimeoutIds.values()) {
-        clearTimeout(holdTimeoutId)
-      }
-
-      this._holdTimeoutIds.clear()
-    }
-
-    if (this._idleTimeoutId) {
-      clearTimeout(this._idleTimeoutId)
-      this._idleTimeoutId = undefined
-    }
+    const { attachToPages } = options
 
-    if (this._downPages.size) {
-      this._downPages.clear()
-    }
+    const lcdSegment = new LcdSegment(this, this._graphicsQueue, options)
 
-    if (this._downKeys.size) {
-      this._downKeys.clear()
-    }
+    this._lcdSegments.add(lcdSegment)
 
-    if (this._holdIndexes.size) {
-      this._holdIndexes.clear()
-    }
+    lcdSegment.on('destroy', () => this._lcdSegments.delete(lcdSegment))
 
-    if (this._keys.size) {
-      for (const key of this._keys.values()) {
-        key.destroy()
+    try {
+      if (Array.isArray(attachToPages)) {
+        for (const { page, index } of attachToPages) {
+          if (typeof index === 'number') {
+            page.attachLcdSegment(index, lcdSegment)
+          } else {
+            page.attachLcdSegment(lcdSegment)
+          }
+        }
       }
-    }
+    } catch (err) {
+      lcdSegment.destroy()
 
-    if (this._pages.size) {
-      for (const page of this._pages.values()) {
-        page.destroy()
-      }
+      throw err
     }
 
-    this._graphicsQueue.end()
-
-    this._destroyed = true
+    this.emit('lcdSegment', lcdSegment)
+    lcdSegment.emit('create')
 
-    this.emit('destroy')
+    return lcdSegment
   }
 
   /**
-   * Destroy the {@link StreamDeck} and all {@link Page|Pages} and {@link Key|Keys} created
-   * by the {@link StreamDeck}, then close `{@link StreamDeck#STREAMDECK_NODE}`.
+   * Create a new {@link KeyGrid}.
    *
-   * Returns a Promise that resolves once `{@link StreamDeck#STREAMDECK_NODE}` has been closed.
-   *
-   * @function close
+   * @function createKeyGrid
    * @memberof StreamDeck
    * @instance
    *
-   * @returns {Promise}
-   */
-  async close() {
-    this.destroy()
-
-    await emitCaughtAsyncError(this, async () => {
-      await clearStreamDeckNodePanel(this)
-      await setStreamDeckNodeBrightness(this, 0)
-
-      await this.STREAMDECK_NODE.close()
-    })
-  }
-}
-
-function checkStreamDeckDestroyed(_this) {
-  if (_this._destroyed) {
-    throw new Error(`StreamDeck has been destroyed!`)
+   * @param {Object} options
+   * Options used while creating a {@link KeyGrid}.
+   *
+   * @param {number} options.keyCount
+   * The number of key slots in the created {@link KeyGrid}.
+   *
+   * (Integer greater than or equal to `1`.)
+   *
+   * @param {Page} [options.page]
+   * The {@link Page} that the created {@link KeyGrid} shows its {@link Key|Keys} on. If undefined
+   * a new {@link Page} is created. {@link Key|Keys} attached directly to the {@link Page} on key
+   * slots used by the created {@link KeyGrid} will be replaced as the {@link KeyGrid} scrolls.
+   *
+   * @param {Object} [options.navigationKeys]
+   * The key slot indexes on the {@link Page} reserved for navigation {@link Key|Keys}. Pass an
+   * empty Object to reserve no key slots.
+   *
+   * {Default: `{ previous: <first key slot of the last row>, next: {@link StreamDeck#KEY_COUNT} - 1 }`}
+   *
+   * @param {number} [options.navigationKeys.previous]
+   * The key slot index of the {@link Key} that calls {@link KeyGrid#previous}.
+   *
+   * @param {number} [options.navigationKeys.next]
+   * The key slot index of the {@link Key} that calls {@link KeyGrid#next}.
+   *
+   * @param {number} [options.navigationKeys.up]
+   * The key slot index of the {@link Key} that calls {@link KeyGrid#scrollUp}.
+   *
+   * @param {number} [options.navigationKeys.down]
+   * The key slot index of the {@link Key} that calls {@link KeyGrid#scrollDown}.
+   *
+   * @param {number} [options.scrollStep]
+   * The number of key slots the created {@link KeyGrid} scrolls by when scrolling up or down.
+   * Defaults to the number of key slots in the widest row not reserved for navigation
+   * {@link Key|Keys}.
+   *
+   * (Integer greater than or equal to `1`.)
+   *
+   * @param {number} [options.offset=0]
+   * The initial `{@link KeyGrid#offset}` of the created {@link KeyGrid}.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {Array<Object>} [options.attachKeys]
+   * An Array of Objects listing {@link Key|Keys} to attach to the created {@link KeyGrid}.
+   *
+   * @param {Key} options.attachKeys[].key
+   * The {@link Key} to attach to the created {@link KeyGrid}.
+   *
+   * @param {number} [options.attachKeys[].index]
+   * The {@link KeyGrid} key slot index that the {@link Key} will be attached to. If undefined the
+   * {@link Key} will be attached to the first free key slot.
+   *
+   * (Integer between `0` and `options.keyCount - 1` inclusive.)
+   *
+   * @param {function} [options.on[Event]]
+   * An event listener that will be attached to the created {@link KeyGrid} on `[event]`.
+   *
+   * See {@link KeyGrid} for a list of available events.
+   *
+   * @param {*} [options.[customProperty]]
+   * Any custom properties not already reserved by the {@link KeyGrid} class will be added to the
+   * created {@link KeyGrid}.
+   *
+   * @returns {KeyGrid}
+   */
+  createKeyGrid(options = {}) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.KEY_WIDTH <= 0 || this.KEY_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support KeyGrids`)
+    }
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      checkProps: [
+        {
+          name: 'keyCount',
+          type: 'integer',
+          min: 1,
+        },
+        {
+          name: 'page',
+          type: 'class',
+          class: 'Page',
+          streamDeck: this,
+          allowUndefined: true,
+        },
+        {
+          name: 'attachKeys',
+          type: 'array',
+          allowUndefined: true,
+          checkAllValues: {
+            type: 'object',
+            checkProps: [
+              {
+                name: 'key',
+                type: 'class',
+                class: 'Key',
+                streamDeck: this,
+              },
+              {
+                name: 'index',
+                type: 'integer',
+                min: 0,
+                max: options.keyCount - 1,
+                allowUndefined: true,
+              },
+            ],
+          },
+        },
+      ],
+    })
+
+    const { page, attachKeys, ...keyGridOptions } = options
+
+    const keyGridPage = page ?? this.createPage()
+
+    let keyGrid
+
+    try {
+      keyGrid = new KeyGrid(this, keyGridPage, keyGridOptions)
+    } catch (err) {
+      if (!page) {
+        keyGridPage.destroy()
+      }
+
+      throw err
+    }
+
+    this._keyGrids.add(keyGrid)
+
+    keyGrid.on('destroy', () => this._keyGrids.delete(keyGrid))
+
+    try {
+      if (Array.isArray(attachKeys)) {
+        for (const { key, index } of attachKeys) {
+          if (typeof index === 'number') {
+            keyGrid.attachKey(index, key)
+          } else {
+            keyGrid.attachKey(key)
+          }
+        }
+      }
+    } catch (err) {
+      keyGrid.destroy()
+
+      throw err
+    }
+
+    this.emit('keyGrid', keyGrid)
+    keyGrid.emit('create')
+
+    return keyGrid
+  }
+
+  /**
+   * Create a new {@link LockScreen}.
+   *
+   * @function createLockScreen
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Object} options
+   * Options used while creating a {@link LockScreen}.
+   *
+   * @param {Array<number>} options.sequence
+   * The key slot indexes that have to be pressed, in order, to unlock the created
+   * {@link LockScreen}.
+   *
+   * (At least one integer between `0` and `{@link StreamDeck#KEY_COUNT} - 1` inclusive.)
+   *
+   * @param {Page} [options.page]
+   * The {@link Page} that has focus while the created {@link LockScreen} is locked. If undefined
+   * a new {@link Page} is created. {@link Key|Keys} attached to the {@link Page} keep working
+   * while it is locked.
+   *
+   * @param {number} [options.timeout=5000]
+   * The maximum number of milliseconds between two presses of an attempt. A value of `0` means
+   * there is no limit.
+   *
+   * (Integer greater than or equal to `0`.)
+   *
+   * @param {boolean} [options.autoLock=false]
+   * Whether or not the created {@link LockScreen} locks itself on the
+   * {@link StreamDeck#event:idle}, see `{@link StreamDeck#IDLE_TIME}`.
+   *
+   * @param {boolean} [options.locked=false]
+   * Whether or not the created {@link LockScreen} is locked right away.
+   *
+   * @param {function} [options.on[Event]]
+   * An event listener that will be attached to the created {@link LockScreen} on `[event]`.
+   *
+   * See {@link LockScreen} for a list of available events.
+   *
+   * @param {*} [options.[customProperty]]
+   * Any custom properties not already reserved by the {@link LockScreen} class will be added to
+   * the created {@link LockScreen}.
+   *
+   * @returns {LockScreen}
+   */
+  createLockScreen(options = {}) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.PANEL_WIDTH <= 0 || this.PANEL_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support LockScreens`)
+    }
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      checkProps: [
+        {
+          name: 'page',
+          type: 'class',
+          class: 'Page',
+          streamDeck: this,
+          allowUndefined: true,
+        },
+        {
+          name: 'locked',
+          type: 'boolean',
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    const { page, locked, ...lockScreenOptions } = options
+
+    const lockScreenPage = page ?? this.createPage()
+
+    if (!page) {
+      this._lockScreenPages.add(lockScreenPage)
+
+      lockScreenPage.on('destroy', () =>
+        this._lockScreenPages.delete(lockScreenPage)
+      )
+    }
+
+    let lockScreen
+
+    try {
+      lockScreen = new LockScreen(
+        this,
+        lockScreenPage,
+        (action, pageStack) => navigateStreamDeck(this, action, pageStack),
+        lockScreenOptions
+      )
+    } catch (err) {
+      if (!page) {
+        lockScreenPage.destroy()
+      }
+
+      throw err
+    }
+
+    this._lockScreens.add(lockScreen)
+
+    lockScreen.on('destroy', () => this._lockScreens.delete(lockScreen))
+
+    this.emit('lockScreen', lockScreen)
+    lockScreen.emit('create')
+
+    if (locked) {
+      lockScreen.lock()
+    }
+
+    return lockScreen
+  }
+
+  /**
+   * Render the Stream Deck's panel exactly as it is drawn by the
+   * `{@link StreamDeck#focusedPage}`. Renders a black panel if no {@link Page} has focus.
+   *
+   * @function snapshot
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Object} [options]
+   * Options used while rendering the snapshot.
+   *
+   * @param {string} [options.format='png']
+   * The format of the returned Buffer. Either `'png'` or `'raw'`. Raw Buffers hold RGB pixel
+   * data with a width of `{@link StreamDeck#PANEL_WIDTH}` and a height of
+   * `{@link StreamDeck#PANEL_HEIGHT}`.
+   *
+   * @returns {Promise<Buffer>}
+   */
+  async snapshot(options = {}) {
+    checkStreamDeckDestroyed(this)
+
+    checkSnapshotOptions(options)
+
+    if (this._focusedPage) {
+      return this._focusedPage.snapshot(options)
+    }
+
+    return encodeSnapshot(
+      Buffer.alloc(this.PANEL_WIDTH * this.PANEL_HEIGHT * 3),
+      this.PANEL_WIDTH,
+      this.PANEL_HEIGHT,
+      options
+    )
+  }
+
+  /**
+   * Render the Stream Deck's LCD touch strip exactly as it is drawn by the
+   * `{@link StreamDeck#focusedPage}`. Renders a black LCD touch strip if no {@link Page} has
+   * focus.
+   *
+   * @function snapshotLcd
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Object} [options]
+   * Options used while rendering the snapshot.
+   *
+   * @param {string} [options.format='png']
+   * The format of the returned Buffer. Either `'png'` or `'raw'`. Raw Buffers hold RGB pixel
+   * data with a width of `{@link StreamDeck#LCD_WIDTH}` and a height of
+   * `{@link StreamDeck#LCD_HEIGHT}`.
+   *
+   * @returns {Promise<Buffer>}
+   */
+  async snapshotLcd(options = {}) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.LCD_WIDTH <= 0 || this.LCD_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support LCD Images`)
+    }
+
+    checkSnapshotOptions(options)
+
+    if (this._focusedPage) {
+      return this._focusedPage.snapshotLcd(options)
+    }
+
+    return encodeSnapshot(
+      Buffer.alloc(this.LCD_WIDTH * this.LCD_HEIGHT * 3),
+      this.LCD_WIDTH,
+      this.LCD_HEIGHT,
+      options
+    )
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link StreamDeck#PANEL_WIDTH}` and a height
+   * of `{@link StreamDeck#PANEL_HEIGHT}`. The created {@link Image} will have split frames.
+   *
+   * @function createPageBackgroundImage
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createPageBackgroundImage(source) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.PANEL_WIDTH <= 0 || this.PANEL_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support Page Images`)
+    }
+
+    return new Image({
+      source,
+      width: this.PANEL_WIDTH,
+      height: this.PANEL_HEIGHT,
+      splitFrames: { width: this.KEY_WIDTH, height: this.KEY_HEIGHT },
+      watch: this.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link StreamDeck#KEY_WIDTH}` and a height of
+   * `{@link StreamDeck#KEY_HEIGHT}`.
+   *
+   * @function createKeyBackgroundImage
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createKeyBackgroundImage(source) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.KEY_WIDTH <= 0 || this.KEY_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support Key Images`)
+    }
+
+    return new Image({
+      source,
+      width: this.KEY_WIDTH,
+      height: this.KEY_HEIGHT,
+      watch: this.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link StreamDeck#KEY_WIDTH}` and a height of
+   * `{@link StreamDeck#KEY_HEIGHT}`. The created {@link Image} will have scaled frames if applicable.
+   *
+   * @function createKeyImage
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @param {Object} [options]
+   * Options used while creating a {@link Image}.
+   *
+   * @param {number} [options.scaleFrames]
+   * The scale to use for the press scaling effect. A value of `1` means the press scaling effect
+   * is disabled.
+   *
+   * (Float between `0` and `2` inclusive.)
+   * {Default: `{@link StreamDeck#PRESS_SCALE}`}
+   *
+   * @return {Image}
+   */
+  createKeyImage(source, options = {}) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.KEY_WIDTH <= 0 || this.KEY_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support Key Images`)
+    }
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'scaleFrames',
+          type: 'number',
+          min: 0,
+          max: 2,
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    return new Image({
+      source,
+      width: this.KEY_WIDTH,
+      height: this.KEY_HEIGHT,
+      scaleFrames: options.scaleFrames ?? this.PRESS_SCALE,
+      watch: this.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link StreamDeck#LCD_WIDTH}` and a height
+   * of `{@link StreamDeck#LCD_HEIGHT}`. The created {@link Image} will have split frames.
+   *
+   * @function createPageLcdBackgroundImage
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createPageLcdBackgroundImage(source) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.LCD_WIDTH <= 0 || this.LCD_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support LCD Images`)
+    }
+
+    return new Image({
+      source,
+      width: this.LCD_WIDTH,
+      height: this.LCD_HEIGHT,
+      splitFrames: {
+        width: this.LCD_SEGMENT_WIDTH,
+        height: this.LCD_SEGMENT_HEIGHT,
+      },
+      watch: this.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Create a new {@link Image} with a width of `{@link StreamDeck#LCD_SEGMENT_WIDTH}` and a
+   * height of `{@link StreamDeck#LCD_SEGMENT_HEIGHT}`.
+   *
+   * @function createLcdSegmentImage
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {Image.Source} [source]
+   * The sources used to create the new {@link Image}.
+   *
+   * @returns {Image}
+   */
+  createLcdSegmentImage(source) {
+    checkStreamDeckDestroyed(this)
+
+    if (this.LCD_SEGMENT_WIDTH <= 0 || this.LCD_SEGMENT_HEIGHT <= 0) {
+      throw new Error(`This Stream Deck does not support LCD Images`)
+    }
+
+    return new Image({
+      source,
+      width: this.LCD_SEGMENT_WIDTH,
+      height: this.LCD_SEGMENT_HEIGHT,
+      watch: this.WATCH_IMAGES,
+    })
+  }
+
+  /**
+   * Get a portable description of every {@link Page}, {@link Key}, {@link Encoder}, and
+   * {@link LcdSegment} of the {@link StreamDeck}, along with their attachments, image sources,
+   * the brightness, and the default and focused {@link Page|Pages}. The description can be
+   * stored as JSON and passed to {@link StreamDeck#restore}, in another process or on another
+   * Stream Deck. Event listeners are not included, so set a custom property such as `id` when
+   * creating each element to find it again after restoring. {@link KeyGrid|KeyGrids} and the
+   * {@link Key|Keys} they own are not included either, create them again after restoring. The
+   * {@link Page|Pages} created for an image screensaver or by {@link StreamDeck#createLockScreen}
+   * are left out. While the screensaver is shown or a {@link LockScreen} is locked, the
+   * {@link Page} underneath it is described as the focused {@link Page}.
+   *
+   * @function serialize
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @returns {StreamDeck.SerializedState}
+   */
+  serialize() {
+    checkStreamDeckDestroyed(this)
+
+    // Pages created for an image screensaver or a LockScreen belong to them, not the layout
+    const pages = [...this._pages].filter(
+      (page) =>
+        (this._screensaver?.image === undefined ||
+          page !== this._screensaverPage) &&
+        !this._lockScreenPages.has(page)
+    )
+
+    const lockScreen = [...this._lockScreens].find(({ locked }) => locked)
+
+    const focusedPage = (
+      lockScreen?.pageStack ??
+      this._screensaverPageStack ??
+      this._pageStack
+    )
+      .filter((page) => pages.includes(page))
+      .pop()
+
+    // Keys owned by a KeyGrid only work through it
+    const keyGridKeys = new Set()
+
+    for (const keyGrid of this._keyGrids) {
+      for (const key of [
+        ...keyGrid.keys.values(),
+        ...keyGrid.navigationKeys.values(),
+      ]) {
+        keyGridKeys.add(key)
+      }
+    }
+
+    const getAttachments = (element, slots) => {
+      const attachments = []
+
+      for (const [i, page] of pages.entries()) {
+        for (const [index, attachedElement] of page[slots]) {
+          if (attachedElement === element) {
+            attachments.push({ page: i, index })
+          }
+        }
+      }
+
+      return attachments
+    }
+
+    return {
+      version: 1,
+      model: this.MODEL,
+      panelRowCount: this.PANEL_ROW_COUNT,
+      panelColumnCount: this.PANEL_COLUMN_COUNT,
+      brightness: this._brightness,
+      defaultPage: this._defaultPage
+        ? pages.indexOf(this._defaultPage)
+        : undefined,
+      focusedPage: focusedPage ? pages.indexOf(focusedPage) : undefined,
+      pages: pages.map((page) => page.toJSON()),
+      keys: [...this._keys]
+        .filter((key) => key !== this._backKey && !keyGridKeys.has(key))
+        .map((key) => ({
+          ...key.toJSON(),
+          attachments: getAttachments(key, 'keys').map(({ page, index }) => ({
+            page,
+            index,
+            row: Math.floor(index / this.PANEL_COLUMN_COUNT) + 1,
+            column: (index % this.PANEL_COLUMN_COUNT) + 1,
+          })),
+        })),
+      encoders: [...this._encoders].map((encoder) => ({
+        ...encoder.toJSON(),
+        attachments: getAttachments(encoder, 'encoders'),
+      })),
+      lcdSegments: [...this._lcdSegments].map((lcdSegment) => ({
+        ...lcdSegment.toJSON(),
+        attachments: getAttachments(lcdSegment, 'lcdSegments'),
+      })),
+    }
+  }
+
+  /**
+   * Same as calling {@link StreamDeck#serialize}, so a {@link StreamDeck} can be passed straight
+   * to `JSON.stringify`.
+   *
+   * @function toJSON
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @returns {StreamDeck.SerializedState}
+   */
+  toJSON() {
+    return this.serialize()
+  }
+
+  /**
+   * Create the {@link Page|Pages}, {@link Key|Keys}, {@link Encoder|Encoders}, and
+   * {@link LcdSegment|LcdSegments} described by a {@link StreamDeck.SerializedState}, attach them,
+   * and apply the brightness and the default and focused {@link Page|Pages}. Existing
+   * {@link Page|Pages} and elements are left in place. If creating any part fails everything
+   * already created is destroyed again.
+   *
+   * Key attachments keep their row and column unless `options.remap` is given. Attachments that
+   * do not fit on this {@link StreamDeck} are skipped and returned in `skipped`.
+   *
+   * @function restore
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @param {StreamDeck.SerializedState} state
+   * The state created by {@link StreamDeck#serialize}, optionally read back from JSON.
+   *
+   * @param {Object} [options]
+   * Options used while restoring.
+   *
+   * @param {function} [options.remap]
+   * A function called with the `row`, `column`, and the serialized `state` for every key
+   * attachment, returning an Object with the new `row` and `column` or undefined to skip the
+   * attachment. Used to move a layout between Stream Deck models.
+   *
+   * @returns {Object}
+   * An Object holding the created `pages`, `keys`, `encoders`, and `lcdSegments` Arrays in the
+   * same order as `state`, along with the `skipped` attachments as `{ type, element, page,
+   * index, row, column }` Objects.
+   */
+  restore(state, options = {}) {
+    checkStreamDeckDestroyed(this)
+
+    const attachmentsProp = {
+      name: 'attachments',
+      type: 'array',
+      checkAllValues: {
+        type: 'object',
+        checkProps: [
+          {
+            name: 'page',
+            type: 'integer',
+            min: 0,
+            max: (state?.pages?.length ?? 0) - 1,
+          },
+          { name: 'index', type: 'integer', min: 0 },
+        ],
+      },
+    }
+
+    checkValid(state, {
+      name: 'state',
+      type: 'object',
+      checkProps: [
+        { name: 'version', type: 'integer', min: 1, max: 1 },
+        {
+          name: 'brightness',
+          type: 'number',
+          min: 0,
+          max: 1,
+          allowUndefined: true,
+        },
+        { name: 'pages', type: 'array', checkAllValues: { type: 'object' } },
+        {
+          name: 'keys',
+          type: 'array',
+          checkAllValues: { type: 'object', checkProps: [attachmentsProp] },
+        },
+        {
+          name: 'encoders',
+          type: 'array',
+          checkAllValues: { type: 'object', checkProps: [attachmentsProp] },
+        },
+        {
+          name: 'lcdSegments',
+          type: 'array',
+          checkAllValues: { type: 'object', checkProps: [attachmentsProp] },
+        },
+      ],
+    })
+
+    for (const name of ['defaultPage', 'focusedPage']) {
+      checkValid(state[name], {
+        name: `state.${name}`,
+        type: 'integer',
+        min: 0,
+        max: state.pages.length - 1,
+        allowUndefined: true,
+      })
+    }
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [{ name: 'remap', type: 'function', allowUndefined: true }],
+    })
+
+    const restored = {
+      pages: [],
+      keys: [],
+      encoders: [],
+      lcdSegments: [],
+      skipped: [],
+    }
+
+    try {
+      for (const pageState of state.pages) {
+        restored.pages.push(
+          this.createPage({
+            ...pageState,
+            backgroundImage: deserializeSource(pageState.backgroundImage),
+            lcdBackgroundImage: deserializeSource(pageState.lcdBackgroundImage),
+          })
+        )
+      }
+
+      for (const { attachments, ...keyState } of state.keys) {
+        const key = this.createKey({
+          ...keyState,
+          backgroundImage: deserializeSource(keyState.backgroundImage),
+          image: deserializeSource(keyState.image),
+          states: keyState.states?.map((keyStateState) => ({
+            ...keyStateState,
+            backgroundImage: deserializeSource(keyStateState.backgroundImage),
+            image: deserializeSource(keyStateState.image),
+          })),
+        })
+
+        restored.keys.push(key)
+
+        for (let { page, index, row, column } of attachments) {
+          if (row === undefined || column === undefined) {
+            row = Math.floor(index / state.panelColumnCount) + 1
+            column = (index % state.panelColumnCount) + 1
+          }
+
+          const position = options.remap
+            ? options.remap(row, column, state)
+            : { row, column }
+
+          if (
+            !position ||
+            position.row < 1 ||
+            position.row > this.PANEL_ROW_COUNT ||
+            position.column < 1 ||
+            position.column > this.PANEL_COLUMN_COUNT
+          ) {
+            restored.skipped.push({
+              type: 'key',
+              element: key,
+              page: restored.pages[page],
+              index,
+              row,
+              column,
+            })
+
+            continue
+          }
+
+          restored.pages[page].attachKey(position.row, position.column, key)
+        }
+      }
+
+      for (const [type, elements, create, attach, count] of [
+        [
+          'encoder',
+          'encoders',
+          (elementState) => this.createEncoder(elementState),
+          'attachEncoder',
+          this.ENCODER_COUNT,
+        ],
+        [
+          'lcdSegment',
+          'lcdSegments',
+          (elementState) =>
+            this.createLcdSegment({
+              ...elementState,
+              backgroundImage: deserializeSource(elementState.backgroundImage),
+              image: deserializeSource(elementState.image),
+            }),
+          'attachLcdSegment',
+          this.LCD_SEGMENT_COUNT,
+        ],
+      ]) {
+        for (const { attachments, ...elementState } of state[elements]) {
+          if (count <= 0) {
+            restored.skipped.push(
+              ...attachments.map(({ page, index }) => ({
+                type,
+                page: restored.pages[page],
+                index,
+              }))
+            )
+
+            continue
+          }
+
+          const element = create(elementState)
+
+          restored[elements].push(element)
+
+          for (const { page, index } of attachments) {
+            if (index >= count) {
+              restored.skipped.push({
+                type,
+                element,
+                page: restored.pages[page],
+                index,
+              })
+
+              continue
+            }
+
+            restored.pages[page][attach](index, element)
+          }
+        }
+      }
+
+      if (state.brightness !== undefined) {
+        this.setBrightness(state.brightness)
+      }
+
+      if (state.defaultPage !== undefined) {
+        this.setDefaultPage(restored.pages[state.defaultPage])
+      }
+
+      if (state.focusedPage !== undefined) {
+        this.setFocusedPage(restored.pages[state.focusedPage])
+      }
+    } catch (err) {
+      for (const element of [
+        ...restored.keys,
+        ...restored.encoders,
+        ...restored.lcdSegments,
+        ...restored.pages,
+      ]) {
+        if (!element.destroyed) {
+          element.destroy()
+        }
+      }
+
+      throw err
+    }
+
+    return restored
+  }
+
+  /**
+   * Clean up all internal state data used by the {@link StreamDeck} in preparation for garbage
+   * collection. This also destroys all {@link Page|Pages}, {@link Key|Keys},
+   * {@link Encoder|Encoders}, and {@link LcdSegment|LcdSegments} created by the
+   * {@link StreamDeck}.
+   *
+   * @function destroy
+   * @memberof StreamDeck
+   * @instance
+   */
+  destroy() {
+    checkStreamDeckDestroyed(this)
+
+    updateStreamDeckPageStack(this, [])
+
+    if (this._reconnectTimeoutId) {
+      clearTimeout(this._reconnectTimeoutId)
+      this._reconnectTimeoutId = undefined
+    }
+
+    if (this._brightnessScheduleTimeoutId) {
+      clearTimeout(this._brightnessScheduleTimeoutId)
+      this._brightnessScheduleTimeoutId = undefined
+    }
+
+    if (this._holdTimeoutIds.size) {
+      for (const holdTimeoutId of this._holdTimeoutIds.values()) {
+        clearTimeout(holdTimeoutId)
+      }
+
+      this._holdTimeoutIds.clear()
+    }
+
+    if (this._idleTimeoutId) {
+      clearTimeout(this._idleTimeoutId)
+      this._idleTimeoutId = undefined
+    }
+
+    if (this._downPages.size) {
+      this._downPages.clear()
+    }
+
+    if (this._downKeys.size) {
+      this._downKeys.clear()
+    }
+
+    if (this._holdIndexes.size) {
+      this._holdIndexes.clear()
+    }
+
+    if (this._tapTimeoutIds.size) {
+      for (const tapTimeoutId of this._tapTimeoutIds.values()) {
+        clearTimeout(tapTimeoutId)
+      }
+
+      this._tapTimeoutIds.clear()
+    }
+
+    if (this._tapStates.size) {
+      this._tapStates.clear()
+    }
+
+    if (this._downTimes.size) {
+      this._downTimes.clear()
+    }
+
+    if (this._chordIndexes.size) {
+      this._chordIndexes.clear()
+    }
+
+    if (this._lockedIndexes.size) {
+      this._lockedIndexes.clear()
+    }
+
+    if (this._chords.size) {
+      this._chords.clear()
+    }
+
+    if (this._swipeTimeoutId) {
+      clearTimeout(this._swipeTimeoutId)
+      this._swipeTimeoutId = undefined
+    }
+
+    this._swipePath = []
+
+    if (this._encoderHoldTimeoutIds.size) {
+      for (const encoderHoldTimeoutId of this._encoderHoldTimeoutIds.values()) {
+        clearTimeout(encoderHoldTimeoutId)
+      }
+
+      this._encoderHoldTimeoutIds.clear()
+    }
+
+    if (this._downEncoderPages.size) {
+      this._downEncoderPages.clear()
+    }
+
+    if (this._downEncoders.size) {
+      this._downEncoders.clear()
+    }
+
+    if (this._holdEncoderIndexes.size) {
+      this._holdEncoderIndexes.clear()
+    }
+
+    if (this._keyGrids.size) {
+      for (const keyGrid of this._keyGrids.values()) {
+        keyGrid.destroy()
+      }
+    }
+
+    this._screensaverPageStack = undefined
+
+    if (this._lockScreens.size) {
+      for (const lockScreen of this._lockScreens.values()) {
+        lockScreen.destroy()
+      }
+    }
+
+    if (this._keys.size) {
+      for (const key of this._keys.values()) {
+        key.destroy()
+      }
+    }
+
+    if (this._encoders.size) {
+      for (const encoder of this._encoders.values()) {
+        encoder.destroy()
+      }
+    }
+
+    if (this._lcdSegments.size) {
+      for (const lcdSegment of this._lcdSegments.values()) {
+        lcdSegment.destroy()
+      }
+    }
+
+    if (this._pages.size) {
+      for (const page of this._pages.values()) {
+        page.destroy()
+      }
+    }
+
+    this._graphicsQueue.end()
+
+    this._destroyed = true
+
+    this.emit('destroy')
+  }
+
+  /**
+   * Destroy the {@link StreamDeck} and all {@link Page|Pages} and {@link Key|Keys} created
+   * by the {@link StreamDeck}, then close `{@link StreamDeck#STREAMDECK_NODE}`.
+   *
+   * Returns a Promise that resolves once `{@link StreamDeck#STREAMDECK_NODE}` has been closed.
+   *
+   * @function close
+   * @memberof StreamDeck
+   * @instance
+   *
+   * @returns {Promise}
+   */
+  async close() {
+    this.destroy()
+
+    await emitCaughtAsyncError(this, async () => {
+      if (this._disconnected) {
+        return
+      }
+
+      await clearStreamDeckNodePanel(this)
+      await setStreamDeckNodeBrightness(this, 0)
+
+      await this.STREAMDECK_NODE.close()
+    })
+  }
+}
+
+function checkStreamDeckDestroyed(_this) {
+  if (_this._destroyed) {
+    throw new Error(`StreamDeck has been destroyed!`)
+  }
+}
+
+function checkStreamDeckLocked(_this, page = _this._defaultPage) {
+  const screensaverPage =
+    _this._screensaverPageStack && page === _this._screensaverPage
+
+  for (const lockScreen of _this._lockScreens) {
+    if (lockScreen.locked && page !== lockScreen.PAGE && !screensaverPage) {
+      throw new Error(`The StreamDeck is locked by a LockScreen`)
+    }
+  }
+}
+
+function navigateStreamDeck(_this, action, pageStack, options) {
+  const previousPage = _this._focusedPage
+
+  // Checked before the page stack is updated so a refused navigation leaves it as it was
+  checkStreamDeckLocked(_this, pageStack[pageStack.length - 1])
+
+  updateStreamDeckPageStack(_this, pageStack)
+
+  _this._navigating = true
+
+  try {
+    _this.setFocusedPage(pageStack[pageStack.length - 1], options)
+  } finally {
+    _this._navigating = false
+  }
+
+  _this.emit('navigate', action, _this._focusedPage, previousPage)
+}
+
+function updateStreamDeckPageStack(_this, pageStack) {
+  for (const page of _this._backKeyPages) {
+    if (pageStack.indexOf(page) > 0) {
+      continue
+    }
+
+    _this._backKeyPages.delete(page)
+
+    if (
+      !page.destroyed &&
+      page.keys.get(_this.BACK_KEY_INDEX) === _this._backKey
+    ) {
+      page.detachKey(_this.BACK_KEY_INDEX, _this._backKey)
+    }
+  }
+
+  _this._pageStack = pageStack
+
+  if (_this.BACK_KEY_INDEX === undefined) {
+    return
+  }
+
+  for (const page of pageStack.slice(1)) {
+    if (_this._backKeyPages.has(page) || page.keys.has(_this.BACK_KEY_INDEX)) {
+      continue
+    }
+
+    if (!_this._backKey || _this._backKey.destroyed) {
+      _this._backKey = _this.createKey({
+        title: 'Back',
+        titleAlign: 'middle',
+        onClick: () => _this.popPage(),
+      })
+    }
+
+    page.attachKey(_this.BACK_KEY_INDEX, _this._backKey)
+
+    _this._backKeyPages.add(page)
+  }
+}
+
+function transitionStreamDeckPanel(
+  _this,
+  fromPage,
+  toPage,
+  transition,
+  duration
+) {
+  const transitionId = ++_this._transitionId
+
+  _this._transitioning = true
+
+  _this._graphicsQueue.push(() =>
+    emitCaughtAsyncError(_this, async () => {
+      try {
+        if (_this._focusedPage !== toPage || toPage.destroyed) {
+          return
+        }
+
+        const layout = {
+          width: _this.PANEL_WIDTH,
+          height: _this.PANEL_HEIGHT,
+          keyWidth: _this.KEY_WIDTH,
+          keyHeight: _this.KEY_HEIGHT,
+          columns: _this.PANEL_COLUMN_COUNT,
+          rows: _this.PANEL_ROW_COUNT,
+        }
+
+        const from =
+          fromPage && !fromPage.destroyed
+            ? await fromPage.snapshot({ format: 'raw' })
+            : Buffer.alloc(layout.width * layout.height * 3)
+        const to = await toPage.snapshot({ format: 'raw' })
+
+        const frameCount = Math.round(duration / TRANSITION_FRAME_TIME)
+
+        for (let frame = 1; frame < frameCount; frame++) {
+          if (transitionId !== _this._transitionId || _this._disconnected) {
+            return
+          }
+
+          const frameStart = Date.now()
+
+          await _this.STREAMDECK_NODE.fillPanelBuffer(
+            renderTransitionFrame(
+              transition,
+              from,
+              to,
+              frame / frameCount,
+              layout
+            )
+          )
+
+          await new Promise((resolve) =>
+            setTimeout(
+              resolve,
+              Math.max(0, TRANSITION_FRAME_TIME - (Date.now() - frameStart))
+            )
+          )
+        }
+      } finally {
+        if (transitionId === _this._transitionId) {
+          _this._transitioning = false
+
+          if (!toPage.destroyed) {
+            toPage.drawPanel()
+          }
+        }
+      }
+    })
+  )
+}
+
+// A running transition stops at its next frame without drawing, presses it swallowed are
+// ignored on release because they were never recorded as down
+function cancelStreamDeckTransition(_this) {
+  _this._transitionId++
+  _this._transitioning = false
+
+  _this._suppressedIndexes.clear()
+  _this._suppressedEncoderIndexes.clear()
+}
+
+function listenToStreamDeckNode(_this, event, listener) {
+  _this._streamDeckNodeListeners.set(event, listener)
+  _this._STREAMDECK_NODE.on(event, listener)
+}
+
+function handleStreamDeckChords(_this, index, locked) {
+  const page = _this._downPages.get(index)
+  const pageChords = page ? [...page.chords] : []
+
+  // Only the LockScreen's Page chords are entered while locked
+  const chords = locked ? pageChords : [..._this._chords, ...pageChords]
+
+  for (const chord of chords) {
+    const { indexes } = chord
+
+    if (
+      !indexes.includes(index) ||
+      indexes.some((i) => !_this._downKeys.has(i) || _this._chordIndexes.has(i))
+    ) {
+      continue
+    }
+
+    // Page chords only count keys pressed while the Page had focus
+    if (
+      pageChords.includes(chord) &&
+      indexes.some((i) => _this._downPages.get(i) !== page)
+    ) {
+      continue
+    }
+
+    const downTimes = indexes.map((i) => _this._downTimes.get(i))
+
+    if (
+      _this.CHORD_TIME > 0 &&
+      Math.max(...downTimes) - Math.min(...downTimes) > _this.CHORD_TIME
+    ) {
+      continue
+    }
+
+    for (const i of indexes) {
+      _this._chordIndexes.set(i, chord.suppressClicks)
+
+      if (chord.suppressClicks && _this._holdTimeoutIds.has(i)) {
+        clearTimeout(_this._holdTimeoutIds.get(i))
+        _this._holdTimeoutIds.delete(i)
+      }
+    }
+
+    const keys = indexes.map((i) => _this._downKeys.get(i))
+
+    if (!locked) {
+      _this.emit('chord', chord, page, keys)
+    }
+
+    page?.emit('chord', chord, page, keys)
+
+    for (const key of new Set(keys)) {
+      key?.emit('chord', chord, page, keys)
+    }
+
+    if (chord.handler) {
+      emitCaughtAsyncError(_this, async () => chord.handler(chord, page, keys))
+    }
+  }
+}
+
+// Checked at least once a minute so clock changes don't delay a rule by more than a minute
+const BRIGHTNESS_SCHEDULE_INTERVAL = 60 * 1000
+
+function updateStreamDeckBrightnessSchedule(_this) {
+  _this._brightnessScheduleTimeoutId = undefined
+
+  const schedule = _this._brightnessSchedule
+
+  if (_this._destroyed || !schedule) {
+    return
+  }
+
+  const now = new Date()
+  const minutes = now.getHours() * 60 + now.getMinutes()
+
+  const rule =
+    [...schedule]
+      .reverse()
+      .find(({ time }) => getScheduleMinutes(time) <= minutes) ??
+    schedule[schedule.length - 1]
+
+  if (rule !== _this._brightnessScheduleRule) {
+    _this._brightnessScheduleRule = rule
+
+    _this.setBrightness(rule.brightness, _this._brightnessScheduleOptions)
+
+    _this.emit('brightnessSchedule', rule.brightness, rule.time)
+  }
+
+  const nextRule =
+    schedule.find(({ time }) => getScheduleMinutes(time) > minutes) ??
+    schedule[0]
+
+  let delay =
+    (getScheduleMinutes(nextRule.time) - minutes) * 60 * 1000 -
+    now.getSeconds() * 1000 -
+    now.getMilliseconds()
+
+  if (delay <= 0) {
+    delay += 24 * 60 * 60 * 1000
+  }
+
+  _this._brightnessScheduleTimeoutId = setTimeout(
+    () => updateStreamDeckBrightnessSchedule(_this),
+    Math.min(delay, BRIGHTNESS_SCHEDULE_INTERVAL)
+  )
+}
+
+function getScheduleMinutes(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time)
+
+  if (!match) {
+    return
+  }
+
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+const SWIPE_DIRECTIONS = {
+  '0,-1': 'left',
+  '0,1': 'right',
+  '-1,0': 'up',
+  '1,0': 'down',
+}
+
+function handleStreamDeckSwipe(_this, index, page) {
+  if (_this.SWIPE_TIME <= 0) {
+    return
+  }
+
+  if (_this._swipeTimeoutId) {
+    clearTimeout(_this._swipeTimeoutId)
+    _this._swipeTimeoutId = undefined
+  }
+
+  const time = Date.now()
+  const path = _this._swipePath
+  const last = path[path.length - 1]
+
+  let step
+
+  if (last && last.page === page && time - last.time <= _this.SWIPE_TIME) {
+    const columnCount = _this.PANEL_COLUMN_COUNT
+
+    step = [
+      Math.floor(index / columnCount) - Math.floor(last.index / columnCount),
+      (index % columnCount) - (last.index % columnCount),
+    ].join()
+  }
+
+  if (SWIPE_DIRECTIONS[step] === undefined) {
+    endStreamDeckSwipe(_this)
+
+    _this._swipePath = [{ index, page, time }]
+  } else if (path.length > 1 && path[1].step !== step) {
+    // Changing direction ends the swipe, and starts a new one from the key it turned on
+    endStreamDeckSwipe(_this)
+
+    _this._swipePath = [
+      { index: last.index, page, time: last.time },
+      { index, page, time, step },
+    ]
+  } else {
+    path.push({ index, page, time, step })
+  }
+
+  _this._swipeTimeoutId = setTimeout(() => {
+    _this._swipeTimeoutId = undefined
+
+    endStreamDeckSwipe(_this)
+  }, _this.SWIPE_TIME)
+}
+
+function emitStreamDeckBlur(_this, page, blurPage) {
+  _this.emit('blur', page, blurPage)
+  blurPage.emit('blur', page, blurPage)
+
+  for (const key of blurPage.keys.values()) {
+    key.emit('blur', page, blurPage)
+  }
+
+  for (const encoder of blurPage.encoders.values()) {
+    encoder.emit('blur', page, blurPage)
+  }
+
+  for (const lcdSegment of blurPage.lcdSegments.values()) {
+    lcdSegment.emit('blur', page, blurPage)
   }
 }
 
-function setStreamDeckNodeBrightness(_this, brightness) {
-  return emitCaughtAsyncError(
+function startStreamDeckScreensaver(_this) {
+  if (_this._destroyed || !_this._screensaver || _this._screensaverPageStack) {
+    return
+  }
+
+  const pageStack = _this._pageStack
+
+  _this._screensaverPageStack = pageStack
+
+  if (_this._screensaverPage) {
+    navigateStreamDeck(_this, 'screensaver', [_this._screensaverPage])
+  } else if (_this._screensaver.off) {
+    blankStreamDeck(_this)
+  }
+
+  setStreamDeckNodeBrightness(
     _this,
-    _this.STREAMDECK_NODE.setBrightness(
-      Math.max(
-        0,
-        Math.min(Math.round((brightness ?? _this._brightness) * 100), 100)
-      )
+    getStreamDeckScreensaverBrightness(_this),
+    _this.BRIGHTNESS_DURATION,
+    _this.BRIGHTNESS_EASING
+  )
+
+  _this.emit('screensaver')
+}
+
+function wakeStreamDeck(_this) {
+  if (!_this._screensaverPageStack) {
+    return
+  }
+
+  const pageStack = _this._screensaverPageStack.filter(
+    (page) => !page.destroyed
+  )
+
+  _this._screensaverPageStack = undefined
+
+  const previousPage = _this._focusedPage
+
+  if (_this._screensaverPage || _this._screensaver.off) {
+    navigateStreamDeck(_this, 'wake', pageStack)
+  }
+
+  // Focusing another Page has already restored the brightness
+  if (_this._focusedPage === previousPage) {
+    setStreamDeckNodeBrightness(
+      _this,
+      _this._focusedPage?.brightness,
+      _this.BRIGHTNESS_DURATION,
+      _this.BRIGHTNESS_EASING
+    )
+  }
+
+  _this.emit('wake')
+}
+
+// Turns the panel off without focusing the default Page, which setFocusedPage would do, and
+// without the LockScreen check, the Pages are restored on wake either way
+function blankStreamDeck(_this) {
+  const blurPage = _this._focusedPage
+
+  cancelStreamDeckTransition(_this)
+  updateStreamDeckPageStack(_this, [])
+
+  _this._focusedPage = undefined
+
+  if (blurPage) {
+    emitStreamDeckBlur(_this, undefined, blurPage)
+  }
+
+  if (!_this._disconnected) {
+    _this._graphicsQueue.push(() => clearStreamDeckNodePanel(_this))
+  }
+
+  _this.emit('navigate', 'screensaver', undefined, blurPage)
+}
+
+function getStreamDeckScreensaverBrightness(_this) {
+  if (_this._screensaver.off) {
+    return 0
+  }
+
+  return (
+    _this._screensaver.brightness ??
+    _this._focusedPage?.brightness ??
+    _this._brightness
+  )
+}
+
+function endStreamDeckSwipe(_this) {
+  const path = _this._swipePath
+
+  _this._swipePath = []
+
+  if (path.length < _this.SWIPE_LENGTH) {
+    return
+  }
+
+  const { page } = path[0]
+  const direction = SWIPE_DIRECTIONS[path[1].step]
+  const indexes = path.map(({ index }) => index)
+  const duration = path[path.length - 1].time - path[0].time
+  const speed = ((path.length - 1) * 1000) / Math.max(duration, 1)
+
+  _this.emit('swipe', direction, indexes, speed, page)
+  if (page && !page.destroyed) {
+    page.emit('swipe', direction, [...indexes], speed, page)
+  }
+}
+
+function handleStreamDeckTap(_this, index, page, key, held) {
+  // Holding a key ends the tap sequence it was part of
+  if (held) {
+    endStreamDeckTaps(_this, index)
+
+    return
+  }
+
+  const count = (_this._tapStates.get(index)?.count ?? 0) + 1
+
+  _this._tapStates.set(index, { count, page, key })
+
+  _this.emit('tap', index, page, key, count)
+
+  if (count === 2) {
+    _this.emit('doubleClick', index, page, key)
+  }
+
+  if (_this.DOUBLE_CLICK_TIME > 0) {
+    _this._tapTimeoutIds.set(
+      index,
+      setTimeout(() => {
+        _this._tapTimeoutIds.delete(index)
+
+        endStreamDeckTaps(_this, index)
+      }, _this.DOUBLE_CLICK_TIME)
     )
+  } else {
+    endStreamDeckTaps(_this, index)
+  }
+}
+
+function endStreamDeckTaps(_this, index) {
+  const tapState = _this._tapStates.get(index)
+
+  _this._tapStates.delete(index)
+
+  if (tapState?.count === 1 && _this.DELAY_CLICK) {
+    _this.emit('click', index, tapState.page, tapState.key)
+  }
+}
+
+function disconnectStreamDeckNode(_this) {
+  if (_this._destroyed || _this._disconnected) {
+    return
+  }
+
+  _this._disconnected = true
+
+  // Drop pending drawing jobs and skip new ones until the device is back, it is redrawn in
+  // full on reconnect
+  _this._graphicsQueue.autostart = false
+  _this._graphicsQueue.stop()
+  _this._graphicsQueue.splice(0)
+
+  if (_this._holdTimeoutIds.size) {
+    for (const holdTimeoutId of _this._holdTimeoutIds.values()) {
+      clearTimeout(holdTimeoutId)
+    }
+
+    _this._holdTimeoutIds.clear()
+  }
+
+  if (_this._tapTimeoutIds.size) {
+    for (const tapTimeoutId of _this._tapTimeoutIds.values()) {
+      clearTimeout(tapTimeoutId)
+    }
+
+    _this._tapTimeoutIds.clear()
+  }
+
+  _this._tapStates.clear()
+
+  if (_this._swipeTimeoutId) {
+    clearTimeout(_this._swipeTimeoutId)
+    _this._swipeTimeoutId = undefined
+  }
+
+  _this._swipePath = []
+
+  if (_this._encoderHoldTimeoutIds.size) {
+    for (const encoderHoldTimeoutId of _this._encoderHoldTimeoutIds.values()) {
+      clearTimeout(encoderHoldTimeoutId)
+    }
+
+    _this._encoderHoldTimeoutIds.clear()
+  }
+
+  // The device can't report releases anymore, so release everything that is still down. These
+  // releases are never clicks
+  _this._suppressedIndexes.clear()
+  _this._suppressedEncoderIndexes.clear()
+
+  for (const index of [..._this._downKeys.keys()]) {
+    _this._streamDeckNodeListeners.get('up')(index)
+  }
+
+  for (const index of [..._this._downEncoders.keys()]) {
+    _this._streamDeckNodeListeners.get('encoderUp')(index)
+  }
+
+  const streamDeckNode = _this._STREAMDECK_NODE
+
+  for (const [event, listener] of _this._streamDeckNodeListeners.entries()) {
+    streamDeckNode.removeListener(event, listener)
+  }
+
+  // The device is already gone so any errors while closing can be ignored
+  Promise.resolve()
+    .then(() => streamDeckNode.close())
+    .catch(() => {})
+
+  _this.emit('disconnect')
+
+  scheduleStreamDeckNodeReconnect(_this)
+}
+
+function scheduleStreamDeckNodeReconnect(_this) {
+  const device = _this._STREAMDECK_NODE.device
+
+  // Virtual devices are never listed by HID, VirtualDevice#replug reconnects them instead
+  if (device instanceof VirtualDevice) {
+    device.once('replug', () => {
+      if (_this._destroyed || !_this._disconnected) {
+        return
+      }
+
+      reconnectStreamDeckNode(_this, _this._STREAMDECK_NODE)
+    })
+
+    return
+  }
+
+  _this._reconnectTimeoutId = setTimeout(async () => {
+    _this._reconnectTimeoutId = undefined
+
+    if (_this._destroyed || !_this._disconnected) {
+      return
+    }
+
+    let streamDeckNode
+
+    try {
+      const streamDeckInfo = listStreamDecksNode().find(
+        (streamDeckInfo) => streamDeckInfo.serialNumber === _this.SERIAL_NUMBER
+      )
+
+      if (streamDeckInfo) {
+        streamDeckNode = await openStreamDeckNode(
+          streamDeckInfo.path,
+          _this._streamDeckNodeOptions
+        )
+
+        _this._HID_PATH = streamDeckInfo.path
+      }
+    } catch (err) {
+      _this.emit('error', err)
+    }
+
+    if (!streamDeckNode) {
+      scheduleStreamDeckNodeReconnect(_this)
+
+      return
+    }
+
+    if (_this._destroyed) {
+      emitCaughtAsyncError(_this, streamDeckNode.close())
+
+      return
+    }
+
+    reconnectStreamDeckNode(_this, streamDeckNode)
+  }, _this.RECONNECT_INTERVAL)
+}
+
+function reconnectStreamDeckNode(_this, streamDeckNode) {
+  _this._STREAMDECK_NODE = streamDeckNode
+
+  for (const [event, listener] of _this._streamDeckNodeListeners.entries()) {
+    streamDeckNode.on(event, listener)
+  }
+
+  _this._disconnected = false
+
+  _this._graphicsQueue.autostart = true
+  _this._graphicsQueue.start()
+
+  setStreamDeckNodeBrightness(
+    _this,
+    _this._screensaverPageStack
+      ? getStreamDeckScreensaverBrightness(_this)
+      : _this._focusedPage?.brightness
   )
+
+  if (_this._focusedPage) {
+    _this._focusedPage.draw()
+  } else {
+    clearStreamDeckNodePanel(_this)
+  }
+
+  _this.emit('reconnect')
+}
+
+function handleStreamDeckNodeRotate(_this, index, delta) {
+  if (_this._destroyed || _this._transitioning) {
+    return
+  }
+
+  const page = _this._focusedPage
+  const encoder = page?.encoders.get(index)
+
+  if (!_this.locked) {
+    _this.emit('rotate', index, delta, page, encoder)
+  }
+
+  page?.emit('rotate', index, delta, page, encoder)
+  encoder?.emit('rotate', index, delta, page, encoder)
+
+  _this.emit('activity', 'rotate', index, page, encoder)
+  page?.emit('activity', 'rotate', index, page, encoder)
+  encoder?.emit('activity', 'rotate', index, page, encoder)
+}
+
+function handleStreamDeckNodeLcdPress(
+  _this,
+  event,
+  lcdSegmentEvent,
+  index,
+  position
+) {
+  if (_this._destroyed || _this._transitioning) {
+    return
+  }
+
+  const page = _this._focusedPage
+  const lcdSegment = page?.lcdSegments.get(index)
+
+  if (!_this.locked) {
+    _this.emit(event, index, position, page, lcdSegment)
+  }
+
+  page?.emit(event, index, position, page, lcdSegment)
+  lcdSegment?.emit(lcdSegmentEvent, index, position, page, lcdSegment)
+
+  _this.emit('activity', event, index, page, lcdSegment)
+  page?.emit('activity', event, index, page, lcdSegment)
+  lcdSegment?.emit('activity', event, index, page, lcdSegment)
+}
+
+// Resolves true once the brightness is reached, or false if another brightness change
+// cancelled the fade
+function setStreamDeckNodeBrightness(
+  _this,
+  brightness = _this._brightness,
+  duration = 0,
+  easing = 'linear'
+) {
+  const fadeId = ++_this._brightnessFadeId
+
+  if (_this._disconnected) {
+    return Promise.resolve(true)
+  }
+
+  const fromBrightness = _this._nodeBrightness
+
+  if (
+    duration <= 0 ||
+    fromBrightness === undefined ||
+    fromBrightness === brightness
+  ) {
+    _this._nodeBrightness = brightness
+
+    return emitCaughtAsyncError(
+      _this,
+      _this.STREAMDECK_NODE.setBrightness(getNodeBrightness(brightness))
+    ).then(() => fadeId === _this._brightnessFadeId)
+  }
+
+  return emitCaughtAsyncError(_this, async () => {
+    const fadeStart = Date.now()
+
+    let value = getNodeBrightness(fromBrightness)
+    let progress = 0
+
+    while (progress < 1) {
+      await new Promise((resolve) => setTimeout(resolve, TRANSITION_FRAME_TIME))
+
+      if (fadeId !== _this._brightnessFadeId || _this._disconnected) {
+        return
+      }
+
+      progress = Math.min((Date.now() - fadeStart) / duration, 1)
+
+      // Keep track of the brightness shown so a cancelling fade starts where this one stopped
+      _this._nodeBrightness =
+        fromBrightness +
+        (brightness - fromBrightness) * EASINGS[easing](progress)
+
+      const nextValue = getNodeBrightness(_this._nodeBrightness)
+
+      if (nextValue !== value) {
+        value = nextValue
+
+        await _this.STREAMDECK_NODE.setBrightness(value)
+      }
+    }
+  }).then(() => fadeId === _this._brightnessFadeId)
+}
+
+function getNodeBrightness(brightness) {
+  return Math.max(0, Math.min(Math.round(brightness * 100), 100))
 }
 
 function clearStreamDeckNodePanel(_this) {
+  if (_this._disconnected) {
+    return Promise.resolve()
+  }
+
   return emitCaughtAsyncError(_this, _this.STREAMDECK_NODE.clearPanel())
 }
 
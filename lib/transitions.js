@@ -0,0 +1,159 @@
+'use strict'
+
+/**
+ * The names of the page transitions that can be used when a {@link Page} gains focus.
+ *
+ * - `'none'` draws the {@link Page} instantly.
+ * - `'slideLeft'`, `'slideRight'`, `'slideUp'`, and `'slideDown'` slide the incoming {@link Page}
+ * in from the opposite edge, pushing the outgoing {@link Page} out.
+ * - `'crossfade'` fades from the outgoing {@link Page} to the incoming {@link Page}.
+ * - `'wipe'` reveals the incoming {@link Page} from left to right.
+ * - `'ripple'` fades each key slot in turn, starting from the center of the panel.
+ *
+ * @typedef {string} Transition
+ * @memberof StreamDeck
+ */
+const TRANSITIONS = [
+  'none',
+  'slideLeft',
+  'slideRight',
+  'slideUp',
+  'slideDown',
+  'crossfade',
+  'wipe',
+  'ripple',
+]
+
+/**
+ * The names of the easing functions that can be used while fading the brightness.
+ *
+ * - `'linear'` changes the brightness at a constant rate.
+ * - `'easeIn'` starts slowly and speeds up.
+ * - `'easeOut'` starts quickly and slows down.
+ * - `'easeInOut'` starts and ends slowly.
+ *
+ * @typedef {string} Easing
+ * @memberof StreamDeck
+ */
+const EASINGS = {
+  linear: (progress) => progress,
+  easeIn: (progress) => progress * progress,
+  easeOut: (progress) => 1 - (1 - progress) * (1 - progress),
+  easeInOut,
+}
+
+// Roughly 30 frames per second, which the Stream Deck devices can keep up with
+const TRANSITION_FRAME_TIME = 33
+
+function renderTransitionFrame(transition, from, to, progress, layout) {
+  const { width, height } = layout
+
+  const frame = Buffer.alloc(width * height * 3)
+  const rowBytes = width * 3
+
+  progress = easeInOut(progress)
+
+  switch (transition) {
+    case 'slideLeft': {
+      const offset = Math.round(progress * width) * 3
+
+      for (let y = 0; y < height; y++) {
+        const row = y * rowBytes
+
+        from.copy(frame, row, row + offset, row + rowBytes)
+        to.copy(frame, row + rowBytes - offset, row, row + offset)
+      }
+
+      break
+    }
+    case 'slideRight': {
+      const offset = Math.round(progress * width) * 3
+
+      for (let y = 0; y < height; y++) {
+        const row = y * rowBytes
+
+        to.copy(frame, row, row + rowBytes - offset, row + rowBytes)
+        from.copy(frame, row + offset, row, row + rowBytes - offset)
+      }
+
+      break
+    }
+    case 'slideUp': {
+      const offset = Math.round(progress * height) * rowBytes
+
+      from.copy(frame, 0, offset)
+      to.copy(frame, frame.length - offset, 0, offset)
+
+      break
+    }
+    case 'slideDown': {
+      const offset = Math.round(progress * height) * rowBytes
+
+      to.copy(frame, 0, to.length - offset)
+      from.copy(frame, offset, 0, from.length - offset)
+
+      break
+    }
+    case 'wipe': {
+      const offset = Math.round(progress * width) * 3
+
+      for (let y = 0; y < height; y++) {
+        const row = y * rowBytes
+
+        to.copy(frame, row, row, row + offset)
+        from.copy(frame, row + offset, row + offset, row + rowBytes)
+      }
+
+      break
+    }
+    case 'ripple': {
+      const { keyWidth, keyHeight, columns, rows } = layout
+
+      const centerColumn = (columns - 1) / 2
+      const centerRow = (rows - 1) / 2
+      const maxDistance = Math.hypot(centerColumn, centerRow) || 1
+
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          const distance =
+            Math.hypot(column - centerColumn, row - centerRow) / maxDistance
+          const keyProgress = Math.min(
+            Math.max((progress - distance * 0.5) * 2, 0),
+            1
+          )
+
+          for (let y = row * keyHeight; y < (row + 1) * keyHeight; y++) {
+            const start = y * rowBytes + column * keyWidth * 3
+
+            blend(frame, from, to, keyProgress, start, start + keyWidth * 3)
+          }
+        }
+      }
+
+      break
+    }
+    default:
+      blend(frame, from, to, progress, 0, frame.length)
+  }
+
+  return frame
+}
+
+function blend(frame, from, to, progress, start, end) {
+  for (let i = start; i < end; i++) {
+    frame[i] = from[i] + (to[i] - from[i]) * progress
+  }
+}
+
+function easeInOut(progress) {
+  return progress < 0.5
+    ? 2 * progress * progress
+    : 1 - Math.pow(-2 * progress + 2, 2) / 2
+}
+
+module.exports = {
+  TRANSITIONS,
+  EASINGS,
+  TRANSITION_FRAME_TIME,
+  renderTransitionFrame,
+}
@@ -1,6 +1,9 @@
 'use strict'
 
+const fs = require('fs')
+const path = require('path')
 const colorNames = require('colornames')
+const sharp = require('sharp')
 
 const registeredClasses = {}
 
@@ -26,6 +29,7 @@ function checkValid(value, options = {}) {
     object: checkValidObject,
     array: checkValidArray,
     buffer: checkValidBuffer,
+    function: checkValidFunction,
     class: checkValidClass,
     dimensions: checkValidDimensions,
     color: checkValidColor,
@@ -293,6 +297,18 @@ function checkValidBuffer(value, options = {}) {
   }
 }
 
+function checkValidFunction(value, options = {}) {
+  const { allowUndefined = false, name = 'value' } = options
+
+  if (typeof value !== 'function') {
+    throw new TypeError(
+      `Expected ${name} to be a function${
+        !allowUndefined ? `` : ` or undefined`
+      }`
+    )
+  }
+}
+
 function checkValidClass(value, options = {}) {
   const {
     allowUndefined = false,
@@ -702,6 +718,171 @@ function parseColor(color, options = {}) {
   return color
 }
 
+function checkSnapshotOptions(options) {
+  checkValid(options, {
+    name: 'options',
+    type: 'object',
+    allowUndefined: true,
+    checkProps: [
+      {
+        name: 'format',
+        type: 'string',
+        validValues: ['png', 'raw'],
+        allowUndefined: true,
+      },
+    ],
+  })
+}
+
+function createChord(indexes, handler, options, keyCount) {
+  checkValid(indexes, {
+    name: 'indexes',
+    type: 'array',
+    minLength: 2,
+    checkAllValues: { type: 'integer', min: 0, max: keyCount - 1 },
+  })
+
+  if (new Set(indexes).size !== indexes.length) {
+    throw new Error(`Expected indexes to be unique`)
+  }
+
+  checkValid(handler, {
+    name: 'handler',
+    type: 'function',
+    allowUndefined: true,
+  })
+
+  checkValid(options, {
+    name: 'options',
+    type: 'object',
+    allowUndefined: true,
+    checkProps: [
+      { name: 'suppressClicks', type: 'boolean', allowUndefined: true },
+    ],
+  })
+
+  return Object.freeze({
+    indexes: Object.freeze([...indexes]),
+    handler,
+    suppressClicks: options?.suppressClicks ?? false,
+  })
+}
+
+async function encodeSnapshot(buffer, width, height, options = {}) {
+  if (options?.format === 'raw') {
+    return buffer
+  }
+
+  return sharp(buffer, { raw: { width, height, channels: 3 } })
+    .png()
+    .toBuffer()
+}
+
+// Polling survives editors that save by replacing the file, which fs.watch does not
+const WATCH_FILE_INTERVAL = 500
+
+function watchFile(filePath, listener) {
+  const statListener = (current, previous) => {
+    if (
+      current.mtimeMs !== 0 &&
+      (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size)
+    ) {
+      listener()
+    }
+  }
+
+  fs.watchFile(
+    filePath,
+    { interval: WATCH_FILE_INTERVAL, persistent: false },
+    statListener
+  )
+
+  return () => fs.unwatchFile(filePath, statListener)
+}
+
+function serializeSource(source) {
+  if (Array.isArray(source)) {
+    return source.map((arrSource) => serializeSource(arrSource))
+  }
+
+  if (Buffer.isBuffer(source)) {
+    return {
+      type: 'Buffer',
+      encoding: 'base64',
+      data: source.toString('base64'),
+    }
+  }
+
+  if (source instanceof registeredClasses.Image) {
+    return serializeSource(source.SOURCE)
+  }
+
+  if (typeof source === 'object' && source !== null) {
+    return { ...source, source: serializeSource(source.source) }
+  }
+
+  return source
+}
+
+function deserializeSource(source) {
+  if (Array.isArray(source)) {
+    return source.map((arrSource) => deserializeSource(arrSource))
+  }
+
+  if (source?.type === 'Buffer') {
+    return Buffer.from(source.data, source.encoding)
+  }
+
+  if (typeof source === 'object' && source !== null) {
+    return { ...source, source: deserializeSource(source.source) }
+  }
+
+  return source
+}
+
+function getCustomProperties(_this, excludedProps = []) {
+  const customProperties = {}
+
+  for (const [prop, descriptor] of Object.entries(
+    Object.getOwnPropertyDescriptors(_this)
+  )) {
+    if (
+      prop.startsWith('_') ||
+      excludedProps.includes(prop) ||
+      !descriptor.enumerable ||
+      !('value' in descriptor) ||
+      typeof descriptor.value === 'function'
+    ) {
+      continue
+    }
+
+    customProperties[prop] = descriptor.value
+  }
+
+  return customProperties
+}
+
+async function readLayoutFile(filePath) {
+  const contents = await fs.promises.readFile(filePath, 'utf8')
+  const extension = path.extname(filePath).toLowerCase()
+
+  if (extension === '.yaml' || extension === '.yml') {
+    let yaml
+
+    try {
+      yaml = require('yaml')
+    } catch (err) {
+      throw new Error(
+        `The 'yaml' package must be installed to load YAML layouts: ${filePath}`
+      )
+    }
+
+    return yaml.parse(contents)
+  }
+
+  return JSON.parse(contents)
+}
+
 module.exports = {
   registerClass,
   checkValid,
@@ -710,4 +891,12 @@ module.exports = {
   listenToEvents,
   emitCaughtAsyncError,
   parseColor,
+  checkSnapshotOptions,
+  createChord,
+  encodeSnapshot,
+  watchFile,
+  readLayoutFile,
+  serializeSource,
+  deserializeSource,
+  getCustomProperties,
 }
@@ -0,0 +1,778 @@
+'use strict'
+
+const EventEmitter = require('eventemitter3')
+
+const {
+  checkValid,
+  definePrivateProperties,
+  definePublicProperties,
+} = require('./utils')
+
+const MODEL_SPECS = {
+  original: {
+    productName: 'Streamdeck',
+    columns: 5,
+    rows: 3,
+    iconSize: 72,
+  },
+  originalv2: {
+    productName: 'Streamdeck',
+    columns: 5,
+    rows: 3,
+    iconSize: 72,
+  },
+  'original-mk2': {
+    productName: 'Streamdeck MK2',
+    columns: 5,
+    rows: 3,
+    iconSize: 72,
+  },
+  mini: {
+    productName: 'Streamdeck Mini',
+    columns: 3,
+    rows: 2,
+    iconSize: 80,
+  },
+  miniv2: {
+    productName: 'Streamdeck Mini',
+    columns: 3,
+    rows: 2,
+    iconSize: 80,
+  },
+  xl: {
+    productName: 'Streamdeck XL',
+    columns: 8,
+    rows: 4,
+    iconSize: 96,
+  },
+  xlv2: {
+    productName: 'Streamdeck XL',
+    columns: 8,
+    rows: 4,
+    iconSize: 96,
+  },
+  pedal: {
+    productName: 'Streamdeck Pedal',
+    columns: 3,
+    rows: 1,
+    iconSize: 0,
+  },
+  plus: {
+    productName: 'Streamdeck +',
+    columns: 4,
+    rows: 2,
+    iconSize: 120,
+    encoders: 4,
+    lcdEncoderSize: { width: 200, height: 100 },
+  },
+}
+
+let virtualDeviceCount = 0
+
+/**
+ * An instance of {@link VirtualDevice} is a software Stream Deck device that draws into
+ * in-memory framebuffers instead of real hardware. Created via
+ * {@link module:streamdeck-ui-node.openVirtualStreamDeck} and reachable as
+ * `{@link StreamDeck#STREAMDECK_NODE}.device`.
+ *
+ * Framebuffers are raw RGB buffers. The panel framebuffer places every key side by side with
+ * no gaps, the same layout used by `{@link Page#draw}`.
+ *
+ * @class VirtualDevice
+ * @extends external:eventemitter3
+ * @hideconstructor
+ *
+ * @example
+ * const { openVirtualStreamDeck } = require('streamdeck-ui-node');
+ *
+ * (async () => {
+ *   const streamDeck = await openVirtualStreamDeck('original');
+ *   const virtualDevice = streamDeck.STREAMDECK_NODE.device;
+ *
+ *   virtualDevice.keyDown(0);
+ *   virtualDevice.keyUp(0);
+ * })();
+ */
+class VirtualDevice extends EventEmitter {
+  constructor(model, options = {}) {
+    super()
+
+    checkValid(model, {
+      name: 'model',
+      type: 'string',
+      validValues: Object.keys(MODEL_SPECS),
+    })
+
+    checkValid(options, {
+      name: 'options',
+      type: 'object',
+      allowUndefined: true,
+      checkProps: [
+        {
+          name: 'serialNumber',
+          type: 'string',
+          allowUndefined: true,
+        },
+        {
+          name: 'firmwareVersion',
+          type: 'string',
+          allowUndefined: true,
+        },
+      ],
+    })
+
+    const {
+      productName,
+      columns,
+      rows,
+      iconSize,
+      encoders = 0,
+      lcdEncoderSize,
+    } = MODEL_SPECS[model]
+
+    const serialNumber =
+      options.serialNumber ??
+      `VIRTUAL${String(++virtualDeviceCount).padStart(5, '0')}`
+
+    definePrivateProperties(this, options, [
+      {
+        name: 'panelBuffer',
+        value: Buffer.alloc(iconSize * columns * iconSize * rows * 3),
+      },
+      {
+        name: 'lcdBuffer',
+        value: Buffer.alloc(
+          (lcdEncoderSize?.width ?? 0) *
+            encoders *
+            (lcdEncoderSize?.height ?? 0) *
+            3
+        ),
+      },
+      { name: 'serialNumber', value: serialNumber },
+      { name: 'firmwareVersion', value: options.firmwareVersion ?? '1.0.0' },
+    ])
+
+    definePublicProperties(this, {}, [
+      /**
+       * The {@link module:streamdeck-ui-node.StreamDeckModel} being emulated.
+       *
+       * @member {string} MODEL
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'MODEL', value: model },
+      /**
+       * The product name of the emulated Stream Deck device.
+       *
+       * @member {string} PRODUCT_NAME
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'PRODUCT_NAME', value: productName },
+      /**
+       * The fake HID path of the {@link VirtualDevice}.
+       *
+       * @member {string} HID_PATH
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'HID_PATH', value: `virtual:${serialNumber}` },
+      /**
+       * The number of keys on the emulated Stream Deck device.
+       *
+       * @member {number} NUM_KEYS
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'NUM_KEYS', value: columns * rows },
+      /**
+       * The number of key columns on the emulated Stream Deck device.
+       *
+       * @member {number} KEY_COLUMNS
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'KEY_COLUMNS', value: columns },
+      /**
+       * The number of key rows on the emulated Stream Deck device.
+       *
+       * @member {number} KEY_ROWS
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'KEY_ROWS', value: rows },
+      /**
+       * The width and height of each key in pixels.
+       *
+       * @member {number} ICON_SIZE
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'ICON_SIZE', value: iconSize },
+      /**
+       * The number of pixels in each key.
+       *
+       * @member {number} ICON_PIXELS
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'ICON_PIXELS', value: iconSize * iconSize },
+      /**
+       * The number of bytes in each key's RGB framebuffer.
+       *
+       * @member {number} ICON_BYTES
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'ICON_BYTES', value: iconSize * iconSize * 3 },
+      /**
+       * The number of encoders on the emulated Stream Deck device.
+       *
+       * @member {number} NUM_ENCODERS
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      { name: 'NUM_ENCODERS', value: encoders },
+      /**
+       * The size of the LCD touch strip, or undefined if the emulated Stream Deck device does
+       * not have one.
+       *
+       * @member {Object|undefined} LCD_STRIP_SIZE
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      {
+        name: 'LCD_STRIP_SIZE',
+        get: () =>
+          lcdEncoderSize && {
+            width: lcdEncoderSize.width * encoders,
+            height: lcdEncoderSize.height,
+          },
+      },
+      /**
+       * The size of each LCD touch strip segment, or undefined if the emulated Stream Deck
+       * device does not have an LCD touch strip.
+       *
+       * @member {Object|undefined} LCD_ENCODER_SIZE
+       * @memberof VirtualDevice
+       * @instance
+       * @constant
+       */
+      {
+        name: 'LCD_ENCODER_SIZE',
+        get: () => lcdEncoderSize && { ...lcdEncoderSize },
+      },
+      /**
+       * The brightness percentage last set on the {@link VirtualDevice}.
+       *
+       * @member {number} brightness
+       * @memberof VirtualDevice
+       * @instance
+       * @readonly
+       */
+      { name: 'brightness', value: 100 },
+      /**
+       * Whether or not the {@link VirtualDevice} has been closed.
+       *
+       * @member {boolean} closed
+       * @memberof VirtualDevice
+       * @instance
+       * @readonly
+       */
+      { name: 'closed', value: false },
+    ])
+  }
+
+  checkValidKeyIndex(keyIndex) {
+    if (
+      !Number.isInteger(keyIndex) ||
+      keyIndex < 0 ||
+      keyIndex >= this.NUM_KEYS
+    ) {
+      throw new TypeError(`Expected a valid keyIndex 0 - ${this.NUM_KEYS - 1}`)
+    }
+  }
+
+  async close() {
+    this._closed = true
+  }
+
+  async fillKeyColor(keyIndex, r, g, b) {
+    checkVirtualDeviceClosed(this)
+
+    this.checkValidKeyIndex(keyIndex)
+
+    for (const value of [r, g, b]) {
+      checkValid(value, { name: 'color', type: 'integer', min: 0, max: 255 })
+    }
+
+    const pixels = Buffer.alloc(this.ICON_BYTES)
+
+    for (let i = 0; i < this.ICON_PIXELS; i++) {
+      pixels[i * 3] = r
+      pixels[i * 3 + 1] = g
+      pixels[i * 3 + 2] = b
+    }
+
+    writeKeyPixels(this, keyIndex, pixels)
+  }
+
+  async fillKeyBuffer(keyIndex, imageBuffer, options = {}) {
+    checkVirtualDeviceClosed(this)
+
+    this.checkValidKeyIndex(keyIndex)
+
+    writeKeyPixels(
+      this,
+      keyIndex,
+      toRgb(imageBuffer, options.format, this.ICON_PIXELS)
+    )
+  }
+
+  async fillPanelBuffer(imageBuffer, options = {}) {
+    checkVirtualDeviceClosed(this)
+
+    toRgb(imageBuffer, options.format, this._panelBuffer.length / 3).copy(
+      this._panelBuffer
+    )
+  }
+
+  async fillEncoderLcd(index, imageBuffer, options = {}) {
+    checkVirtualDeviceClosed(this)
+
+    if (!this.LCD_ENCODER_SIZE) {
+      throw new Error(`Not supported for this model`)
+    }
+
+    checkValid(index, {
+      name: 'index',
+      type: 'integer',
+      min: 0,
+      max: this.NUM_ENCODERS - 1,
+    })
+
+    const { width, height } = this.LCD_ENCODER_SIZE
+
+    await this.fillLcdRegion(width * index, 0, imageBuffer, {
+      ...options,
+      width,
+      height,
+    })
+  }
+
+  async fillLcdRegion(x, y, imageBuffer, options = {}) {
+    checkVirtualDeviceClosed(this)
+
+    if (!this.LCD_STRIP_SIZE) {
+      throw new Error(`Not supported for this model`)
+    }
+
+    const { width: lcdWidth, height: lcdHeight } = this.LCD_STRIP_SIZE
+    const { width, height } = options
+
+    checkValid(x, { name: 'x', type: 'integer', min: 0, max: lcdWidth - 1 })
+    checkValid(y, { name: 'y', type: 'integer', min: 0, max: lcdHeight - 1 })
+    checkValid(width, {
+      name: 'options.width',
+      type: 'integer',
+      min: 1,
+      max: lcdWidth - x,
+    })
+    checkValid(height, {
+      name: 'options.height',
+      type: 'integer',
+      min: 1,
+      max: lcdHeight - y,
+    })
+
+    const pixels = toRgb(imageBuffer, options.format, width * height)
+
+    for (let row = 0; row < height; row++) {
+      pixels.copy(
+        this._lcdBuffer,
+        ((y + row) * lcdWidth + x) * 3,
+        row * width * 3,
+        (row + 1) * width * 3
+      )
+    }
+  }
+
+  async clearKey(keyIndex) {
+    checkVirtualDeviceClosed(this)
+
+    this.checkValidKeyIndex(keyIndex)
+
+    writeKeyPixels(this, keyIndex, Buffer.alloc(this.ICON_BYTES))
+  }
+
+  async clearPanel() {
+    checkVirtualDeviceClosed(this)
+
+    this._panelBuffer.fill(0)
+    this._lcdBuffer.fill(0)
+  }
+
+  async setBrightness(percentage) {
+    checkVirtualDeviceClosed(this)
+
+    if (percentage < 0 || percentage > 100) {
+      throw new RangeError(
+        `Expected brightness percentage to be between 0 and 100`
+      )
+    }
+
+    this._brightness = percentage
+  }
+
+  async resetToLogo() {
+    await this.clearPanel()
+  }
+
+  async getFirmwareVersion() {
+    return this._firmwareVersion
+  }
+
+  async getSerialNumber() {
+    return this._serialNumber
+  }
+
+  /**
+   * Get a copy of a key's framebuffer.
+   *
+   * @function getKeyBuffer
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {number} keyIndex
+   * The key slot index.
+   *
+   * @returns {Buffer}
+   * Raw RGB pixel data with a width and height of `{@link VirtualDevice#ICON_SIZE}`.
+   */
+  getKeyBuffer(keyIndex) {
+    this.checkValidKeyIndex(keyIndex)
+
+    const pixels = Buffer.alloc(this.ICON_BYTES)
+
+    const { x, y } = getKeyOrigin(this, keyIndex)
+    const panelWidth = this.ICON_SIZE * this.KEY_COLUMNS
+
+    for (let row = 0; row < this.ICON_SIZE; row++) {
+      const start = ((y + row) * panelWidth + x) * 3
+
+      this._panelBuffer.copy(
+        pixels,
+        row * this.ICON_SIZE * 3,
+        start,
+        start + this.ICON_SIZE * 3
+      )
+    }
+
+    return pixels
+  }
+
+  /**
+   * Get a copy of the panel framebuffer.
+   *
+   * @function getPanelBuffer
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @returns {Buffer}
+   * Raw RGB pixel data with a width of `{@link VirtualDevice#ICON_SIZE} *
+   * {@link VirtualDevice#KEY_COLUMNS}` and a height of `{@link VirtualDevice#ICON_SIZE} *
+   * {@link VirtualDevice#KEY_ROWS}`.
+   */
+  getPanelBuffer() {
+    return Buffer.from(this._panelBuffer)
+  }
+
+  /**
+   * Get a copy of the LCD touch strip framebuffer.
+   *
+   * @function getLcdBuffer
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @returns {Buffer}
+   * Raw RGB pixel data the size of `{@link VirtualDevice#LCD_STRIP_SIZE}`. Empty if the
+   * emulated Stream Deck device does not have an LCD touch strip.
+   */
+  getLcdBuffer() {
+    return Buffer.from(this._lcdBuffer)
+  }
+
+  /**
+   * Simulate a key being pressed.
+   *
+   * @function keyDown
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {number} keyIndex
+   * The key slot index.
+   */
+  keyDown(keyIndex) {
+    this.checkValidKeyIndex(keyIndex)
+
+    this.emit('down', keyIndex)
+  }
+
+  /**
+   * Simulate a key being released.
+   *
+   * @function keyUp
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {number} keyIndex
+   * The key slot index.
+   */
+  keyUp(keyIndex) {
+    this.checkValidKeyIndex(keyIndex)
+
+    this.emit('up', keyIndex)
+  }
+
+  /**
+   * Simulate an encoder being rotated.
+   *
+   * @function rotateEncoder
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {number} index
+   * The encoder slot index.
+   *
+   * @param {number} amount
+   * The number of steps rotated. Negative values rotate left, positive values rotate right.
+   */
+  rotateEncoder(index, amount) {
+    checkVirtualDeviceEncoderIndex(this, index)
+
+    checkValid(amount, { name: 'amount', type: 'integer' })
+
+    if (amount < 0) {
+      this.emit('rotateLeft', index, -amount)
+    } else if (amount > 0) {
+      this.emit('rotateRight', index, amount)
+    }
+  }
+
+  /**
+   * Simulate an encoder being pressed.
+   *
+   * @function encoderDown
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {number} index
+   * The encoder slot index.
+   */
+  encoderDown(index) {
+    checkVirtualDeviceEncoderIndex(this, index)
+
+    this.emit('encoderDown', index)
+  }
+
+  /**
+   * Simulate an encoder being released.
+   *
+   * @function encoderUp
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {number} index
+   * The encoder slot index.
+   */
+  encoderUp(index) {
+    checkVirtualDeviceEncoderIndex(this, index)
+
+    this.emit('encoderUp', index)
+  }
+
+  /**
+   * Simulate the LCD touch strip being tapped.
+   *
+   * @function lcdTap
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {Object} position
+   * The coordinates of the tap in pixels, relative to the whole LCD touch strip.
+   *
+   * @param {boolean} [longPress=false]
+   * Whether or not to simulate a long press instead of a short tap.
+   */
+  lcdTap(position, longPress = false) {
+    const index = getLcdSegmentIndex(this, position)
+
+    this.emit(longPress ? 'lcdLongPress' : 'lcdShortPress', index, {
+      ...position,
+    })
+  }
+
+  /**
+   * Simulate a swipe across the LCD touch strip.
+   *
+   * @function lcdSwipe
+   * @memberof VirtualDevice
+   * @instance
+   *
+   * @param {Object} fromPosition
+   * The coordinates where the swipe starts, relative to the whole LCD touch strip.
+   *
+   * @param {Object} toPosition
+   * The coordinates where the swipe ends, relative to the whole LCD touch strip.
+   */
+  lcdSwipe(fromPosition, toPosition) {
+    const fromIndex = getLcdSegmentIndex(this, fromPosition)
+    const toIndex = getLcdSegmentIndex(this, toPosition)
+
+    this.emit(
+      'lcdSwipe',
+      fromIndex,
+      toIndex,
+      { ...fromPosition },
+      { ...toPosition }
+    )
+  }
+
+  /**
+   * Simulate the device being unplugged. Emits the same `error` a real device emits when
+   * reading from it fails.
+   *
+   * @function unplug
+   * @memberof VirtualDevice
+   * @instance
+   */
+  unplug() {
+    this._closed = true
+
+    this.emit('error', new Error(`could not read from HID device`))
+  }
+
+  /**
+   * Simulate the device being plugged back in after {@link VirtualDevice#unplug}. A
+   * {@link StreamDeck} with `{@link StreamDeck#AUTO_RECONNECT}` enabled reconnects to it
+   * straight away.
+   *
+   * @function replug
+   * @memberof VirtualDevice
+   * @instance
+   */
+  replug() {
+    if (!this._closed) {
+      return
+    }
+
+    this._closed = false
+
+    this.emit('replug')
+  }
+}
+
+function checkVirtualDeviceClosed(_this) {
+  if (_this._closed) {
+    throw new Error(`VirtualDevice has been closed!`)
+  }
+}
+
+function checkVirtualDeviceEncoderIndex(_this, index) {
+  if (_this.NUM_ENCODERS <= 0) {
+    throw new Error(`Not supported for this model`)
+  }
+
+  checkValid(index, {
+    name: 'index',
+    type: 'integer',
+    min: 0,
+    max: _this.NUM_ENCODERS - 1,
+  })
+}
+
+function getLcdSegmentIndex(_this, position) {
+  if (!_this.LCD_STRIP_SIZE) {
+    throw new Error(`Not supported for this model`)
+  }
+
+  const { width, height } = _this.LCD_STRIP_SIZE
+
+  checkValid(position, {
+    name: 'position',
+    type: 'object',
+    checkProps: [
+      { name: 'x', type: 'integer', min: 0, max: width - 1 },
+      { name: 'y', type: 'integer', min: 0, max: height - 1 },
+    ],
+  })
+
+  return Math.floor(position.x / _this.LCD_ENCODER_SIZE.width)
+}
+
+function getKeyOrigin(_this, keyIndex) {
+  return {
+    x: (keyIndex % _this.KEY_COLUMNS) * _this.ICON_SIZE,
+    y: Math.floor(keyIndex / _this.KEY_COLUMNS) * _this.ICON_SIZE,
+  }
+}
+
+function writeKeyPixels(_this, keyIndex, pixels) {
+  const { x, y } = getKeyOrigin(_this, keyIndex)
+  const panelWidth = _this.ICON_SIZE * _this.KEY_COLUMNS
+
+  for (let row = 0; row < _this.ICON_SIZE; row++) {
+    pixels.copy(
+      _this._panelBuffer,
+      ((y + row) * panelWidth + x) * 3,
+      row * _this.ICON_SIZE * 3,
+      (row + 1) * _this.ICON_SIZE * 3
+    )
+  }
+}
+
+function toRgb(imageBuffer, format = 'rgb', pixelCount) {
+  checkValid(format, {
+    name: 'options.format',
+    type: 'string',
+    validValues: ['rgb', 'rgba', 'bgr', 'bgra'],
+  })
+
+  const channels = format.length
+
+  checkValid(imageBuffer, {
+    name: 'imageBuffer',
+    type: 'buffer',
+    length: pixelCount * channels,
+  })
+
+  if (format === 'rgb') {
+    return imageBuffer
+  }
+
+  const bgr = format.startsWith('bgr')
+  const pixels = Buffer.alloc(pixelCount * 3)
+
+  for (let i = 0; i < pixelCount; i++) {
+    const offset = i * channels
+
+    pixels[i * 3] = imageBuffer[offset + (bgr ? 2 : 0)]
+    pixels[i * 3 + 1] = imageBuffer[offset + 1]
+    pixels[i * 3 + 2] = imageBuffer[offset + (bgr ? 0 : 2)]
+  }
+
+  return pixels
+}
+
+module.exports = VirtualDevice